@@ -3,6 +3,21 @@
  * Handles widget positioning, dragging, resizing, and grid snapping
  */
 
+import registry from './registry.js';
+import WidgetLifecycle from './lifecycle.js';
+import {
+    BASE_BREAKPOINT, COLLAPSED_ROWS, alignRects, arrange, compactLayout, distributeRects, getBreakpoint,
+    getBreakpointCols, getLayoutChanges, getOccupiedRect, liftLayout, overlaps
+} from './layout.js';
+
+// Arrow keys as grid steps {dx, dy}
+const ARROW_STEPS = {
+    ArrowLeft: { dx: -1, dy: 0 },
+    ArrowRight: { dx: 1, dy: 0 },
+    ArrowUp: { dx: 0, dy: -1 },
+    ArrowDown: { dx: 0, dy: 1 }
+};
+
 class GridManager {
     constructor(container, state) {
         this.container = container;
@@ -14,6 +29,23 @@ class GridManager {
         this.isResizing = false;
         this.dragData = null;
         this.resizeData = null;
+
+        // Rubber-band selection state
+        this.isSelecting = false;
+        this.selectData = null;
+        this.selectionBox = null;
+
+        // Widgets selected for group operations
+        this.selection = new Set();
+
+        // Locked layouts can't be dragged, resized or edited from the grid
+        this.locked = false;
+
+        // Widget shown over the whole board, if any
+        this.maximizedId = null;
+
+        // Drives the widgets' show, hide, resize and suspend hooks
+        this.lifecycle = new WidgetLifecycle();
         
         // Grid settings
         this.gridSettings = {
@@ -21,6 +53,9 @@ class GridManager {
             rowHeight: 60,
             gap: 8
         };
+
+        // Layout shown for the current container width
+        this.breakpoint = BASE_BREAKPOINT;
         
         this.init();
     }
@@ -29,30 +64,97 @@ class GridManager {
      * Initialize grid manager
      */
     init() {
+        this.breakpoint = this.getContainerBreakpoint();
         this.updateGridSettings();
         this.setupEventListeners();
         this.setupKeyboardHandlers();
+        this.observeContainerWidth();
         
         // Listen for state changes
         this.state.subscribe('widget-added', (widget) => {
             this.renderWidget(widget);
+            this.refreshDerivedPositions();
         });
         
         this.state.subscribe('widget-removed', (widget) => {
-            this.removeWidgetElement(widget.id);
+            if (widget.parentId) {
+                this.syncTabs(widget.parentId);
+            } else {
+                this.removeWidgetElement(widget.id);
+            }
+            this.refreshDerivedPositions();
+            if (this.selection.has(widget.id)) {
+                this.setSelection(this.getSelection());
+            }
         });
         
         this.state.subscribe('widget-updated', (data) => {
-            this.updateWidgetElement(data.widget);
+            this.updateWidgetElement(data.widget, data);
+            this.refreshDerivedPositions();
+        });
+
+        this.state.subscribe('widgets-arranged', ({ changes }) => {
+            changes.forEach(change => this.updateWidgetElement(change.widget, change));
+            this.refreshDerivedPositions();
+        });
+
+        this.state.subscribe('widgets-grouped', ({ group, old, created, changes }) => {
+            if (created) {
+                this.renderWidget(group);
+            } else {
+                this.updateWidgetElement(group, { old, updates: { config: group.config } });
+            }
+            changes.forEach(change => this.updateWidgetElement(change.widget, change));
+            this.setSelection(this.getSelection());
+            this.refreshDerivedPositions();
+        });
+
+        this.state.subscribe('widgets-ungrouped', ({ group, changes }) => {
+            this.removeWidgetElement(group.id);
+            changes.forEach(change => this.updateWidgetElement(change.widget, change));
+            this.setSelection(this.getSelection());
+            this.refreshDerivedPositions();
+        });
+
+        // Close the gaps as soon as compaction is switched on
+        this.state.subscribe('settings-updated', ({ settings, old }) => {
+            if (settings.compactLayout === true && old.compactLayout !== true && !this.state.applyingRemote) {
+                this.compact();
+            }
+        });
+
+        this.state.subscribe('grid-updated', ({ changes = [] }) => {
+            this.updateGridSettings();
+            changes.forEach(change => this.updateWidgetElement(change.widget, change));
+            this.refreshPositions();
+        });
+
+        // Imports and resets can bring their own grid
+        ['layout-imported', 'layout-reset'].forEach(event => {
+            this.state.subscribe(event, () => {
+                this.updateGridSettings();
+            });
+        });
+
+        // Rebuild the board when the active workspace changes
+        this.state.subscribe('workspace-switching', () => {
+            this.clearSelection();
+            this.destroyAllWidgets();
+        });
+
+        this.state.subscribe('workspace-switched', () => {
+            this.updateGridSettings();
+            this.renderAllWidgets();
         });
     }
 
     /**
      * Update grid settings from state
+     * @param {Object} grid - Grid settings to show instead, e.g. while previewing
      */
-    updateGridSettings() {
-        const { grid } = this.state.getState();
-        this.gridSettings = { ...grid };
+    updateGridSettings(grid = this.state.getState().grid) {
+        this.gridSettings = { ...grid, cols: getBreakpointCols(this.breakpoint, grid) };
+        this.container.dataset.breakpoint = this.breakpoint;
         
         // Update CSS custom properties
         document.documentElement.style.setProperty('--grid-cols', this.gridSettings.cols);
@@ -60,6 +162,152 @@ class GridManager {
         document.documentElement.style.setProperty('--grid-row-height', `${this.gridSettings.rowHeight}px`);
     }
 
+    /**
+     * Show how the board would look with other grid settings, without
+     * changing state. clearGridPreview() puts the stored settings back.
+     * @param {Object} grid - Grid settings {cols, rowHeight, gap}
+     */
+    previewGridSettings(grid) {
+        this.updateGridSettings(grid);
+
+        // Narrower breakpoints have fixed columns; only the base layout rescales
+        if (this.breakpoint === BASE_BREAKPOINT) {
+            const widgets = new Map(this.state.getPlacedWidgets().map(widget => [widget.id, widget]));
+            this.state.getScaledLayout(grid).forEach(rect => {
+                const element = this.container.querySelector(`[data-widget-id="${rect.id}"]`);
+                if (element) {
+                    this.setElementRect(element, getOccupiedRect(rect, widgets.get(rect.id)));
+                }
+            });
+        }
+    }
+
+    /**
+     * Drop a grid settings preview
+     */
+    clearGridPreview() {
+        this.updateGridSettings();
+        this.refreshPositions();
+    }
+
+    /**
+     * Pick the breakpoint for the grid container's current width
+     * @returns {string} Breakpoint name
+     */
+    getContainerBreakpoint() {
+        const width = this.container.clientWidth;
+
+        // A hidden container has no width; keep what we have
+        return width > 0 ? getBreakpoint(width).name : this.breakpoint;
+    }
+
+    /**
+     * Switch layouts when the container crosses a breakpoint
+     */
+    observeContainerWidth() {
+        const check = () => {
+            const breakpoint = this.getContainerBreakpoint();
+            if (breakpoint !== this.breakpoint) {
+                this.setBreakpoint(breakpoint);
+            }
+        };
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(check).observe(this.container);
+        } else {
+            window.addEventListener('resize', check);
+        }
+    }
+
+    /**
+     * Show the layout of another breakpoint
+     * @param {string} breakpoint - Breakpoint name
+     */
+    setBreakpoint(breakpoint) {
+        // Let a gesture in progress finish on the layout it started on
+        if (this.isDragging || this.isResizing) return;
+
+        this.breakpoint = breakpoint;
+        this.updateGridSettings();
+        this.refreshPositions();
+        this.emit('breakpoint-changed', { breakpoint, cols: this.gridSettings.cols });
+    }
+
+    /**
+     * Get the space every widget takes at the current breakpoint. Collapsed
+     * widgets take one row, and pinned widgets are marked so the layout
+     * engine leaves them in place.
+     * @returns {Array} Rectangles {id, x, y, w, h, pinned}
+     */
+    getRects() {
+        const widgets = new Map(this.state.getPlacedWidgets().map(widget => [widget.id, widget]));
+        return this.state.getBreakpointLayout(this.breakpoint)
+            .map(rect => getOccupiedRect(rect, widgets.get(rect.id)));
+    }
+
+    /**
+     * Get the space one widget takes at the current breakpoint
+     * @param {string} widgetId - Widget ID
+     * @returns {Object|undefined} Rectangle {id, x, y, w, h, pinned}
+     */
+    getRect(widgetId) {
+        if (this.breakpoint === BASE_BREAKPOINT) {
+            const widget = this.state.getState().widgets.find(w => w.id === widgetId);
+            return widget && getOccupiedRect(widget, widget);
+        }
+        return this.getRects().find(rect => rect.id === widgetId);
+    }
+
+    /**
+     * Check whether a widget is collapsed to its header
+     * @param {string} widgetId - Widget ID
+     * @returns {boolean} True if minimized
+     */
+    isCollapsed(widgetId) {
+        return Boolean(this.state.getState().widgets.find(w => w.id === widgetId)?.minimized);
+    }
+
+    /**
+     * Check whether a widget is pinned in place
+     * @param {string} widgetId - Widget ID
+     * @returns {boolean} True if it can't be moved or resized
+     */
+    isPinned(widgetId) {
+        return Boolean(this.state.getState().widgets.find(w => w.id === widgetId)?.pinned);
+    }
+
+    /**
+     * Check whether a rectangle runs into a pinned widget
+     * @param {Object} rect - Rectangle {x, y, w, h}
+     * @param {string} excludeId - Widget the rectangle belongs to
+     * @returns {Object|undefined} Rectangle of the first pinned widget in the way
+     */
+    findPinnedBlocker(rect, excludeId = null) {
+        return this.getRects().find(other => other.pinned && other.id !== excludeId && overlaps(rect, other));
+    }
+
+    /**
+     * Put every widget element where the current breakpoint has it
+     */
+    refreshPositions() {
+        this.getRects().forEach(rect => {
+            const element = this.container.querySelector(`[data-widget-id="${rect.id}"]`);
+            if (element) {
+                this.setElementRect(element, rect);
+                element.classList.remove('pushed');
+            }
+        });
+    }
+
+    /**
+     * Derived layouts follow the base layout, so any change can move other widgets
+     */
+    refreshDerivedPositions() {
+        if (this.breakpoint !== BASE_BREAKPOINT && !this.isDragging && !this.isResizing) {
+            this.refreshPositions();
+        }
+    }
+
     /**
      * Setup event listeners
      */
@@ -81,13 +329,43 @@ class GridManager {
      */
     setupKeyboardHandlers() {
         document.addEventListener('keydown', (e) => {
+            // A maximized widget has the board to itself until Esc; Esc in a
+            // dialog only closes the dialog
+            if (this.maximizedId) {
+                if (e.key === 'Escape' && !e.defaultPrevented) {
+                    this.restoreMaximized();
+                    e.preventDefault();
+                }
+                return;
+            }
+
+            if (e.key === 'Escape' && this.selection.size > 0) {
+                this.clearSelection();
+            }
+            if (this.locked) return;
+
             const activeWidget = document.activeElement?.closest('.widget');
             if (!activeWidget) return;
 
             const widgetId = activeWidget.dataset.widgetId;
-            const widget = this.state.getState().widgets.find(w => w.id === widgetId);
+            const widget = this.getRect(widgetId);
             if (!widget) return;
 
+            // Arrow keys move the whole selection when the focused widget is part of it
+            const group = this.getGroup(widgetId);
+            const arrow = ARROW_STEPS[e.key];
+            if (group.length > 1 && arrow && !e.ctrlKey && !e.metaKey) {
+                this.moveWidgets(group, arrow.dx, arrow.dy);
+                e.preventDefault();
+                return;
+            }
+
+            // Pinned widgets can't be moved or resized, only removed
+            if (widget.pinned && arrow) return;
+
+            // Collapsed widgets only show their header, so there's nothing to resize
+            if (arrow && (e.ctrlKey || e.metaKey) && this.isCollapsed(widgetId)) return;
+
             let handled = false;
             const step = e.shiftKey ? 1 : 1; // Can be adjusted for different step sizes
 
@@ -95,14 +373,11 @@ class GridManager {
                 case 'ArrowLeft':
                     if (e.ctrlKey || e.metaKey) {
                         // Resize
-                        if (widget.w > 1) {
-                            this.state.resizeWidget(widgetId, { w: widget.w - step });
-                            handled = true;
-                        }
+                        handled = this.resizeWidgetBy(widget, -step, 0);
                     } else {
                         // Move
                         if (widget.x > 0) {
-                            this.state.moveWidget(widgetId, { x: widget.x - step });
+                            this.placeWidget(widget, { x: widget.x - step });
                             handled = true;
                         }
                     }
@@ -111,14 +386,11 @@ class GridManager {
                 case 'ArrowRight':
                     if (e.ctrlKey || e.metaKey) {
                         // Resize
-                        if (widget.x + widget.w + step <= this.gridSettings.cols) {
-                            this.state.resizeWidget(widgetId, { w: widget.w + step });
-                            handled = true;
-                        }
+                        handled = this.resizeWidgetBy(widget, step, 0);
                     } else {
                         // Move
                         if (widget.x + widget.w < this.gridSettings.cols) {
-                            this.state.moveWidget(widgetId, { x: widget.x + step });
+                            this.placeWidget(widget, { x: widget.x + step });
                             handled = true;
                         }
                     }
@@ -127,14 +399,11 @@ class GridManager {
                 case 'ArrowUp':
                     if (e.ctrlKey || e.metaKey) {
                         // Resize
-                        if (widget.h > 1) {
-                            this.state.resizeWidget(widgetId, { h: widget.h - step });
-                            handled = true;
-                        }
+                        handled = this.resizeWidgetBy(widget, 0, -step);
                     } else {
                         // Move
                         if (widget.y > 0) {
-                            this.state.moveWidget(widgetId, { y: widget.y - step });
+                            this.placeWidget(widget, { y: widget.y - step });
                             handled = true;
                         }
                     }
@@ -143,11 +412,10 @@ class GridManager {
                 case 'ArrowDown':
                     if (e.ctrlKey || e.metaKey) {
                         // Resize
-                        this.state.resizeWidget(widgetId, { h: widget.h + step });
-                        handled = true;
+                        handled = this.resizeWidgetBy(widget, 0, step);
                     } else {
                         // Move
-                        this.state.moveWidget(widgetId, { y: widget.y + step });
+                        this.placeWidget(widget, { y: widget.y + step });
                         handled = true;
                     }
                     break;
@@ -155,7 +423,7 @@ class GridManager {
                 case 'Delete':
                 case 'Backspace':
                     if (e.shiftKey) {
-                        this.state.removeWidget(widgetId);
+                        this.removeWidgets(group);
                         handled = true;
                     }
                     break;
@@ -167,22 +435,442 @@ class GridManager {
         });
     }
 
+    /**
+     * Resize a widget from the keyboard within its size limits. The widget
+     * keeps its position; at a limit it flashes instead of resizing.
+     * @param {Object} widget - Widget rectangle {id, x, y, w, h}
+     * @param {number} dw - Width change in grid cells
+     * @param {number} dh - Height change in grid cells
+     * @returns {boolean} True if the key was handled
+     */
+    resizeWidgetBy(widget, dw, dh) {
+        const validated = this.validateResize(widget.x, widget.y, widget.w + dw, widget.h + dh, widget.id, dh ? 'h' : 'w');
+
+        // Growing past the right edge would push the widget left, and pinned
+        // widgets don't make way
+        if (validated.x !== widget.x || this.findPinnedBlocker(validated, widget.id)) {
+            validated.limited = 'max';
+        } else if (validated.w !== widget.w || validated.h !== widget.h) {
+            this.placeWidget(widget, { w: validated.w, h: validated.h });
+            return true;
+        }
+
+        if (validated.limited) {
+            this.showResizeLimit(widget.id, validated.limited);
+        }
+        return true;
+    }
+
+    /**
+     * Briefly show that a keyboard resize hit a size limit
+     * @param {string} widgetId - Widget ID
+     * @param {string} limit - 'min' or 'max'
+     */
+    showResizeLimit(widgetId, limit) {
+        const element = this.container.querySelector(`[data-widget-id="${widgetId}"]`);
+        if (!element) return;
+
+        this.setResizeLimit(element, limit);
+        clearTimeout(element._resizeLimitTimeout);
+        element._resizeLimitTimeout = setTimeout(() => {
+            this.setResizeLimit(element, null);
+        }, 1200);
+
+        this.emit('resize-limit', { widgetId, limit });
+    }
+
+    /**
+     * Check whether widgets float up to fill gaps
+     * @returns {boolean} True if vertical compaction is on
+     */
+    isCompact() {
+        return this.state.getState().settings.compactLayout === true;
+    }
+
+    /**
+     * Work out the whole layout with one widget at a new rectangle
+     * @param {Object} target - Rectangle {id, x, y, w, h}
+     * @returns {Array} Rectangles {id, x, y, w, h} of every widget
+     */
+    getLayout(target) {
+        return arrange(this.getRects(), target, { compact: this.isCompact() });
+    }
+
+    /**
+     * Move or resize a widget, pushing its neighbours out of the way
+     * @param {Object} widget - Current rectangle {id, x, y, w, h}
+     * @param {Object} rect - Changes {x, y, w, h}
+     */
+    placeWidget(widget, rect) {
+        this.commitLayout(this.getLayout({ id: widget.id, x: widget.x, y: widget.y, w: widget.w, h: widget.h, ...rect }));
+    }
+
+    /**
+     * Float every widget up to fill the gaps
+     */
+    compact() {
+        this.commitLayout(compactLayout(this.getRects()));
+    }
+
+    /**
+     * Store a layout, changing only the widgets that moved
+     * @param {Array} layout - Rectangles {id, x, y, w, h}
+     * @returns {Array} Changed rectangles
+     */
+    commitLayout(layout) {
+        // Collapsed widgets keep their full height for when they're expanded
+        const stored = new Map(this.state.getBreakpointLayout(this.breakpoint).map(rect => [rect.id, rect]));
+        const changes = getLayoutChanges(this.getRects(), layout).map(({ id, x, y, w, h }) => ({
+            id, x, y, w,
+            h: this.isCollapsed(id) ? stored.get(id).h : h
+        }));
+
+        if (changes.length === 1 && this.breakpoint === BASE_BREAKPOINT) {
+            // A lone move or resize keeps its own undo label and coalescing
+            const { id, ...rect } = changes[0];
+            const widget = stored.get(id);
+            const updates = {};
+            Object.keys(rect).forEach(key => {
+                if (rect[key] !== widget[key]) {
+                    updates[key] = rect[key];
+                }
+            });
+            this.state.updateWidget(id, updates);
+        } else if (changes.length > 0) {
+            this.state.arrangeWidgets(changes, this.breakpoint);
+        }
+
+        return changes;
+    }
+
+    /**
+     * Show where the other widgets end up while one is dragged or resized
+     * @param {Array} layout - Rectangles {id, x, y, w, h}
+     * @param {string} activeId - Widget being dragged or resized
+     * @param {Array<string>} followers - Widgets moving along with it, which aren't marked as pushed
+     * @returns {Object} Rectangle of the active widget
+     */
+    previewLayout(layout, activeId, followers = []) {
+        const current = this.getRects();
+        let active = null;
+
+        layout.forEach(rect => {
+            if (rect.id === activeId) {
+                active = rect;
+                return;
+            }
+
+            const element = this.container.querySelector(`[data-widget-id="${rect.id}"]`);
+            if (element) {
+                this.setElementRect(element, rect);
+                element.classList.toggle('pushed', !followers.includes(rect.id) && this.isDisplaced(rect, current));
+            }
+        });
+
+        return active;
+    }
+
+    /**
+     * Put every widget element back where the state has it
+     */
+    clearLayoutPreview() {
+        this.refreshPositions();
+    }
+
+    /**
+     * Check whether a previewed rectangle differs from the current one
+     * @param {Object} rect - Rectangle {id, x, y, w, h}
+     * @param {Array} current - Current rectangles
+     * @returns {boolean} True if the widget would move
+     */
+    isDisplaced(rect, current) {
+        const widget = current.find(item => item.id === rect.id);
+        return Boolean(widget) && (widget.x !== rect.x || widget.y !== rect.y);
+    }
+
+    /**
+     * Get the selected widgets that are still on the board
+     * @returns {Array<string>} Widget IDs in board order
+     */
+    getSelection() {
+        return this.state.getPlacedWidgets()
+            .filter(widget => this.selection.has(widget.id))
+            .map(widget => widget.id);
+    }
+
+    /**
+     * Get the widgets an action on one widget applies to: the whole
+     * selection if the widget is part of it, otherwise just the widget
+     * @param {string} widgetId - Widget ID
+     * @returns {Array<string>} Widget IDs
+     */
+    getGroup(widgetId) {
+        const selected = this.getSelection();
+        return selected.length > 1 && selected.includes(widgetId) ? selected : [widgetId];
+    }
+
+    /**
+     * Replace the selection
+     * @param {Array<string>} widgetIds - Widget IDs to select
+     */
+    setSelection(widgetIds) {
+        const changed = widgetIds.length !== this.selection.size || widgetIds.some(id => !this.selection.has(id));
+        this.selection = new Set(widgetIds);
+
+        this.container.querySelectorAll('.widget[data-widget-id]').forEach(element => {
+            element.classList.toggle('selected', this.selection.has(element.dataset.widgetId));
+        });
+
+        if (changed) {
+            this.emit('selection-changed', { widgetIds: this.getSelection() });
+        }
+    }
+
+    /**
+     * Add a widget to the selection, or take it out
+     * @param {string} widgetId - Widget ID
+     */
+    toggleSelection(widgetId) {
+        const selected = this.getSelection();
+        this.setSelection(selected.includes(widgetId)
+            ? selected.filter(id => id !== widgetId)
+            : [...selected, widgetId]);
+    }
+
+    /**
+     * Lock or unlock the layout against changes from the grid
+     * @param {boolean} locked - Whether to lock
+     */
+    setLocked(locked) {
+        this.locked = locked;
+        this.container.classList.toggle('locked', locked);
+        if (locked) {
+            this.clearSelection();
+        }
+    }
+
+    /**
+     * Deselect every widget
+     */
+    clearSelection() {
+        if (this.selection.size > 0) {
+            this.setSelection([]);
+        }
+    }
+
+    /**
+     * Run several state changes as one undo step
+     * @param {string} label - Label for the step
+     * @param {Function} fn - Changes to make
+     * @param {string} message - What happened, for a notification afterwards
+     */
+    runBatch(label, fn, message = null) {
+        this.emit('batch-start', { label });
+        try {
+            fn();
+        } finally {
+            this.emit('batch-end', { label, message });
+        }
+    }
+
+    /**
+     * Get the bounding box of some rectangles
+     * @param {Array} rects - Rectangles {x, y, w, h}
+     * @returns {Object} Edges {left, top, right, bottom}
+     */
+    getBounds(rects) {
+        return {
+            left: Math.min(...rects.map(rect => rect.x)),
+            top: Math.min(...rects.map(rect => rect.y)),
+            right: Math.max(...rects.map(rect => rect.x + rect.w)),
+            bottom: Math.max(...rects.map(rect => rect.y + rect.h))
+        };
+    }
+
+    /**
+     * Get the rectangles of the widgets a group move applies to; pinned ones stay put
+     * @param {Array<string>} widgetIds - Widget IDs
+     * @returns {Array} Rectangles {id, x, y, w, h}
+     */
+    getMovableRects(widgetIds) {
+        return widgetIds.map(id => this.getRect(id)).filter(rect => rect && !rect.pinned);
+    }
+
+    /**
+     * Pin or unpin several widgets as one step
+     * @param {Array<string>} widgetIds - Widget IDs
+     * @param {boolean} pinned - True to pin, false to unpin
+     */
+    pinWidgets(widgetIds, pinned) {
+        const { widgets } = this.state.getState();
+        this.runBatch(pinned ? 'Pin widgets' : 'Unpin widgets', () => {
+            widgetIds.forEach(id => {
+                const widget = widgets.find(item => item.id === id);
+                if (widget && Boolean(widget.pinned) !== pinned) {
+                    this.state.updateWidget(id, { pinned });
+                }
+            });
+        });
+    }
+
+    /**
+     * Move several widgets together, pushing their neighbours out of the way
+     * @param {Array<string>} widgetIds - Widget IDs
+     * @param {number} dx - Columns to move
+     * @param {number} dy - Rows to move
+     * @returns {boolean} True if the widgets moved; the group stops at the grid edge
+     */
+    moveWidgets(widgetIds, dx, dy) {
+        const rects = this.getMovableRects(widgetIds);
+        if (rects.length === 0) return false;
+
+        const bounds = this.getBounds(rects);
+        if (bounds.left + dx < 0 || bounds.right + dx > this.gridSettings.cols || bounds.top + dy < 0) {
+            return false;
+        }
+
+        this.runBatch('Move widgets', () => {
+            this.commitLayout(this.getLayout(rects.map(rect => ({ ...rect, x: rect.x + dx, y: rect.y + dy }))));
+        });
+        return true;
+    }
+
+    /**
+     * Line widgets up on one edge of the space they take together
+     * @param {Array<string>} widgetIds - Widget IDs
+     * @param {string} edge - 'left', 'right', 'top' or 'bottom'
+     */
+    alignWidgets(widgetIds, edge) {
+        const rects = this.getMovableRects(widgetIds);
+        if (rects.length === 0) return;
+
+        this.runBatch('Align widgets', () => {
+            this.commitLayout(this.getLayout(alignRects(rects, edge)));
+        });
+    }
+
+    /**
+     * Space widgets evenly
+     * @param {Array<string>} widgetIds - Widget IDs
+     * @param {string} axis - 'x' (horizontally) or 'y' (vertically)
+     */
+    distributeWidgets(widgetIds, axis) {
+        const rects = this.getMovableRects(widgetIds);
+        if (rects.length === 0) return;
+
+        this.runBatch('Distribute widgets', () => {
+            this.commitLayout(this.getLayout(distributeRects(rects, axis, this.gridSettings.cols)));
+        });
+    }
+
+    /**
+     * Remove several widgets as one step
+     * @param {Array<string>} widgetIds - Widget IDs
+     */
+    removeWidgets(widgetIds) {
+        if (widgetIds.length === 1) {
+            this.state.removeWidget(widgetIds[0]);
+            return;
+        }
+
+        this.runBatch('Remove widgets', () => {
+            widgetIds.forEach(id => this.state.removeWidget(id));
+        }, `${widgetIds.length} widgets removed`);
+    }
+
+    /**
+     * Duplicate several widgets as one step and select the copies
+     * @param {Array<string>} widgetIds - Widget IDs
+     */
+    duplicateWidgets(widgetIds) {
+        const copies = [];
+        this.runBatch('Duplicate widgets', () => {
+            widgetIds.forEach(id => {
+                const copy = this.state.duplicateWidget(id);
+                if (copy) {
+                    copies.push(copy.id);
+                }
+            });
+        }, `${widgetIds.length} widgets duplicated`);
+        this.setSelection(copies);
+    }
+
+    /**
+     * Collapse widgets to their header, or expand them again, as one step.
+     * Widgets resting on a collapsed one move up into the rows it gave up;
+     * expanding pushes whatever is in the way back down.
+     * @param {Array<string>} widgetIds - Widget IDs
+     * @param {boolean} minimized - True to minimize, false to restore
+     */
+    minimizeWidgets(widgetIds, minimized) {
+        if (this.locked) return;
+
+        const { widgets } = this.state.getState();
+        const changing = widgetIds.filter(id => {
+            const widget = widgets.find(item => item.id === id);
+            return widget && !widget.parentId && Boolean(widget.minimized) !== minimized;
+        });
+        if (changing.length === 0) return;
+
+        const single = widgetIds.length === 1;
+        const label = minimized
+            ? (single ? 'Minimize widget' : 'Minimize widgets')
+            : (single ? 'Restore widget' : 'Restore widgets');
+
+        this.runBatch(label, () => {
+            const before = changing.map(id => this.getRect(id));
+            changing.forEach(id => this.state.updateWidget(id, { minimized }));
+
+            if (minimized) {
+                const freed = before.map(rect => ({
+                    x: rect.x,
+                    y: rect.y + COLLAPSED_ROWS,
+                    w: rect.w,
+                    h: rect.h - COLLAPSED_ROWS
+                }));
+                const layout = liftLayout(this.getRects(), freed);
+                this.commitLayout(this.isCompact() ? compactLayout(layout) : layout);
+            } else {
+                this.commitLayout(this.getLayout(changing.map(id => this.getRect(id))));
+            }
+        });
+    }
+
     /**
      * Handle pointer down events
      * @param {PointerEvent} e - Pointer event
      */
     handlePointerDown(e) {
         // Ignore if already dragging/resizing
-        if (this.isDragging || this.isResizing) return;
+        if (this.isDragging || this.isResizing || this.isSelecting) return;
+        if (this.locked) return;
         
         const widget = e.target.closest('.widget');
-        if (!widget) return;
+        if (widget && widget.classList.contains('maximized')) return;
+        if (!widget) {
+            // Empty grid space starts a rubber-band selection
+            if (e.button === 0) {
+                this.startSelection(e);
+            }
+            return;
+        }
 
+        const widgetId = widget.dataset.widgetId;
         const resizeHandle = e.target.closest('.resize-handle');
+        const onHeader = e.target.closest('.widget-header') || e.target === widget;
         
         if (resizeHandle) {
             this.startResize(e, widget, resizeHandle);
-        } else if (e.target.closest('.widget-header') || e.target === widget) {
+        } else if (onHeader && (e.shiftKey || e.ctrlKey || e.metaKey)) {
+            // Shift/Ctrl-click selects; the header buttons keep working
+            if (!e.target.closest('.widget-actions')) {
+                this.toggleSelection(widgetId);
+            }
+        } else if (onHeader) {
+            // Dragging a selected widget takes the rest of the selection along
+            if (!this.selection.has(widgetId)) {
+                this.clearSelection();
+            }
             this.startDrag(e, widget);
         }
     }
@@ -196,6 +884,8 @@ class GridManager {
             this.updateDrag(e);
         } else if (this.isResizing) {
             this.updateResize(e);
+        } else if (this.isSelecting) {
+            this.updateSelection(e);
         }
     }
 
@@ -208,7 +898,95 @@ class GridManager {
             this.endDrag(e);
         } else if (this.isResizing) {
             this.endResize(e);
+        } else if (this.isSelecting) {
+            this.endSelection(e);
+        }
+    }
+
+    /**
+     * Start a rubber-band selection. Shift or Ctrl adds to the current selection.
+     * @param {PointerEvent} e - Pointer event
+     */
+    startSelection(e) {
+        this.container.setPointerCapture(e.pointerId);
+
+        this.isSelecting = true;
+        this.selectData = {
+            startX: e.clientX,
+            startY: e.clientY,
+            moved: false,
+            base: e.shiftKey || e.ctrlKey || e.metaKey ? this.getSelection() : []
+        };
+    }
+
+    /**
+     * Select the widgets the rubber band touches
+     * @param {PointerEvent} e - Pointer event
+     */
+    updateSelection(e) {
+        if (!this.selectData) return;
+
+        const { startX, startY, base } = this.selectData;
+
+        // A few pixels of jitter is still a click
+        if (!this.selectData.moved && Math.abs(e.clientX - startX) < 4 && Math.abs(e.clientY - startY) < 4) return;
+        this.selectData.moved = true;
+
+        const box = {
+            left: Math.min(startX, e.clientX),
+            top: Math.min(startY, e.clientY),
+            right: Math.max(startX, e.clientX),
+            bottom: Math.max(startY, e.clientY)
+        };
+        this.showSelectionBox(box);
+
+        const touched = [...this.container.querySelectorAll('.widget[data-widget-id]')]
+            .filter(element => {
+                const rect = element.getBoundingClientRect();
+                return rect.left < box.right && rect.right > box.left && rect.top < box.bottom && rect.bottom > box.top;
+            })
+            .map(element => element.dataset.widgetId);
+
+        this.setSelection([...new Set([...base, ...touched])]);
+    }
+
+    /**
+     * Finish a rubber-band selection; a plain click on empty space deselects
+     * @param {PointerEvent} e - Pointer event
+     */
+    endSelection(e) {
+        if (!this.selectData) return;
+
+        if (!this.selectData.moved && this.selectData.base.length === 0) {
+            this.clearSelection();
+        }
+
+        if (this.selectionBox) {
+            this.selectionBox.hidden = true;
         }
+        this.isSelecting = false;
+        this.selectData = null;
+    }
+
+    /**
+     * Draw the rubber band
+     * @param {Object} box - Viewport rectangle {left, top, right, bottom}
+     */
+    showSelectionBox(box) {
+        // Re-rendering the board clears the container
+        if (!this.selectionBox || !this.selectionBox.isConnected) {
+            this.selectionBox = document.createElement('div');
+            this.selectionBox.className = 'selection-box';
+            this.selectionBox.setAttribute('aria-hidden', 'true');
+            this.container.appendChild(this.selectionBox);
+        }
+
+        const origin = this.container.getBoundingClientRect();
+        this.selectionBox.hidden = false;
+        this.selectionBox.style.left = `${box.left - origin.left}px`;
+        this.selectionBox.style.top = `${box.top - origin.top}px`;
+        this.selectionBox.style.width = `${box.right - box.left}px`;
+        this.selectionBox.style.height = `${box.bottom - box.top}px`;
     }
 
     /**
@@ -219,10 +997,14 @@ class GridManager {
     startDrag(e, widget) {
         const widgetId = widget.dataset.widgetId;
         const widgetData = this.state.getState().widgets.find(w => w.id === widgetId);
-        if (!widgetData) return;
+        const rect = this.getRect(widgetId);
+        if (!widgetData || !rect || widgetData.pinned) return;
 
         // Set pointer capture
         widget.setPointerCapture(e.pointerId);
+
+        // Pinned widgets in the selection stay behind
+        const group = this.getGroup(widgetId).filter(id => !this.isPinned(id));
         
         this.isDragging = true;
         this.dragData = {
@@ -233,18 +1015,24 @@ class GridManager {
             startY: e.clientY,
             offsetX: e.clientX - widget.getBoundingClientRect().left,
             offsetY: e.clientY - widget.getBoundingClientRect().top,
-            originalPosition: { x: widgetData.x, y: widgetData.y }
+            rect,
+            group: group.map(id => (id === widgetId ? rect : this.getRect(id))).filter(Boolean),
+            followers: group.filter(id => id !== widgetId),
+            originalPosition: { x: rect.x, y: rect.y }
         };
 
         // Add dragging class
         widget.classList.add('dragging');
         widget.style.zIndex = 1000;
+        this.dragData.followers.forEach(id => {
+            this.container.querySelector(`[data-widget-id="${id}"]`)?.classList.add('dragging');
+        });
         
         // Show drag ghost
-        this.showDragGhost(widgetData);
+        this.showDragGhost(rect);
         
         // Emit drag start event
-        this.emit('drag-start', { widget: widgetData });
+        this.emit('drag-start', { widget: widgetData, group });
     }
 
     /**
@@ -258,21 +1046,22 @@ class GridManager {
         
         // Update element position
         element.style.transform = `translate(${e.clientX - offsetX}px, ${e.clientY - offsetY}px)`;
-        
-        // Calculate grid position
-        const gridPos = this.screenToGrid(e.clientX - offsetX, e.clientY - offsetY);
-        
-        // Validate position
-        const validatedPos = this.validatePosition(
-            gridPos.x, 
-            gridPos.y, 
-            this.dragData.widget.w, 
-            this.dragData.widget.h,
-            this.dragData.widgetId
-        );
+
+        // Over another widget's header the drop groups them, so nothing moves aside
+        const mergeTarget = this.findMergeTarget(e);
+        this.setMergeTarget(mergeTarget);
+        if (mergeTarget) {
+            this.clearLayoutPreview();
+            this.hideDragGhost();
+            return;
+        }
+
+        // Push neighbours aside live; with compaction the drop spot may float up
+        this.dragData.layout = this.getDragLayout(e);
+        const target = this.previewLayout(this.dragData.layout, this.dragData.widgetId, this.dragData.followers);
         
         // Update ghost position
-        this.updateDragGhost(validatedPos.x, validatedPos.y, this.dragData.widget.w, this.dragData.widget.h);
+        this.showDragGhost(target);
     }
 
     /**
@@ -282,27 +1071,29 @@ class GridManager {
     endDrag(e) {
         if (!this.dragData) return;
 
-        const { widgetId, element, originalPosition } = this.dragData;
-        
-        // Calculate final position
-        const gridPos = this.screenToGrid(e.clientX - this.dragData.offsetX, e.clientY - this.dragData.offsetY);
-        const finalPos = this.validatePosition(
-            gridPos.x, 
-            gridPos.y, 
-            this.dragData.widget.w, 
-            this.dragData.widget.h,
-            widgetId
-        );
+        const { widgetId, element, followers, originalPosition } = this.dragData;
+        const mergeTarget = this.findMergeTarget(e);
+        let finalPos = originalPosition;
+
+        if (!mergeTarget) {
+            // Calculate final position
+            const layout = this.getDragLayout(e);
+            const target = layout.find(rect => rect.id === widgetId);
+            finalPos = { x: target.x, y: target.y };
 
-        // Update widget position in state
-        if (finalPos.x !== originalPosition.x || finalPos.y !== originalPosition.y) {
-            this.state.moveWidget(widgetId, finalPos);
+            // Update widget positions in state
+            this.commitLayout(layout);
         }
 
         // Reset element styles
         element.classList.remove('dragging');
         element.style.transform = '';
         element.style.zIndex = '';
+        followers.forEach(id => {
+            this.container.querySelector(`[data-widget-id="${id}"]`)?.classList.remove('dragging');
+        });
+        this.setMergeTarget(null);
+        this.clearLayoutPreview();
         
         // Hide drag ghost
         this.hideDragGhost();
@@ -317,6 +1108,145 @@ class GridManager {
         // Clean up
         this.isDragging = false;
         this.dragData = null;
+
+        // Grouping is its own step, after the drag's
+        if (mergeTarget) {
+            this.groupWidgets(mergeTarget.dataset.widgetId, widgetId);
+        }
+    }
+
+    /**
+     * Find the widget whose header the dragged widget is over. Only a single
+     * widget can be dropped into a tab group, and groups don't nest.
+     * @param {PointerEvent} e - Pointer event
+     * @returns {Element|null} Widget element to group with
+     */
+    findMergeTarget(e) {
+        const { widgetId, widget, followers } = this.dragData;
+        if (followers.length > 0 || registry.isContainer(widget.type)) return null;
+
+        // Grouping would replace a pinned widget with a new tab group
+        return [...this.container.querySelectorAll('.widget[data-widget-id]')].find(element => {
+            if (element.dataset.widgetId === widgetId || this.isPinned(element.dataset.widgetId)) return false;
+
+            const header = element.querySelector('.widget-header').getBoundingClientRect();
+            return e.clientX >= header.left && e.clientX <= header.right &&
+                e.clientY >= header.top && e.clientY <= header.bottom;
+        }) || null;
+    }
+
+    /**
+     * Highlight the widget a drop would group with
+     * @param {Element|null} element - Widget element, or null to clear
+     */
+    setMergeTarget(element) {
+        if (this.dragData.mergeTarget === element) return;
+
+        this.dragData.mergeTarget?.classList.remove('merge-target');
+        element?.classList.add('merge-target');
+        this.dragData.mergeTarget = element;
+    }
+
+    /**
+     * Put a widget into a tab group with another one, closing the gap it
+     * leaves when compaction is on
+     * @param {string} targetId - Widget or tab group to add to
+     * @param {string} widgetId - Widget to add
+     */
+    groupWidgets(targetId, widgetId) {
+        this.runBatch('Group widgets', () => {
+            if (this.state.groupWidgets(targetId, widgetId) && this.isCompact()) {
+                this.compact();
+            }
+        }, 'Widgets grouped into tabs');
+    }
+
+    /**
+     * Show the widgets of a tab group in its tabs: mount the ones that were
+     * added and destroy the ones that left
+     * @param {string} groupId - Tab group ID
+     */
+    syncTabs(groupId) {
+        const element = this.container.querySelector(`.widget[data-widget-id="${groupId}"]`);
+        const instance = element && element._widgetInstance;
+        if (!instance || !instance.setTabs) return;
+
+        const children = this.state.getChildren(groupId);
+        const childIds = new Set(children.map(child => child.id));
+
+        instance.getTabIds()
+            .filter(id => !childIds.has(id))
+            .forEach(id => this.unmountTab(instance.getPanel(id)));
+
+        const added = instance.setTabs(children.map(child => ({
+            id: child.id,
+            title: child.config.title || child.type
+        })));
+
+        children
+            .filter(child => added.includes(child.id))
+            .forEach(child => this.mountTab(instance.getPanel(child.id), child));
+    }
+
+    /**
+     * Load a widget into a tab panel
+     * @param {Element} panel - Empty tab panel
+     * @param {Object} widget - Widget data
+     */
+    mountTab(panel, widget) {
+        panel.dataset.widgetId = widget.id;
+        panel.dataset.widgetType = widget.type;
+        panel.innerHTML = `
+            <div class="widget-content">
+                <div class="loading">Loading ${widget.type}...</div>
+            </div>
+        `;
+        this.loadWidgetContent(panel, widget);
+    }
+
+    /**
+     * Destroy the widget in a tab panel that is going away
+     * @param {Element|null} panel - Tab panel
+     */
+    unmountTab(panel) {
+        if (!panel) return;
+
+        this.destroyWidgetInstances(panel);
+        panel.removeAttribute('data-widget-id');
+    }
+
+    /**
+     * Destroy the widget instance of an element and those in its tabs
+     * @param {Element} element - Widget element or tab panel
+     */
+    destroyWidgetInstances(element) {
+        [...element.querySelectorAll('[data-widget-id]'), element].forEach(item => {
+            const instance = item._widgetInstance;
+            item._widgetInstance = null;
+            this.lifecycle.detach(instance);
+            if (instance && instance.destroy) {
+                instance.destroy();
+            }
+        });
+    }
+
+    /**
+     * Work out the layout with the dragged widget, and the rest of its group,
+     * under the pointer
+     * @param {PointerEvent} e - Pointer event
+     * @returns {Array} Rectangles {id, x, y, w, h} of every widget
+     */
+    getDragLayout(e) {
+        const { widgetId, rect, group, offsetX, offsetY } = this.dragData;
+        const gridPos = this.screenToGrid(e.clientX - offsetX, e.clientY - offsetY);
+        const position = this.validatePosition(gridPos.x, gridPos.y, rect.w, rect.h, widgetId);
+
+        // The group moves by the same amount, as far as the grid allows
+        const bounds = this.getBounds(group);
+        const dx = Math.max(-bounds.left, Math.min(position.x - rect.x, this.gridSettings.cols - bounds.right));
+        const dy = Math.max(-bounds.top, position.y - rect.y);
+
+        return this.getLayout(group.map(item => ({ ...item, x: item.x + dx, y: item.y + dy })));
     }
 
     /**
@@ -328,7 +1258,8 @@ class GridManager {
     startResize(e, widget, handle) {
         const widgetId = widget.dataset.widgetId;
         const widgetData = this.state.getState().widgets.find(w => w.id === widgetId);
-        if (!widgetData) return;
+        const rect = this.getRect(widgetId);
+        if (!widgetData || !rect || widgetData.pinned || widgetData.minimized) return;
 
         // Set pointer capture
         handle.setPointerCapture(e.pointerId);
@@ -341,8 +1272,8 @@ class GridManager {
             handle: handle.className.split(' ').find(c => c.startsWith('resize-handle-')),
             startX: e.clientX,
             startY: e.clientY,
-            originalSize: { w: widgetData.w, h: widgetData.h },
-            originalPosition: { x: widgetData.x, y: widgetData.y }
+            originalSize: { w: rect.w, h: rect.h },
+            originalPosition: { x: rect.x, y: rect.y }
         };
 
         // Add resizing class
@@ -367,52 +1298,45 @@ class GridManager {
         const deltaGridX = Math.round(deltaX / (this.getGridCellWidth() + this.gridSettings.gap));
         const deltaGridY = Math.round(deltaY / (this.gridSettings.rowHeight + this.gridSettings.gap));
         
-        let newSize = { ...originalSize };
-        let newPosition = { ...originalPosition };
-        
-        // Apply resize based on handle
-        switch (handle) {
-            case 'resize-handle-e':
-                newSize.w = Math.max(1, originalSize.w + deltaGridX);
-                break;
-            case 'resize-handle-w':
-                newSize.w = Math.max(1, originalSize.w - deltaGridX);
-                newPosition.x = Math.max(0, originalPosition.x + deltaGridX);
-                break;
-            case 'resize-handle-s':
-                newSize.h = Math.max(1, originalSize.h + deltaGridY);
-                break;
-            case 'resize-handle-n':
-                newSize.h = Math.max(1, originalSize.h - deltaGridY);
-                newPosition.y = Math.max(0, originalPosition.y + deltaGridY);
-                break;
-            case 'resize-handle-se':
-                newSize.w = Math.max(1, originalSize.w + deltaGridX);
-                newSize.h = Math.max(1, originalSize.h + deltaGridY);
-                break;
-            case 'resize-handle-sw':
-                newSize.w = Math.max(1, originalSize.w - deltaGridX);
-                newSize.h = Math.max(1, originalSize.h + deltaGridY);
-                newPosition.x = Math.max(0, originalPosition.x + deltaGridX);
-                break;
-            case 'resize-handle-ne':
-                newSize.w = Math.max(1, originalSize.w + deltaGridX);
-                newSize.h = Math.max(1, originalSize.h - deltaGridY);
-                newPosition.y = Math.max(0, originalPosition.y + deltaGridY);
-                break;
-            case 'resize-handle-nw':
-                newSize.w = Math.max(1, originalSize.w - deltaGridX);
-                newSize.h = Math.max(1, originalSize.h - deltaGridY);
-                newPosition.x = Math.max(0, originalPosition.x + deltaGridX);
-                newPosition.y = Math.max(0, originalPosition.y + deltaGridY);
-                break;
-        }
-        
+        const edges = handle.replace('resize-handle-', '');
+        const newSize = { ...originalSize };
+
+        // The top and left edges stop at the edge of the grid
+        if (edges.includes('e')) newSize.w = originalSize.w + deltaGridX;
+        if (edges.includes('w')) newSize.w = Math.min(originalSize.w - deltaGridX, originalPosition.x + originalSize.w);
+        if (edges.includes('s')) newSize.h = originalSize.h + deltaGridY;
+        if (edges.includes('n')) newSize.h = Math.min(originalSize.h - deltaGridY, originalPosition.y + originalSize.h);
+
+        // With a locked aspect ratio, corners follow the larger pointer movement
+        const drive = edges === 'n' || edges === 's' ||
+            (edges.length === 2 && Math.abs(deltaGridY) > Math.abs(deltaGridX)) ? 'h' : 'w';
+
         // Validate size and position
-        const validated = this.validateResize(newPosition.x, newPosition.y, newSize.w, newSize.h, this.resizeData.widgetId);
+        const validated = this.validateResize(
+            originalPosition.x, originalPosition.y, newSize.w, newSize.h, this.resizeData.widgetId, drive
+        );
+
+        // Keep the opposite edge in place
+        if (edges.includes('w')) {
+            validated.x = Math.max(0, originalPosition.x + originalSize.w - validated.w);
+        }
+        if (edges.includes('n')) {
+            validated.y = Math.max(0, originalPosition.y + originalSize.h - validated.h);
+        }
+
+        // Pinned widgets don't make way; the resize stops at its last size
+        if (this.findPinnedBlocker(validated, this.resizeData.widgetId)) {
+            this.setResizeLimit(this.resizeData.element, 'max');
+            return;
+        }
+
+        // Neighbours the widget grows into move down
+        const { x, y, w, h, limited } = validated;
+        this.resizeData.layout = this.getLayout({ id: this.resizeData.widgetId, x, y, w, h });
+        const target = this.previewLayout(this.resizeData.layout, this.resizeData.widgetId);
         
         // Apply preview styles
-        this.previewResize(this.resizeData.element, validated);
+        this.previewResize(this.resizeData.element, { ...target, limited });
     }
 
     /**
@@ -422,36 +1346,19 @@ class GridManager {
     endResize(e) {
         if (!this.resizeData) return;
 
-        const { widgetId, element, originalSize, originalPosition } = this.resizeData;
-        
-        // Calculate final size and position from current preview
-        const computedStyle = window.getComputedStyle(element);
-        const gridColumn = computedStyle.gridColumnStart;
-        const gridRow = computedStyle.gridRowStart;
-        const gridColumnEnd = computedStyle.gridColumnEnd;
-        const gridRowEnd = computedStyle.gridRowEnd;
-        
-        const finalPos = {
-            x: parseInt(gridColumn) - 1,
-            y: parseInt(gridRow) - 1,
-            w: parseInt(gridColumnEnd) - parseInt(gridColumn),
-            h: parseInt(gridRowEnd) - parseInt(gridRow)
-        };
+        const { widgetId, element, originalSize, originalPosition, layout } = this.resizeData;
+        const target = layout ? layout.find(rect => rect.id === widgetId) : null;
+        const finalPos = target
+            ? { x: target.x, y: target.y, w: target.w, h: target.h }
+            : { ...originalPosition, ...originalSize };
 
-        // Update widget in state
-        const hasChanged = finalPos.x !== originalPosition.x || 
-                          finalPos.y !== originalPosition.y ||
-                          finalPos.w !== originalSize.w || 
-                          finalPos.h !== originalSize.h;
-                          
-        if (hasChanged) {
-            this.state.updateWidget(widgetId, finalPos);
-        }
+        // Update widgets in state
+        const hasChanged = layout ? this.commitLayout(layout).some(rect => rect.id === widgetId) : false;
 
         // Reset element styles
         element.classList.remove('resizing');
-        element.style.gridColumn = '';
-        element.style.gridRow = '';
+        this.setResizeLimit(element, null);
+        this.clearLayoutPreview();
         
         // Emit resize end event
         this.emit('resize-end', { 
@@ -474,9 +1381,16 @@ class GridManager {
         if (!widget) return;
 
         e.preventDefault();
+        if (this.locked) return;
         
         const widgetId = widget.dataset.widgetId;
-        const menuItems = [
+        const group = this.getGroup(widgetId);
+        if (group.length === 1) {
+            this.clearSelection();
+        }
+        const pinned = this.isPinned(widgetId);
+
+        const menuItems = group.length > 1 ? this.getGroupMenuItems(group) : [
             {
                 label: 'Settings',
                 icon: 'settings',
@@ -489,6 +1403,13 @@ class GridManager {
                 action: 'duplicate',
                 handler: () => this.state.duplicateWidget(widgetId)
             },
+            {
+                label: pinned ? 'Unpin' : 'Pin in Place',
+                icon: 'pin',
+                action: 'pin',
+                handler: () => this.state.updateWidget(widgetId, { pinned: !pinned })
+            },
+            ...this.getTabMenuItems(e, widget),
             { separator: true },
             {
                 label: 'Remove',
@@ -504,16 +1425,137 @@ class GridManager {
         });
     }
 
+    /**
+     * Build the tab group part of a widget's context menu. Tab actions apply
+     * to the tab clicked on, or the one shown.
+     * @param {Event} e - Context menu event
+     * @param {Element} element - Widget element
+     * @returns {Array} Menu items; none for widgets that aren't tab groups
+     */
+    getTabMenuItems(e, element) {
+        const groupId = element.dataset.widgetId;
+        const instance = element._widgetInstance;
+        if (!instance || !instance.setTabs) return [];
+
+        const inner = e.target.closest('[data-tab-id], [data-widget-id]');
+        const tabId = inner && inner !== element
+            ? inner.dataset.tabId || inner.dataset.widgetId
+            : instance.getActiveTab();
+
+        const items = [{ separator: true }];
+        if (tabId) {
+            items.push(
+                {
+                    label: 'Tab Settings',
+                    icon: 'settings',
+                    action: 'tab-settings',
+                    handler: () => this.emit('widget-settings', { widgetId: tabId })
+                },
+                {
+                    label: 'Remove Tab',
+                    icon: 'trash',
+                    action: 'remove-tab',
+                    handler: () => this.state.removeWidget(tabId)
+                }
+            );
+        }
+        items.push({
+            label: 'Ungroup',
+            icon: 'ungroup',
+            action: 'ungroup',
+            handler: () => this.state.ungroupWidgets(groupId)
+        });
+
+        return items;
+    }
+
+    /**
+     * Build the context menu for a selection of widgets
+     * @param {Array<string>} widgetIds - Selected widget IDs
+     * @returns {Array} Menu items
+     */
+    getGroupMenuItems(widgetIds) {
+        const count = widgetIds.length;
+        const selected = this.state.getState().widgets.filter(widget => widgetIds.includes(widget.id));
+        const minimized = selected.every(widget => widget.minimized);
+        const pinned = selected.every(widget => widget.pinned);
+
+        const items = [
+            {
+                label: `Duplicate ${count} Widgets`,
+                icon: 'copy',
+                action: 'duplicate',
+                handler: () => this.duplicateWidgets(widgetIds)
+            },
+            {
+                label: `${minimized ? 'Restore' : 'Minimize'} ${count} Widgets`,
+                icon: minimized ? 'maximize' : 'minimize',
+                action: 'minimize',
+                handler: () => this.minimizeWidgets(widgetIds, !minimized)
+            },
+            {
+                label: `${pinned ? 'Unpin' : 'Pin'} ${count} Widgets`,
+                icon: 'pin',
+                action: 'pin',
+                handler: () => this.pinWidgets(widgetIds, !pinned)
+            },
+            { separator: true },
+            ...['left', 'right', 'top', 'bottom'].map(edge => ({
+                label: `Align ${edge[0].toUpperCase()}${edge.slice(1)}`,
+                icon: `align-${edge}`,
+                action: `align-${edge}`,
+                handler: () => this.alignWidgets(widgetIds, edge)
+            }))
+        ];
+
+        // Spacing two widgets evenly changes nothing
+        if (count > 2) {
+            items.push(
+                {
+                    label: 'Distribute Horizontally',
+                    icon: 'distribute-horizontal',
+                    action: 'distribute-x',
+                    handler: () => this.distributeWidgets(widgetIds, 'x')
+                },
+                {
+                    label: 'Distribute Vertically',
+                    icon: 'distribute-vertical',
+                    action: 'distribute-y',
+                    handler: () => this.distributeWidgets(widgetIds, 'y')
+                }
+            );
+        }
+
+        items.push(
+            { separator: true },
+            {
+                label: `Remove ${count} Widgets`,
+                icon: 'trash',
+                action: 'remove',
+                handler: () => this.removeWidgets(widgetIds)
+            }
+        );
+
+        return items;
+    }
+
     /**
      * Render a widget element
      * @param {Object} widget - Widget data
      */
     renderWidget(widget) {
+        // Widgets in a tab group are mounted by the group
+        if (widget.parentId) {
+            this.syncTabs(widget.parentId);
+            return;
+        }
+
         const element = document.createElement('div');
         element.className = 'widget';
         element.dataset.widgetId = widget.id;
         element.dataset.widgetType = widget.type;
         element.tabIndex = 0;
+        element.classList.toggle('selected', this.selection.has(widget.id));
         element.setAttribute('role', 'region');
         element.setAttribute('aria-label', `${widget.config.title || widget.type} widget`);
         
@@ -523,13 +1565,23 @@ class GridManager {
         // Add widget structure
         element.innerHTML = `
             <div class="widget-header">
-                <h3 class="widget-title">${widget.config.title || widget.type}</h3>
+                <h3 class="widget-title"></h3>
+                <span class="widget-pin-indicator" role="img" aria-label="Pinned" title="Pinned in place" hidden>
+                    <svg aria-hidden="true">
+                        <use href="assets/icons.svg#pin"></use>
+                    </svg>
+                </span>
                 <div class="widget-actions">
                     <button type="button" class="icon-button" title="Minimize" data-action="minimize">
                         <svg aria-hidden="true">
                             <use href="assets/icons.svg#minimize"></use>
                         </svg>
                     </button>
+                    <button type="button" class="icon-button" title="Maximize" data-action="maximize" aria-pressed="false">
+                        <svg aria-hidden="true">
+                            <use href="assets/icons.svg#maximize"></use>
+                        </svg>
+                    </button>
                     <button type="button" class="icon-button" title="Settings" data-action="settings">
                         <svg aria-hidden="true">
                             <use href="assets/icons.svg#settings"></use>
@@ -542,6 +1594,10 @@ class GridManager {
             </div>
             ${this.createResizeHandles()}
         `;
+
+        // Titles are user data; never interpolate them into markup
+        element.querySelector('.widget-title').textContent = widget.config.title || widget.type;
+        this.updatePinnedState(element, widget);
         
         // Add event listeners
         this.setupWidgetEventListeners(element, widget);
@@ -553,6 +1609,21 @@ class GridManager {
         this.loadWidgetContent(element, widget);
     }
 
+    /**
+     * Show whether a widget is pinned in place
+     * @param {Element} element - Widget element
+     * @param {Object} widget - Widget data
+     */
+    updatePinnedState(element, widget) {
+        const pinned = widget.pinned === true;
+        element.classList.toggle('pinned', pinned);
+
+        const indicator = element.querySelector('.widget-pin-indicator');
+        if (indicator) {
+            indicator.hidden = !pinned;
+        }
+    }
+
     /**
      * Create resize handles HTML
      * @returns {string} Resize handles HTML
@@ -577,8 +1648,9 @@ class GridManager {
      */
     setupWidgetEventListeners(element, widget) {
         // Handle widget actions
+        // Only the header's buttons; widgets, including those in tabs, use data-action too
         element.addEventListener('click', (e) => {
-            const action = e.target.closest('[data-action]')?.dataset.action;
+            const action = e.target.closest('.widget-actions [data-action]')?.dataset.action;
             if (action) {
                 this.handleWidgetAction(action, widget.id, element);
             }
@@ -592,11 +1664,18 @@ class GridManager {
      * @param {Element} element - Widget element
      */
     handleWidgetAction(action, widgetId, element) {
+        if (this.locked) return;
+
         switch (action) {
             case 'minimize':
-                this.state.updateWidget(widgetId, { 
-                    minimized: !this.state.getState().widgets.find(w => w.id === widgetId).minimized 
-                });
+                this.minimizeWidgets([widgetId], !this.isCollapsed(widgetId));
+                break;
+            case 'maximize':
+                if (this.maximizedId === widgetId) {
+                    this.restoreMaximized();
+                } else {
+                    this.maximizeWidget(widgetId);
+                }
                 break;
             case 'settings':
                 this.emit('widget-settings', { widgetId });
@@ -611,8 +1690,8 @@ class GridManager {
      */
     async loadWidgetContent(element, widget) {
         try {
-            // Import widget module
-            const widgetModule = await import(`./widgets/${widget.type}.js`);
+            // Get widget module from the registry
+            const widgetModule = await registry.getModule(widget.type);
             const widgetInstance = widgetModule.createWidget(widget.config);
             
             // Replace loading content
@@ -622,6 +1701,12 @@ class GridManager {
             
             // Store widget instance for cleanup
             element._widgetInstance = widgetInstance;
+            this.lifecycle.attach(contentElement, widgetInstance);
+
+            // A tab group shows its widgets once it is ready for them
+            if (widgetInstance.setTabs) {
+                this.syncTabs(widget.id);
+            }
             
         } catch (error) {
             console.error(`Failed to load widget ${widget.type}:`, error);
@@ -633,27 +1718,114 @@ class GridManager {
     /**
      * Update widget element
      * @param {Object} widget - Updated widget data
+     * @param {Object} change - Change details {old, updates, restored}
      */
-    updateWidgetElement(widget) {
+    updateWidgetElement(widget, change = {}) {
+        // Moving into or out of a tab group swaps the element for a tab, or back
+        if (change.old && change.old.parentId !== widget.parentId) {
+            if (change.old.parentId) {
+                this.syncTabs(change.old.parentId);
+            } else {
+                this.removeWidgetElement(widget.id);
+            }
+            this.renderWidget(widget);
+            return;
+        }
+
         const element = this.container.querySelector(`[data-widget-id="${widget.id}"]`);
         if (!element) return;
 
-        // Update position
-        this.updateWidgetPosition(element, widget);
+        if (widget.parentId) {
+            // Tabs share the group's rectangle; only their title shows on it
+            this.syncTabs(widget.parentId);
+        } else {
+            // Update position
+            this.updateWidgetPosition(element, widget);
+
+            // Update title
+            const titleElement = element.querySelector('.widget-title');
+            if (titleElement) {
+                titleElement.textContent = widget.config.title || widget.type;
+            }
+
+            // Update minimized state
+            element.classList.toggle('minimized', widget.minimized);
+            this.updatePinnedState(element, widget);
+        }
         
-        // Update title
+        // Update widget instance if it exists
+        const instance = element._widgetInstance;
+        if (!instance) return;
+
+        if (change.restored) {
+            // Restored configs replace the old one wholesale; setConfig only merges
+            if (JSON.stringify(change.old?.config) !== JSON.stringify(widget.config)) {
+                this.reloadWidgetContent(element, widget);
+            }
+        } else if (!change.updates || 'config' in change.updates) {
+            // Skip configs that came from the instance itself, otherwise
+            // setConfig would echo the change back forever
+            const current = instance.getConfig ? JSON.stringify(instance.getConfig()) : null;
+            if (instance.setConfig && current !== JSON.stringify(widget.config)) {
+                instance.setConfig(widget.config);
+            }
+        }
+    }
+
+    /**
+     * Recreate a widget instance from its stored config
+     * @param {Element} element - Widget element
+     * @param {Object} widget - Widget data
+     */
+    reloadWidgetContent(element, widget) {
+        const instance = element._widgetInstance;
+        element._widgetInstance = null;
+
+        if (instance) {
+            // Detach first so a final save in destroy() can't overwrite the new config
+            instance.el?.remove();
+            this.lifecycle.detach(instance);
+            this.destroyWidgetInstances(instance.el || element);
+            if (instance.destroy) {
+                instance.destroy();
+            }
+        }
+
+        this.loadWidgetContent(element, widget);
+    }
+
+    /**
+     * Show a config on a widget without storing it, e.g. unsaved settings
+     * @param {string} widgetId - Widget ID
+     * @param {Object} config - Config to show
+     */
+    previewWidgetConfig(widgetId, config) {
+        const element = this.container.querySelector(`[data-widget-id="${widgetId}"]`);
+        const instance = element && element._widgetInstance;
+        if (!instance || !instance.setConfig) return;
+
+        instance.setConfig(config);
+
+        const titleElement = element.querySelector('.widget-title');
+        if (titleElement && config.title) {
+            titleElement.textContent = config.title;
+        }
+    }
+
+    /**
+     * Rebuild a widget from its stored state, dropping any preview
+     * @param {string} widgetId - Widget ID
+     */
+    resetWidgetContent(widgetId) {
+        const element = this.container.querySelector(`[data-widget-id="${widgetId}"]`);
+        const widget = this.state.getState().widgets.find(w => w.id === widgetId);
+        if (!element || !widget) return;
+
         const titleElement = element.querySelector('.widget-title');
         if (titleElement) {
             titleElement.textContent = widget.config.title || widget.type;
         }
-        
-        // Update minimized state
-        element.classList.toggle('minimized', widget.minimized);
-        
-        // Update widget instance if it exists
-        if (element._widgetInstance && element._widgetInstance.setConfig) {
-            element._widgetInstance.setConfig(widget.config);
-        }
+        this.reloadWidgetContent(element, widget);
     }
 
     /**
@@ -662,8 +1834,91 @@ class GridManager {
      * @param {Object} widget - Widget data
      */
     updateWidgetPosition(element, widget) {
-        element.style.gridColumn = `${widget.x + 1} / span ${widget.w}`;
-        element.style.gridRow = `${widget.y + 1} / span ${widget.h}`;
+        const rect = this.breakpoint === BASE_BREAKPOINT ? getOccupiedRect(widget, widget) : this.getRect(widget.id);
+        if (rect) {
+            this.setElementRect(element, rect);
+        }
+    }
+
+    /**
+     * Place a widget element on the grid
+     * @param {Element} element - Widget element
+     * @param {Object} rect - Rectangle {x, y, w, h}
+     */
+    setElementRect(element, rect) {
+        element.style.gridColumn = `${rect.x + 1} / span ${rect.w}`;
+        element.style.gridRow = `${rect.y + 1} / span ${rect.h}`;
+
+        const size = `${rect.w}x${rect.h}`;
+        if (element._gridSize && element._gridSize !== size) {
+            this.notifyResize(element);
+        }
+        element._gridSize = size;
+    }
+
+    /**
+     * Tell a widget, and the widgets in its tabs, that it may have changed
+     * size. The lifecycle's ResizeObserver usually gets there first; this
+     * covers browsers without one.
+     * @param {Element} element - Widget element
+     */
+    notifyResize(element) {
+        requestAnimationFrame(() => {
+            element.querySelectorAll('.widget-content').forEach(content => this.lifecycle.checkSize(content));
+        });
+    }
+
+    /**
+     * Show one widget over the whole board
+     * @param {string} widgetId - Widget ID
+     */
+    maximizeWidget(widgetId) {
+        const element = this.container.querySelector(`.widget[data-widget-id="${widgetId}"]`);
+        if (!element) return;
+
+        this.restoreMaximized();
+        this.clearSelection();
+        this.maximizedId = widgetId;
+        this.setMaximizedState(element, true);
+        element.focus();
+
+        this.notifyResize(element);
+        this.emit('widget-maximized', { widgetId });
+    }
+
+    /**
+     * Put a maximized widget back on the board
+     */
+    restoreMaximized() {
+        const widgetId = this.maximizedId;
+        if (!widgetId) return;
+
+        this.maximizedId = null;
+        document.body.classList.remove('widget-maximized');
+
+        const element = this.container.querySelector(`.widget[data-widget-id="${widgetId}"]`);
+        if (element) {
+            this.setMaximizedState(element, false);
+            element.focus();
+            this.notifyResize(element);
+        }
+        this.emit('widget-restored', { widgetId });
+    }
+
+    /**
+     * Show whether a widget is maximized
+     * @param {Element} element - Widget element
+     * @param {boolean} maximized - Whether it is
+     */
+    setMaximizedState(element, maximized) {
+        element.classList.toggle('maximized', maximized);
+        document.body.classList.toggle('widget-maximized', maximized);
+
+        const button = element.querySelector('.widget-actions [data-action="maximize"]');
+        if (button) {
+            button.title = maximized ? 'Restore size' : 'Maximize';
+            button.setAttribute('aria-pressed', String(maximized));
+        }
     }
 
     /**
@@ -674,12 +1929,17 @@ class GridManager {
         const element = this.container.querySelector(`[data-widget-id="${widgetId}"]`);
         if (!element) return;
 
-        // Cleanup widget instance
-        if (element._widgetInstance && element._widgetInstance.destroy) {
-            element._widgetInstance.destroy();
+        if (this.maximizedId === widgetId) {
+            this.maximizedId = null;
+            document.body.classList.remove('widget-maximized');
         }
 
-        // Animate out
+        // Cleanup widget instance, and those in its tabs
+        this.destroyWidgetInstances(element);
+
+        // Animate out; drop the ids so a restored widget isn't confused with this one
+        element.querySelectorAll('[data-widget-id]').forEach(panel => panel.removeAttribute('data-widget-id'));
+        element.removeAttribute('data-widget-id');
         element.classList.add('widget-exit');
         setTimeout(() => {
             if (element.parentNode) {
@@ -719,44 +1979,31 @@ class GridManager {
     }
 
     /**
-     * Validate widget position
+     * Validate widget position. Overlaps are left to the layout engine,
+     * which pushes the widgets underneath out of the way, except for pinned
+     * widgets: the position moves down below those instead.
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {number} w - Width
      * @param {number} h - Height
-     * @param {string} excludeId - Widget ID to exclude from collision check
-     * @returns {Object} Validated position
+     * @param {string} excludeId - ID of the widget being placed
+     * @returns {Object} Position {x, y} within the grid
      */
     validatePosition(x, y, w, h, excludeId = null) {
-        // Ensure within bounds
-        x = Math.max(0, Math.min(x, this.gridSettings.cols - w));
-        y = Math.max(0, y);
-        
-        // Check for collisions
-        const widgets = this.state.getState().widgets.filter(widget => widget.id !== excludeId);
-        
-        let validPosition = { x, y };
-        let attempts = 0;
-        const maxAttempts = 100;
-        
-        while (attempts < maxAttempts) {
-            const hasCollision = widgets.some(widget => 
-                this.rectsIntersect(
-                    validPosition.x, validPosition.y, w, h,
-                    widget.x, widget.y, widget.w, widget.h
-                )
-            );
-            
-            if (!hasCollision) {
-                break;
-            }
-            
-            // Try next position
-            validPosition.y++;
-            attempts++;
+        const rect = {
+            x: Math.max(0, Math.min(x, this.gridSettings.cols - w)),
+            y: Math.max(0, y),
+            w,
+            h
+        };
+
+        let blocker = this.findPinnedBlocker(rect, excludeId);
+        while (blocker) {
+            rect.y = blocker.y + blocker.h;
+            blocker = this.findPinnedBlocker(rect, excludeId);
         }
-        
-        return validPosition;
+
+        return { x: rect.x, y: rect.y };
     }
 
     /**
@@ -765,19 +2012,24 @@ class GridManager {
      * @param {number} y - Y position
      * @param {number} w - Width
      * @param {number} h - Height
-     * @param {string} excludeId - Widget ID to exclude from collision check
-     * @returns {Object} Validated size and position
+     * @param {string} excludeId - ID of the widget being resized
+     * @param {string} drive - Dimension being changed ('w' or 'h'), for aspect-locked widgets
+     * @returns {Object} Validated size and position {x, y, w, h, limited}; limited
+     *   is 'min' or 'max' when a size limit stopped the resize
      */
-    validateResize(x, y, w, h, excludeId = null) {
-        // Ensure minimum size
-        w = Math.max(1, w);
-        h = Math.max(1, h);
+    validateResize(x, y, w, h, excludeId = null, drive = 'w') {
+        // Ensure the widget's size limits
+        const widget = this.state.getState().widgets.find(item => item.id === excludeId);
+        const size = registry.constrainSize(widget?.type, widget?.config, { w, h }, {
+            cols: this.gridSettings.cols,
+            drive
+        });
         
         // Ensure within bounds
-        x = Math.max(0, Math.min(x, this.gridSettings.cols - w));
+        x = Math.max(0, Math.min(x, this.gridSettings.cols - size.w));
         y = Math.max(0, y);
         
-        return { x, y, w, h };
+        return { x, y, w: size.w, h: size.h, limited: size.limited };
     }
 
     /**
@@ -832,12 +2084,42 @@ class GridManager {
     previewResize(element, size) {
         element.style.gridColumn = `${size.x + 1} / span ${size.w}`;
         element.style.gridRow = `${size.y + 1} / span ${size.h}`;
+        this.setResizeLimit(element, size.limited);
+    }
+
+    /**
+     * Mark a widget as held at its size limit, or clear the mark
+     * @param {Element} element - Widget element
+     * @param {string|null} limit - 'min', 'max' or null
+     */
+    setResizeLimit(element, limit) {
+        element.classList.toggle('resize-limited', Boolean(limit));
+        if (limit) {
+            element.dataset.resizeLimit = limit === 'min' ? 'Minimum size' : 'Maximum size';
+        } else {
+            delete element.dataset.resizeLimit;
+        }
+    }
+
+    /**
+     * Destroy all rendered widget instances
+     */
+    destroyAllWidgets() {
+        this.maximizedId = null;
+        document.body.classList.remove('widget-maximized');
+
+        this.container.querySelectorAll('.widget').forEach(element => {
+            this.destroyWidgetInstances(element);
+        });
     }
 
     /**
      * Render all widgets from state
      */
     renderAllWidgets() {
+        // Tear down existing widgets before clearing
+        this.destroyAllWidgets();
+
         // Clear container
         this.container.innerHTML = '<div id="drag-ghost" class="drag-ghost" aria-hidden="true"></div>';
         this.dragGhost = this.container.querySelector('#drag-ghost');
@@ -0,0 +1,319 @@
+/**
+ * Layout Engine
+ * Resolves overlaps by pushing widgets down, optionally floats widgets up to
+ * fill gaps (vertical compaction), and derives layouts for narrower screens.
+ * Functions here never touch state; they take widget rectangles and return
+ * repositioned copies. Rectangles marked `pinned` stay where they are and
+ * the others move around them.
+ */
+
+/**
+ * Breakpoints by grid container width, widest first. The widest one is the
+ * base layout stored in each widget's x, y, w, h and uses the workspace's
+ * column count. The others have fixed columns and their own layouts.
+ */
+export const BREAKPOINTS = [
+    { name: 'lg', label: 'Desktop', minWidth: 1100, cols: null },
+    { name: 'md', label: 'Tablet', minWidth: 720, cols: 8 },
+    { name: 'sm', label: 'Small screen', minWidth: 440, cols: 4 },
+    { name: 'xs', label: 'Phone', minWidth: 0, cols: 1 }
+];
+
+export const BASE_BREAKPOINT = 'lg';
+
+// Rows a collapsed widget takes: just its header
+export const COLLAPSED_ROWS = 1;
+
+/**
+ * Pick the breakpoint for a container width
+ * @param {number} width - Container width in pixels
+ * @returns {Object} Breakpoint {name, label, minWidth, cols}
+ */
+export function getBreakpoint(width) {
+    return BREAKPOINTS.find(breakpoint => width >= breakpoint.minWidth) || BREAKPOINTS[BREAKPOINTS.length - 1];
+}
+
+/**
+ * Get the column count of a breakpoint
+ * @param {string} name - Breakpoint name
+ * @param {Object} grid - Workspace grid settings
+ * @returns {number} Columns
+ */
+export function getBreakpointCols(name, grid) {
+    const breakpoint = BREAKPOINTS.find(item => item.name === name);
+    return breakpoint && breakpoint.cols ? breakpoint.cols : grid.cols;
+}
+
+/**
+ * Check whether two rectangles overlap
+ * @param {Object} a - Rectangle {x, y, w, h}
+ * @param {Object} b - Rectangle {x, y, w, h}
+ * @returns {boolean} True if they overlap
+ */
+export function overlaps(a, b) {
+    return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+}
+
+/**
+ * Get the space a widget takes on the grid. A collapsed widget keeps its
+ * height for when it's expanded again, but only takes its header row.
+ * @param {Object} rect - Stored rectangle {id, x, y, w, h}
+ * @param {Object} widget - Widget data {minimized, pinned}
+ * @returns {Object} Rectangle {id, x, y, w, h}, marked pinned if the widget is
+ */
+export function getOccupiedRect(rect, widget) {
+    return copyRect({
+        id: rect.id,
+        x: rect.x,
+        y: rect.y,
+        w: rect.w,
+        h: widget.minimized ? Math.min(COLLAPSED_ROWS, rect.h) : rect.h,
+        pinned: widget.pinned === true
+    });
+}
+
+/**
+ * Copy a rectangle, keeping its pinned mark
+ * @param {Object} rect - Rectangle {id, x, y, w, h, pinned}
+ * @returns {Object} Copy {id, x, y, w, h}, plus pinned if set
+ */
+function copyRect({ id, x, y, w, h, pinned }) {
+    return pinned ? { id, x, y, w, h, pinned } : { id, x, y, w, h };
+}
+
+/**
+ * Sort rectangles top to bottom, then left to right
+ * @param {Object} a - Rectangle {x, y}
+ * @param {Object} b - Rectangle {x, y}
+ * @returns {number} Sort order
+ */
+function byPosition(a, b) {
+    return a.y - b.y || a.x - b.x;
+}
+
+/**
+ * Put widgets at a new position or size and push whatever they land on
+ * further down, cascading to the widgets below
+ * @param {Array} widgets - Current widgets {id, x, y, w, h, pinned}
+ * @param {Object|Array} target - New rectangle of the widget being placed {id, x, y, w, h},
+ *   or several; targets that land on each other stack top to bottom
+ * @param {Object} options - Options
+ * @param {boolean} options.compact - Float widgets up to fill gaps afterwards
+ * @returns {Array} Copies of all widgets {id, x, y, w, h}, without overlaps
+ */
+export function arrange(widgets, target, { compact = false } = {}) {
+    const targets = Array.isArray(target) ? target : [target];
+    const targetIds = new Set(targets.map(rect => rect.id));
+
+    // Pinned widgets are in place before anything drops
+    const placed = widgets
+        .filter(widget => widget.pinned && !targetIds.has(widget.id))
+        .map(copyRect);
+
+    const drop = widget => {
+        // Drop below whatever is in the way until nothing is
+        let blocker = placed.find(other => overlaps(widget, other));
+        while (blocker) {
+            widget.y = blocker.y + blocker.h;
+            blocker = placed.find(other => overlaps(widget, other));
+        }
+        placed.push(widget);
+    };
+
+    targets
+        .map(copyRect)
+        .sort(byPosition)
+        .forEach(drop);
+
+    widgets
+        .filter(widget => !targetIds.has(widget.id) && !widget.pinned)
+        .map(copyRect)
+        .sort(byPosition)
+        .forEach(drop);
+
+    return compact ? compactLayout(placed) : placed;
+}
+
+/**
+ * Line rectangles up on one edge of their bounding box
+ * @param {Array} rects - Rectangles {id, x, y, w, h}
+ * @param {string} edge - 'left', 'right', 'top' or 'bottom'
+ * @returns {Array} Moved copies; pass them to arrange() to resolve overlaps
+ */
+export function alignRects(rects, edge) {
+    const left = Math.min(...rects.map(rect => rect.x));
+    const right = Math.max(...rects.map(rect => rect.x + rect.w));
+    const top = Math.min(...rects.map(rect => rect.y));
+    const bottom = Math.max(...rects.map(rect => rect.y + rect.h));
+
+    return rects.map(rect => {
+        const moved = { ...rect };
+        if (edge === 'left') moved.x = left;
+        if (edge === 'right') moved.x = right - rect.w;
+        if (edge === 'top') moved.y = top;
+        if (edge === 'bottom') moved.y = bottom - rect.h;
+        return moved;
+    });
+}
+
+/**
+ * Space rectangles evenly between the first and the last along one axis.
+ * Gaps are whole grid cells, so the last one may end up a little closer.
+ * @param {Array} rects - Rectangles {id, x, y, w, h}
+ * @param {string} axis - 'x' (horizontally) or 'y' (vertically)
+ * @param {number} cols - Grid column count
+ * @returns {Array} Moved copies; pass them to arrange() to resolve overlaps
+ */
+export function distributeRects(rects, axis, cols) {
+    const size = axis === 'x' ? 'w' : 'h';
+    const sorted = [...rects].sort((a, b) => a[axis] - b[axis] || byPosition(a, b));
+    const start = sorted[0][axis];
+    const end = Math.max(...sorted.map(rect => rect[axis] + rect[size]));
+    const total = sorted.reduce((sum, rect) => sum + rect[size], 0);
+    const gap = Math.max(0, Math.floor((end - start - total) / Math.max(1, sorted.length - 1)));
+
+    let next = start;
+    return sorted.map(rect => {
+        const moved = { ...rect, [axis]: next };
+        if (axis === 'x') {
+            moved.x = Math.min(moved.x, cols - rect.w);
+        }
+        next += rect[size] + gap;
+        return moved;
+    });
+}
+
+/**
+ * Float every widget up as far as it goes without passing another one.
+ * Pinned widgets don't float.
+ * @param {Array} widgets - Widgets {id, x, y, w, h, pinned} without overlaps
+ * @returns {Array} Copies of the widgets {id, x, y, w, h}
+ */
+export function compactLayout(widgets) {
+    const placed = widgets.filter(widget => widget.pinned).map(copyRect);
+
+    widgets
+        .filter(widget => !widget.pinned)
+        .map(copyRect)
+        .sort(byPosition)
+        .forEach(widget => {
+            while (widget.y > 0 && !placed.some(other => overlaps({ ...widget, y: widget.y - 1 }, other))) {
+                widget.y--;
+            }
+            placed.push(widget);
+        });
+
+    return placed;
+}
+
+/**
+ * Float widgets up into space that was just given up, e.g. by a widget
+ * collapsing. Only widgets resting on that space rise, and those resting on
+ * them follow; gaps elsewhere stay as they are.
+ * @param {Array} widgets - Widgets {id, x, y, w, h, pinned} without overlaps, at their new sizes
+ * @param {Array} freed - Rectangles {x, y, w, h} that just became empty
+ * @returns {Array} Copies of the widgets {id, x, y, w, h}
+ */
+export function liftLayout(widgets, freed) {
+    const empty = [...freed];
+    const placed = [];
+
+    widgets
+        .map(copyRect)
+        .sort(byPosition)
+        .forEach(widget => {
+            const top = widget.y;
+            const rowAbove = () => ({ x: widget.x, y: widget.y - 1, w: widget.w, h: 1 });
+
+            while (!widget.pinned && widget.y > 0 &&
+                empty.some(rect => overlaps(rowAbove(), rect)) &&
+                !placed.some(other => overlaps(rowAbove(), other))) {
+                widget.y--;
+            }
+
+            // Whatever rested on this widget can follow it up
+            if (widget.y < top) {
+                empty.push({ x: widget.x, y: widget.y + widget.h, w: widget.w, h: top - widget.y });
+            }
+            placed.push(widget);
+        });
+
+    return placed;
+}
+
+/**
+ * Find the first free position at or below a rectangle's row
+ * @param {Array} placed - Rectangles already placed
+ * @param {Object} rect - Rectangle to place {x, y, w, h}
+ * @param {number} cols - Grid column count
+ * @returns {Object} Position {x, y}
+ */
+export function findFreePosition(placed, rect, cols) {
+    for (let y = rect.y; ; y++) {
+        for (let x = 0; x + rect.w <= cols; x++) {
+            const candidate = { x, y, w: rect.w, h: rect.h };
+            if (!placed.some(other => overlaps(candidate, other))) {
+                return { x, y };
+            }
+        }
+    }
+}
+
+/**
+ * Scale a layout to a different column count. Widgets keep their rows where
+ * they can; any that now overlap are pushed down.
+ * @param {Array} widgets - Widgets {id, x, y, w, h} of the source layout
+ * @param {number} fromCols - Columns of the source layout
+ * @param {number} toCols - Columns of the new layout
+ * @param {Function} fit - (widget, {w, h}) => {w, h} applying the widget's size limits
+ * @returns {Array} Rectangles {id, x, y, w, h}, without overlaps
+ */
+export function scaleLayout(widgets, fromCols, toCols, fit) {
+    const scale = toCols / fromCols;
+    const placed = [];
+
+    [...widgets].sort(byPosition).forEach(widget => {
+        // Scale both edges so neighbours stay side by side
+        const left = Math.round(widget.x * scale);
+        const right = Math.round((widget.x + widget.w) * scale);
+        const { w, h } = fit(widget, { w: Math.max(1, right - left), h: widget.h });
+        const rect = { id: widget.id, x: Math.max(0, Math.min(left, toCols - w)), y: widget.y, w, h };
+
+        let blocker = placed.find(other => overlaps(rect, other));
+        while (blocker) {
+            rect.y = blocker.y + blocker.h;
+            blocker = placed.find(other => overlaps(rect, other));
+        }
+        placed.push(rect);
+    });
+
+    return placed;
+}
+
+/**
+ * Derive a layout for a different column count. Widgets are scaled to the
+ * new width and keep their reading order, top to bottom and left to right.
+ * @param {Array} widgets - Widgets {id, x, y, w, h} of the source layout
+ * @param {number} fromCols - Columns of the source layout
+ * @param {number} toCols - Columns of the new layout
+ * @param {Function} fit - (widget, {w, h}) => {w, h} applying the widget's size limits
+ * @returns {Array} Rectangles {id, x, y, w, h}, compacted
+ */
+export function deriveLayout(widgets, fromCols, toCols, fit) {
+    return compactLayout(scaleLayout(widgets, fromCols, toCols, fit));
+}
+
+/**
+ * List the widgets whose rectangle differs between two layouts
+ * @param {Array} before - Widgets {id, x, y, w, h}
+ * @param {Array} after - Widgets {id, x, y, w, h}
+ * @returns {Array} Changed rectangles from `after`
+ */
+export function getLayoutChanges(before, after) {
+    const previous = new Map(before.map(widget => [widget.id, widget]));
+
+    return after.filter(widget => {
+        const old = previous.get(widget.id);
+        return !old || old.x !== widget.x || old.y !== widget.y || old.w !== widget.w || old.h !== widget.h;
+    });
+}
@@ -0,0 +1,196 @@
+/**
+ * Widget Lifecycle
+ * Tells mounted widgets when they scroll into or out of view, are collapsed
+ * or sit in a background tab, change size, and when the browser tab goes to
+ * the background, so they only do work someone can see. Widgets opt in by
+ * returning any of these hooks from createWidget:
+ *
+ *   onShow()                  - visible again; catch up on anything missed
+ *   onHide()                  - off-screen, collapsed or in a hidden tab panel
+ *   onResize({width, height}) - content box changed size
+ *   onSuspend()               - the page went to the background
+ *   onResume()                - the page is back; catch up
+ *
+ * Widgets start out shown and running, and only hear about changes.
+ * Widgets that just need to pause while they can't be seen can get the
+ * show/hide and suspend/resume hooks from createPauseHooks(), or from
+ * createJobHooks() when the work is scheduler jobs.
+ */
+
+class WidgetLifecycle {
+    constructor() {
+        // Mounted instances by content element, and the state they last heard
+        // about {instance, visible, size}
+        this.entries = new Map();
+
+        this.suspended = document.visibilityState === 'hidden';
+
+        // Without the observers every widget counts as visible, and resizes
+        // come from checkSize() alone
+        this.intersectionObserver = typeof IntersectionObserver !== 'undefined'
+            ? new IntersectionObserver(entries => this.handleIntersections(entries))
+            : null;
+        this.resizeObserver = typeof ResizeObserver !== 'undefined'
+            ? new ResizeObserver(entries => entries.forEach(entry => this.checkSize(entry.target)))
+            : null;
+
+        document.addEventListener('visibilitychange', () => {
+            this.setSuspended(document.visibilityState === 'hidden');
+        });
+    }
+
+    /**
+     * Start driving the hooks of a mounted widget
+     * @param {Element} content - The widget's .widget-content element
+     * @param {Object} instance - Widget instance from createWidget
+     */
+    attach(content, instance) {
+        this.detach(this.entries.get(content)?.instance);
+
+        this.entries.set(content, { instance, visible: true, size: null });
+        if (this.suspended) {
+            this.call(instance, 'onSuspend');
+        }
+
+        this.intersectionObserver?.observe(content);
+        this.resizeObserver?.observe(content);
+    }
+
+    /**
+     * Stop driving the hooks of a widget that is going away
+     * @param {Object} instance - Widget instance
+     */
+    detach(instance) {
+        if (!instance) return;
+
+        for (const [content, entry] of this.entries) {
+            if (entry.instance !== instance) continue;
+
+            this.entries.delete(content);
+            this.intersectionObserver?.unobserve(content);
+            this.resizeObserver?.unobserve(content);
+        }
+    }
+
+    /**
+     * Show or hide widgets as they enter and leave the viewport. Collapsed
+     * widgets and hidden tab panels aren't rendered, so they count as left.
+     * @param {Array} records - IntersectionObserver entries
+     */
+    handleIntersections(records) {
+        records.forEach(record => {
+            const entry = this.entries.get(record.target);
+            if (!entry || entry.visible === record.isIntersecting) return;
+
+            entry.visible = record.isIntersecting;
+            this.call(entry.instance, entry.visible ? 'onShow' : 'onHide');
+        });
+    }
+
+    /**
+     * Tell a widget its new size if it changed. Unrendered widgets keep the
+     * last size they were told about.
+     * @param {Element} content - The widget's .widget-content element
+     */
+    checkSize(content) {
+        const entry = this.entries.get(content);
+        if (!entry) return;
+
+        const width = content.clientWidth;
+        const height = content.clientHeight;
+        if (!width || !height) return;
+
+        const size = `${width}x${height}`;
+        if (size === entry.size) return;
+
+        entry.size = size;
+        this.call(entry.instance, 'onResize', { width, height });
+    }
+
+    /**
+     * Suspend or resume every widget with the page
+     * @param {boolean} suspended - Whether the page is in the background
+     */
+    setSuspended(suspended) {
+        if (suspended === this.suspended) return;
+
+        this.suspended = suspended;
+        this.entries.forEach(entry => this.call(entry.instance, suspended ? 'onSuspend' : 'onResume'));
+    }
+
+    /**
+     * Call a widget hook, if the widget has it. One failing widget doesn't
+     * stop the others hearing about the change.
+     * @param {Object} instance - Widget instance
+     * @param {string} hook - Hook name
+     * @param {...*} args - Hook arguments
+     */
+    call(instance, hook, ...args) {
+        if (typeof instance[hook] !== 'function') return;
+
+        try {
+            instance[hook](...args);
+        } catch (error) {
+            console.error(`Widget ${hook} failed:`, error);
+        }
+    }
+}
+
+/**
+ * Create lifecycle hooks that pause a widget while it can't be seen, whether
+ * off-screen, collapsed or with the page in the background, and resume it
+ * once it can
+ * @param {Object} handlers - What pausing means for the widget
+ * @param {Function} handlers.pause - Stop working; may be called while already paused
+ * @param {Function} handlers.resume - Catch up on anything missed, and carry on
+ * @returns {Object} Hooks {onShow, onHide, onSuspend, onResume}, and isPaused() for whether work should wait
+ */
+export function createPauseHooks({ pause, resume }) {
+    let hidden = false;
+    let suspended = false;
+
+    const isPaused = () => hidden || suspended;
+
+    function update() {
+        if (isPaused()) {
+            pause();
+        } else {
+            resume();
+        }
+    }
+
+    return {
+        onShow() {
+            hidden = false;
+            update();
+        },
+        onHide() {
+            hidden = true;
+            update();
+        },
+        onSuspend() {
+            suspended = true;
+            update();
+        },
+        onResume() {
+            suspended = false;
+            update();
+        },
+        isPaused
+    };
+}
+
+/**
+ * Create lifecycle hooks that pause a widget's scheduler jobs while it can't
+ * be seen. A run that came due while paused happens on resuming.
+ * @param {Function} getJobs - Returns the widget's current jobs, which may be null; read on every change, so jobs can be replaced
+ * @returns {Object} Hooks, and isPaused() for the paused state new jobs should start in
+ */
+export function createJobHooks(getJobs) {
+    return createPauseHooks({
+        pause: () => getJobs().forEach(job => job?.pause()),
+        resume: () => getJobs().forEach(job => job?.resume())
+    });
+}
+
+export default WidgetLifecycle;
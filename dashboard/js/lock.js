@@ -0,0 +1,146 @@
+/**
+ * Layout Lock
+ * Locks the board against accidental edits, e.g. on a shared wall display.
+ * Kiosk mode, turned on with ?kiosk in the URL, locks it for the session and
+ * also hides the app bar and widget buttons. Unlocking can require a PIN.
+ */
+
+import state from './state.js';
+
+const STORAGE_KEY = 'dashboard-lock';
+const KIOSK_PARAM = 'kiosk';
+
+class LockManager {
+    constructor(state) {
+        this.state = state;
+        this.locked = false;
+        this.kiosk = false;
+        this.started = false;
+
+        // Hash of the PIN set the last time the layout was locked, or null
+        this.pinHash = null;
+    }
+
+    /**
+     * Load the stored lock and check the URL for kiosk mode
+     * @returns {Promise} Resolves once the lock state is known
+     */
+    async start() {
+        if (this.started) return;
+        this.started = true;
+
+        try {
+            const stored = await this.state.storage.get(STORAGE_KEY);
+            if (stored && typeof stored === 'object') {
+                this.locked = stored.locked === true;
+                this.pinHash = typeof stored.pinHash === 'string' ? stored.pinHash : null;
+            }
+        } catch (error) {
+            console.error('Failed to load layout lock:', error);
+        }
+
+        this.kiosk = new URLSearchParams(window.location.search).has(KIOSK_PARAM);
+        this.emit('changed', this.getStatus());
+    }
+
+    /**
+     * Check whether the layout is locked, by the user or by kiosk mode
+     * @returns {boolean} True if locked
+     */
+    isLocked() {
+        return this.locked || this.kiosk;
+    }
+
+    /**
+     * Check whether unlocking needs a PIN
+     * @returns {boolean} True if a PIN is set
+     */
+    hasPin() {
+        return Boolean(this.pinHash);
+    }
+
+    /**
+     * Get the lock state
+     * @returns {Object} Status {locked, kiosk, pin}
+     */
+    getStatus() {
+        return { locked: this.isLocked(), kiosk: this.kiosk, pin: this.hasPin() };
+    }
+
+    /**
+     * Lock the layout
+     * @param {Object} options - Lock options
+     * @param {string} options.pin - PIN needed to unlock; empty for none
+     */
+    async lock({ pin = '' } = {}) {
+        this.locked = true;
+        this.pinHash = pin ? hashPin(pin) : null;
+        await this.persist();
+        this.emit('changed', this.getStatus());
+    }
+
+    /**
+     * Unlock the layout, leaving kiosk mode as well. The PIN stays set for
+     * the next time kiosk mode starts.
+     * @param {string} pin - PIN entered by the user
+     * @returns {Promise<boolean>} False if the PIN is wrong
+     */
+    async unlock(pin = '') {
+        if (!this.checkPin(pin)) return false;
+
+        this.locked = false;
+        this.kiosk = false;
+        await this.persist();
+        this.emit('changed', this.getStatus());
+        return true;
+    }
+
+    /**
+     * Check a PIN against the one set
+     * @param {string} pin - PIN entered by the user
+     * @returns {boolean} True if it matches, or no PIN is set
+     */
+    checkPin(pin) {
+        return !this.pinHash || hashPin(String(pin)) === this.pinHash;
+    }
+
+    /**
+     * Store the lock so it survives reloads; kiosk mode comes from the URL
+     */
+    async persist() {
+        try {
+            await this.state.storage.set(STORAGE_KEY, { locked: this.locked, pinHash: this.pinHash });
+        } catch (error) {
+            console.error('Failed to save layout lock:', error);
+        }
+    }
+
+    /**
+     * Emit custom event
+     * @param {string} eventName - Event name
+     * @param {*} detail - Event detail data
+     */
+    emit(eventName, detail) {
+        document.dispatchEvent(new CustomEvent(`lock:${eventName}`, { detail }));
+    }
+}
+
+/**
+ * Hash a PIN so it isn't stored as typed. The lock keeps passers-by out,
+ * not anyone with access to the browser's storage.
+ * @param {string} pin - PIN
+ * @returns {string} FNV-1a hash as hex
+ */
+function hashPin(pin) {
+    let hash = 0x811c9dc5;
+    for (const char of `dashboard-lock:${pin}`) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Create and export global lock manager instance
+const lock = new LockManager(state);
+
+export default lock;
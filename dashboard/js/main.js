@@ -5,12 +5,31 @@
 
 import state from './state.js';
 import ui from './ui.js';
+import undo from './undo.js';
+import sync from './sync.js';
+import snapshots, { REASON_LABELS } from './snapshots.js';
+import registry from './registry.js';
+import lock from './lock.js';
+import scheduler from './scheduler.js';
+import providers from './providers.js';
+import { createSchemaForm, getSchemaDefaults } from './settings.js';
+import { isNewerVersion, migrate } from './migrations.js';
+import { BREAKPOINTS } from './layout.js';
+import { GRID_LIMITS, validateLayout } from './validation.js';
+import { isQuotaError } from './storage.js';
 import GridManager from './grid.js';
 
+// App menu actions that change the layout, unavailable while it's locked
+const LOCKED_MENU_ACTIONS = ['import', 'history', 'grid-settings', 'compact-layout', 'reset-breakpoint', 'reset'];
+
 class DashboardApp {
     constructor() {
         this.grid = null;
         this.currentTheme = 'system';
+        this.saveWarningShown = false;
+
+        // Widget showing unsaved settings; its changes aren't stored
+        this.previewWidgetId = null;
         
         this.init();
     }
@@ -27,12 +46,36 @@ class DashboardApp {
                 });
             }
 
+            // Wait for saved state to load from storage
+            await state.ready;
+
+            // Load widget modules, including installed third-party ones
+            await registry.load(state.storage);
+
             // Initialize theme
             this.initTheme();
             
             // Initialize grid manager
             this.initGrid();
             
+            // Initialize workspace switcher
+            this.initWorkspaces();
+            
+            // Initialize undo/redo history
+            this.initUndo();
+            
+            // Initialize storage warnings
+            this.initStorage();
+            
+            // Initialize cross-tab sync
+            this.initSync();
+            
+            // Initialize automatic snapshots
+            snapshots.start();
+
+            // Initialize layout lock and kiosk mode
+            await this.initLock();
+            
             // Setup global event listeners
             this.setupEventListeners();
             
@@ -44,6 +87,14 @@ class DashboardApp {
             
             // Show page load animation
             document.body.classList.add('page-enter');
+
+            // Saved data we could not read is left alone, but the user should know
+            if (state.saveBlocked) {
+                ui.showToast(`${ui.escapeHtml(state.loadError.message)} Changes will not be saved until you update the dashboard.`, {
+                    type: 'error',
+                    duration: 10000
+                });
+            }
             
             console.log('Dashboard initialized successfully');
             
@@ -132,6 +183,310 @@ class DashboardApp {
         document.addEventListener('grid:widget-settings', (e) => {
             this.openWidgetSettings(e.detail.widgetId);
         });
+
+        // The outline alone is easy to miss when resizing from the keyboard
+        document.addEventListener('grid:resize-limit', (e) => {
+            const widget = state.getState().widgets.find(w => w.id === e.detail.widgetId);
+            if (!widget) return;
+
+            const title = widget.config.title || registry.getTitle(widget.type);
+            ui.showToast(`${ui.escapeHtml(title)} is at its ${e.detail.limit === 'min' ? 'minimum' : 'maximum'} size`, {
+                type: 'info',
+                duration: 2000
+            });
+        });
+
+        // Narrow screens get layouts of their own
+        this.updateBreakpointMenuItem();
+        document.addEventListener('grid:breakpoint-changed', (e) => {
+            this.updateBreakpointMenuItem();
+
+            const breakpoint = this.getBreakpoint(e.detail.breakpoint);
+            ui.showToast(`${breakpoint.label} layout, ${e.detail.cols} ${e.detail.cols === 1 ? 'column' : 'columns'}`, {
+                type: 'info',
+                duration: 3000
+            });
+        });
+
+        // Keep the Compact Layout menu item in step, including changes from other tabs
+        this.updateCompactMenuItem();
+        state.subscribe('settings-updated', () => this.updateCompactMenuItem());
+        state.subscribe('state-loaded', () => this.updateCompactMenuItem());
+    }
+
+    /**
+     * Switch vertical compaction on or off. Turning it on closes existing gaps.
+     */
+    toggleCompactLayout() {
+        const compact = state.getState().settings.compactLayout !== true;
+        state.updateSettings({ compactLayout: compact });
+
+        ui.showToast(compact ? 'Widgets now float up to fill gaps' : 'Compact layout turned off', {
+            type: 'info',
+            duration: 2000
+        });
+    }
+
+    /**
+     * Look up a breakpoint by name
+     * @param {string} name - Breakpoint name
+     * @returns {Object} Breakpoint {name, label, minWidth, cols}
+     */
+    getBreakpoint(name) {
+        return BREAKPOINTS.find(breakpoint => breakpoint.name === name) || BREAKPOINTS[0];
+    }
+
+    /**
+     * Offer to reset the current screen size's layout, except on the base layout
+     */
+    updateBreakpointMenuItem() {
+        const item = document.querySelector('#app-menu [data-action="reset-breakpoint"]');
+        if (!item) return;
+
+        const breakpoint = this.getBreakpoint(this.grid.breakpoint);
+        item.hidden = breakpoint === BREAKPOINTS[0];
+        item.querySelector('.menu-item-label').textContent = `Reset ${breakpoint.label} Layout`;
+    }
+
+    /**
+     * Make the current screen size follow the desktop layout again
+     */
+    resetBreakpointLayout() {
+        const breakpoint = this.getBreakpoint(this.grid.breakpoint);
+        state.resetBreakpointLayout(breakpoint.name);
+
+        ui.showToast(`${breakpoint.label} layout rebuilt from the ${BREAKPOINTS[0].label.toLowerCase()} layout`, {
+            type: 'success',
+            duration: 3000
+        });
+    }
+
+    /**
+     * Reflect the compaction setting in the app menu
+     */
+    updateCompactMenuItem() {
+        const item = document.querySelector('#app-menu [data-action="compact-layout"]');
+        if (item) {
+            item.setAttribute('aria-checked', String(state.getState().settings.compactLayout === true));
+        }
+    }
+
+    /**
+     * Initialize undo/redo history
+     */
+    initUndo() {
+        // One drag or resize gesture is one undo step
+        document.addEventListener('grid:drag-start', (e) => {
+            undo.beginBatch(e.detail.group.length > 1 ? 'Move widgets' : 'Move widget');
+        });
+        document.addEventListener('grid:drag-end', () => undo.endBatch());
+        document.addEventListener('grid:resize-start', () => undo.beginBatch('Resize widget'));
+        document.addEventListener('grid:resize-end', () => undo.endBatch());
+
+        // So is an action on a whole selection
+        document.addEventListener('grid:batch-start', (e) => undo.beginBatch(e.detail.label));
+        document.addEventListener('grid:batch-end', (e) => {
+            undo.endBatch();
+            if (!e.detail.message) return;
+
+            const entry = undo.peek();
+            ui.showToast(e.detail.message, {
+                type: 'info',
+                duration: 6000,
+                action: entry ? {
+                    text: 'Undo',
+                    handler: () => this.undoStep(entry.id)
+                } : null
+            });
+        });
+
+        // Offer a way back after removing a widget; group removals get one notice
+        state.subscribe('widget-removed', (widget) => {
+            if (undo.applying || undo.batchDepth > 0) return;
+
+            const entry = undo.peek();
+            ui.showToast(`${ui.escapeHtml(widget.config.title || widget.type)} removed`, {
+                type: 'info',
+                duration: 6000,
+                action: entry ? {
+                    text: 'Undo',
+                    handler: () => this.undoStep(entry.id)
+                } : null
+            });
+        });
+    }
+
+    /**
+     * Undo the last change
+     * @param {number} entryId - Only undo if this entry is still the latest step
+     */
+    undoStep(entryId = null) {
+        const entry = undo.undo(entryId);
+        if (entry) {
+            ui.showToast(`Undid: ${entry.label}`, { type: 'info', duration: 2000 });
+        } else if (entryId !== null) {
+            ui.showToast('That change can no longer be undone', { type: 'warning', duration: 3000 });
+        }
+    }
+
+    /**
+     * Redo the last undone change
+     */
+    redoStep() {
+        const entry = undo.redo();
+        if (entry) {
+            ui.showToast(`Redid: ${entry.label}`, { type: 'info', duration: 2000 });
+        }
+    }
+
+    /**
+     * Initialize workspace switcher
+     */
+    initWorkspaces() {
+        this.updateWorkspaceSwitcher();
+
+        // The grid rebuilds itself; the app applies the workspace theme
+        state.subscribe('workspace-switched', () => {
+            this.setTheme(state.getState().theme);
+            this.updateWorkspaceSwitcher();
+        });
+
+        state.subscribe('workspaces-changed', () => {
+            this.updateWorkspaceSwitcher();
+        });
+    }
+
+    /**
+     * Update workspace switcher label
+     */
+    updateWorkspaceSwitcher() {
+        const label = document.getElementById('workspace-name');
+        if (label) {
+            label.textContent = state.getActiveWorkspace().name;
+        }
+    }
+
+    /**
+     * Build workspace menu items
+     * @returns {Array} Menu items
+     */
+    getWorkspaceMenuItems() {
+        const workspaces = state.getWorkspaces();
+        const items = workspaces.map(workspace => ({
+            label: workspace.name,
+            action: 'workspace-switch',
+            workspaceId: workspace.id,
+            checked: workspace.active,
+            meta: workspace.widgetCount
+        }));
+
+        items.push(
+            { separator: true },
+            { label: 'New Workspace', icon: 'plus', action: 'workspace-new' },
+            { label: 'Rename Workspace', icon: 'settings', action: 'workspace-rename' },
+            { label: 'Duplicate Workspace', icon: 'copy', action: 'workspace-clone' }
+        );
+
+        if (workspaces.length > 1) {
+            items.push({ label: 'Delete Workspace', icon: 'trash', action: 'workspace-delete' });
+        }
+
+        return items;
+    }
+
+    /**
+     * Switch to another workspace
+     * @param {string} workspaceId - Workspace ID
+     */
+    switchWorkspace(workspaceId) {
+        if (state.switchWorkspace(workspaceId)) {
+            ui.showToast(`Switched to ${ui.escapeHtml(state.getActiveWorkspace().name)}`, { 
+                type: 'info', 
+                duration: 2000 
+            });
+        }
+    }
+
+    /**
+     * Create a new empty workspace and switch to it
+     */
+    createWorkspace() {
+        this.promptWorkspaceName('New Workspace', '', (name) => {
+            const workspace = state.createWorkspace(name);
+            state.switchWorkspace(workspace.id);
+            ui.showToast(`Workspace "${ui.escapeHtml(workspace.name)}" created`, { 
+                type: 'success', 
+                duration: 3000 
+            });
+        });
+    }
+
+    /**
+     * Rename the active workspace
+     */
+    renameWorkspace() {
+        const { id, name } = state.getActiveWorkspace();
+        this.promptWorkspaceName('Rename Workspace', name, (newName) => {
+            state.renameWorkspace(id, newName);
+        });
+    }
+
+    /**
+     * Clone the active workspace and switch to the copy
+     */
+    cloneWorkspace() {
+        const { id } = state.getActiveWorkspace();
+        const copy = state.cloneWorkspace(id);
+        if (!copy) return;
+
+        state.switchWorkspace(copy.id);
+        ui.showToast(`Workspace duplicated as "${ui.escapeHtml(copy.name)}"`, { 
+            type: 'success', 
+            duration: 3000 
+        });
+    }
+
+    /**
+     * Delete the active workspace
+     */
+    deleteWorkspace() {
+        const { id, name } = state.getActiveWorkspace();
+        if (confirm(`Delete workspace "${name}" and all of its widgets?`)) {
+            if (state.deleteWorkspace(id)) {
+                ui.showToast(`Workspace "${ui.escapeHtml(name)}" deleted`, { 
+                    type: 'success', 
+                    duration: 3000 
+                });
+            }
+        }
+    }
+
+    /**
+     * Ask for a workspace name
+     * @param {string} title - Modal title
+     * @param {string} value - Initial name
+     * @param {Function} onSubmit - Called with the entered name
+     */
+    promptWorkspaceName(title, value, onSubmit) {
+        const form = document.createElement('form');
+        form.id = 'widget-settings-form';
+        form.innerHTML = `
+            <div class="form-group">
+                <label class="form-label" for="workspace-name-input">Workspace Name</label>
+                <input type="text" id="workspace-name-input" name="name" class="input" value="${ui.escapeHtml(value)}" maxlength="50" required>
+            </div>
+        `;
+
+        ui.showModal('widget-settings-modal', { title, content: form });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = new FormData(form).get('name').trim();
+            if (!name) return;
+
+            ui.closeModal('widget-settings-modal');
+            onSubmit(name);
+        });
     }
 
     /**
@@ -163,11 +518,20 @@ class DashboardApp {
             });
         }
 
+        // Workspace switcher
+        const workspaceBtn = document.getElementById('workspace-btn');
+        if (workspaceBtn) {
+            workspaceBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                ui.showWorkspaceMenu(workspaceBtn, this.getWorkspaceMenuItems());
+            });
+        }
+
         // App menu actions
         document.addEventListener('click', (e) => {
-            const action = e.target.closest('[data-action]')?.dataset.action;
-            if (action) {
-                this.handleAppMenuAction(action);
+            const target = e.target.closest('[data-action]');
+            if (target) {
+                this.handleAppMenuAction(target.dataset.action, target);
             }
         });
 
@@ -180,15 +544,26 @@ class DashboardApp {
         }
 
         // Widget configuration changes
+        // Widgets inside a tab group sit in a panel carrying their own ID
         document.addEventListener('widget-config-changed', (e) => {
-            const widgetElement = e.target.closest('.widget');
+            const widgetElement = e.target.closest('[data-widget-id]');
             if (widgetElement) {
                 const widgetId = widgetElement.dataset.widgetId;
+                if (widgetId === this.previewWidgetId) return;
+
                 const newConfig = e.detail.config;
                 state.updateWidget(widgetId, { config: newConfig });
             }
         });
 
+        // Settings buttons inside widgets open the same dialog as the header button
+        document.addEventListener('widget-open-settings', (e) => {
+            const widgetElement = e.target.closest('[data-widget-id]');
+            if (widgetElement) {
+                this.openWidgetSettings(widgetElement.dataset.widgetId);
+            }
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             this.handleKeyboardShortcuts(e);
@@ -234,78 +609,7 @@ class DashboardApp {
         const widgetLibrary = document.getElementById('widget-library');
         if (!widgetLibrary) return;
 
-        const widgetTypes = [
-            {
-                type: 'clock',
-                title: 'Clock',
-                description: 'Digital and analog clock with timezone support',
-                icon: 'clock'
-            },
-            {
-                type: 'weather',
-                title: 'Weather',
-                description: 'Current weather conditions and forecast',
-                icon: 'cloud'
-            },
-            {
-                type: 'notes',
-                title: 'Notes',
-                description: 'Rich text note-taking with autosave',
-                icon: 'notes'
-            },
-            {
-                type: 'todo',
-                title: 'Todo List',
-                description: 'Task management with filters and priorities',
-                icon: 'check'
-            },
-            {
-                type: 'pomodoro',
-                title: 'Pomodoro Timer',
-                description: 'Focus timer with work and break cycles',
-                icon: 'clock'
-            },
-            {
-                type: 'calendar',
-                title: 'Calendar',
-                description: 'Mini calendar with event management',
-                icon: 'calendar'
-            },
-            {
-                type: 'quotes',
-                title: 'Quotes',
-                description: 'Inspirational quotes with categories',
-                icon: 'quote'
-            },
-            {
-                type: 'stocks',
-                title: 'Stocks',
-                description: 'Stock prices with charts and trends',
-                icon: 'chart'
-            },
-            {
-                type: 'links',
-                title: 'Quick Links',
-                description: 'Bookmarks and favorite websites',
-                icon: 'link'
-            },
-            {
-                type: 'system',
-                title: 'System Monitor',
-                description: 'System performance and resource usage',
-                icon: 'monitor'
-            }
-        ];
-
-        widgetLibrary.innerHTML = widgetTypes.map(widget => `
-            <div class="widget-option" data-widget-type="${widget.type}">
-                <svg class="widget-option-icon" aria-hidden="true">
-                    <use href="assets/icons.svg#${widget.icon}"></use>
-                </svg>
-                <h3 class="widget-option-title">${widget.title}</h3>
-                <p class="widget-option-description">${widget.description}</p>
-            </div>
-        `).join('');
+        this.renderWidgetLibrary();
 
         // Add click handlers
         widgetLibrary.addEventListener('click', (e) => {
@@ -316,6 +620,120 @@ class DashboardApp {
                 ui.closeModal('add-widget-modal');
             }
         });
+
+        const installForm = document.getElementById('widget-install-form');
+        if (installForm) {
+            installForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.installWidgetModule(installForm);
+            });
+        }
+
+        document.getElementById('installed-widgets')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="widget-uninstall"]');
+            if (button) {
+                this.uninstallWidgetModule(button.dataset.widgetType);
+            }
+        });
+
+        document.addEventListener('registry:registered', () => this.renderWidgetLibrary());
+        document.addEventListener('registry:unregistered', () => this.renderWidgetLibrary());
+    }
+
+    /**
+     * Render widget options from the registry
+     */
+    renderWidgetLibrary() {
+        const widgetLibrary = document.getElementById('widget-library');
+        if (!widgetLibrary) return;
+
+        // Containers are made by grouping widgets, not added empty
+        widgetLibrary.innerHTML = registry.list().filter(manifest => !manifest.container).map(manifest => `
+            <div class="widget-option" data-widget-type="${ui.escapeHtml(manifest.type)}">
+                ${this.renderWidgetIcon(manifest.icon, 'widget-option-icon')}
+                <h3 class="widget-option-title">${ui.escapeHtml(manifest.title)}</h3>
+                <p class="widget-option-description">${ui.escapeHtml(manifest.description)}</p>
+            </div>
+        `).join('');
+
+        const installed = document.getElementById('installed-widgets');
+        if (installed) {
+            installed.innerHTML = registry.listInstalled().map(({ manifest, url }) => `
+                <li>
+                    <span>
+                        ${ui.escapeHtml(manifest.title)}
+                        <span class="menu-item-meta" title="${ui.escapeHtml(url)}">${ui.escapeHtml(new URL(url).host)}</span>
+                    </span>
+                    <button type="button" class="ghost-button" data-action="widget-uninstall" data-widget-type="${ui.escapeHtml(manifest.type)}">Remove</button>
+                </li>
+            `).join('');
+        }
+    }
+
+    /**
+     * Render a manifest icon: a sprite name, or an image URL from a third-party widget
+     * @param {string} icon - Icon name or URL
+     * @param {string} className - Class for the icon element
+     * @returns {string} HTML
+     */
+    renderWidgetIcon(icon, className) {
+        if (/^(https?:)?\/\//.test(icon)) {
+            return `<img class="${className}" src="${ui.escapeHtml(icon)}" alt="" aria-hidden="true">`;
+        }
+        return `
+            <svg class="${className}" aria-hidden="true">
+                <use href="assets/icons.svg#${ui.escapeHtml(icon)}"></use>
+            </svg>
+        `;
+    }
+
+    /**
+     * Install a third-party widget module from the URL in the install form
+     * @param {Element} form - Install form
+     */
+    async installWidgetModule(form) {
+        const input = form.elements.url;
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+
+        try {
+            const manifest = await registry.registerFromUrl(input.value.trim());
+            input.value = '';
+            ui.showToast(`${ui.escapeHtml(manifest.title)} widget installed`, { 
+                type: 'success', 
+                duration: 3000 
+            });
+        } catch (error) {
+            console.error('Failed to install widget module:', error);
+            ui.showToast(ui.escapeHtml(error.message), { 
+                type: 'error', 
+                duration: 6000 
+            });
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Remove a third-party widget module
+     * @param {string} type - Widget type
+     */
+    async uninstallWidgetModule(type) {
+        const title = registry.getTitle(type);
+        const inUse = state.getWorkspacesData().workspaces
+            .some(workspace => workspace.widgets.some(widget => widget.type === type));
+
+        if (inUse && !confirm(`${title} widgets are on your dashboard. They will stop working until the module is installed again. Remove anyway?`)) {
+            return;
+        }
+
+        try {
+            await registry.unregister(type);
+            ui.showToast(`${ui.escapeHtml(title)} widget removed`, { type: 'info', duration: 3000 });
+        } catch (error) {
+            console.error('Failed to remove widget module:', error);
+            ui.showToast('Failed to remove widget', { type: 'error', duration: 3000 });
+        }
     }
 
     /**
@@ -323,13 +741,18 @@ class DashboardApp {
      * @param {string} type - Widget type
      */
     addWidget(type) {
+        const manifest = registry.get(type);
+        if (!manifest) return;
+
         const widget = state.addWidget({
             type,
-            config: { title: this.getWidgetTitle(type) }
+            w: Math.min(manifest.defaultSize.w, state.getState().grid.cols),
+            h: manifest.defaultSize.h,
+            config: { title: manifest.title }
         });
 
         // Show success toast
-        ui.showToast(`${widget.config.title} widget added`, { 
+        ui.showToast(`${ui.escapeHtml(widget.config.title)} widget added`, { 
             type: 'success', 
             duration: 3000 
         });
@@ -341,48 +764,153 @@ class DashboardApp {
      * @returns {string} Default title
      */
     getWidgetTitle(type) {
-        const titles = {
-            clock: 'Clock',
-            weather: 'Weather',
-            notes: 'Notes',
-            todo: 'Todo List',
-            pomodoro: 'Pomodoro Timer',
-            calendar: 'Calendar',
-            quotes: 'Quotes',
-            stocks: 'Stocks',
-            links: 'Quick Links',
-            system: 'System Monitor'
-        };
-        return titles[type] || type;
+        return registry.getTitle(type);
     }
 
     /**
-     * Open widget settings
+     * Open widget settings. The form is built from the widget's config schema
+     * and previews changes on the widget until saved or cancelled.
      * @param {string} widgetId - Widget ID
      */
     openWidgetSettings(widgetId) {
         const widget = state.getState().widgets.find(w => w.id === widgetId);
         if (!widget) return;
 
-        // Create generic settings form
-        const settingsForm = this.createGenericSettingsForm(widget);
-        
+        const manifest = registry.get(widget.type);
+        const schema = manifest ? manifest.configSchema : {};
+        const defaults = {
+            title: manifest ? manifest.title : widget.type,
+            ...getSchemaDefaults(schema)
+        };
+
+        const form = document.createElement('form');
+        form.id = 'widget-settings-form';
+        form.noValidate = true;
+        form.innerHTML = `
+            <div class="form-group">
+                <label class="form-label" for="widget-title">Widget Title</label>
+                <input type="text" id="widget-title" name="title" class="input" maxlength="100" required>
+                <p class="form-error" id="widget-title-error" hidden></p>
+            </div>
+        `;
+        const titleInput = form.elements.title;
+        titleInput.value = widget.config.title || '';
+
+        const schemaForm = createSchemaForm(schema, widget.config);
+        form.appendChild(schemaForm.el);
+
+        // Widgets may add fields the schema can't describe
+        const customForm = manifest && manifest.settingsForm ? manifest.settingsForm({ ...widget.config }, schemaForm) : null;
+        if (customForm) {
+            form.appendChild(customForm.el);
+        }
+
+        const footer = document.createElement('div');
+        footer.className = 'settings-form-footer';
+        footer.innerHTML = `
+            <span class="form-help">${ui.escapeHtml(manifest ? manifest.title : widget.type)} · ${ui.escapeHtml(widget.id)}</span>
+            <button type="button" class="ghost-button" data-action="reset-defaults">Reset to Defaults</button>
+        `;
+        form.appendChild(footer);
+
+        const readConfig = () => ({
+            ...widget.config,
+            ...schemaForm.getValues(),
+            ...(customForm ? customForm.getValues() : {}),
+            title: titleInput.value.trim()
+        });
+
+        /**
+         * Check the form and mark invalid fields
+         * @returns {Object|null} Config to apply, or null while anything is invalid
+         */
+        const validate = () => {
+            const errors = schemaForm.validate();
+            const titleError = titleInput.value.trim() ? null : 'Widget title is required';
+            this.showFieldError(titleInput, titleError);
+
+            if (titleError || Object.keys(errors).length > 0) return null;
+
+            // The widget's own rules catch what the schema can't, e.g. unknown
+            // timezones. Values it merely normalized (such as URLs) are kept.
+            let config = readConfig();
+            const validateConfig = registry.getValidators()[widget.type];
+            if (validateConfig) {
+                const result = validateConfig(config);
+                result.errors.forEach(message => {
+                    const [key, ...rest] = message.split(' ');
+                    if (key in schema && !(key in result.config)) {
+                        errors[key] = rest.join(' ');
+                    }
+                });
+                schemaForm.showErrors(errors);
+                config = result.config;
+            }
+
+            return Object.keys(errors).length === 0 ? config : null;
+        };
+
+        // Live preview; invalid values wait until they're fixed
+        let previewTimeout = null;
+        let previewed = false;
+        const preview = () => {
+            clearTimeout(previewTimeout);
+            previewTimeout = setTimeout(() => {
+                const config = validate();
+                if (!config) return;
+                this.previewWidgetId = widgetId;
+                previewed = true;
+                this.grid.previewWidgetConfig(widgetId, config);
+            }, 150);
+        };
+        form.addEventListener('input', preview);
+        form.addEventListener('change', preview);
+
+        footer.querySelector('[data-action="reset-defaults"]').addEventListener('click', () => {
+            titleInput.value = defaults.title;
+            schemaForm.setValues(defaults);
+            preview();
+        });
+
         ui.showModal('widget-settings-modal', {
             title: `${widget.config.title || widget.type} Settings`,
-            content: settingsForm
+            content: form
         });
 
+        let saved = false;
+        const modal = document.getElementById('widget-settings-modal');
+        modal.addEventListener('close', () => {
+            clearTimeout(previewTimeout);
+            this.previewWidgetId = null;
+
+            // Cancelled: put back what's stored
+            if (previewed && !saved) {
+                this.grid.resetWidgetContent(widgetId);
+            }
+        }, { once: true });
+
         // Handle form submission
-        settingsForm.addEventListener('submit', (e) => {
+        form.addEventListener('submit', (e) => {
             e.preventDefault();
-            const formData = new FormData(settingsForm);
-            
-            const newConfig = {
-                ...widget.config,
-                title: formData.get('title')
-            };
+            clearTimeout(previewTimeout);
+            const config = validate();
+            if (!config) {
+                form.querySelector('[aria-invalid="true"]')?.focus();
+                return;
+            }
 
-            state.updateWidget(widgetId, { config: newConfig });
+            // Settings such as the analog clock face can lock the aspect ratio
+            const { cols } = state.getState().grid;
+            const size = registry.constrainSize(widget.type, config, widget, { cols });
+
+            saved = true;
+            this.previewWidgetId = null;
+            state.updateWidget(widgetId, {
+                config,
+                x: Math.min(widget.x, cols - size.w),
+                w: size.w,
+                h: size.h
+            });
             ui.closeModal('widget-settings-modal');
             
             ui.showToast('Settings saved', { type: 'success', duration: 2000 });
@@ -390,69 +918,781 @@ class DashboardApp {
     }
 
     /**
-     * Create generic settings form
-     * @param {Object} widget - Widget data
-     * @returns {Element} Settings form
+     * Open the grid settings, previewing changes on the board as they're made
      */
-    createGenericSettingsForm(widget) {
-        const form = document.createElement('form');
-        form.innerHTML = `
-            <div class="form-group">
-                <label class="form-label" for="widget-title">Widget Title</label>
-                <input type="text" id="widget-title" name="title" class="input" value="${widget.config.title || ''}" required>
-            </div>
-            
-            <div class="form-group">
-                <label class="form-label">Widget Type</label>
-                <input type="text" class="input" value="${widget.type}" readonly disabled>
-            </div>
-            
-            <div class="form-group">
-                <label class="form-label">Widget ID</label>
-                <input type="text" class="input" value="${widget.id}" readonly disabled>
-            </div>
+    openGridSettings() {
+        const { grid } = state.getState();
+        const schema = {
+            cols: {
+                type: 'number',
+                label: 'Columns',
+                min: GRID_LIMITS.cols.min,
+                max: GRID_LIMITS.cols.max,
+                default: GRID_LIMITS.cols.fallback,
+                help: 'Widgets are rescaled to the new column count. Tablet and phone layouts keep their own columns.'
+            },
+            rowHeight: {
+                type: 'number',
+                label: 'Row height',
+                unit: 'px',
+                min: GRID_LIMITS.rowHeight.min,
+                max: GRID_LIMITS.rowHeight.max,
+                default: GRID_LIMITS.rowHeight.fallback
+            },
+            gap: {
+                type: 'number',
+                label: 'Gap',
+                unit: 'px',
+                min: GRID_LIMITS.gap.min,
+                max: GRID_LIMITS.gap.max,
+                default: GRID_LIMITS.gap.fallback
+            }
+        };
+
+        const form = document.createElement('form');
+        form.id = 'widget-settings-form';
+        form.noValidate = true;
+
+        const schemaForm = createSchemaForm(schema, grid);
+        form.appendChild(schemaForm.el);
+
+        const footer = document.createElement('div');
+        footer.className = 'settings-form-footer';
+        footer.innerHTML = `
+            <span class="form-help">Applies to ${ui.escapeHtml(state.getActiveWorkspace().name)}</span>
+            <button type="button" class="ghost-button" data-action="reset-defaults">Reset to Defaults</button>
         `;
-        return form;
+        form.appendChild(footer);
+
+        const readGrid = () => (Object.keys(schemaForm.validate()).length === 0 ? schemaForm.getValues() : null);
+
+        // Live preview; invalid values wait until they're fixed
+        let previewTimeout = null;
+        let previewed = false;
+        const preview = () => {
+            clearTimeout(previewTimeout);
+            previewTimeout = setTimeout(() => {
+                const values = readGrid();
+                if (!values) return;
+                previewed = true;
+                this.grid.previewGridSettings({ ...grid, ...values });
+            }, 150);
+        };
+        form.addEventListener('input', preview);
+        form.addEventListener('change', preview);
+
+        footer.querySelector('[data-action="reset-defaults"]').addEventListener('click', () => {
+            schemaForm.setValues(getSchemaDefaults(schema));
+            preview();
+        });
+
+        ui.showModal('widget-settings-modal', { title: 'Grid Settings', content: form });
+
+        let saved = false;
+        const modal = document.getElementById('widget-settings-modal');
+        modal.addEventListener('close', () => {
+            clearTimeout(previewTimeout);
+
+            // Cancelled: put back what's stored
+            if (previewed && !saved) {
+                this.grid.clearGridPreview();
+            }
+        }, { once: true });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            clearTimeout(previewTimeout);
+            const values = readGrid();
+            if (!values) {
+                form.querySelector('[aria-invalid="true"]')?.focus();
+                return;
+            }
+
+            saved = true;
+            const changed = state.updateGrid(values) !== grid;
+            ui.closeModal('widget-settings-modal');
+
+            if (changed) {
+                const entry = undo.peek();
+                ui.showToast('Grid settings saved', {
+                    type: 'success',
+                    duration: 4000,
+                    action: entry ? {
+                        text: 'Undo',
+                        handler: () => this.undoStep(entry.id)
+                    } : null
+                });
+            }
+        });
+    }
+
+    /**
+     * Mark a form input as invalid, or clear the mark
+     * @param {Element} input - Input element
+     * @param {string|null} message - Error message
+     */
+    showFieldError(input, message) {
+        const error = document.getElementById(`${input.id}-error`);
+        if (error) {
+            error.textContent = message || '';
+            error.hidden = !message;
+        }
+
+        if (message) {
+            input.setAttribute('aria-invalid', 'true');
+            input.setAttribute('aria-describedby', `${input.id}-error`);
+        } else {
+            input.removeAttribute('aria-invalid');
+            input.removeAttribute('aria-describedby');
+        }
     }
 
     /**
      * Handle app menu actions
      * @param {string} action - Action type
+     * @param {Element} target - Element that triggered the action
      */
-    handleAppMenuAction(action) {
+    handleAppMenuAction(action, target) {
         switch (action) {
             case 'export':
                 this.exportLayout();
                 break;
+            case 'export-all':
+                this.exportLayout({ all: true });
+                break;
+            case 'workspace-switch':
+                this.switchWorkspace(target.dataset.workspaceId);
+                break;
+            case 'workspace-new':
+                this.createWorkspace();
+                break;
+            case 'workspace-rename':
+                this.renameWorkspace();
+                break;
+            case 'workspace-clone':
+                this.cloneWorkspace();
+                break;
+            case 'workspace-delete':
+                this.deleteWorkspace();
+                break;
             case 'import':
                 this.showImportDialog();
                 break;
             case 'reset':
                 this.resetLayout();
                 break;
+            case 'storage':
+                this.showStorageUsage();
+                break;
+            case 'history':
+                this.showHistory();
+                break;
+            case 'scheduler':
+                this.showScheduledJobs();
+                break;
+            case 'compact-layout':
+                this.toggleCompactLayout();
+                break;
+            case 'reset-breakpoint':
+                this.resetBreakpointLayout();
+                break;
+            case 'grid-settings':
+                this.openGridSettings();
+                break;
+            case 'lock':
+                this.toggleLock();
+                break;
         }
         
         ui.hideAppMenu();
+        ui.hideWorkspaceMenu();
     }
 
     /**
-     * Export layout
+     * Apply the stored layout lock and kiosk mode, and follow later changes
+     */
+    async initLock() {
+        document.addEventListener('lock:changed', (e) => this.applyLock(e.detail));
+        await lock.start();
+    }
+
+    /**
+     * Reflect the lock in the grid and the app bar
+     * @param {Object} status - Lock status {locked, kiosk, pin}
      */
-    exportLayout() {
+    applyLock({ locked, kiosk }) {
+        const wasKiosk = document.body.classList.contains('kiosk');
+
+        this.grid.setLocked(locked);
+        document.body.classList.toggle('layout-locked', locked);
+        document.body.classList.toggle('kiosk', kiosk);
+
+        const item = document.querySelector('#app-menu [data-action="lock"]');
+        if (item) {
+            item.setAttribute('aria-checked', String(locked));
+            item.querySelector('.menu-item-label').textContent = locked ? 'Unlock Layout' : 'Lock Layout';
+        }
+
+        // Everything that adds, removes or rearranges widgets
+        const editors = [
+            document.getElementById('add-widget-btn'),
+            ...document.querySelectorAll(LOCKED_MENU_ACTIONS.map(action => `#app-menu [data-action="${action}"]`).join(', '))
+        ];
+        editors.forEach(element => {
+            if (element) element.disabled = locked;
+        });
+
+        if (kiosk && !wasKiosk) {
+            this.enterKioskFullscreen();
+        } else if (!kiosk && wasKiosk && document.fullscreenElement) {
+            document.exitFullscreen?.();
+        }
+    }
+
+    /**
+     * Go fullscreen for kiosk mode. Browsers only allow it after a user
+     * gesture, so if the page just loaded, try again on the first one.
+     */
+    async enterKioskFullscreen() {
+        if (document.fullscreenElement || await this.toggleFullscreen()) return;
+
+        const retry = () => {
+            document.removeEventListener('pointerdown', retry, true);
+            document.removeEventListener('keydown', retry, true);
+            if (lock.getStatus().kiosk && !document.fullscreenElement) {
+                this.toggleFullscreen();
+            }
+        };
+        document.addEventListener('pointerdown', retry, true);
+        document.addEventListener('keydown', retry, true);
+    }
+
+    /**
+     * Lock the layout, or ask to unlock it
+     */
+    toggleLock() {
+        if (lock.isLocked()) {
+            this.promptUnlock();
+        } else {
+            this.openLockDialog();
+        }
+    }
+
+    /**
+     * Lock the layout, optionally with a PIN to unlock it again
+     */
+    openLockDialog() {
+        const form = document.createElement('form');
+        form.id = 'widget-settings-form';
+        form.noValidate = true;
+        form.innerHTML = `
+            <p class="form-help">Widgets can't be moved, resized or removed while the layout is locked.</p>
+            <div class="form-group">
+                <label class="form-label" for="lock-pin">PIN (optional)</label>
+                <input type="password" id="lock-pin" name="pin" class="input" inputmode="numeric" autocomplete="off" maxlength="8">
+                <p class="form-help">4 to 8 digits. Leave empty to unlock without one.</p>
+                <p class="form-error" id="lock-pin-error" hidden></p>
+            </div>
+        `;
+
+        ui.showModal('widget-settings-modal', { title: 'Lock Layout', content: form, submitText: 'Lock' });
+
+        const pinInput = form.elements.pin;
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const pin = pinInput.value.trim();
+            if (pin && !/^\d{4,8}$/.test(pin)) {
+                this.showFieldError(pinInput, 'Use 4 to 8 digits');
+                pinInput.focus();
+                return;
+            }
+
+            ui.closeModal('widget-settings-modal');
+            await lock.lock({ pin });
+            ui.showToast('Layout locked. Press Ctrl+Shift+L to unlock.', {
+                type: 'success',
+                duration: 3000
+            });
+        });
+    }
+
+    /**
+     * Unlock the layout, asking for the PIN if one is set
+     */
+    async promptUnlock() {
+        if (!lock.hasPin()) {
+            await lock.unlock();
+            ui.showToast('Layout unlocked', { type: 'info', duration: 2000 });
+            return;
+        }
+
+        const form = document.createElement('form');
+        form.id = 'widget-settings-form';
+        form.noValidate = true;
+        form.innerHTML = `
+            <div class="form-group">
+                <label class="form-label" for="unlock-pin">PIN</label>
+                <input type="password" id="unlock-pin" name="pin" class="input" inputmode="numeric" autocomplete="off" maxlength="8" required>
+                <p class="form-error" id="unlock-pin-error" hidden></p>
+            </div>
+        `;
+
+        ui.showModal('widget-settings-modal', { title: 'Unlock Layout', content: form, submitText: 'Unlock' });
+
+        const pinInput = form.elements.pin;
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!await lock.unlock(pinInput.value.trim())) {
+                this.showFieldError(pinInput, 'Wrong PIN');
+                pinInput.select();
+                return;
+            }
+
+            ui.closeModal('widget-settings-modal');
+            ui.showToast('Layout unlocked', { type: 'info', duration: 2000 });
+        });
+    }
+
+    /**
+     * Warn when saving fails instead of losing changes silently
+     */
+    initStorage() {
+        state.subscribe('save-error', (error) => {
+            // One warning per failure streak; saves retry on every change
+            if (this.saveWarningShown) return;
+            this.saveWarningShown = true;
+
+            const message = isQuotaError(error)
+                ? 'Storage is full. Recent changes were not saved. Export your layout or remove large notes and lists to free space.'
+                : 'Your changes could not be saved. They will be lost when you close this page.';
+
+            ui.showToast(message, {
+                type: 'error',
+                duration: 10000,
+                action: {
+                    text: 'Details',
+                    handler: () => this.showStorageUsage()
+                }
+            });
+        });
+
+        state.subscribe('state-saved', () => {
+            this.saveWarningShown = false;
+        });
+    }
+
+    /**
+     * Keep other open tabs in step and surface edit conflicts
+     */
+    initSync() {
+        sync.start();
+
+        document.addEventListener('sync:conflict', (e) => {
+            const { widgetId, title, remoteConfig } = e.detail;
+
+            ui.showToast(`"${ui.escapeHtml(title)}" was also changed in another tab. Keeping your version.`, {
+                type: 'warning',
+                duration: 8000,
+                action: {
+                    text: 'Use theirs',
+                    handler: () => state.updateWidget(widgetId, { config: remoteConfig })
+                }
+            });
+        });
+    }
+
+    /**
+     * Show how much storage the dashboard uses
+     */
+    async showStorageUsage() {
+        let usage;
         try {
-            const layout = state.exportLayout();
-            const blob = new Blob([JSON.stringify(layout, null, 2)], { 
-                type: 'application/json' 
+            usage = await state.getStorageUsage();
+        } catch (error) {
+            console.error('Failed to read storage usage:', error);
+            ui.showToast('Could not read storage usage', { 
+                type: 'error', 
+                duration: 3000 
             });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `dashboard-layout-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            return;
+        }
+
+        const percent = usage.used !== null && usage.quota
+            ? Math.min(100, Math.round((usage.used / usage.quota) * 100))
+            : null;
+
+        const form = document.createElement('form');
+        form.id = 'widget-settings-form';
+        form.innerHTML = `
+            <div class="form-group">
+                <p class="storage-summary">
+                    Saved with <strong>${ui.escapeHtml(usage.backend)}</strong>.
+                    ${usage.used !== null
+                        ? `Using ${this.formatBytes(usage.used)}${usage.quota ? ` of ${this.formatBytes(usage.quota)}` : ''}.`
+                        : 'This browser does not report usage.'}
+                </p>
+                ${percent !== null ? `
+                    <div class="storage-meter ${percent >= 90 ? 'is-full' : ''}" role="meter" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}" aria-label="Storage used">
+                        <div class="storage-meter-fill" style="width: ${percent}%"></div>
+                    </div>
+                ` : ''}
+                <p class="form-help">Dashboard data: ${this.formatBytes(usage.stateSize)}</p>
+            </div>
+
+            <div class="form-group">
+                <span class="form-label">By workspace</span>
+                <ul class="storage-list">
+                    ${usage.workspaces.map(workspace => `
+                        <li>
+                            <span>${ui.escapeHtml(workspace.name)}</span>
+                            <span class="menu-item-meta">${this.formatBytes(workspace.size)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+
+        ui.showModal('widget-settings-modal', {
+            title: 'Storage Usage',
+            content: form,
+            submitText: 'Done'
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            ui.closeModal('widget-settings-modal');
+        });
+    }
+
+    /**
+     * Show saved snapshots with restore and download actions
+     */
+    async showHistory() {
+        const list = await snapshots.list();
+
+        const form = document.createElement('form');
+        form.id = 'widget-settings-form';
+        form.innerHTML = `
+            <div class="form-group history-header">
+                <p class="form-help">Snapshots are taken before imports, resets and restores, and hourly while you edit. The ${snapshots.limit} most recent are kept.</p>
+                <button type="button" class="outline-button" data-action="snapshot-create">Take Snapshot</button>
+            </div>
+
+            ${list.length ? `
+                <ul class="history-list">
+                    ${list.map(snapshot => this.renderSnapshotItem(snapshot)).join('')}
+                </ul>
+            ` : '<p class="form-help">No snapshots yet.</p>'}
+        `;
+
+        ui.showModal('widget-settings-modal', {
+            title: 'History',
+            content: form,
+            submitText: 'Done'
+        });
+
+        form.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const { action, snapshotId } = button.dataset;
+            if (action === 'snapshot-create') {
+                button.disabled = true;
+                const snapshot = await snapshots.create('manual');
+                if (snapshot) {
+                    this.showHistory();
+                } else {
+                    button.disabled = false;
+                    ui.showToast('Could not save snapshot', { type: 'error', duration: 3000 });
+                }
+            } else if (action === 'snapshot-restore') {
+                this.restoreSnapshot(snapshotId);
+            } else if (action === 'snapshot-download') {
+                this.downloadSnapshot(snapshotId);
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            ui.closeModal('widget-settings-modal');
+        });
+    }
+
+    /**
+     * Render one snapshot in the history list
+     * @param {Object} snapshot - Snapshot
+     * @returns {string} HTML
+     */
+    renderSnapshotItem(snapshot) {
+        const counts = snapshots.getCounts(snapshot);
+        const createdAt = new Date(snapshot.createdAt);
+
+        return `
+            <li class="history-item">
+                <div class="history-item-info">
+                    <span class="history-item-title">
+                        <time datetime="${snapshot.createdAt}">${createdAt.toLocaleString()}</time>
+                        <span class="menu-item-meta">${REASON_LABELS[snapshot.reason] || ui.escapeHtml(snapshot.reason)}</span>
+                    </span>
+                    <span class="form-help">
+                        ${counts.widgets} widget${counts.widgets === 1 ? '' : 's'} in ${counts.workspaces} workspace${counts.workspaces === 1 ? '' : 's'}
+                        · ${this.describeSnapshotDiff(snapshots.diff(snapshot))}
+                    </span>
+                </div>
+                <div class="history-item-actions">
+                    <button type="button" class="ghost-button" data-action="snapshot-restore" data-snapshot-id="${snapshot.id}">Restore</button>
+                    <button type="button" class="icon-button" data-action="snapshot-download" data-snapshot-id="${snapshot.id}" aria-label="Download snapshot" title="Download">
+                        <svg aria-hidden="true">
+                            <use href="assets/icons.svg#download"></use>
+                        </svg>
+                    </button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Summarize what restoring a snapshot would change
+     * @param {Object} diff - Result of snapshots.diff()
+     * @returns {string} Summary
+     */
+    describeSnapshotDiff(diff) {
+        const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+        const changes = [];
+
+        if (diff.added) changes.push(`${plural(diff.added, 'widget')} back`);
+        if (diff.removed) changes.push(`${plural(diff.removed, 'widget')} fewer`);
+        if (diff.changed) changes.push(`${plural(diff.changed, 'widget')} different`);
+        if (diff.workspacesAdded) changes.push(`${plural(diff.workspacesAdded, 'workspace')} back`);
+        if (diff.workspacesRemoved) changes.push(`${plural(diff.workspacesRemoved, 'workspace')} fewer`);
+        if (diff.themes) changes.push(`${plural(diff.themes, 'theme')} different`);
+        if (diff.settings) changes.push('different settings');
+
+        return changes.length ? `vs. now: ${changes.join(', ')}` : 'Same as now';
+    }
+
+    /**
+     * Replace the dashboard with a snapshot after confirmation
+     * @param {string} snapshotId - Snapshot ID
+     */
+    restoreSnapshot(snapshotId) {
+        const snapshot = snapshots.get(snapshotId);
+        if (!snapshot) return;
+
+        const createdAt = new Date(snapshot.createdAt).toLocaleString();
+        if (!confirm(`Replace all workspaces with the snapshot from ${createdAt}? Your current dashboard will be kept in History.`)) {
+            return;
+        }
+
+        ui.closeModal('widget-settings-modal');
+
+        if (snapshots.restore(snapshotId)) {
+            ui.showToast(`Restored snapshot from ${createdAt}`, { 
+                type: 'success', 
+                duration: 6000,
+                action: {
+                    text: 'History',
+                    handler: () => this.showHistory()
+                }
+            });
+        } else {
+            ui.showToast('Failed to restore snapshot', { 
+                type: 'error', 
+                duration: 3000 
+            });
+        }
+    }
+
+    /**
+     * Download a snapshot as an importable workspaces file
+     * @param {string} snapshotId - Snapshot ID
+     */
+    downloadSnapshot(snapshotId) {
+        const snapshot = snapshots.get(snapshotId);
+        if (!snapshot) return;
+
+        const stamp = snapshot.createdAt.slice(0, 16).replace(/[T:]/g, '-');
+        this.downloadJson({ ...snapshot.data, exportedAt: snapshot.createdAt }, `dashboard-snapshot-${stamp}.json`);
+    }
+
+    /**
+     * Save data as a JSON file
+     * @param {Object} data - Data to save
+     * @param {string} filename - File name
+     */
+    downloadJson(data, filename) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { 
+            type: 'application/json' 
+        });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Show the scheduler's jobs and when they run next, updated live, with
+     * a switch to pause every update
+     */
+    showScheduledJobs() {
+        const form = document.createElement('form');
+        form.id = 'widget-settings-form';
+        form.innerHTML = `
+            <div class="form-group history-header">
+                <p class="form-help">Clock ticks and widget refreshes run from one scheduler. Widgets pause their jobs while they can't be seen.</p>
+                <button type="button" class="outline-button" data-action="scheduler-pause"></button>
+            </div>
+            <ul class="history-list scheduler-list"></ul>
+        `;
+
+        const list = form.querySelector('.scheduler-list');
+        const pauseButton = form.querySelector('[data-action="scheduler-pause"]');
+
+        let viewJob = null;
+
+        // Rebuilt only when jobs come or go, so focus stays on the buttons
+        const render = () => {
+            if (!form.closest('dialog')?.open) {
+                viewJob.cancel();
+                return;
+            }
+
+            const jobs = scheduler.getJobs().filter(job => job.id !== viewJob.id);
+            const ids = jobs.map(job => job.id).join();
+            if (list.dataset.jobIds !== ids) {
+                list.dataset.jobIds = ids;
+                list.innerHTML = jobs.length
+                    ? jobs.map(job => this.renderScheduledJob(job)).join('')
+                    : '<li class="form-help">No jobs scheduled.</li>';
+            }
+
+            jobs.forEach(job => {
+                const item = list.querySelector(`[data-job-id="${job.id}"]`);
+                item.querySelector('.scheduler-job-state').textContent = job.state;
+                item.querySelector('.form-help').textContent = this.describeScheduledJob(job);
+            });
+
+            const { paused } = scheduler.getStatus();
+            pauseButton.textContent = paused ? 'Resume Updates' : 'Pause Updates';
+            pauseButton.setAttribute('aria-pressed', String(paused));
+        };
+
+        ui.showModal('widget-settings-modal', {
+            title: 'Scheduled Jobs',
+            content: form,
+            submitText: 'Done'
+        });
+
+        // Stops itself once the dialog is closed or shows something else
+        viewJob = scheduler.add({
+            name: 'Scheduled Jobs view',
+            interval: 1000,
+            align: true,
+            pausable: false,
+            run: render
+        });
+        render();
+
+        form.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'scheduler-pause') {
+                if (scheduler.getStatus().paused) {
+                    scheduler.resumeAll();
+                } else {
+                    scheduler.pauseAll();
+                }
+                render();
+            } else if (button.dataset.action === 'scheduler-run') {
+                scheduler.runNow(button.closest('[data-job-id]').dataset.jobId);
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            ui.closeModal('widget-settings-modal');
+        });
+    }
+
+    /**
+     * Render one job in the scheduler view; its state and timing are filled in on each update
+     * @param {Object} job - Job from scheduler.getJobs()
+     * @returns {string} HTML
+     */
+    renderScheduledJob(job) {
+        return `
+            <li class="history-item" data-job-id="${job.id}">
+                <div class="history-item-info">
+                    <span class="history-item-title">
+                        ${ui.escapeHtml(job.name)}
+                        <span class="menu-item-meta scheduler-job-state"></span>
+                    </span>
+                    <span class="form-help"></span>
+                </div>
+                <div class="history-item-actions">
+                    <button type="button" class="ghost-button" data-action="scheduler-run">Run Now</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Describe a job's interval, next run and failures
+     * @param {Object} job - Job from scheduler.getJobs()
+     * @returns {string} Summary
+     */
+    describeScheduledJob(job) {
+        const parts = [`Every ${this.formatDuration(job.interval)}${job.align ? ', on the clock' : ''}`];
+
+        if (job.state === 'scheduled') {
+            parts.push(`next in ${this.formatDuration(Math.max(0, job.nextRun - Date.now()))}`);
+        }
+        if (job.failures) {
+            parts.push(`${job.failures} failed, backing off: ${job.lastError}`);
+        }
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Human readable size
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+
+    /**
+     * Format a duration for display
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Human readable duration
+     */
+    formatDuration(ms) {
+        if (ms < 60000) return `${Math.ceil(ms / 1000)} s`;
+        if (ms < 3600000) return `${Math.round(ms / 60000)} min`;
+        return `${+(ms / 3600000).toFixed(1)} h`;
+    }
+
+    /**
+     * Export layout
+     * @param {Object} options - Export options
+     * @param {boolean} options.all - Export every workspace instead of the active one
+     */
+    exportLayout({ all = false } = {}) {
+        try {
+            const layout = all ? state.exportWorkspaces() : state.exportLayout();
+            const date = new Date().toISOString().split('T')[0];
+            this.downloadJson(layout, all ? `dashboard-workspaces-${date}.json` : `dashboard-layout-${date}.json`);
 
             ui.showToast('Layout exported successfully', { 
                 type: 'success', 
@@ -498,24 +1738,234 @@ class DashboardApp {
     }
 
     /**
-     * Import layout
+     * Validate a layout file and show the import preview
      * @param {Object} layout - Layout data
      */
     importLayout(layout) {
-        if (confirm('This will replace your current layout. Continue?')) {
-            const success = state.importLayout(layout);
-            if (success) {
-                this.grid.renderAllWidgets();
-                ui.showToast('Layout imported successfully', { 
-                    type: 'success', 
+        const isLayoutFile = layout && typeof layout === 'object' &&
+            (Array.isArray(layout.widgets) || Array.isArray(layout.workspaces));
+
+        if (!isLayoutFile) {
+            ui.showToast('Invalid layout file', { 
+                type: 'error', 
+                duration: 3000 
+            });
+            return;
+        }
+
+        if (isNewerVersion(layout)) {
+            ui.showToast(`This layout was created by a newer version of the dashboard (schema ${ui.escapeHtml(layout.version)}) and can't be imported.`, {
+                type: 'error',
+                duration: 6000
+            });
+            return;
+        }
+
+        let report;
+        try {
+            const migrated = migrate(layout);
+            report = validateLayout(migrated);
+        } catch (error) {
+            console.error('Failed to validate layout:', error);
+            ui.showToast('Invalid layout file', { 
+                type: 'error', 
+                duration: 3000 
+            });
+            return;
+        }
+
+        this.showImportPreview(report);
+    }
+
+    /**
+     * Show the validation report and import options
+     * @param {Object} report - Result of validateLayout()
+     */
+    showImportPreview(report) {
+        const { layout, errors } = report;
+        const isWorkspaceSet = Array.isArray(layout.workspaces);
+        const count = isWorkspaceSet ? layout.workspaces.length : 0;
+        const widgetCount = isWorkspaceSet
+            ? layout.workspaces.reduce((total, workspace) => total + workspace.widgets.length, 0)
+            : layout.widgets.length;
+        const shownErrors = errors.slice(0, 20);
+
+        const form = document.createElement('form');
+        form.id = 'widget-settings-form';
+        form.innerHTML = `
+            <div class="import-report ${errors.length ? 'has-errors' : ''}" role="status">
+                <p class="import-report-summary">
+                    ${isWorkspaceSet ? `${count} workspace${count === 1 ? '' : 's'}, ` : ''}${widgetCount} widget${widgetCount === 1 ? '' : 's'}.
+                    ${errors.length
+                        ? `Found ${errors.length} problem${errors.length === 1 ? '' : 's'}. Importing will repair ${errors.length === 1 ? 'it' : 'them'} as described below.`
+                        : 'No problems found.'}
+                </p>
+                ${errors.length ? `
+                    <ul class="import-report-list">
+                        ${shownErrors.map(error => `
+                            <li>${error.path ? `<code>${ui.escapeHtml(error.path)}</code> ` : ''}${ui.escapeHtml(error.message)}</li>
+                        `).join('')}
+                        ${errors.length > shownErrors.length ? `<li>…and ${errors.length - shownErrors.length} more</li>` : ''}
+                    </ul>
+                ` : ''}
+            </div>
+
+            <div class="form-group">
+                <label class="radio">
+                    <input type="radio" name="mode" value="add" checked>
+                    <span class="radio-indicator"></span>
+                    ${isWorkspaceSet ? `Add ${count} workspace${count === 1 ? '' : 's'} alongside your own` : 'Add as a new workspace'}
+                </label>
+            </div>
+
+            ${isWorkspaceSet ? '' : `
+                <div class="form-group">
+                    <label class="radio">
+                        <input type="radio" name="mode" value="merge">
+                        <span class="radio-indicator"></span>
+                        Merge widgets into the current workspace
+                    </label>
+                </div>
+
+                ${this.createMergeOptions(layout)}
+            `}
+
+            <div class="form-group">
+                <label class="radio">
+                    <input type="radio" name="mode" value="replace">
+                    <span class="radio-indicator"></span>
+                    ${isWorkspaceSet ? 'Replace all workspaces' : 'Replace the current workspace'}
+                </label>
+            </div>
+        `;
+
+        ui.showModal('widget-settings-modal', {
+            title: 'Import Layout',
+            content: form,
+            submitText: errors.length ? 'Repair and Import' : 'Import'
+        });
+
+        // Merge options only apply to merge mode
+        const mergeOptions = form.querySelector('.import-merge-options');
+        form.addEventListener('change', (e) => {
+            if (mergeOptions && e.target.name === 'mode') {
+                mergeOptions.hidden = e.target.value !== 'merge';
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const formData = new FormData(form);
+            const mode = formData.get('mode');
+            const options = {
+                widgetIds: formData.getAll('widget'),
+                takeTheme: formData.get('theme') === 'take',
+                takeSettings: formData.get('settings') === 'take'
+            };
+
+            if (mode === 'merge' && options.widgetIds.length === 0) {
+                ui.showToast('Select at least one widget to merge', { 
+                    type: 'warning', 
                     duration: 3000 
                 });
-            } else {
-                ui.showToast('Failed to import layout', { 
-                    type: 'error', 
+                return;
+            }
+
+            ui.closeModal('widget-settings-modal');
+            this.applyImport(layout, mode, options);
+        });
+    }
+
+    /**
+     * Create the widget picker and theme/settings choices for merge imports
+     * @param {Object} layout - Validated layout data
+     * @returns {string} Options HTML
+     */
+    createMergeOptions(layout) {
+        const { theme } = state.getState();
+        const themeNames = { system: 'System', light: 'Light', dark: 'Dark', amoled: 'AMOLED' };
+
+        return `
+            <fieldset class="import-merge-options" hidden>
+                <legend class="form-label">Widgets to bring in</legend>
+                ${layout.widgets.map(widget => `
+                    <div class="form-group">
+                        <label class="checkbox">
+                            <input type="checkbox" name="widget" value="${ui.escapeHtml(widget.id)}" checked>
+                            <span class="checkbox-indicator"></span>
+                            ${ui.escapeHtml(widget.config.title || this.getWidgetTitle(widget.type))}
+                            <span class="menu-item-meta">${this.getWidgetTitle(widget.type)}, ${widget.w}×${widget.h}</span>
+                        </label>
+                    </div>
+                `).join('')}
+
+                ${layout.theme && layout.theme !== theme ? `
+                    <div class="form-group">
+                        <label class="form-label" for="import-theme">Theme</label>
+                        <select id="import-theme" name="theme" class="input">
+                            <option value="keep">Keep ${themeNames[theme] || theme}</option>
+                            <option value="take">Use ${themeNames[layout.theme] || layout.theme}</option>
+                        </select>
+                    </div>
+                ` : ''}
+
+                ${layout.settings ? `
+                    <div class="form-group">
+                        <label class="form-label" for="import-settings">Settings</label>
+                        <select id="import-settings" name="settings" class="input">
+                            <option value="keep">Keep my settings</option>
+                            <option value="take">Use imported settings</option>
+                        </select>
+                    </div>
+                ` : ''}
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Apply an imported layout file
+     * @param {Object} layout - Layout data
+     * @param {string} mode - 'add', 'merge' or 'replace'
+     * @param {Object} options - Merge options {widgetIds, takeTheme, takeSettings}
+     */
+    applyImport(layout, mode, options = {}) {
+        let success;
+
+        if (Array.isArray(layout.workspaces)) {
+            success = state.importWorkspaces(layout, { replace: mode === 'replace' });
+        } else if (mode === 'merge') {
+            undo.beginBatch('Merge import');
+            const added = state.mergeLayout(layout, options);
+            undo.endBatch();
+
+            if (added) {
+                ui.showToast(`${added.length} widget${added.length === 1 ? '' : 's'} merged into ${ui.escapeHtml(state.getActiveWorkspace().name)}`, { 
+                    type: 'success', 
                     duration: 3000 
                 });
+                return;
             }
+            success = false;
+        } else if (mode === 'add') {
+            const workspace = state.importWorkspace(layout);
+            success = Boolean(workspace) && state.switchWorkspace(workspace.id);
+        } else {
+            // Tear down while the old widgets still map onto the old layout
+            this.grid.destroyAllWidgets();
+            success = state.importLayout(layout);
+            this.grid.renderAllWidgets();
+        }
+
+        if (success) {
+            ui.showToast('Layout imported successfully', { 
+                type: 'success', 
+                duration: 3000 
+            });
+        } else {
+            ui.showToast('Failed to import layout', { 
+                type: 'error', 
+                duration: 3000 
+            });
         }
     }
 
@@ -523,12 +1973,19 @@ class DashboardApp {
      * Reset layout
      */
     resetLayout() {
-        if (confirm('This will reset your dashboard to the default layout. Continue?')) {
+        if (confirm('This will reset the current workspace to the default layout. Continue?')) {
+            this.grid.destroyAllWidgets();
             state.resetToDefault();
             this.grid.renderAllWidgets();
+
+            const entry = undo.peek();
             ui.showToast('Layout reset to default', { 
                 type: 'success', 
-                duration: 3000 
+                duration: 6000,
+                action: entry ? {
+                    text: 'Undo',
+                    handler: () => this.undoStep(entry.id)
+                } : null
             });
         }
     }
@@ -542,7 +1999,10 @@ class DashboardApp {
         const lowerQuery = query.toLowerCase();
 
         widgets.forEach(widget => {
-            const title = widget.querySelector('.widget-title')?.textContent.toLowerCase() || '';
+            // Tab groups match on the titles of their tabs too
+            const title = [...widget.querySelectorAll('.widget-title, [role="tab"]')]
+                .map(element => element.textContent.toLowerCase())
+                .join(' ');
             const type = widget.dataset.widgetType?.toLowerCase() || '';
             const matches = title.includes(lowerQuery) || type.includes(lowerQuery);
             
@@ -555,8 +2015,31 @@ class DashboardApp {
      * @param {KeyboardEvent} e - Keyboard event
      */
     handleKeyboardShortcuts(e) {
+        // Ctrl/Cmd + Shift + L: Lock or unlock the layout
+        if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'l') {
+            e.preventDefault();
+            this.toggleLock();
+            return;
+        }
+
+        // Nothing below may change a locked layout
+        const locked = lock.isLocked();
+
+        // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y: Redo
+        // Text fields keep their native undo
+        if ((e.ctrlKey || e.metaKey) && !locked && !this.isTextInput(e.target)) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undoStep();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redoStep();
+            }
+        }
+
         // Ctrl/Cmd + N: Add new widget
-        if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
+        if ((e.ctrlKey || e.metaKey) && !locked && e.key === 'n') {
             e.preventDefault();
             this.showAddWidgetModal();
         }
@@ -568,7 +2051,7 @@ class DashboardApp {
         }
 
         // Ctrl/Cmd + I: Import layout
-        if ((e.ctrlKey || e.metaKey) && e.key === 'i') {
+        if ((e.ctrlKey || e.metaKey) && !locked && e.key === 'i') {
             e.preventDefault();
             this.showImportDialog();
         }
@@ -586,15 +2069,25 @@ class DashboardApp {
         }
     }
 
+    /**
+     * Check if an element is a text input
+     * @param {Element} element - Element to check
+     * @returns {boolean} True for inputs, textareas and editable content
+     */
+    isTextInput(element) {
+        if (!element || !element.closest) return false;
+        return Boolean(element.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+
     /**
      * Toggle fullscreen mode
+     * @returns {Promise<boolean>} False if the browser refused
      */
     toggleFullscreen() {
-        if (!document.fullscreenElement) {
-            document.documentElement.requestFullscreen?.();
-        } else {
-            document.exitFullscreen?.();
-        }
+        const request = !document.fullscreenElement
+            ? document.documentElement.requestFullscreen?.()
+            : document.exitFullscreen?.();
+        return Promise.resolve(request).then(() => Boolean(request), () => false);
     }
 }
 
@@ -605,5 +2098,12 @@ const app = new DashboardApp();
 window.dashboard = {
     app,
     state,
-    ui
+    ui,
+    undo,
+    sync,
+    snapshots,
+    registry,
+    lock,
+    scheduler,
+    providers
 };
\ No newline at end of file
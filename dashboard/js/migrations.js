@@ -0,0 +1,154 @@
+/**
+ * State Schema Migrations
+ * Upgrades saved states and exported layouts step by step to the current schema
+ */
+
+export const SCHEMA_VERSION = '1.4.0';
+
+// Files written before versioning was checked
+const LEGACY_VERSION = '1.0.0';
+
+/**
+ * Migration steps in ascending order. Each step upgrades data from the
+ * previous version to `version` and may mutate the data it is given.
+ */
+const migrations = [
+    {
+        version: '1.1.0',
+        description: 'Calendar notes become event objects',
+        migrate(data) {
+            forEachWidget(data, widget => {
+                if (widget.type !== 'calendar' || !widget.config || !widget.config.notes) return;
+
+                const notes = {};
+                Object.entries(widget.config.notes).forEach(([date, note]) => {
+                    notes[date] = typeof note === 'string'
+                        ? { text: note, updatedAt: null }
+                        : note;
+                });
+
+                widget.config = { ...widget.config, notes };
+            });
+        }
+    },
+    {
+        version: '1.2.0',
+        description: 'Weather city becomes a list of locations',
+        migrate(data) {
+            forEachWidget(data, widget => {
+                if (widget.type !== 'weather' || !widget.config || !('city' in widget.config)) return;
+
+                const { city, ...config } = widget.config;
+                if (typeof city === 'string' && city.trim()) {
+                    config.locations = [{ id: 'location-1', name: city.trim() }];
+                }
+
+                widget.config = config;
+            });
+        }
+    },
+    {
+        version: '1.3.0',
+        description: 'Weather units become a choice per measurement',
+        migrate(data) {
+            const presets = {
+                metric: { temperatureUnit: 'celsius', windUnit: 'kmh', pressureUnit: 'hpa', precipitationUnit: 'mm' },
+                imperial: { temperatureUnit: 'fahrenheit', windUnit: 'mph', pressureUnit: 'inhg', precipitationUnit: 'in' },
+                kelvin: { temperatureUnit: 'kelvin', windUnit: 'kmh', pressureUnit: 'hpa', precipitationUnit: 'mm' }
+            };
+
+            forEachWidget(data, widget => {
+                if (widget.type !== 'weather' || !widget.config || !('units' in widget.config)) return;
+
+                const { units, ...config } = widget.config;
+                widget.config = { ...config, ...presets[units] };
+            });
+        }
+    },
+    {
+        version: '1.4.0',
+        description: 'Weather API key becomes a live data switch',
+        migrate(data) {
+            forEachWidget(data, widget => {
+                if (widget.type !== 'weather' || !widget.config || !('apiKey' in widget.config)) return;
+
+                // The key was never sent; any key only turned live data on
+                const { apiKey, ...config } = widget.config;
+                widget.config = { ...config, live: Boolean(apiKey) };
+            });
+        }
+    }
+];
+
+/**
+ * Call a function for every widget in a state, layout, or workspace export
+ * @param {Object} data - Data containing widgets and/or workspaces
+ * @param {Function} callback - Called with each widget object
+ */
+function forEachWidget(data, callback) {
+    if (Array.isArray(data.widgets)) {
+        data.widgets.forEach(callback);
+    }
+
+    if (Array.isArray(data.workspaces)) {
+        data.workspaces.forEach(workspace => {
+            if (Array.isArray(workspace.widgets)) {
+                workspace.widgets.forEach(callback);
+            }
+        });
+    }
+}
+
+/**
+ * Compare two dotted version strings
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+    const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+    const length = Math.max(partsA.length, partsB.length);
+
+    for (let i = 0; i < length; i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+
+    return 0;
+}
+
+/**
+ * Check whether data was written by a newer, unsupported schema
+ * @param {Object} data - Saved state or exported layout
+ * @returns {boolean} True if the data is newer than this build understands
+ */
+export function isNewerVersion(data) {
+    return compareVersions(data.version || LEGACY_VERSION, SCHEMA_VERSION) > 0;
+}
+
+/**
+ * Upgrade data to the current schema version
+ * @param {Object} data - Saved state or exported layout
+ * @returns {Object} Migrated copy of the data
+ * @throws {Error} If the data comes from a newer schema version
+ */
+export function migrate(data) {
+    const version = data.version || LEGACY_VERSION;
+
+    if (isNewerVersion(data)) {
+        throw new Error(`This file was created by a newer version of the dashboard (schema ${version}). This version supports up to ${SCHEMA_VERSION}.`);
+    }
+
+    const migrated = JSON.parse(JSON.stringify(data));
+
+    migrations
+        .filter(step => compareVersions(step.version, version) > 0)
+        .forEach(step => {
+            step.migrate(migrated);
+            migrated.version = step.version;
+        });
+
+    migrated.version = SCHEMA_VERSION;
+    return migrated;
+}
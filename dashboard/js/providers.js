@@ -0,0 +1,339 @@
+/**
+ * Data Providers
+ * Where widgets get outside data such as weather, stock quotes and quotes.
+ * A provider is a name plus a backend that loads data for a query: sample
+ * data, an HTTP endpoint, or a JSON file. Responses are cached in storage
+ * for a time to live, so a reload doesn't refetch everything; two widgets
+ * asking for the same thing share one request; and stale data is shown at
+ * once while fresh data loads, or instead of it when offline.
+ *
+ * Every backend implements the same interface:
+ *   key          - identifies the backend in cache keys
+ *   load(query)  - resolves to the data, or null if there is none for the query
+ */
+
+import state from './state.js';
+
+const STORAGE_KEY = 'dashboard-data-cache';
+
+// Cache limits: entries beyond the newest MAX_ENTRIES, or older than
+// MAX_AGE, are dropped when the cache is saved
+const MAX_ENTRIES = 100;
+const MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 1 week
+
+// Wait this long after a response before writing the cache
+const SAVE_DELAY = 1000;
+
+// Give up on HTTP requests after this long
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Backend that makes data up, for demos and offline use
+ */
+export class MockBackend {
+    /**
+     * @param {Function} generate - Returns the data for a query, or null
+     */
+    constructor(generate) {
+        this.key = 'mock';
+        this.generate = generate;
+    }
+
+    /**
+     * Load data
+     * @param {Object} query - Query
+     * @returns {Promise<*>} Data or null
+     */
+    async load(query) {
+        return this.generate(query);
+    }
+}
+
+/**
+ * Backend that fetches JSON from a URL built from the query
+ */
+export class HttpBackend {
+    /**
+     * @param {Object} options - Backend options
+     * @param {string} options.url - URL; `{name}` placeholders are filled from the query
+     * @param {Function} options.transform - Turns the response into data: (json, query, fetchJson) => data.
+     *     Can make follow-up requests with fetchJson(url).
+     * @param {number} options.timeout - Milliseconds before a request fails
+     */
+    constructor({ url, transform = json => json, timeout = DEFAULT_TIMEOUT }) {
+        this.key = `http:${url}`;
+        this.url = url;
+        this.transform = transform;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Load data
+     * @param {Object} query - Query
+     * @returns {Promise<*>} Data or null
+     */
+    async load(query) {
+        const getJson = url => fetchJson(url, { timeout: this.timeout });
+        const json = await getJson(fillTemplate(this.url, query));
+        return this.transform(json, query, getJson);
+    }
+}
+
+/**
+ * Backend that reads one JSON file, e.g. shipped next to the dashboard or
+ * served locally, and picks the data for each query out of it. The file is
+ * fetched again only when the cache runs out.
+ */
+export class JsonFileBackend {
+    /**
+     * @param {string} url - File URL
+     * @param {Function} select - Picks the data for a query: (json, query) => data
+     */
+    constructor(url, select) {
+        this.key = `file:${url}`;
+        this.url = url;
+        this.select = select;
+    }
+
+    /**
+     * Load data
+     * @param {Object} query - Query
+     * @returns {Promise<*>} Data or null
+     */
+    async load(query) {
+        const json = await fetchJson(this.url);
+        return this.select(json, query) ?? null;
+    }
+}
+
+export class DataProviders {
+    /**
+     * @param {Object} state - State manager whose storage holds the cache
+     */
+    constructor(state) {
+        this.state = state;
+
+        // Cached responses by cache key {data, updatedAt}
+        this.cache = new Map();
+        this.loading = null;
+        this.saveTimeout = null;
+
+        // Requests in flight by cache key, shared by everyone asking
+        this.pending = new Map();
+    }
+
+    /**
+     * Create a provider
+     * @param {string} name - Provider name, e.g. 'weather'
+     * @param {Object} backend - Backend to load from
+     * @param {Object} options - Provider options
+     * @param {number} options.ttl - Milliseconds a response stays fresh
+     * @returns {Object} Provider {name, backend, ttl, get(query, options)}
+     */
+    create(name, backend, { ttl }) {
+        const provider = {
+            name,
+            backend,
+            ttl,
+            get: (query, options) => this.request(provider, query, options)
+        };
+        return provider;
+    }
+
+    /**
+     * Get data, from the cache while it is fresh. Stale data is returned at
+     * once and refreshed in the background; onUpdate hears about the fresh
+     * data. Without a cached copy this waits for the backend.
+     * @param {Object} provider - Provider from create()
+     * @param {Object} query - Query, e.g. {symbol: 'AAPL'}
+     * @param {Object} options - Request options
+     * @param {number} options.maxAge - Treat data older than this as stale, if shorter than the TTL
+     * @param {boolean} options.force - Skip the cache
+     * @param {Function} options.onUpdate - Called with the result of a background refresh
+     * @returns {Promise<Object>} Result {data, updatedAt, stale, error}; data is null if there is none
+     * @throws {Error} If loading fails and nothing is cached
+     */
+    async request(provider, query = {}, { maxAge = Infinity, force = false, onUpdate = null } = {}) {
+        await this.loadCache();
+
+        const key = getCacheKey(provider, query);
+        const cached = this.cache.get(key);
+        const age = cached ? Date.now() - cached.updatedAt : Infinity;
+
+        if (cached && !force && age < Math.min(provider.ttl, maxAge)) {
+            return { ...cached, stale: false, error: null };
+        }
+
+        if (cached && !force) {
+            this.fetch(key, provider, query)
+                .then(entry => onUpdate?.({ ...entry, stale: false, error: null }))
+                .catch(error => console.warn(`Could not refresh ${provider.name} data:`, error));
+            return { ...cached, stale: true, error: null };
+        }
+
+        try {
+            const entry = await this.fetch(key, provider, query);
+            return { ...entry, stale: false, error: null };
+        } catch (error) {
+            if (!cached) throw error;
+
+            // Offline, or the service is down: the last response will do
+            return { ...cached, stale: true, error };
+        }
+    }
+
+    /**
+     * Load from the backend, joining a request already in flight
+     * @param {string} key - Cache key
+     * @param {Object} provider - Provider
+     * @param {Object} query - Query
+     * @returns {Promise<Object>} Entry {data, updatedAt}
+     */
+    fetch(key, provider, query) {
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+
+        const request = provider.backend.load(query)
+            .then(data => {
+                const entry = { data: data ?? null, updatedAt: Date.now() };
+
+                // Nothing found isn't worth keeping; it may exist next time
+                if (entry.data !== null) {
+                    this.cache.set(key, entry);
+                    this.scheduleSave();
+                }
+                return entry;
+            })
+            .finally(() => this.pending.delete(key));
+
+        this.pending.set(key, request);
+        return request;
+    }
+
+    /**
+     * Read the stored cache, once
+     * @returns {Promise} Resolves when the cache is loaded
+     */
+    loadCache() {
+        if (!this.loading) {
+            this.loading = this.state.storage.get(STORAGE_KEY)
+                .then(stored => {
+                    if (!stored || typeof stored !== 'object') return;
+
+                    Object.entries(stored).forEach(([key, entry]) => {
+                        if (entry && Number.isFinite(entry.updatedAt) && !this.cache.has(key)) {
+                            this.cache.set(key, entry);
+                        }
+                    });
+                })
+                .catch(error => console.error('Failed to load data cache:', error));
+        }
+        return this.loading;
+    }
+
+    /**
+     * Save the cache once responses stop coming in
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => this.saveCache(), SAVE_DELAY);
+    }
+
+    /**
+     * Write the newest cache entries to storage
+     */
+    async saveCache() {
+        const now = Date.now();
+        const entries = [...this.cache.entries()]
+            .filter(([, entry]) => now - entry.updatedAt < MAX_AGE)
+            .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+            .slice(0, MAX_ENTRIES);
+
+        this.cache = new Map(entries);
+
+        try {
+            await this.state.storage.set(STORAGE_KEY, Object.fromEntries(entries));
+        } catch (error) {
+            console.error('Failed to save data cache:', error);
+        }
+    }
+
+    /**
+     * Forget every cached response
+     */
+    async clearCache() {
+        clearTimeout(this.saveTimeout);
+        this.cache.clear();
+
+        try {
+            await this.state.storage.remove(STORAGE_KEY);
+        } catch (error) {
+            console.error('Failed to clear data cache:', error);
+        }
+    }
+}
+
+/**
+ * Fetch and parse JSON, failing on HTTP errors and after a timeout
+ * @param {string} url - URL
+ * @param {Object} options - Options
+ * @param {number} options.timeout - Milliseconds before giving up
+ * @returns {Promise<*>} Parsed response
+ */
+export async function fetchJson(url, { timeout = DEFAULT_TIMEOUT } = {}) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller && setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, { signal: controller?.signal });
+        if (!response.ok) {
+            throw new Error(`${url} responded with ${response.status}`);
+        }
+        return await response.json();
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Fill `{name}` placeholders in a URL from a query
+ * @param {string} template - URL template
+ * @param {Object} query - Query values
+ * @returns {string} URL
+ */
+export function fillTemplate(template, query) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(query[name] ?? ''));
+}
+
+/**
+ * Describe when data was fetched, for a "last updated" line
+ * @param {Object} result - Result from a provider
+ * @returns {string} E.g. "Updated 14:05" or "Offline · updated Mar 3, 14:05"
+ */
+export function describeUpdated(result) {
+    const updated = new Date(result.updatedAt);
+    const sameDay = updated.toDateString() === new Date().toDateString();
+    const time = sameDay
+        ? updated.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : updated.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+    return result.error ? `Offline · updated ${time}` : `Updated ${time}`;
+}
+
+/**
+ * Build the cache key of a request. Query keys are sorted so the same
+ * query always gives the same key.
+ * @param {Object} provider - Provider
+ * @param {Object} query - Query
+ * @returns {string} Cache key
+ */
+function getCacheKey(provider, query) {
+    const params = Object.keys(query).sort().map(key => `${key}=${JSON.stringify(query[key])}`);
+    return `${provider.name}|${provider.backend.key}|${params.join('&')}`;
+}
+
+// Create and export global data provider instance
+const providers = new DataProviders(state);
+
+export default providers;
@@ -0,0 +1,413 @@
+/**
+ * Widget Registry
+ * Widget modules describe themselves with an exported `manifest`. The widget
+ * library, default titles and sizes, import validation and the grid loader
+ * all read from here, so adding a widget never means editing those lists.
+ *
+ * Manifest fields:
+ *   type          Unique widget type, stored in layouts
+ *   title         Default widget title
+ *   description   One line for the widget library
+ *   icon          Sprite icon name, or an image URL for third-party widgets
+ *   defaultSize   {w, h} in grid cells when added (the preferred size)
+ *   minSize       {w, h} smallest allowed size
+ *   maxSize       {w, h} largest allowed size
+ *   aspectRatio   Optional width / height in grid cells to keep while
+ *                 resizing, or (config) => ratio|null to lock it per config
+ *   configSchema  Settings keyed by config key, e.g.
+ *                 { format: { type: 'select', label, options, default } }
+ *                 Field types: text, select, toggle, number, list
+ *   settingsForm  Optional (config, schemaForm) => {el, getValues()} for a custom
+ *                 settings UI, shown below the generated fields. schemaForm's
+ *                 getValues() and setValues(values) read and fill those fields.
+ *   container     True for widgets that hold other widgets, such as tab groups.
+ *                 They are created by grouping rather than from the library and
+ *                 their instance must offer setTabs(tabs), getPanel(id) and
+ *                 getTabIds().
+ *
+ * A widget module must also export createWidget(config) and may export
+ * validateConfig(config).
+ */
+
+// Modules that ship with the dashboard, relative to this file
+const BUILTIN_MODULES = [
+    './widgets/clock.js',
+    './widgets/weather.js',
+    './widgets/notes.js',
+    './widgets/todo.js',
+    './widgets/pomodoro.js',
+    './widgets/calendar.js',
+    './widgets/quotes.js',
+    './widgets/stocks.js',
+    './widgets/links.js',
+    './widgets/system.js',
+    './widgets/tabs.js'
+];
+
+const STORAGE_KEY = 'dashboard-widget-modules';
+
+const DEFAULT_SIZE = { w: 3, h: 2 };
+const MIN_SIZE = { w: 1, h: 1 };
+const MAX_SIZE = { w: 24, h: 20 };
+
+class WidgetRegistry {
+    constructor() {
+        // type -> { manifest, module, url, builtin }
+        this.widgets = new Map();
+        this.storage = null;
+        this.ready = null;
+    }
+
+    /**
+     * Load built-in widgets and third-party modules installed earlier
+     * @param {Object} storage - Storage adapter used to remember installed modules
+     * @returns {Promise} Resolves once all modules have loaded or failed
+     */
+    load(storage) {
+        if (!this.ready) {
+            this.storage = storage;
+            this.ready = this.loadAll();
+        }
+        return this.ready;
+    }
+
+    /**
+     * Import every known module. A broken module only takes out its own widget.
+     */
+    async loadAll() {
+        await Promise.all(BUILTIN_MODULES.map(async specifier => {
+            try {
+                this.register(await import(specifier), { url: specifier, builtin: true });
+            } catch (error) {
+                console.error(`Failed to load widget module ${specifier}:`, error);
+            }
+        }));
+
+        const installed = await this.getInstalledUrls();
+        await Promise.all(installed.map(async url => {
+            try {
+                this.register(await import(url), { url });
+            } catch (error) {
+                console.error(`Failed to load widget module ${url}:`, error);
+            }
+        }));
+    }
+
+    /**
+     * Add a loaded widget module to the registry
+     * @param {Object} module - Widget module namespace
+     * @param {Object} options - Registration options
+     * @param {string} options.url - Where the module was loaded from
+     * @param {boolean} options.builtin - Ships with the dashboard
+     * @returns {Object} Normalized manifest
+     * @throws {Error} If the module is not a valid widget or its type is taken
+     */
+    register(module, { url = null, builtin = false } = {}) {
+        const manifest = normalizeManifest(module);
+
+        if (this.widgets.has(manifest.type)) {
+            throw new Error(`A widget of type "${manifest.type}" is already registered`);
+        }
+
+        this.widgets.set(manifest.type, { manifest, module, url, builtin });
+        this.emit('registered', { manifest, builtin });
+        return manifest;
+    }
+
+    /**
+     * Install a third-party widget module and remember it for next time
+     * @param {string} url - Absolute http(s) URL of an ES module
+     * @returns {Promise<Object>} Manifest of the installed widget
+     * @throws {Error} If the URL or the module is not valid
+     */
+    async registerFromUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new Error('Enter a full URL, e.g. https://example.com/widget.js');
+        }
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+            throw new Error('Widget modules must be loaded over http or https');
+        }
+
+        let module;
+        try {
+            module = await import(parsed.href);
+        } catch (error) {
+            throw new Error(`Could not load ${parsed.href}: ${error.message}`);
+        }
+
+        const manifest = this.register(module, { url: parsed.href });
+
+        const installed = await this.getInstalledUrls();
+        if (!installed.includes(parsed.href)) {
+            await this.storage.set(STORAGE_KEY, [...installed, parsed.href]);
+        }
+
+        return manifest;
+    }
+
+    /**
+     * Remove a third-party widget. Widgets of this type already on a board
+     * stay in the layout but can't load until the module is installed again.
+     * @param {string} type - Widget type
+     */
+    async unregister(type) {
+        const entry = this.widgets.get(type);
+        if (!entry || entry.builtin) return;
+
+        this.widgets.delete(type);
+
+        const installed = await this.getInstalledUrls();
+        await this.storage.set(STORAGE_KEY, installed.filter(url => url !== entry.url));
+        this.emit('unregistered', { manifest: entry.manifest });
+    }
+
+    /**
+     * Read the URLs of installed third-party modules
+     * @returns {Promise<Array<string>>} URLs
+     */
+    async getInstalledUrls() {
+        if (!this.storage) return [];
+
+        try {
+            const urls = await this.storage.get(STORAGE_KEY);
+            return Array.isArray(urls) ? urls : [];
+        } catch (error) {
+            console.error('Failed to read installed widget modules:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Check whether a widget type is registered
+     * @param {string} type - Widget type
+     * @returns {boolean} True if registered
+     */
+    has(type) {
+        return this.widgets.has(type);
+    }
+
+    /**
+     * Get a widget's manifest
+     * @param {string} type - Widget type
+     * @returns {Object|null} Manifest
+     */
+    get(type) {
+        const entry = this.widgets.get(type);
+        return entry ? entry.manifest : null;
+    }
+
+    /**
+     * Get all manifests, built-in widgets first
+     * @returns {Array<Object>} Manifests
+     */
+    list() {
+        const entries = [...this.widgets.values()];
+        const order = entry => (entry.builtin ? BUILTIN_MODULES.indexOf(entry.url) : BUILTIN_MODULES.length);
+
+        return entries
+            .sort((a, b) => order(a) - order(b))
+            .map(entry => entry.manifest);
+    }
+
+    /**
+     * List third-party widgets
+     * @returns {Array<Object>} Entries {manifest, url}
+     */
+    listInstalled() {
+        return [...this.widgets.values()]
+            .filter(entry => !entry.builtin)
+            .map(entry => ({ manifest: entry.manifest, url: entry.url }));
+    }
+
+    /**
+     * Get the module for a widget type, waiting for the registry to load
+     * @param {string} type - Widget type
+     * @returns {Promise<Object>} Widget module
+     * @throws {Error} If the type is not registered
+     */
+    async getModule(type) {
+        await this.ready;
+
+        const entry = this.widgets.get(type);
+        if (!entry) {
+            throw new Error(`Unknown widget type "${type}"`);
+        }
+        return entry.module;
+    }
+
+    /**
+     * Check whether a widget type holds other widgets
+     * @param {string} type - Widget type
+     * @returns {boolean} True for containers such as tab groups
+     */
+    isContainer(type) {
+        const manifest = this.get(type);
+        return Boolean(manifest && manifest.container);
+    }
+
+    /**
+     * Get the default title for a widget type
+     * @param {string} type - Widget type
+     * @returns {string} Title
+     */
+    getTitle(type) {
+        const manifest = this.get(type);
+        return manifest ? manifest.title : type;
+    }
+
+    /**
+     * Get the size limits of a widget
+     * @param {string} type - Widget type
+     * @param {Object} config - Widget config, for per-config aspect locks
+     * @returns {Object} Limits {minSize, maxSize, aspectRatio}; defaults for unknown types
+     */
+    getSizeLimits(type, config = {}) {
+        const manifest = this.get(type);
+        if (!manifest) {
+            return { minSize: { ...MIN_SIZE }, maxSize: { ...MAX_SIZE }, aspectRatio: null };
+        }
+
+        let aspectRatio = manifest.aspectRatio;
+        if (typeof aspectRatio === 'function') {
+            try {
+                aspectRatio = aspectRatio(config || {});
+            } catch (error) {
+                console.error(`Aspect ratio of widget "${type}" failed:`, error);
+                aspectRatio = null;
+            }
+        }
+
+        return {
+            minSize: manifest.minSize,
+            maxSize: manifest.maxSize,
+            aspectRatio: typeof aspectRatio === 'number' && aspectRatio > 0 ? aspectRatio : null
+        };
+    }
+
+    /**
+     * Fit a size into a widget's limits and the grid width
+     * @param {string} type - Widget type
+     * @param {Object} config - Widget config
+     * @param {Object} size - Requested size {w, h}
+     * @param {Object} options - Options
+     * @param {number} options.cols - Grid column count
+     * @param {string} options.drive - Dimension the user changed ('w' or 'h'); the
+     *   other one follows it when the aspect ratio is locked
+     * @returns {Object} Size {w, h, limited} where limited is 'min', 'max' or null
+     */
+    constrainSize(type, config, size, { cols = MAX_SIZE.w, drive = 'w' } = {}) {
+        const { minSize, maxSize, aspectRatio } = this.getSizeLimits(type, config);
+
+        // The grid edge wins over a minimum that doesn't fit
+        const maxW = Math.max(1, Math.min(maxSize.w, cols));
+        const minW = Math.min(minSize.w, maxW);
+        const clampW = w => Math.min(maxW, Math.max(minW, Math.round(w)));
+        const clampH = h => Math.min(maxSize.h, Math.max(minSize.h, Math.round(h)));
+
+        let w = clampW(size.w);
+        let h = clampH(size.h);
+
+        if (aspectRatio) {
+            if (drive === 'h') {
+                w = clampW(h * aspectRatio);
+                h = clampH(w / aspectRatio);
+            } else {
+                h = clampH(w / aspectRatio);
+                w = clampW(h * aspectRatio);
+            }
+        }
+
+        // With a locked ratio the other dimension is expected to follow
+        const result = { w, h };
+        let limited = null;
+        (aspectRatio ? [drive] : ['w', 'h']).forEach(key => {
+            if (result[key] < Math.round(size[key])) {
+                limited = 'max';
+            } else if (result[key] > Math.round(size[key]) && !limited) {
+                limited = 'min';
+            }
+        });
+
+        return { ...result, limited };
+    }
+
+    /**
+     * Get config validators of all registered widgets
+     * @returns {Object} Validators keyed by widget type
+     */
+    getValidators() {
+        const validators = {};
+        this.widgets.forEach(({ module }, type) => {
+            if (typeof module.validateConfig === 'function') {
+                validators[type] = module.validateConfig;
+            }
+        });
+        return validators;
+    }
+
+    /**
+     * Emit custom event
+     * @param {string} eventName - Event name
+     * @param {*} detail - Event detail data
+     */
+    emit(eventName, detail) {
+        document.dispatchEvent(new CustomEvent(`registry:${eventName}`, { detail }));
+    }
+}
+
+/**
+ * Check a widget module and fill in optional manifest fields
+ * @param {Object} module - Widget module namespace
+ * @returns {Object} Manifest
+ * @throws {Error} If the module is not a usable widget
+ */
+function normalizeManifest(module) {
+    const manifest = module && module.manifest;
+
+    if (!manifest || typeof manifest !== 'object') {
+        throw new Error('Module does not export a widget manifest');
+    }
+    if (typeof manifest.type !== 'string' || !/^[a-z][\w-]*$/i.test(manifest.type)) {
+        throw new Error('Manifest type must start with a letter and contain only letters, numbers, "-" and "_"');
+    }
+    if (typeof module.createWidget !== 'function') {
+        throw new Error(`Widget "${manifest.type}" does not export createWidget()`);
+    }
+
+    const size = (value, fallback) => ({
+        w: Number.isInteger(value?.w) && value.w > 0 ? value.w : fallback.w,
+        h: Number.isInteger(value?.h) && value.h > 0 ? value.h : fallback.h
+    });
+
+    const minSize = size(manifest.minSize, MIN_SIZE);
+    const maxSize = size(manifest.maxSize, MAX_SIZE);
+    maxSize.w = Math.max(maxSize.w, minSize.w);
+    maxSize.h = Math.max(maxSize.h, minSize.h);
+    const defaultSize = size(manifest.defaultSize, DEFAULT_SIZE);
+
+    return {
+        ...manifest,
+        title: typeof manifest.title === 'string' && manifest.title ? manifest.title : manifest.type,
+        description: typeof manifest.description === 'string' ? manifest.description : '',
+        icon: typeof manifest.icon === 'string' && manifest.icon ? manifest.icon : 'settings',
+        minSize,
+        maxSize,
+        defaultSize: {
+            w: Math.min(Math.max(defaultSize.w, minSize.w), maxSize.w),
+            h: Math.min(Math.max(defaultSize.h, minSize.h), maxSize.h)
+        },
+        aspectRatio: typeof manifest.aspectRatio === 'function' ||
+            (typeof manifest.aspectRatio === 'number' && manifest.aspectRatio > 0) ? manifest.aspectRatio : null,
+        configSchema: manifest.configSchema && typeof manifest.configSchema === 'object' ? manifest.configSchema : {},
+        settingsForm: typeof manifest.settingsForm === 'function' ? manifest.settingsForm : null,
+        container: manifest.container === true
+    };
+}
+
+// Create and export global widget registry instance
+const registry = new WidgetRegistry();
+
+export default registry;
@@ -0,0 +1,280 @@
+/**
+ * Scheduler
+ * Runs the dashboard's periodic work, such as clock ticks and widget
+ * refreshes, from a single timer instead of one setInterval per widget.
+ * Jobs can be aligned to the wall clock, jittered so refreshes don't all
+ * fire together, and back off after failures. Everything can be paused at
+ * once; jobs that came due while paused run as soon as they resume.
+ */
+
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT = 2147483647;
+
+// Failed jobs wait twice as long after each failure, up to this many intervals
+const DEFAULT_MAX_BACKOFF = 16;
+
+class Scheduler {
+    constructor() {
+        this.jobs = new Map();
+        this.paused = false;
+        this.timer = null;
+        this.nextId = 0;
+    }
+
+    /**
+     * Register a job
+     * @param {Object} options - Job options
+     * @param {string} options.name - Name shown in the debug view
+     * @param {number} options.interval - Milliseconds between runs
+     * @param {Function} options.run - Work to do; a throw or rejection counts as a failure
+     * @param {boolean} options.align - Run on multiples of the interval, e.g. exactly on the second
+     * @param {number} options.jitter - Up to this fraction of the interval is added to each wait
+     * @param {number} options.maxBackoff - Longest wait after failures, in milliseconds; 16 intervals by default
+     * @param {boolean} options.immediate - Run once straight away
+     * @param {boolean} options.paused - Start paused
+     * @param {boolean} options.pausable - False to keep running while everything is paused,
+     *     for timers the user started
+     * @returns {ScheduledJob} Job handle
+     */
+    add(options) {
+        const job = new ScheduledJob(this, `job-${++this.nextId}`, options);
+        this.jobs.set(job.id, job);
+
+        job.nextRun = job.immediate ? Date.now() : this.getNextRun(job, Date.now());
+        this.arm();
+        return job;
+    }
+
+    /**
+     * Pause every job that allows it
+     */
+    pauseAll() {
+        this.paused = true;
+        this.arm();
+        this.emit('changed', this.getStatus());
+    }
+
+    /**
+     * Resume jobs after pauseAll, running the ones that came due
+     */
+    resumeAll() {
+        this.paused = false;
+        this.arm();
+        this.emit('changed', this.getStatus());
+    }
+
+    /**
+     * Get the scheduler state
+     * @returns {Object} Status {paused, jobs}
+     */
+    getStatus() {
+        return { paused: this.paused, jobs: this.jobs.size };
+    }
+
+    /**
+     * List the registered jobs for the debug view, oldest first
+     * @returns {Array} Jobs {id, name, interval, align, state, nextRun, lastRun, failures, lastError}
+     */
+    getJobs() {
+        return [...this.jobs.values()].map(job => ({
+            id: job.id,
+            name: job.name,
+            interval: job.interval,
+            align: job.align,
+            state: job.running ? 'running' : (this.canRun(job) ? 'scheduled' : 'paused'),
+            nextRun: job.nextRun,
+            lastRun: job.lastRun,
+            failures: job.failures,
+            lastError: job.lastError
+        }));
+    }
+
+    /**
+     * Run a job as soon as possible
+     * @param {string} jobId - Job ID
+     */
+    runNow(jobId) {
+        this.jobs.get(jobId)?.runNow();
+    }
+
+    /**
+     * Check whether a job may run when it is due
+     * @param {ScheduledJob} job - Job
+     * @returns {boolean} True unless it, or everything, is paused
+     */
+    canRun(job) {
+        return !job.paused && (!this.paused || !job.pausable);
+    }
+
+    /**
+     * Work out when a job runs next
+     * @param {ScheduledJob} job - Job
+     * @param {number} now - Current time
+     * @returns {number} Timestamp
+     */
+    getNextRun(job, now) {
+        if (job.failures > 0) {
+            const maxBackoff = job.maxBackoff || job.interval * DEFAULT_MAX_BACKOFF;
+            return now + Math.min(job.interval * 2 ** job.failures, maxBackoff);
+        }
+        if (job.align) {
+            return (Math.floor(now / job.interval) + 1) * job.interval;
+        }
+        return now + job.interval + Math.round(Math.random() * job.jitter * job.interval);
+    }
+
+    /**
+     * Set the timer for the job due soonest
+     */
+    arm() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        let next = Infinity;
+        this.jobs.forEach(job => {
+            if (!job.running && this.canRun(job)) {
+                next = Math.min(next, job.nextRun);
+            }
+        });
+        if (next === Infinity) return;
+
+        const delay = Math.min(Math.max(0, next - Date.now()), MAX_TIMEOUT);
+        this.timer = setTimeout(() => this.runDue(), delay);
+    }
+
+    /**
+     * Run every job that is due, then wait for the next one
+     */
+    runDue() {
+        this.timer = null;
+
+        const now = Date.now();
+        this.jobs.forEach(job => {
+            if (!job.running && this.canRun(job) && job.nextRun <= now) {
+                this.runJob(job);
+            }
+        });
+        this.arm();
+    }
+
+    /**
+     * Run a job and schedule its next run once it has finished
+     * @param {ScheduledJob} job - Job
+     */
+    async runJob(job) {
+        job.running = true;
+        job.lastRun = Date.now();
+
+        try {
+            // Only wait for jobs that return a promise, so synchronous ones finish at once
+            const result = job.run();
+            if (result && typeof result.then === 'function') {
+                await result;
+            }
+            job.failures = 0;
+            job.lastError = null;
+        } catch (error) {
+            job.failures++;
+            job.lastError = error?.message || String(error);
+            console.error(`Scheduled job "${job.name}" failed:`, error);
+        }
+
+        job.running = false;
+        if (!this.jobs.has(job.id)) return;
+
+        job.nextRun = this.getNextRun(job, Date.now());
+        this.arm();
+    }
+
+    /**
+     * Emit custom event
+     * @param {string} eventName - Event name
+     * @param {*} detail - Event detail data
+     */
+    emit(eventName, detail) {
+        document.dispatchEvent(new CustomEvent(`scheduler:${eventName}`, { detail }));
+    }
+}
+
+/**
+ * Handle for a registered job
+ */
+class ScheduledJob {
+    constructor(scheduler, id, options) {
+        this.scheduler = scheduler;
+        this.id = id;
+        this.name = options.name || id;
+        this.interval = options.interval;
+        this.run = options.run;
+        this.align = options.align === true;
+        this.jitter = options.jitter || 0;
+        this.maxBackoff = options.maxBackoff || null;
+        this.immediate = options.immediate === true;
+        this.paused = options.paused === true;
+        this.pausable = options.pausable !== false;
+
+        this.nextRun = 0;
+        this.lastRun = null;
+        this.running = false;
+        this.failures = 0;
+        this.lastError = null;
+    }
+
+    /**
+     * Stop running the job until resume()
+     */
+    pause() {
+        if (this.paused) return;
+
+        this.paused = true;
+        this.scheduler.arm();
+    }
+
+    /**
+     * Carry on running the job. A run that came due while paused happens
+     * straight away.
+     */
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this.scheduler.arm();
+    }
+
+    /**
+     * Run the job as soon as possible, then carry on as usual
+     */
+    runNow() {
+        this.nextRun = Date.now();
+        this.scheduler.arm();
+    }
+
+    /**
+     * Change the job's name or interval, starting a fresh wait if the
+     * interval changed
+     * @param {Object} options - {name, interval}
+     */
+    update({ name, interval } = {}) {
+        if (name) {
+            this.name = name;
+        }
+        if (interval && interval !== this.interval) {
+            this.interval = interval;
+            this.nextRun = this.scheduler.getNextRun(this, Date.now());
+            this.scheduler.arm();
+        }
+    }
+
+    /**
+     * Remove the job. A run in progress finishes but isn't repeated.
+     */
+    cancel() {
+        this.scheduler.jobs.delete(this.id);
+        this.scheduler.arm();
+    }
+}
+
+// Create and export global scheduler instance
+const scheduler = new Scheduler();
+
+export default scheduler;
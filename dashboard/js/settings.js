@@ -0,0 +1,447 @@
+/**
+ * Widget Settings Forms
+ * Builds settings forms from the config schema in widget manifests
+ *
+ * Field types and their options:
+ *   text    required, maxLength, pattern (regex string), format: 'url', placeholder
+ *   select  options [{value, label}]
+ *   toggle  -
+ *   number  min, max, step, unit, scale (stored value = shown value × scale)
+ *   list    itemSchema (fields of one item), createItem() for extra item data, maxItems
+ *
+ * Every field takes a label, optional help text and a default.
+ */
+
+import ui from './ui.js';
+import { isHttpUrl } from './validation.js';
+
+let fieldCounter = 0;
+
+/**
+ * Get the config a schema describes when every field is at its default
+ * @param {Object} schema - Config schema
+ * @returns {Object} Default values keyed by config key
+ */
+export function getSchemaDefaults(schema) {
+    const defaults = {};
+    Object.entries(schema).forEach(([key, field]) => {
+        if (field.default !== undefined) {
+            defaults[key] = clone(field.default);
+        }
+    });
+    return defaults;
+}
+
+/**
+ * Build form fields for a config schema
+ * @param {Object} schema - Config schema
+ * @param {Object} config - Current config
+ * @returns {Object} Form {el, getValues(), setValues(values), validate(), showErrors(errors)}
+ */
+export function createSchemaForm(schema, config = {}) {
+    const el = document.createElement('div');
+    el.className = 'schema-form';
+
+    const fields = Object.entries(schema).map(([key, field]) => createField(key, field, config[key]));
+    fields.forEach(field => el.appendChild(field.el));
+
+    return {
+        el,
+
+        getValues() {
+            const values = {};
+            fields.forEach(field => {
+                values[field.key] = field.getValue();
+            });
+            return values;
+        },
+
+        setValues(values) {
+            fields.forEach(field => {
+                if (field.key in values) {
+                    field.setValue(values[field.key]);
+                }
+            });
+        },
+
+        /**
+         * Check every field and mark the invalid ones
+         * @returns {Object} Error messages keyed by config key; empty when valid
+         */
+        validate() {
+            const errors = {};
+            fields.forEach(field => {
+                const error = field.validate();
+                if (error) {
+                    errors[field.key] = error;
+                }
+            });
+            this.showErrors(errors);
+            return errors;
+        },
+
+        showErrors(errors) {
+            fields.forEach(field => field.showError(errors[field.key] || null));
+        }
+    };
+}
+
+/**
+ * Create one field
+ * @param {string} key - Config key
+ * @param {Object} field - Field schema
+ * @param {*} value - Current value
+ * @returns {Object} Field {key, el, getValue(), setValue(value), validate(), showError(message)}
+ */
+function createField(key, field, value) {
+    const id = `settings-${key}-${++fieldCounter}`;
+    const current = value === undefined ? clone(field.default) : value;
+
+    const group = document.createElement('div');
+    group.className = `form-group schema-field schema-field-${field.type}`;
+
+    const error = document.createElement('p');
+    error.className = 'form-error';
+    error.id = `${id}-error`;
+    error.hidden = true;
+
+    const creators = {
+        text: createTextControl,
+        select: createSelectControl,
+        toggle: createToggleControl,
+        number: createNumberControl,
+        list: createListControl
+    };
+    const create = creators[field.type] || createTextControl;
+    const control = create(id, field, current, group);
+
+    if (field.help) {
+        const help = document.createElement('p');
+        help.className = 'form-help';
+        help.textContent = field.help;
+        group.appendChild(help);
+    }
+    group.appendChild(error);
+
+    return {
+        key,
+        el: group,
+        getValue: control.getValue,
+        setValue: control.setValue,
+        validate: control.validate,
+        showError(message) {
+            error.textContent = message || '';
+            error.hidden = !message;
+            group.classList.toggle('has-error', Boolean(message));
+            group.querySelectorAll(':scope > .input, :scope > * > .input').forEach(input => {
+                if (message) {
+                    input.setAttribute('aria-invalid', 'true');
+                    input.setAttribute('aria-describedby', error.id);
+                } else {
+                    input.removeAttribute('aria-invalid');
+                    input.removeAttribute('aria-describedby');
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Add a field label to a group
+ * @param {Element} group - Field group
+ * @param {string} id - Control ID
+ * @param {Object} field - Field schema
+ */
+function appendLabel(group, id, field) {
+    const label = document.createElement('label');
+    label.className = 'form-label';
+    label.htmlFor = id;
+    label.textContent = field.unit ? `${field.label} (${field.unit})` : field.label;
+    group.appendChild(label);
+}
+
+/**
+ * Create a text input
+ * @param {string} id - Control ID
+ * @param {Object} field - Field schema
+ * @param {*} value - Current value
+ * @param {Element} group - Field group to render into
+ * @returns {Object} Control {getValue(), setValue(value), validate()}
+ */
+function createTextControl(id, field, value, group) {
+    appendLabel(group, id, field);
+
+    const input = document.createElement('input');
+    input.type = field.format === 'url' ? 'url' : 'text';
+    input.id = id;
+    input.className = 'input';
+    input.value = value ?? '';
+    if (field.placeholder) input.placeholder = field.placeholder;
+    if (field.maxLength) input.maxLength = field.maxLength;
+    group.appendChild(input);
+
+    return {
+        getValue: () => input.value.trim(),
+        setValue(next) {
+            input.value = next ?? '';
+        },
+        validate() {
+            const text = input.value.trim();
+            if (!text) {
+                return field.required ? `${field.label} is required` : null;
+            }
+            if (field.maxLength && text.length > field.maxLength) {
+                return `Use at most ${field.maxLength} characters`;
+            }
+            if (field.format === 'url' && !isHttpUrl(text)) {
+                return 'Enter a full http:// or https:// address';
+            }
+            if (field.pattern && !new RegExp(field.pattern).test(text)) {
+                return `${field.label} contains characters that aren't allowed`;
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * Create a select
+ * @param {string} id - Control ID
+ * @param {Object} field - Field schema
+ * @param {*} value - Current value
+ * @param {Element} group - Field group to render into
+ * @returns {Object} Control {getValue(), setValue(value), validate()}
+ */
+function createSelectControl(id, field, value, group) {
+    appendLabel(group, id, field);
+
+    // Keep a value that isn't offered (e.g. from an import) selectable
+    const options = [...(field.options || [])];
+    if (value !== undefined && !options.some(option => option.value === value)) {
+        options.push({ value, label: String(value) });
+    }
+
+    const select = document.createElement('select');
+    select.id = id;
+    select.className = 'input';
+    select.innerHTML = options.map((option, index) => `
+        <option value="${index}">${ui.escapeHtml(option.label)}</option>
+    `).join('');
+    group.appendChild(select);
+
+    const setValue = next => {
+        const index = options.findIndex(option => option.value === next);
+        select.selectedIndex = Math.max(index, 0);
+    };
+    setValue(value);
+
+    // Option values may be numbers; map the DOM index back to the real value
+    return {
+        getValue: () => options[select.selectedIndex]?.value,
+        setValue,
+        validate: () => null
+    };
+}
+
+/**
+ * Create a checkbox toggle
+ * @param {string} id - Control ID
+ * @param {Object} field - Field schema
+ * @param {*} value - Current value
+ * @param {Element} group - Field group to render into
+ * @returns {Object} Control {getValue(), setValue(value), validate()}
+ */
+function createToggleControl(id, field, value, group) {
+    const label = document.createElement('label');
+    label.className = 'checkbox';
+    label.innerHTML = `
+        <input type="checkbox" id="${id}">
+        <span class="checkbox-indicator"></span>
+        <span>${ui.escapeHtml(field.label)}</span>
+    `;
+    group.appendChild(label);
+
+    const input = label.querySelector('input');
+    input.checked = Boolean(value);
+
+    return {
+        getValue: () => input.checked,
+        setValue(next) {
+            input.checked = Boolean(next);
+        },
+        validate: () => null
+    };
+}
+
+/**
+ * Create a number input with a slider for its range
+ * @param {string} id - Control ID
+ * @param {Object} field - Field schema
+ * @param {*} value - Current value
+ * @param {Element} group - Field group to render into
+ * @returns {Object} Control {getValue(), setValue(value), validate()}
+ */
+function createNumberControl(id, field, value, group) {
+    appendLabel(group, id, field);
+
+    const scale = field.scale || 1;
+    const row = document.createElement('div');
+    row.className = 'schema-range';
+
+    const range = document.createElement('input');
+    range.type = 'range';
+    range.tabIndex = -1;
+    range.setAttribute('aria-hidden', 'true');
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = id;
+    input.className = 'input';
+
+    [range, input].forEach(element => {
+        if (field.min !== undefined) element.min = field.min;
+        if (field.max !== undefined) element.max = field.max;
+        element.step = field.step || 1;
+    });
+
+    // The slider only makes sense with both ends known
+    if (field.min !== undefined && field.max !== undefined) {
+        row.appendChild(range);
+    }
+    row.appendChild(input);
+    group.appendChild(row);
+
+    const setValue = next => {
+        const shown = typeof next === 'number' ? next / scale : '';
+        input.value = shown;
+        range.value = shown;
+    };
+    setValue(value);
+
+    range.addEventListener('input', () => {
+        input.value = range.value;
+    });
+    input.addEventListener('input', () => {
+        range.value = input.value;
+    });
+
+    return {
+        getValue: () => (input.value === '' ? undefined : Math.round(Number(input.value) * scale)),
+        setValue,
+        validate() {
+            const shown = Number(input.value);
+            if (input.value === '' || !Number.isFinite(shown)) {
+                return 'Enter a number';
+            }
+            if ((field.min !== undefined && shown < field.min) || (field.max !== undefined && shown > field.max)) {
+                return `Must be between ${field.min} and ${field.max}`;
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * Create a list editor with one sub-form per item
+ * @param {string} id - Control ID
+ * @param {Object} field - Field schema
+ * @param {*} value - Current value
+ * @param {Element} group - Field group to render into
+ * @returns {Object} Control {getValue(), setValue(value), validate()}
+ */
+function createListControl(id, field, value, group) {
+    const label = document.createElement('span');
+    label.className = 'form-label';
+    label.id = id;
+    label.textContent = field.label;
+    group.appendChild(label);
+
+    const list = document.createElement('ol');
+    list.className = 'schema-list';
+    list.setAttribute('aria-labelledby', id);
+    group.appendChild(list);
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'outline-button';
+    addButton.textContent = 'Add';
+    group.appendChild(addButton);
+
+    let rows = [];
+
+    const updateAddButton = () => {
+        addButton.disabled = Boolean(field.maxItems) && rows.length >= field.maxItems;
+    };
+
+    // Each row keeps the original item so data the form doesn't show survives
+    const addRow = (item, focus = false) => {
+        const element = document.createElement('li');
+        element.className = 'schema-list-item';
+
+        const form = createSchemaForm(field.itemSchema || {}, item);
+        element.appendChild(form.el);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'icon-button';
+        remove.setAttribute('aria-label', 'Remove item');
+        remove.title = 'Remove';
+        remove.innerHTML = `
+            <svg aria-hidden="true">
+                <use href="assets/icons.svg#trash"></use>
+            </svg>
+        `;
+        element.appendChild(remove);
+
+        const row = { item, form, element };
+        remove.addEventListener('click', () => {
+            rows = rows.filter(other => other !== row);
+            element.remove();
+            updateAddButton();
+            group.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+
+        rows.push(row);
+        list.appendChild(element);
+        updateAddButton();
+
+        if (focus) {
+            element.querySelector('input, select')?.focus();
+        }
+    };
+
+    const setValue = items => {
+        rows = [];
+        list.innerHTML = '';
+        (Array.isArray(items) ? items : []).forEach(item => addRow(item));
+        updateAddButton();
+    };
+    setValue(value);
+
+    addButton.addEventListener('click', () => {
+        const item = {
+            ...getSchemaDefaults(field.itemSchema || {}),
+            ...(typeof field.createItem === 'function' ? field.createItem() : {})
+        };
+        addRow(item, true);
+        group.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+
+    return {
+        getValue: () => rows.map(row => ({ ...row.item, ...row.form.getValues() })),
+        setValue,
+        validate() {
+            const invalid = rows.filter(row => Object.keys(row.form.validate()).length > 0).length;
+            return invalid ? `Fix ${invalid === 1 ? 'the highlighted item' : `${invalid} highlighted items`}` : null;
+        }
+    };
+}
+
+/**
+ * Copy a default so edits never touch the schema
+ * @param {*} value - Value
+ * @returns {*} Deep copy
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,286 @@
+/**
+ * Snapshots
+ * Keeps a rolling set of full-state snapshots: before every import, reset,
+ * and restore, hourly while the dashboard is being edited, and on demand
+ */
+
+import state from './state.js';
+import { isQuotaError } from './storage.js';
+
+const STORAGE_KEY = 'dashboard-snapshots';
+
+// State events that carry the state from just before they happened
+const BACKUP_EVENTS = {
+    'layout-imported': 'import',
+    'layout-merged': 'import',
+    'workspace-imported': 'import',
+    'workspaces-imported': 'import',
+    'layout-reset': 'reset',
+    'state-restored': 'restore'
+};
+
+// Events that don't count as editing
+const IGNORED_EVENTS = new Set([
+    'state-saved', 'save-error', 'state-loaded', 'load-error', 'storage-migrated',
+    'layout-exported', 'workspaces-exported', 'import-error', 'restore-error',
+    'workspace-switching', 'workspace-switched', 'remote-state-applied'
+]);
+
+export const REASON_LABELS = {
+    import: 'Before import',
+    reset: 'Before reset',
+    restore: 'Before restore',
+    auto: 'Automatic',
+    manual: 'Manual'
+};
+
+class SnapshotManager {
+    constructor(state) {
+        this.state = state;
+        this.limit = 20;
+        this.interval = 60 * 60 * 1000;
+        this.autoDelay = 2000;
+
+        // Newest first
+        this.snapshots = [];
+        this.started = false;
+        this.autoTimeout = null;
+
+        // Storage writes run one after another
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Load stored snapshots and start taking new ones
+     * @returns {Promise} Resolves once stored snapshots are loaded
+     */
+    async start() {
+        if (this.started) return;
+        this.started = true;
+
+        Object.entries(BACKUP_EVENTS).forEach(([event, reason]) => {
+            this.state.subscribe(event, (data) => {
+                if (data && data.backup) {
+                    this.create(reason, data.backup);
+                }
+            });
+        });
+
+        this.state.subscribe('*', (data, event) => {
+            if (IGNORED_EVENTS.has(event) || event in BACKUP_EVENTS || this.state.applyingRemote) return;
+            this.scheduleAutoSnapshot();
+        });
+
+        try {
+            this.snapshots = await this.read();
+        } catch (error) {
+            console.error('Failed to load snapshots:', error);
+        }
+    }
+
+    /**
+     * Take an automatic snapshot once editing settles, at most once per interval
+     */
+    scheduleAutoSnapshot() {
+        if (this.autoTimeout || !this.isAutoSnapshotDue()) return;
+
+        // Let multi-step changes such as imports finish first
+        this.autoTimeout = setTimeout(() => {
+            this.autoTimeout = null;
+            if (this.isAutoSnapshotDue()) {
+                this.create('auto');
+            }
+        }, this.autoDelay);
+    }
+
+    /**
+     * Check whether the newest snapshot is older than the interval
+     * @returns {boolean} True if an automatic snapshot should be taken
+     */
+    isAutoSnapshotDue() {
+        const latest = this.snapshots[0];
+        return !latest || Date.now() - new Date(latest.createdAt).getTime() >= this.interval;
+    }
+
+    /**
+     * Take a snapshot
+     * @param {string} reason - 'import', 'reset', 'restore', 'auto' or 'manual'
+     * @param {Object} data - State to keep; defaults to the current state
+     * @returns {Promise<Object|null>} Created snapshot
+     */
+    create(reason, data = this.state.createBackup()) {
+        // Data this version could not read is not ours to snapshot
+        if (this.state.saveBlocked) return Promise.resolve(null);
+
+        const snapshot = {
+            id: `snapshot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            createdAt: new Date().toISOString(),
+            reason,
+            data
+        };
+
+        // Newest first, so the interval check sees it right away
+        this.snapshots = [snapshot, ...this.snapshots].slice(0, this.limit);
+
+        const saved = this.queue.then(() => this.persist(snapshot));
+        this.queue = saved.catch(() => {});
+
+        return saved.then(() => {
+            this.emit('created', { snapshot });
+            return snapshot;
+        }).catch(error => {
+            console.error('Failed to save snapshot:', error);
+            return null;
+        });
+    }
+
+    /**
+     * Write a new snapshot alongside those saved by other tabs
+     * @param {Object} snapshot - Snapshot to add
+     */
+    async persist(snapshot) {
+        const stored = await this.read();
+        let snapshots = [snapshot, ...stored.filter(item => item.id !== snapshot.id)]
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, this.limit);
+
+        // When space runs out, give up the oldest snapshots first
+        for (;;) {
+            try {
+                await this.state.storage.set(STORAGE_KEY, snapshots);
+                break;
+            } catch (error) {
+                if (!isQuotaError(error) || snapshots.length <= 1) throw error;
+                snapshots = snapshots.slice(0, -1);
+            }
+        }
+
+        this.snapshots = snapshots;
+    }
+
+    /**
+     * Read saved snapshots
+     * @returns {Promise<Array>} Snapshots, newest first
+     */
+    async read() {
+        const stored = await this.state.storage.get(STORAGE_KEY);
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    /**
+     * Get snapshots, including any saved by other tabs
+     * @returns {Promise<Array>} Snapshots, newest first
+     */
+    async list() {
+        try {
+            this.snapshots = await this.read();
+        } catch (error) {
+            console.error('Failed to load snapshots:', error);
+        }
+        return this.snapshots;
+    }
+
+    /**
+     * Find a snapshot by ID
+     * @param {string} snapshotId - Snapshot ID
+     * @returns {Object|undefined} Snapshot
+     */
+    get(snapshotId) {
+        return this.snapshots.find(snapshot => snapshot.id === snapshotId);
+    }
+
+    /**
+     * Replace the current state with a snapshot. The state being replaced
+     * is kept as a snapshot of its own.
+     * @param {string} snapshotId - Snapshot ID
+     * @returns {boolean} Success
+     */
+    restore(snapshotId) {
+        const snapshot = this.get(snapshotId);
+        if (!snapshot) return false;
+
+        const restored = this.state.restoreState(snapshot.data);
+        if (restored) {
+            this.emit('restored', { snapshot });
+        }
+        return restored;
+    }
+
+    /**
+     * Count workspaces and widgets in a snapshot
+     * @param {Object} snapshot - Snapshot
+     * @returns {Object} Counts {workspaces, widgets}
+     */
+    getCounts(snapshot) {
+        const { workspaces } = snapshot.data;
+        return {
+            workspaces: workspaces.length,
+            widgets: workspaces.reduce((total, workspace) => total + workspace.widgets.length, 0)
+        };
+    }
+
+    /**
+     * Compare a snapshot with the current state
+     * @param {Object} snapshot - Snapshot
+     * @returns {Object} What restoring would change {added, removed, changed,
+     *   workspacesAdded, workspacesRemoved, themes, settings} relative to now
+     */
+    diff(snapshot) {
+        const current = this.state.getWorkspacesData();
+        const index = data => {
+            const widgets = new Map();
+            data.workspaces.forEach(workspace => {
+                workspace.widgets.forEach(widget => {
+                    widgets.set(`${workspace.id}/${widget.id}`, JSON.stringify(widget));
+                });
+            });
+            return widgets;
+        };
+
+        const before = index(current);
+        const after = index(snapshot.data);
+        const currentWorkspaces = new Map(current.workspaces.map(workspace => [workspace.id, workspace]));
+        const snapshotIds = new Set(snapshot.data.workspaces.map(workspace => workspace.id));
+
+        const result = {
+            added: 0,
+            removed: 0,
+            changed: 0,
+            workspacesAdded: snapshot.data.workspaces.filter(workspace => !currentWorkspaces.has(workspace.id)).length,
+            workspacesRemoved: current.workspaces.filter(workspace => !snapshotIds.has(workspace.id)).length,
+            themes: snapshot.data.workspaces.filter(workspace => (
+                currentWorkspaces.has(workspace.id) && currentWorkspaces.get(workspace.id).theme !== workspace.theme
+            )).length,
+            settings: JSON.stringify(current.settings) !== JSON.stringify(snapshot.data.settings)
+        };
+
+        after.forEach((widget, key) => {
+            if (!before.has(key)) {
+                result.added++;
+            } else if (before.get(key) !== widget) {
+                result.changed++;
+            }
+        });
+        before.forEach((widget, key) => {
+            if (!after.has(key)) {
+                result.removed++;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Emit custom event
+     * @param {string} eventName - Event name
+     * @param {*} detail - Event detail data
+     */
+    emit(eventName, detail) {
+        document.dispatchEvent(new CustomEvent(`snapshot:${eventName}`, { detail }));
+    }
+}
+
+// Create and export global snapshot manager instance
+const snapshots = new SnapshotManager(state);
+
+export default snapshots;
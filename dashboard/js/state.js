@@ -3,18 +3,39 @@
  * Handles application state, persistence, and pub/sub events
  */
 
+import { SCHEMA_VERSION, isNewerVersion, migrate } from './migrations.js';
+import { GRID_LIMITS, validateLayout } from './validation.js';
+import registry from './registry.js';
+import {
+    BASE_BREAKPOINT, compactLayout, deriveLayout, findFreePosition, getBreakpointCols, overlaps, scaleLayout
+} from './layout.js';
+import { LocalStorageAdapter, createDefaultStorage } from './storage.js';
+
+const STORAGE_KEY = 'dashboard-state';
+
+// Container created when one widget is dropped onto another
+const TAB_GROUP_TYPE = 'tabs';
+
 class StateManager {
     constructor() {
         this.state = this.getDefaultState();
         this.listeners = new Map();
         this.debounceTimeout = null;
+        this.loadError = null;
+        this.saveBlocked = false;
+        this.applyingRemote = false;
+        this.storage = createDefaultStorage();
         
-        // Load saved state
-        this.loadState();
+        // Load saved state; resolves once the state is ready to use
+        this.ready = this.loadState();
         
-        // Auto-save state changes
-        this.subscribe('*', () => {
-            this.debouncedSave();
+        // Auto-save state changes. Save results aren't changes themselves,
+        // otherwise every save would schedule the next one
+        const persistenceEvents = new Set(['state-saved', 'save-error', 'load-error']);
+        this.subscribe('*', (data, event) => {
+            if (!persistenceEvents.has(event)) {
+                this.debouncedSave();
+            }
         });
     }
 
@@ -30,12 +51,17 @@ class StateManager {
             },
             widgets: this.getDefaultWidgets(),
             theme: 'system',
+            workspaces: [
+                { id: 'default', name: 'Default' }
+            ],
+            activeWorkspace: 'default',
             settings: {
                 autoSave: true,
                 animations: true,
-                notifications: true
+                notifications: true,
+                compactLayout: false
             },
-            version: '1.0.0'
+            version: SCHEMA_VERSION
         };
     }
 
@@ -50,6 +76,7 @@ class StateManager {
                 type: 'clock', 
                 x: 0, y: 0, w: 3, h: 2, 
                 minimized: false,
+                pinned: false,
                 config: { 
                     title: 'Clock',
                     format: '24h',
@@ -62,10 +89,11 @@ class StateManager {
                 type: 'weather', 
                 x: 3, y: 0, w: 3, h: 2,
                 minimized: false,
+                pinned: false,
                 config: { 
                     title: 'Weather',
-                    city: 'New York',
-                    units: 'metric'
+                    locations: [{ id: 'new-york', name: 'New York' }],
+                    temperatureUnit: 'celsius'
                 }
             },
             { 
@@ -73,6 +101,7 @@ class StateManager {
                 type: 'pomodoro', 
                 x: 6, y: 0, w: 3, h: 2,
                 minimized: false,
+                pinned: false,
                 config: { 
                     title: 'Pomodoro',
                     workDuration: 25,
@@ -84,6 +113,7 @@ class StateManager {
                 type: 'todo', 
                 x: 9, y: 0, w: 3, h: 2,
                 minimized: false,
+                pinned: false,
                 config: { 
                     title: 'Todo List'
                 }
@@ -95,6 +125,7 @@ class StateManager {
                 type: 'calendar', 
                 x: 0, y: 2, w: 4, h: 3,
                 minimized: false,
+                pinned: false,
                 config: { 
                     title: 'Calendar'
                 }
@@ -104,6 +135,7 @@ class StateManager {
                 type: 'notes', 
                 x: 4, y: 2, w: 4, h: 3,
                 minimized: false,
+                pinned: false,
                 config: { 
                     title: 'Notes'
                 }
@@ -113,6 +145,7 @@ class StateManager {
                 type: 'stocks', 
                 x: 8, y: 2, w: 4, h: 3,
                 minimized: false,
+                pinned: false,
                 config: { 
                     title: 'Stocks',
                     symbol: 'AAPL'
@@ -125,6 +158,7 @@ class StateManager {
                 type: 'links', 
                 x: 0, y: 5, w: 6, h: 2,
                 minimized: false,
+                pinned: false,
                 config: { 
                     title: 'Quick Links'
                 }
@@ -134,6 +168,7 @@ class StateManager {
                 type: 'quotes', 
                 x: 6, y: 5, w: 3, h: 2,
                 minimized: false,
+                pinned: false,
                 config: { 
                     title: 'Quotes'
                 }
@@ -143,6 +178,7 @@ class StateManager {
                 type: 'system', 
                 x: 9, y: 5, w: 3, h: 2,
                 minimized: false,
+                pinned: false,
                 config: { 
                     title: 'System'
                 }
@@ -205,14 +241,20 @@ class StateManager {
      * @param {Object} widgetData - Widget configuration
      */
     addWidget(widgetData) {
+        const size = registry.constrainSize(widgetData.type, widgetData.config, {
+            w: widgetData.w || 3,
+            h: widgetData.h || 2
+        }, { cols: this.state.grid.cols });
+
         const widget = {
             id: this.generateWidgetId(widgetData.type),
             ...widgetData,
             x: widgetData.x || 0,
             y: widgetData.y || 0,
-            w: widgetData.w || 3,
-            h: widgetData.h || 2,
-            minimized: false
+            w: size.w,
+            h: size.h,
+            minimized: false,
+            pinned: false
         };
 
         // Find empty position if not specified
@@ -267,7 +309,111 @@ class StateManager {
     }
 
     /**
-     * Remove widget
+     * Move and resize several widgets as a single change
+     * @param {Array} changes - New rectangles {id, x, y, w, h}
+     * @param {string} breakpoint - Layout to change; narrower breakpoints keep their own
+     * @returns {Array} Updated widgets
+     */
+    arrangeWidgets(changes, breakpoint = BASE_BREAKPOINT) {
+        const updated = [];
+        const update = (index, updates) => {
+            const old = this.state.widgets[index];
+            this.state.widgets[index] = { ...old, ...updates };
+            updated.push({ widget: this.state.widgets[index], old, updates });
+        };
+
+        if (breakpoint === BASE_BREAKPOINT) {
+            changes.forEach(({ id, x, y, w, h }) => {
+                const index = this.state.widgets.findIndex(widget => widget.id === id);
+                if (index !== -1) {
+                    update(index, { x, y, w, h });
+                }
+            });
+        } else {
+            // The first edit at a breakpoint stores its derived layout, so it
+            // no longer follows the base layout
+            const rects = new Map(this.getBreakpointLayout(breakpoint).map(rect => [rect.id, rect]));
+            changes.forEach(rect => rects.set(rect.id, rect));
+
+            this.state.widgets.forEach((widget, index) => {
+                if (widget.parentId) return;
+
+                const { x, y, w, h } = rects.get(widget.id);
+                const stored = widget.layouts && widget.layouts[breakpoint];
+                if (!stored || stored.x !== x || stored.y !== y || stored.w !== w || stored.h !== h) {
+                    update(index, { layouts: { ...widget.layouts, [breakpoint]: { x, y, w, h } } });
+                }
+            });
+        }
+
+        if (updated.length > 0) {
+            this.emit('widgets-arranged', { changes: updated, breakpoint });
+        }
+        return updated.map(change => change.widget);
+    }
+
+    /**
+     * Get widget rectangles for a breakpoint. Narrower breakpoints use their
+     * stored layout; until one is edited it is derived from the base layout,
+     * and widgets added since are fitted into free space. Widgets inside a
+     * tab group have no rectangle of their own.
+     * @param {string} breakpoint - Breakpoint name
+     * @returns {Array} Rectangles {id, x, y, w, h} in widget order
+     */
+    getBreakpointLayout(breakpoint = BASE_BREAKPOINT) {
+        const { grid } = this.state;
+        const widgets = this.getPlacedWidgets();
+        if (breakpoint === BASE_BREAKPOINT) {
+            return widgets.map(({ id, x, y, w, h }) => ({ id, x, y, w, h }));
+        }
+
+        const cols = getBreakpointCols(breakpoint, grid);
+        const fit = (widget, size) => registry.constrainSize(widget.type, widget.config, size, { cols });
+        const stored = widget => widget.layouts && widget.layouts[breakpoint];
+
+        if (!widgets.some(stored)) {
+            const derived = new Map(deriveLayout(widgets, grid.cols, cols, fit).map(rect => [rect.id, rect]));
+            return widgets.map(widget => derived.get(widget.id));
+        }
+
+        const placed = widgets.filter(stored).map(widget => ({ id: widget.id, ...widget.layouts[breakpoint] }));
+        widgets.filter(widget => !stored(widget)).forEach(widget => {
+            const { w, h } = fit(widget, { w: Math.round(widget.w * cols / grid.cols), h: widget.h });
+            placed.push({ id: widget.id, ...findFreePosition(placed, { x: 0, y: 0, w, h }, cols), w, h });
+        });
+
+        const rects = new Map(placed.map(rect => [rect.id, rect]));
+        return widgets.map(widget => rects.get(widget.id));
+    }
+
+    /**
+     * Drop a breakpoint's own layout so it follows the base layout again
+     * @param {string} breakpoint - Breakpoint name
+     */
+    resetBreakpointLayout(breakpoint) {
+        if (breakpoint === BASE_BREAKPOINT) return;
+
+        const updated = [];
+        this.state.widgets.forEach((widget, index) => {
+            if (!widget.layouts || !widget.layouts[breakpoint]) return;
+
+            const { [breakpoint]: removed, ...layouts } = widget.layouts;
+            const next = { ...widget, layouts };
+            if (Object.keys(layouts).length === 0) {
+                delete next.layouts;
+            }
+
+            this.state.widgets[index] = next;
+            updated.push({ widget: next, old: widget, updates: { layouts: next.layouts } });
+        });
+
+        if (updated.length > 0) {
+            this.emit('widgets-arranged', { changes: updated, breakpoint });
+        }
+    }
+
+    /**
+     * Remove widget. A tab group takes the widgets in its tabs with it.
      * @param {string} widgetId - Widget ID
      */
     removeWidget(widgetId) {
@@ -276,6 +422,9 @@ class StateManager {
 
         const widget = this.state.widgets[widgetIndex];
         this.state.widgets.splice(widgetIndex, 1);
+        this.getChildren(widgetId).forEach(child => {
+            this.state.widgets.splice(this.state.widgets.indexOf(child), 1);
+        });
         this.emit('widget-removed', widget);
         return true;
     }
@@ -288,11 +437,20 @@ class StateManager {
         const widget = this.state.widgets.find(w => w.id === widgetId);
         if (!widget) return null;
 
+        // The original may predate its widget's current size limits
+        const size = registry.constrainSize(widget.type, widget.config, widget, { cols: this.state.grid.cols });
+
+        // Narrower breakpoints find the copy a free spot of their own. The copy
+        // lands next to the original, so it starts out movable.
+        const { layouts, ...original } = widget;
         const duplicate = {
-            ...widget,
+            ...original,
             id: this.generateWidgetId(widget.type),
             x: widget.x + widget.w,
-            y: widget.y
+            y: widget.y,
+            w: size.w,
+            h: size.h,
+            pinned: false
         };
 
         // Adjust position if it goes out of bounds
@@ -303,10 +461,131 @@ class StateManager {
         }
 
         this.state.widgets.push(duplicate);
+
+        // A tab group is copied with its tabs, which load along with it
+        const copies = new Map();
+        this.getChildren(widgetId).forEach(child => {
+            const copy = { ...child, id: this.generateWidgetId(child.type), parentId: duplicate.id };
+            copies.set(child.id, copy);
+            this.state.widgets.push(copy);
+        });
+        if (copies.has(duplicate.config.activeTab)) {
+            duplicate.config = { ...duplicate.config, activeTab: copies.get(duplicate.config.activeTab).id };
+        }
+
+        // Every widget is in place before the first event, so the copy is one step
         this.emit('widget-added', duplicate);
+        copies.forEach(copy => this.emit('widget-added', copy));
         return duplicate;
     }
 
+    /**
+     * Get the widgets placed on the grid, leaving out those inside tab groups
+     * @returns {Array} Widgets
+     */
+    getPlacedWidgets() {
+        return this.state.widgets.filter(widget => !widget.parentId);
+    }
+
+    /**
+     * Get the widgets inside a tab group
+     * @param {string} groupId - Tab group ID
+     * @returns {Array} Widgets in tab order
+     */
+    getChildren(groupId) {
+        return this.state.widgets.filter(widget => widget.parentId === groupId);
+    }
+
+    /**
+     * Put a widget into a tab group. Dropping it onto a tab group adds a tab;
+     * dropping it onto any other widget puts a new group in that widget's
+     * place with both of them inside.
+     * @param {string} targetId - Widget or tab group dropped onto
+     * @param {string} widgetId - Widget to add
+     * @returns {Object|null} Tab group
+     */
+    groupWidgets(targetId, widgetId) {
+        const target = this.state.widgets.find(w => w.id === targetId);
+        const widget = this.state.widgets.find(w => w.id === widgetId);
+        if (!target || !widget || target === widget || target.parentId || widget.parentId ||
+            registry.isContainer(widget.type)) {
+            return null;
+        }
+
+        const created = !registry.isContainer(target.type);
+        const old = created ? null : target;
+        let group = target;
+
+        if (created) {
+            // The group takes over the target's spot at every breakpoint, and
+            // its pin
+            group = {
+                id: this.generateWidgetId(TAB_GROUP_TYPE),
+                type: TAB_GROUP_TYPE,
+                x: target.x,
+                y: target.y,
+                w: target.w,
+                h: target.h,
+                minimized: false,
+                pinned: target.pinned === true,
+                config: { title: registry.getTitle(TAB_GROUP_TYPE) }
+            };
+            if (target.layouts) {
+                group.layouts = target.layouts;
+            }
+            this.state.widgets.splice(this.state.widgets.indexOf(target), 0, group);
+        }
+
+        // Tabs live in the group's rectangle, so their own layouts go
+        const changes = (created ? [target, widget] : [widget]).map(child => {
+            const { layouts, ...rest } = child;
+            const updated = { ...rest, minimized: false, parentId: group.id };
+            this.state.widgets[this.state.widgets.indexOf(child)] = updated;
+            return { widget: updated, old: child, updates: { parentId: group.id } };
+        });
+
+        // Show the tab that was just added
+        const groupIndex = this.state.widgets.indexOf(group);
+        group = { ...group, config: { ...group.config, activeTab: widget.id } };
+        this.state.widgets[groupIndex] = group;
+
+        this.emit('widgets-grouped', { group, old, created, changes });
+        return group;
+    }
+
+    /**
+     * Take the widgets out of a tab group and remove the group. The first
+     * tab gets the group's spot; the others go to the nearest free space.
+     * @param {string} groupId - Tab group ID
+     * @returns {Array} Widgets taken out
+     */
+    ungroupWidgets(groupId) {
+        const group = this.state.widgets.find(w => w.id === groupId);
+        if (!group || !registry.isContainer(group.type)) return [];
+
+        const { cols } = this.state.grid;
+        const placed = this.getPlacedWidgets()
+            .filter(widget => widget !== group)
+            .map(({ id, x, y, w, h }) => ({ id, x, y, w, h }));
+
+        // Tabs may have grown past their limits' grid width while hidden
+        const changes = this.getChildren(groupId).map(child => {
+            const { w, h } = registry.constrainSize(child.type, child.config, child, { cols });
+            const spot = { x: Math.min(group.x, cols - w), y: group.y, w, h };
+            const { x, y } = placed.some(other => overlaps(spot, other)) ? findFreePosition(placed, spot, cols) : spot;
+            placed.push({ id: child.id, x, y, w, h });
+
+            const { parentId, ...rest } = child;
+            const updated = { ...rest, x, y, w, h };
+            this.state.widgets[this.state.widgets.indexOf(child)] = updated;
+            return { widget: updated, old: child, updates: { parentId: undefined, x, y, w, h } };
+        });
+
+        this.state.widgets.splice(this.state.widgets.indexOf(group), 1);
+        this.emit('widgets-ungrouped', { group, changes });
+        return changes.map(change => change.widget);
+    }
+
     /**
      * Set theme
      * @param {string} theme - Theme name ('light', 'dark', 'amoled', 'system')
@@ -328,28 +607,277 @@ class StateManager {
     }
 
     /**
-     * Import layout from JSON
+     * Get the base layout the active workspace would have with other grid
+     * settings. Changing the column count scales every widget's x and w.
+     * @param {Object} grid - Grid settings {cols, rowHeight, gap}
+     * @returns {Array} Rectangles {id, x, y, w, h} in widget order
+     */
+    getScaledLayout(grid) {
+        const widgets = this.getPlacedWidgets();
+        const fromCols = this.state.grid.cols;
+        if (grid.cols === fromCols) {
+            return widgets.map(({ id, x, y, w, h }) => ({ id, x, y, w, h }));
+        }
+
+        const fit = (widget, size) => registry.constrainSize(widget.type, widget.config, size, { cols: grid.cols });
+        const scaled = scaleLayout(widgets, fromCols, grid.cols, fit);
+        const rects = new Map((this.state.settings.compactLayout === true ? compactLayout(scaled) : scaled)
+            .map(rect => [rect.id, rect]));
+        return widgets.map(widget => rects.get(widget.id));
+    }
+
+    /**
+     * Update grid settings, rescaling widgets to a new column count
+     * @param {Object} updates - Grid settings to change {cols, rowHeight, gap}
+     * @returns {Object} New grid settings
+     */
+    updateGrid(updates) {
+        const oldGrid = this.state.grid;
+        const grid = { ...oldGrid };
+        Object.entries(GRID_LIMITS).forEach(([key, { min, max }]) => {
+            if (Number.isFinite(updates[key])) {
+                grid[key] = Math.max(min, Math.min(max, Math.round(updates[key])));
+            }
+        });
+        if (JSON.stringify(grid) === JSON.stringify(oldGrid)) return oldGrid;
+
+        const rects = new Map(this.getScaledLayout(grid).map(rect => [rect.id, rect]));
+        const changes = [];
+        this.state.widgets.forEach((old, index) => {
+            if (old.parentId) return;
+
+            const { x, y, w, h } = rects.get(old.id);
+            if (old.x === x && old.y === y && old.w === w && old.h === h) return;
+
+            this.state.widgets[index] = { ...old, x, y, w, h };
+            changes.push({ widget: this.state.widgets[index], old, updates: { x, y, w, h } });
+        });
+
+        this.state.grid = grid;
+        this.emit('grid-updated', { grid, old: oldGrid, changes });
+        return grid;
+    }
+
+    /**
+     * Get workspace list
+     * @returns {Array} Workspaces {id, name, widgetCount, active}
+     */
+    getWorkspaces() {
+        this.syncActiveWorkspace();
+        return this.state.workspaces.map(workspace => ({
+            id: workspace.id,
+            name: workspace.name,
+            widgetCount: (workspace.widgets || []).length,
+            active: workspace.id === this.state.activeWorkspace
+        }));
+    }
+
+    /**
+     * Get the active workspace
+     * @returns {Object} Workspace {id, name}
+     */
+    getActiveWorkspace() {
+        const workspace = this.findWorkspace(this.state.activeWorkspace);
+        return { id: workspace.id, name: workspace.name };
+    }
+
+    /**
+     * Find workspace record by ID
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object|undefined} Workspace record
+     */
+    findWorkspace(workspaceId) {
+        return this.state.workspaces.find(w => w.id === workspaceId);
+    }
+
+    /**
+     * Copy the active layout into its workspace record
+     */
+    syncActiveWorkspace() {
+        const workspace = this.findWorkspace(this.state.activeWorkspace);
+        if (!workspace) return;
+
+        workspace.grid = { ...this.state.grid };
+        workspace.widgets = this.state.widgets;
+        workspace.theme = this.state.theme;
+    }
+
+    /**
+     * Create a new empty workspace
+     * @param {string} name - Workspace name
+     * @param {Object} layout - Optional initial layout {grid, widgets, theme}
+     * @returns {Object} Created workspace {id, name}
+     */
+    createWorkspace(name, layout = {}) {
+        const defaults = this.getDefaultState();
+        const workspace = {
+            id: this.generateWorkspaceId(),
+            name: this.getUniqueWorkspaceName(name),
+            grid: { ...defaults.grid, ...layout.grid },
+            widgets: (layout.widgets || []).map(widget => ({ ...widget })),
+            theme: layout.theme || this.state.theme
+        };
+
+        this.state.workspaces.push(workspace);
+        this.emit('workspaces-changed', { action: 'created', workspace: { id: workspace.id, name: workspace.name } });
+        return { id: workspace.id, name: workspace.name };
+    }
+
+    /**
+     * Rename workspace
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} name - New name
+     */
+    renameWorkspace(workspaceId, name) {
+        const workspace = this.findWorkspace(workspaceId);
+        const trimmed = (name || '').trim();
+        if (!workspace || !trimmed) return false;
+
+        workspace.name = trimmed;
+        this.emit('workspaces-changed', { action: 'renamed', workspace: { id: workspace.id, name: workspace.name } });
+        return true;
+    }
+
+    /**
+     * Clone workspace with all of its widgets and settings
+     * @param {string} workspaceId - Workspace ID to clone
+     * @param {string} name - Optional name for the copy
+     * @returns {Object|null} Created workspace {id, name}
+     */
+    cloneWorkspace(workspaceId, name) {
+        this.syncActiveWorkspace();
+        const source = this.findWorkspace(workspaceId);
+        if (!source) return null;
+
+        return this.createWorkspace(name || `${source.name} Copy`, {
+            grid: source.grid,
+            widgets: JSON.parse(JSON.stringify(source.widgets || [])),
+            theme: source.theme
+        });
+    }
+
+    /**
+     * Delete workspace. The last remaining workspace cannot be deleted.
+     * @param {string} workspaceId - Workspace ID
+     */
+    deleteWorkspace(workspaceId) {
+        const index = this.state.workspaces.findIndex(w => w.id === workspaceId);
+        if (index === -1 || this.state.workspaces.length <= 1) return false;
+
+        // Move off the workspace before removing it
+        if (workspaceId === this.state.activeWorkspace) {
+            const fallback = this.state.workspaces[index === 0 ? 1 : index - 1];
+            this.switchWorkspace(fallback.id);
+        }
+
+        const [workspace] = this.state.workspaces.splice(index, 1);
+        this.emit('workspaces-changed', { action: 'deleted', workspace: { id: workspace.id, name: workspace.name } });
+        return true;
+    }
+
+    /**
+     * Switch active workspace
+     * @param {string} workspaceId - Workspace ID
+     */
+    switchWorkspace(workspaceId) {
+        const target = this.findWorkspace(workspaceId);
+        if (!target || workspaceId === this.state.activeWorkspace) return false;
+
+        const previous = this.state.activeWorkspace;
+
+        // Let views tear down widgets while the old layout is still active
+        this.emit('workspace-switching', { from: previous, to: workspaceId });
+        this.syncActiveWorkspace();
+
+        const defaults = this.getDefaultState();
+        this.state.activeWorkspace = workspaceId;
+        this.state.grid = { ...defaults.grid, ...target.grid };
+        this.state.widgets = target.widgets || [];
+        this.state.theme = target.theme || defaults.theme;
+
+        this.emit('workspace-switched', { workspace: { id: target.id, name: target.name }, previous });
+        return true;
+    }
+
+    /**
+     * Make sure state has a valid workspace list and active workspace
+     */
+    ensureWorkspaces() {
+        if (!Array.isArray(this.state.workspaces) || this.state.workspaces.length === 0) {
+            this.state.workspaces = [{ id: 'default', name: 'Default' }];
+        }
+
+        if (!this.findWorkspace(this.state.activeWorkspace)) {
+            this.state.activeWorkspace = this.state.workspaces[0].id;
+        }
+
+        this.syncActiveWorkspace();
+    }
+
+    /**
+     * Generate unique workspace ID
+     * @returns {string} Unique ID
+     */
+    generateWorkspaceId() {
+        const existingIds = this.state.workspaces.map(w => w.id);
+        let counter = 1;
+        let id = `workspace-${counter}`;
+
+        while (existingIds.includes(id)) {
+            counter++;
+            id = `workspace-${counter}`;
+        }
+
+        return id;
+    }
+
+    /**
+     * Get a workspace name that is not already taken
+     * @param {string} name - Desired name
+     * @returns {string} Unique name
+     */
+    getUniqueWorkspaceName(name) {
+        const base = (name || '').trim() || 'Workspace';
+        const existingNames = this.state.workspaces.map(w => w.name);
+        let unique = base;
+        let counter = 2;
+
+        while (existingNames.includes(unique)) {
+            unique = `${base} ${counter}`;
+            counter++;
+        }
+
+        return unique;
+    }
+
+    /**
+     * Import layout from JSON into the active workspace
      * @param {Object} layoutData - Layout data to import
      */
     importLayout(layoutData) {
         try {
+            layoutData = migrate(layoutData);
+
             // Validate layout data
             if (!layoutData.widgets || !Array.isArray(layoutData.widgets)) {
                 throw new Error('Invalid layout data: missing widgets array');
             }
 
             // Backup current state
-            const backup = { ...this.state };
+            const backup = this.createBackup();
+
+            // Only schema-valid data reaches the state; bounds and overlaps are repaired
+            const { layout } = validateLayout(layoutData);
 
-            // Apply imported layout
+            // Apply imported layout. Workspace bookkeeping always stays with the local state
             this.state = {
                 ...this.state,
-                ...layoutData,
-                widgets: layoutData.widgets.map(widget => ({
-                    ...widget,
-                    id: widget.id || this.generateWidgetId(widget.type)
-                }))
+                grid: layoutData.grid ? layout.grid : this.state.grid,
+                widgets: layout.widgets,
+                theme: layout.theme || this.state.theme,
+                settings: { ...this.state.settings, ...layout.settings }
             };
+            this.syncActiveWorkspace();
 
             this.emit('layout-imported', { layout: layoutData, backup });
             return true;
@@ -360,12 +888,219 @@ class StateManager {
         }
     }
 
+    /**
+     * Merge widgets from a layout into the active workspace, placing them in free space
+     * @param {Object} layoutData - Layout data to merge
+     * @param {Object} options - Merge options
+     * @param {Array<string>|null} options.widgetIds - Imported widget IDs to bring in, or null for all
+     * @param {boolean} options.takeTheme - Use the imported theme instead of keeping ours
+     * @param {boolean} options.takeSettings - Use the imported settings instead of keeping ours
+     * @returns {Array|null} Added widgets
+     */
+    mergeLayout(layoutData, { widgetIds = null, takeTheme = false, takeSettings = false } = {}) {
+        try {
+            layoutData = migrate(layoutData);
+
+            if (!layoutData.widgets || !Array.isArray(layoutData.widgets)) {
+                throw new Error('Invalid layout data: missing widgets array');
+            }
+
+            const { layout } = validateLayout(layoutData);
+            const { cols } = this.state.grid;
+            const backup = this.createBackup();
+
+            const chosen = layout.widgets.filter(widget => !widgetIds || widgetIds.includes(widget.id));
+
+            // Rename taken IDs up front so tabs can follow their group
+            const ids = new Map();
+            const reserved = new Set();
+            chosen.forEach(widget => {
+                const taken = reserved.has(widget.id) || this.state.widgets.some(w => w.id === widget.id);
+                const id = taken ? this.generateWidgetId(widget.type, reserved) : widget.id;
+                reserved.add(id);
+                ids.set(widget.id, id);
+            });
+
+            const added = chosen.map(({ layouts, parentId, ...widget }) => {
+                const merged = { ...widget, id: ids.get(widget.id) };
+
+                if (ids.has(parentId)) {
+                    merged.parentId = ids.get(parentId);
+                } else {
+                    // Breakpoint layouts belong to the other board; ours derive a spot.
+                    // Tabs brought in without their group get one of their own.
+                    const w = Math.min(widget.w, cols);
+                    const position = this.findEmptyPosition(w, widget.h);
+                    merged.x = position.x;
+                    merged.y = position.y;
+                    merged.w = w;
+                }
+                if (ids.has(merged.config.activeTab)) {
+                    merged.config = { ...merged.config, activeTab: ids.get(merged.config.activeTab) };
+                }
+
+                this.state.widgets.push(merged);
+                this.emit('widget-added', merged);
+                return merged;
+            });
+
+            if (takeTheme && layout.theme && layout.theme !== this.state.theme) {
+                this.setTheme(layout.theme);
+            }
+
+            if (takeSettings && layout.settings) {
+                this.updateSettings(layout.settings);
+            }
+
+            this.syncActiveWorkspace();
+            this.emit('layout-merged', { layout: layoutData, added, backup });
+            return added;
+        } catch (error) {
+            console.error('Failed to merge layout:', error);
+            this.emit('import-error', error);
+            return null;
+        }
+    }
+
+    /**
+     * Import a single exported layout as a new workspace
+     * @param {Object} layoutData - Layout data to import
+     * @returns {Object|null} Created workspace {id, name}
+     */
+    importWorkspace(layoutData) {
+        try {
+            layoutData = migrate(layoutData);
+
+            if (!layoutData.widgets || !Array.isArray(layoutData.widgets)) {
+                throw new Error('Invalid layout data: missing widgets array');
+            }
+
+            const { layout } = validateLayout(layoutData);
+            const backup = this.createBackup();
+
+            const workspace = this.createWorkspace(layout.name || 'Imported', {
+                grid: layout.grid,
+                widgets: layout.widgets,
+                theme: layout.theme
+            });
+
+            this.emit('workspace-imported', { workspace, backup });
+            return workspace;
+        } catch (error) {
+            console.error('Failed to import workspace:', error);
+            this.emit('import-error', error);
+            return null;
+        }
+    }
+
+    /**
+     * Import an export of all workspaces
+     * @param {Object} data - Data produced by exportWorkspaces()
+     * @param {Object} options - Import options
+     * @param {boolean} options.replace - Replace all local workspaces instead of adding
+     * @returns {boolean} Success
+     */
+    importWorkspaces(data, { replace = false } = {}) {
+        try {
+            data = migrate(data);
+
+            if (!Array.isArray(data.workspaces) || data.workspaces.length === 0) {
+                throw new Error('Invalid workspace data: missing workspaces array');
+            }
+
+            data.workspaces.forEach(workspace => {
+                if (!Array.isArray(workspace.widgets)) {
+                    throw new Error(`Invalid workspace data: "${workspace.name}" has no widgets array`);
+                }
+            });
+
+            data = validateLayout(data).layout;
+
+            const backup = this.createBackup();
+
+            if (!replace) {
+                data.workspaces.forEach(workspace => this.createWorkspace(workspace.name, workspace));
+                this.emit('workspaces-imported', { data, replace, backup });
+                return true;
+            }
+
+            const active = this.replaceWorkspaces(data);
+
+            this.emit('workspaces-imported', { data, replace, backup });
+            this.emit('workspace-switched', { workspace: { id: active.id, name: active.name }, previous: backup.activeWorkspace });
+            return true;
+        } catch (error) {
+            console.error('Failed to import workspaces:', error);
+            this.emit('import-error', error);
+            return false;
+        }
+    }
+
+    /**
+     * Replace all workspaces with another set, tearing down the current board first
+     * @param {Object} data - Validated data {workspaces, activeWorkspace}
+     * @returns {Object} Workspace that is now active
+     */
+    replaceWorkspaces(data) {
+        this.emit('workspace-switching', { from: this.state.activeWorkspace, to: null });
+
+        const defaults = this.getDefaultState();
+        this.state.workspaces = data.workspaces.map((workspace, index) => ({
+            id: workspace.id || `workspace-${index + 1}`,
+            name: workspace.name || `Workspace ${index + 1}`,
+            grid: { ...defaults.grid, ...workspace.grid },
+            widgets: workspace.widgets.map(widget => ({ ...widget })),
+            theme: workspace.theme || defaults.theme
+        }));
+
+        const active = this.findWorkspace(data.activeWorkspace) || this.state.workspaces[0];
+        this.state.activeWorkspace = active.id;
+        this.state.grid = { ...active.grid };
+        this.state.widgets = active.widgets;
+        this.state.theme = active.theme;
+
+        return active;
+    }
+
+    /**
+     * Restore all workspaces and settings from a full-state snapshot
+     * @param {Object} data - Data from getWorkspacesData()
+     * @returns {boolean} Success
+     */
+    restoreState(data) {
+        try {
+            data = migrate(data);
+
+            if (!Array.isArray(data.workspaces) || data.workspaces.length === 0) {
+                throw new Error('Invalid snapshot: missing workspaces array');
+            }
+
+            data = validateLayout(data).layout;
+
+            const backup = this.createBackup();
+            const active = this.replaceWorkspaces(data);
+
+            if (data.settings && JSON.stringify(data.settings) !== JSON.stringify(this.state.settings)) {
+                this.updateSettings(data.settings);
+            }
+
+            this.emit('state-restored', { data, backup });
+            this.emit('workspace-switched', { workspace: { id: active.id, name: active.name }, previous: backup.activeWorkspace });
+            return true;
+        } catch (error) {
+            console.error('Failed to restore snapshot:', error);
+            this.emit('restore-error', error);
+            return false;
+        }
+    }
+
     /**
      * Export current layout as JSON
      * @returns {Object} Layout data
      */
     exportLayout() {
         const layout = {
+            name: this.getActiveWorkspace().name,
             grid: this.state.grid,
             widgets: this.state.widgets,
             theme: this.state.theme,
@@ -379,15 +1114,171 @@ class StateManager {
     }
 
     /**
-     * Reset to default layout
+     * Export all workspaces as JSON
+     * @returns {Object} Workspace data
+     */
+    exportWorkspaces() {
+        const data = {
+            ...this.getWorkspacesData(),
+            exportedAt: new Date().toISOString()
+        };
+
+        this.emit('workspaces-exported', data);
+        return data;
+    }
+
+    /**
+     * Get all workspaces with the active one up to date
+     * @returns {Object} Data {workspaces, activeWorkspace, settings, version}
+     */
+    getWorkspacesData() {
+        this.syncActiveWorkspace();
+
+        return {
+            workspaces: this.state.workspaces.map(workspace => ({
+                id: workspace.id,
+                name: workspace.name,
+                grid: workspace.grid,
+                widgets: workspace.widgets,
+                theme: workspace.theme
+            })),
+            activeWorkspace: this.state.activeWorkspace,
+            settings: this.state.settings,
+            version: this.state.version
+        };
+    }
+
+    /**
+     * Take a detached copy of all workspaces, e.g. before replacing them
+     * @returns {Object} Data {workspaces, activeWorkspace, settings, version}
+     */
+    createBackup() {
+        return JSON.parse(JSON.stringify(this.getWorkspacesData()));
+    }
+
+    /**
+     * Apply workspaces received from another tab. The active workspace is
+     * updated in place; the others are replaced wholesale.
+     * @param {Object} data - Data from getWorkspacesData() in the other tab
+     * @param {Object} options - Apply options
+     * @param {Array<string>} options.keepWidgets - Widget IDs whose local config wins
+     */
+    applyRemoteState(data, { keepWidgets = [] } = {}) {
+        this.applyingRemote = true;
+
+        try {
+            this.syncActiveWorkspace();
+
+            const activeId = this.state.activeWorkspace;
+            const local = this.findWorkspace(activeId);
+            const remote = data.workspaces.find(workspace => workspace.id === activeId);
+
+            // Workspaces other than ours aren't on screen; take them as they are
+            this.state.workspaces = data.workspaces.map(workspace => (workspace.id === activeId ? local : workspace));
+
+            if (JSON.stringify(this.state.settings) !== JSON.stringify(data.settings)) {
+                this.updateSettings(data.settings);
+            }
+
+            if (!remote) {
+                // Our workspace was deleted in the other tab
+                const target = this.state.workspaces[0];
+                this.emit('workspace-switching', { from: activeId, to: target.id });
+
+                const defaults = this.getDefaultState();
+                this.state.activeWorkspace = target.id;
+                this.state.grid = { ...defaults.grid, ...target.grid };
+                this.state.widgets = target.widgets || [];
+                this.state.theme = target.theme || defaults.theme;
+
+                this.emit('workspace-switched', { workspace: { id: target.id, name: target.name }, previous: activeId });
+            } else {
+                local.name = remote.name;
+
+                const localWidgets = new Map(this.state.widgets.map(widget => [widget.id, widget]));
+                this.restoreSnapshot({
+                    grid: remote.grid,
+                    theme: remote.theme,
+                    widgets: remote.widgets.map(widget => (
+                        keepWidgets.includes(widget.id) && localWidgets.has(widget.id)
+                            ? { ...widget, config: localWidgets.get(widget.id).config }
+                            : widget
+                    ))
+                });
+            }
+
+            this.emit('workspaces-changed', { action: 'synced', workspace: { id: this.state.activeWorkspace, name: this.getActiveWorkspace().name } });
+        } finally {
+            this.applyingRemote = false;
+        }
+
+        this.emit('remote-state-applied', data);
+    }
+
+    /**
+     * Reset the active workspace to the default layout
      */
     resetToDefault() {
-        const backup = { ...this.state };
-        this.state = this.getDefaultState();
+        const backup = this.createBackup();
+        const defaults = this.getDefaultState();
+
+        this.state = {
+            ...this.state,
+            grid: defaults.grid,
+            widgets: defaults.widgets,
+            theme: defaults.theme
+        };
+        this.syncActiveWorkspace();
+
         this.emit('layout-reset', { backup });
         this.saveState();
     }
 
+    /**
+     * Restore a layout snapshot of the active workspace. Emits fine-grained
+     * widget events so views update in place instead of re-rendering.
+     * @param {Object} snapshot - Snapshot {grid, widgets, theme}
+     */
+    restoreSnapshot(snapshot) {
+        const target = new Map(snapshot.widgets.map(widget => [widget.id, widget]));
+
+        // Remove widgets that did not exist in the snapshot
+        this.state.widgets
+            .filter(widget => !target.has(widget.id))
+            .forEach(widget => this.removeWidget(widget.id));
+
+        // Update changed widgets and re-add missing ones
+        snapshot.widgets.forEach(widget => {
+            const index = this.state.widgets.findIndex(w => w.id === widget.id);
+
+            if (index === -1) {
+                this.state.widgets.push(widget);
+                this.emit('widget-added', widget);
+            } else if (JSON.stringify(this.state.widgets[index]) !== JSON.stringify(widget)) {
+                const oldWidget = this.state.widgets[index];
+                this.state.widgets[index] = widget;
+                this.emit('widget-updated', { widget, old: oldWidget, updates: widget, restored: true });
+            }
+        });
+
+        // Keep the stored order
+        const order = snapshot.widgets.map(widget => widget.id);
+        this.state.widgets.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+
+        if (JSON.stringify(this.state.grid) !== JSON.stringify(snapshot.grid)) {
+            const oldGrid = this.state.grid;
+            this.state.grid = { ...snapshot.grid };
+            this.emit('grid-updated', { grid: this.state.grid, old: oldGrid });
+        }
+
+        if (this.state.theme !== snapshot.theme) {
+            this.setTheme(snapshot.theme);
+        }
+
+        this.syncActiveWorkspace();
+        this.emit('snapshot-restored', snapshot);
+    }
+
     /**
      * Find empty position for widget
      * @param {number} width - Widget width
@@ -398,8 +1289,9 @@ class StateManager {
         const { cols } = this.state.grid;
         
         // Create grid map
+        const widgets = this.getPlacedWidgets();
         const gridMap = new Map();
-        this.state.widgets.forEach(widget => {
+        widgets.forEach(widget => {
             for (let x = widget.x; x < widget.x + widget.w; x++) {
                 for (let y = widget.y; y < widget.y + widget.h; y++) {
                     gridMap.set(`${x}-${y}`, true);
@@ -428,21 +1320,22 @@ class StateManager {
         }
 
         // Fallback to bottom
-        const maxY = Math.max(...this.state.widgets.map(w => w.y + w.h), 0);
+        const maxY = Math.max(...widgets.map(w => w.y + w.h), 0);
         return { x: 0, y: maxY };
     }
 
     /**
      * Generate unique widget ID
      * @param {string} type - Widget type
+     * @param {Set} reserved - IDs also taken, e.g. by widgets about to be added
      * @returns {string} Unique ID
      */
-    generateWidgetId(type) {
+    generateWidgetId(type, reserved = new Set()) {
         const existingIds = this.state.widgets.map(w => w.id);
         let counter = 1;
         let id = `${type}-${counter}`;
         
-        while (existingIds.includes(id)) {
+        while (existingIds.includes(id) || reserved.has(id)) {
             counter++;
             id = `${type}-${counter}`;
         }
@@ -451,7 +1344,7 @@ class StateManager {
     }
 
     /**
-     * Save state to localStorage with debouncing
+     * Save state with debouncing
      */
     debouncedSave() {
         if (this.debounceTimeout) {
@@ -464,31 +1357,88 @@ class StateManager {
     }
 
     /**
-     * Save state to localStorage
+     * Use a different storage backend
+     * @param {Object} adapter - Storage adapter with get/set/remove/getUsage
      */
-    saveState() {
+    setStorage(adapter) {
+        this.storage = adapter;
+    }
+
+    /**
+     * Save state to storage
+     * @returns {Promise<boolean>} True if saved
+     */
+    async saveState() {
+        // Never overwrite data this version could not read
+        if (this.saveBlocked) return false;
+
         try {
+            this.syncActiveWorkspace();
+
             const stateToSave = {
                 ...this.state,
                 savedAt: new Date().toISOString()
             };
             
-            localStorage.setItem('dashboard-state', JSON.stringify(stateToSave));
+            // Store a detached copy; widgets keep mutating their config objects
+            await this.storage.set(STORAGE_KEY, JSON.parse(JSON.stringify(stateToSave)));
             this.emit('state-saved', stateToSave);
+            return true;
         } catch (error) {
             console.error('Failed to save state:', error);
             this.emit('save-error', error);
+            return false;
         }
     }
 
     /**
-     * Load state from localStorage
+     * Read the saved state. The first time a non-localStorage backend is used,
+     * data saved under the old localStorage key is moved over.
+     * @returns {Promise<Object|null>} Saved state
      */
-    loadState() {
+    async readSavedState() {
+        const saved = await this.storage.get(STORAGE_KEY);
+        if (saved || this.storage instanceof LocalStorageAdapter || !LocalStorageAdapter.isAvailable()) {
+            return saved;
+        }
+
+        const legacy = localStorage.getItem(STORAGE_KEY);
+        if (!legacy) return null;
+
+        const parsed = JSON.parse(legacy);
+        await this.storage.set(STORAGE_KEY, parsed);
+        localStorage.removeItem(STORAGE_KEY);
+
+        this.emit('storage-migrated', { from: 'localStorage', to: this.storage.name });
+        return parsed;
+    }
+
+    /**
+     * Load state from storage
+     */
+    async loadState() {
         try {
-            const savedState = localStorage.getItem('dashboard-state');
-            if (savedState) {
-                const parsed = JSON.parse(savedState);
+            let parsed;
+            try {
+                parsed = await this.readSavedState();
+            } catch (error) {
+                // e.g. IndexedDB disabled in private browsing
+                if (this.storage instanceof LocalStorageAdapter || !LocalStorageAdapter.isAvailable()) {
+                    throw error;
+                }
+                console.warn(`${this.storage.name} unavailable, falling back to localStorage:`, error);
+                this.storage = new LocalStorageAdapter();
+                parsed = await this.storage.get(STORAGE_KEY);
+            }
+
+            if (parsed) {
+                // Leave newer data untouched rather than downgrading it
+                if (isNewerVersion(parsed)) {
+                    this.saveBlocked = true;
+                    throw new Error(`Saved dashboard uses a newer schema (${parsed.version}) than this version supports (${SCHEMA_VERSION}).`);
+                }
+
+                parsed = migrate(parsed);
                 
                 // Validate loaded state
                 if (parsed.widgets && Array.isArray(parsed.widgets)) {
@@ -500,23 +1450,48 @@ class StateManager {
                             id: widget.id || this.generateWidgetId(widget.type)
                         }))
                     };
+                    this.ensureWorkspaces();
                     
                     this.emit('state-loaded', this.state);
                 }
             }
         } catch (error) {
             console.error('Failed to load state:', error);
+            this.loadError = error;
             this.emit('load-error', error);
         }
     }
 
+    /**
+     * Report how much space the dashboard uses
+     * @returns {Promise<Object>} Usage {backend, used, quota, stateSize, workspaces}
+     */
+    async getStorageUsage() {
+        this.syncActiveWorkspace();
+
+        const sizeOf = value => new Blob([JSON.stringify(value)]).size;
+        const { used, quota } = await this.storage.getUsage();
+
+        return {
+            backend: this.storage.name,
+            used,
+            quota,
+            stateSize: sizeOf(this.state),
+            workspaces: this.state.workspaces
+                .map(workspace => ({ id: workspace.id, name: workspace.name, size: sizeOf(workspace) }))
+                .sort((a, b) => b.size - a.size)
+        };
+    }
+
     /**
      * Clear all saved data
      */
-    clearState() {
+    async clearState() {
         try {
-            localStorage.removeItem('dashboard-state');
+            await this.storage.remove(STORAGE_KEY);
             this.state = this.getDefaultState();
+            this.loadError = null;
+            this.saveBlocked = false;
             this.emit('state-cleared');
         } catch (error) {
             console.error('Failed to clear state:', error);
@@ -0,0 +1,261 @@
+/**
+ * Storage Adapters
+ * Pluggable persistence backends for the dashboard state
+ *
+ * Every adapter implements the same async interface:
+ *   get(key), set(key, value), remove(key), getUsage()
+ */
+
+/**
+ * localStorage backend. Limited to roughly 5 MB per origin.
+ */
+export class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+        this.quota = 5 * 1024 * 1024;
+    }
+
+    /**
+     * Check if localStorage can be written
+     * @returns {boolean} True if available
+     */
+    static isAvailable() {
+        try {
+            const key = '__dashboard-storage-test__';
+            localStorage.setItem(key, key);
+            localStorage.removeItem(key);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} Stored value or null
+     */
+    async get(key) {
+        const value = localStorage.getItem(key);
+        return value === null ? null : JSON.parse(value);
+    }
+
+    /**
+     * Write a value
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-serializable value
+     */
+    async set(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    /**
+     * Delete a value
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        localStorage.removeItem(key);
+    }
+
+    /**
+     * Estimate space used by this origin's localStorage
+     * @returns {Promise<Object>} Usage {used, quota} in bytes
+     */
+    async getUsage() {
+        let used = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            // UTF-16: two bytes per character
+            used += (key.length + (localStorage.getItem(key) || '').length) * 2;
+        }
+        return { used, quota: this.quota };
+    }
+}
+
+/**
+ * IndexedDB backend. Values are stored as structured clones in a single
+ * key/value object store.
+ */
+export class IndexedDBAdapter {
+    /**
+     * @param {string} dbName - Database name
+     * @param {string} storeName - Object store name
+     */
+    constructor(dbName = 'dashboard', storeName = 'state') {
+        this.name = 'IndexedDB';
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    /**
+     * Check if IndexedDB exists in this environment
+     * @returns {boolean} True if available
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database once and reuse the connection
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Database is blocked by another tab'));
+            });
+
+            // Allow a later retry if opening failed
+            this.db.catch(() => {
+                this.db = null;
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Run a single request in its own transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result once the transaction completes
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            let result;
+
+            request.onsuccess = () => {
+                result = request.result;
+            };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} Stored value or null
+     */
+    async get(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Write a value
+     * @param {string} key - Storage key
+     * @param {*} value - Structured-clonable value
+     */
+    async set(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * Delete a value
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Get origin-wide usage from the Storage API where supported
+     * @returns {Promise<Object>} Usage {used, quota} in bytes; null when unknown
+     */
+    async getUsage() {
+        if (navigator.storage && navigator.storage.estimate) {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { used: usage, quota };
+        }
+        return { used: null, quota: null };
+    }
+}
+
+/**
+ * In-memory backend for environments without persistent storage.
+ * Data is lost on reload.
+ */
+export class MemoryAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.data = new Map();
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} Stored value or null
+     */
+    async get(key) {
+        return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+    }
+
+    /**
+     * Write a value
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-serializable value
+     */
+    async set(key, value) {
+        this.data.set(key, JSON.stringify(value));
+    }
+
+    /**
+     * Delete a value
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        this.data.delete(key);
+    }
+
+    /**
+     * Estimate space used by stored values
+     * @returns {Promise<Object>} Usage {used, quota} in bytes
+     */
+    async getUsage() {
+        let used = 0;
+        this.data.forEach(value => {
+            used += value.length * 2;
+        });
+        return { used, quota: null };
+    }
+}
+
+/**
+ * Pick the best available backend: IndexedDB, then localStorage, then memory
+ * @returns {Object} Storage adapter
+ */
+export function createDefaultStorage() {
+    if (IndexedDBAdapter.isAvailable()) {
+        return new IndexedDBAdapter();
+    }
+    if (LocalStorageAdapter.isAvailable()) {
+        return new LocalStorageAdapter();
+    }
+    return new MemoryAdapter();
+}
+
+/**
+ * Check whether an error means the storage quota is exhausted
+ * @param {Error} error - Error thrown by a storage adapter
+ * @returns {boolean} True for quota errors
+ */
+export function isQuotaError(error) {
+    return Boolean(error) && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22
+    );
+}
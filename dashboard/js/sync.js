@@ -0,0 +1,189 @@
+/**
+ * Cross-Tab Sync
+ * Keeps dashboards open in several tabs in step. Uses BroadcastChannel,
+ * falling back to storage events where it isn't available.
+ */
+
+import state from './state.js';
+
+const CHANNEL_NAME = 'dashboard-sync';
+
+// Events that don't change what other tabs should show
+const IGNORED_EVENTS = new Set([
+    'state-saved', 'save-error', 'state-loaded', 'load-error', 'storage-migrated',
+    'layout-exported', 'workspaces-exported', 'import-error', 'restore-error',
+    'workspace-switching', 'workspace-switched', 'remote-state-applied'
+]);
+
+class SyncManager {
+    constructor(state) {
+        this.state = state;
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.channel = null;
+        this.started = false;
+        this.applying = false;
+        this.broadcastTimeout = null;
+        this.broadcastDelay = 200;
+
+        // Widgets already warned about during the current edit
+        this.reportedConflicts = new Set();
+    }
+
+    /**
+     * Start listening to other tabs and publishing local changes
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(CHANNEL_NAME);
+            this.channel.addEventListener('message', (e) => {
+                this.receive(e.data);
+            });
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key === CHANNEL_NAME && e.newValue) {
+                    this.receive(JSON.parse(e.newValue));
+                }
+            });
+        }
+
+        this.state.subscribe('*', (data, event) => {
+            if (!this.applying && !IGNORED_EVENTS.has(event)) {
+                this.scheduleBroadcast();
+            }
+        });
+
+        // Don't leave other tabs behind on a pending change
+        window.addEventListener('pagehide', () => {
+            if (this.broadcastTimeout) {
+                this.broadcast();
+            }
+        });
+    }
+
+    /**
+     * Publish local state after a short pause, coalescing bursts of changes
+     */
+    scheduleBroadcast() {
+        if (this.broadcastTimeout) {
+            clearTimeout(this.broadcastTimeout);
+        }
+
+        this.broadcastTimeout = setTimeout(() => {
+            this.broadcast();
+        }, this.broadcastDelay);
+    }
+
+    /**
+     * Publish local state to other tabs
+     */
+    broadcast() {
+        clearTimeout(this.broadcastTimeout);
+        this.broadcastTimeout = null;
+
+        const message = {
+            type: 'state',
+            tabId: this.tabId,
+            sentAt: Date.now(),
+            data: JSON.parse(JSON.stringify(this.state.getWorkspacesData()))
+        };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                // The storage event only fires in other tabs, and only on a new value
+                localStorage.setItem(CHANNEL_NAME, JSON.stringify(message));
+            }
+        } catch (error) {
+            console.error('Failed to sync with other tabs:', error);
+        }
+    }
+
+    /**
+     * Apply state published by another tab
+     * @param {Object} message - Sync message
+     */
+    receive(message) {
+        if (!message || message.type !== 'state' || message.tabId === this.tabId) return;
+
+        // A tab running a different build may use a different schema
+        if (message.data.version !== this.state.getState().version) return;
+
+        // Whatever is being typed into right now wins over the remote copy
+        const editingId = this.getEditingWidgetId();
+        const conflict = editingId ? this.findConflict(editingId, message.data) : null;
+
+        this.applying = true;
+        try {
+            this.state.applyRemoteState(message.data, {
+                keepWidgets: editingId ? [editingId] : []
+            });
+        } catch (error) {
+            console.error('Failed to apply changes from another tab:', error);
+        } finally {
+            this.applying = false;
+        }
+
+        if (!editingId) {
+            this.reportedConflicts.clear();
+        }
+        if (conflict && !this.reportedConflicts.has(editingId)) {
+            this.reportedConflicts.add(editingId);
+            this.emit('conflict', conflict);
+        }
+        this.emit('applied', { tabId: message.tabId, sentAt: message.sentAt });
+    }
+
+    /**
+     * Find the widget whose input currently has focus
+     * @returns {string|null} Widget ID
+     */
+    getEditingWidgetId() {
+        const active = document.activeElement;
+        if (!active) return null;
+
+        const isEditable = active.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(active.tagName);
+        const widget = isEditable ? active.closest('[data-widget-id]') : null;
+        return widget ? widget.dataset.widgetId : null;
+    }
+
+    /**
+     * Check whether the remote copy of a widget differs from ours
+     * @param {string} widgetId - Widget ID
+     * @param {Object} data - Remote workspaces data
+     * @returns {Object|null} Conflict {widgetId, title, remoteConfig}
+     */
+    findConflict(widgetId, data) {
+        const { activeWorkspace, widgets } = this.state.getState();
+        const remoteWorkspace = data.workspaces.find(workspace => workspace.id === activeWorkspace);
+        const remote = remoteWorkspace && remoteWorkspace.widgets.find(widget => widget.id === widgetId);
+        const local = widgets.find(widget => widget.id === widgetId);
+
+        if (!remote || !local || JSON.stringify(remote.config) === JSON.stringify(local.config)) {
+            return null;
+        }
+
+        return {
+            widgetId,
+            title: local.config.title || local.type,
+            remoteConfig: remote.config
+        };
+    }
+
+    /**
+     * Emit custom event
+     * @param {string} eventName - Event name
+     * @param {*} detail - Event detail data
+     */
+    emit(eventName, detail) {
+        document.dispatchEvent(new CustomEvent(`sync:${eventName}`, { detail }));
+    }
+}
+
+// Create and export global sync manager instance
+const sync = new SyncManager(state);
+
+export default sync;
@@ -9,7 +9,9 @@ class UIManager {
         this.activeTooltip = null;
         this.toastContainer = null;
         this.contextMenu = null;
+        this.contextMenuItems = [];
         this.appMenu = null;
+        this.workspaceMenu = null;
         
         this.init();
     }
@@ -21,6 +23,7 @@ class UIManager {
         this.toastContainer = document.getElementById('toast-container');
         this.contextMenu = document.getElementById('context-menu');
         this.appMenu = document.getElementById('app-menu');
+        this.workspaceMenu = document.getElementById('workspace-menu');
         
         this.setupEventListeners();
         this.setupKeyboardHandlers();
@@ -44,6 +47,18 @@ class UIManager {
             }
         });
 
+        // Run the chosen item of whichever context menu is open
+        this.contextMenu.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action) {
+                const item = this.contextMenuItems.find(i => i.action === action);
+                if (item && item.handler) {
+                    item.handler();
+                }
+                this.hideContextMenu();
+            }
+        });
+
         // Close app menu on outside click
         document.addEventListener('click', (e) => {
             if (!this.appMenu.contains(e.target) && !e.target.closest('#menu-btn')) {
@@ -51,6 +66,13 @@ class UIManager {
             }
         });
 
+        // Close workspace menu on outside click
+        document.addEventListener('click', (e) => {
+            if (!this.workspaceMenu.contains(e.target) && !e.target.closest('#workspace-btn')) {
+                this.hideWorkspaceMenu();
+            }
+        });
+
         // Handle modal close buttons
         document.addEventListener('click', (e) => {
             if (e.target.matches('[data-action="close"]')) {
@@ -75,6 +97,7 @@ class UIManager {
                 }
                 this.hideContextMenu();
                 this.hideAppMenu();
+                this.hideWorkspaceMenu();
                 this.hideTooltip();
             }
 
@@ -109,6 +132,12 @@ class UIManager {
             }
         }
 
+        // Label the footer submit button
+        const submitButton = modal.querySelector('.modal-footer [type="submit"]');
+        if (submitButton) {
+            submitButton.textContent = options.submitText || 'Save';
+        }
+
         // Populate content if provided
         if (options.content) {
             const bodyElement = modal.querySelector('.modal-body');
@@ -205,8 +234,12 @@ class UIManager {
         if (action) {
             const actionBtn = document.createElement('button');
             actionBtn.className = 'toast-action';
+            actionBtn.type = 'button';
             actionBtn.textContent = action.text;
-            actionBtn.onclick = action.handler;
+            actionBtn.onclick = () => {
+                action.handler();
+                this.hideToast(toastId);
+            };
             toast.querySelector('.toast-content').appendChild(actionBtn);
         }
 
@@ -298,17 +331,7 @@ class UIManager {
             `;
         }).join('');
 
-        // Add click handlers
-        this.contextMenu.addEventListener('click', (e) => {
-            const action = e.target.closest('[data-action]')?.dataset.action;
-            if (action) {
-                const item = items.find(i => i.action === action);
-                if (item && item.handler) {
-                    item.handler();
-                }
-                this.hideContextMenu();
-            }
-        });
+        this.contextMenuItems = items;
 
         // Position menu
         const { clientX: x, clientY: y } = event;
@@ -372,6 +395,64 @@ class UIManager {
         }
     }
 
+    /**
+     * Show workspace menu
+     * @param {Element} trigger - Trigger element
+     * @param {Array} items - Menu items {label, icon, action, workspaceId, checked, meta} or {separator}
+     */
+    showWorkspaceMenu(trigger, items) {
+        this.workspaceMenu.innerHTML = items.map(item => {
+            if (item.separator) {
+                return '<hr class="menu-separator">';
+            }
+
+            const checked = typeof item.checked === 'boolean';
+            return `
+                <button type="button" class="menu-item" 
+                        role="${checked ? 'menuitemradio' : 'menuitem'}"
+                        ${checked ? `aria-checked="${item.checked}"` : ''}
+                        data-action="${item.action}"
+                        ${item.workspaceId ? `data-workspace-id="${this.escapeHtml(item.workspaceId)}"` : ''}>
+                    ${item.icon ? `<svg aria-hidden="true"><use href="assets/icons.svg#${item.icon}"></use></svg>` : ''}
+                    <span class="menu-item-label">${this.escapeHtml(item.label)}</span>
+                    ${item.meta !== undefined ? `<span class="menu-item-meta">${this.escapeHtml(String(item.meta))}</span>` : ''}
+                </button>
+            `;
+        }).join('');
+
+        // Position below trigger
+        const rect = trigger.getBoundingClientRect();
+        this.workspaceMenu.style.top = `${rect.bottom + 8}px`;
+        this.workspaceMenu.style.left = `${rect.left}px`;
+
+        // Show menu
+        this.workspaceMenu.classList.add('show');
+        this.workspaceMenu.setAttribute('aria-hidden', 'false');
+        trigger.setAttribute('aria-expanded', 'true');
+
+        // Focus the active workspace
+        setTimeout(() => {
+            const item = this.workspaceMenu.querySelector('[aria-checked="true"]') ||
+                this.workspaceMenu.querySelector('.menu-item');
+            if (item) {
+                item.focus();
+            }
+        }, 10);
+    }
+
+    /**
+     * Hide workspace menu
+     */
+    hideWorkspaceMenu() {
+        this.workspaceMenu.classList.remove('show');
+        this.workspaceMenu.setAttribute('aria-hidden', 'true');
+
+        const trigger = document.getElementById('workspace-btn');
+        if (trigger) {
+            trigger.setAttribute('aria-expanded', 'false');
+        }
+    }
+
     /**
      * Show tooltip
      * @param {Element} element - Target element
@@ -523,6 +604,20 @@ class UIManager {
         }
     }
 
+    /**
+     * Escape HTML, including quotes so the result is safe inside attributes
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Get icon name for toast type
      * @param {string} type - Toast type
@@ -0,0 +1,343 @@
+/**
+ * Undo/Redo History
+ * Records layout and config mutations as snapshots of the active workspace
+ */
+
+import state from './state.js';
+
+class UndoManager {
+    constructor(state) {
+        this.state = state;
+        this.limit = 50;
+        this.coalesceWindow = 1000;
+
+        // Undo/redo stacks per workspace
+        this.stacks = new Map();
+        this.current = this.snapshot();
+        this.applying = false;
+        this.nextEntryId = 1;
+
+        // Batch state for continuous gestures
+        this.batchDepth = 0;
+        this.batchRecorded = false;
+        this.batchLabel = null;
+
+        // Last recorded entry, for coalescing rapid edits
+        this.lastKey = null;
+        this.lastTime = 0;
+
+        this.init();
+    }
+
+    /**
+     * Initialize history tracking
+     */
+    init() {
+        const labels = {
+            'widget-added': 'Add widget',
+            'widget-updated': 'Edit widget',
+            'widget-removed': 'Remove widget',
+            'widgets-arranged': 'Rearrange widgets',
+            'widgets-grouped': 'Group widgets',
+            'widgets-ungrouped': 'Ungroup widgets',
+            'layout-imported': 'Import layout',
+            'layout-reset': 'Reset layout',
+            'theme-changed': 'Change theme',
+            'grid-updated': 'Change grid'
+        };
+
+        Object.entries(labels).forEach(([event, label]) => {
+            this.state.subscribe(event, (data) => {
+                this.record(this.getLabel(event, data, label), this.getCoalesceKey(event, data));
+            });
+        });
+
+        // Changes from other tabs aren't ours to undo
+        this.state.subscribe('remote-state-applied', () => {
+            this.current = this.snapshot();
+            this.lastKey = null;
+        });
+
+        // Saved state arrives asynchronously after construction
+        this.state.subscribe('state-loaded', () => {
+            this.resetBaseline();
+        });
+
+        // Each workspace keeps its own history
+        this.state.subscribe('workspace-switched', () => {
+            this.resetBaseline();
+        });
+
+        this.state.subscribe('workspaces-imported', (data) => {
+            if (data.replace) {
+                this.stacks.clear();
+            }
+            this.resetBaseline();
+        });
+
+        // Restored snapshots replace every workspace
+        this.state.subscribe('state-restored', () => {
+            this.stacks.clear();
+            this.resetBaseline();
+        });
+
+        this.state.subscribe('workspaces-changed', (data) => {
+            if (data.action === 'deleted') {
+                this.stacks.delete(data.workspace.id);
+            }
+        });
+
+        this.state.subscribe('state-cleared', () => {
+            this.stacks.clear();
+            this.resetBaseline();
+        });
+    }
+
+    /**
+     * Take a snapshot of the undoable part of the active workspace
+     * @returns {string} Serialized snapshot
+     */
+    snapshot() {
+        const { grid, widgets, theme } = this.state.getState();
+        return JSON.stringify({ grid, widgets, theme });
+    }
+
+    /**
+     * Get undo/redo stacks for the active workspace
+     * @returns {Object} Stacks {undo, redo}
+     */
+    getStack() {
+        const workspaceId = this.state.getState().activeWorkspace;
+        if (!this.stacks.has(workspaceId)) {
+            this.stacks.set(workspaceId, { undo: [], redo: [] });
+        }
+        return this.stacks.get(workspaceId);
+    }
+
+    /**
+     * Record a mutation that just happened
+     * @param {string} label - Human readable label
+     * @param {string|null} key - Coalesce key; repeated keys within the window merge
+     */
+    record(label, key = null) {
+        if (this.applying || this.state.applyingRemote) return;
+
+        const previous = this.current;
+        this.current = this.snapshot();
+        if (previous === this.current) return;
+
+        const stack = this.getStack();
+        const now = Date.now();
+
+        if (this.batchDepth > 0) {
+            // A whole gesture is one step
+            if (!this.batchRecorded) {
+                this.push(stack, previous, this.batchLabel || label);
+                this.batchRecorded = true;
+            }
+        } else if (key && key === this.lastKey && now - this.lastTime < this.coalesceWindow && stack.undo.length > 0) {
+            // Merge into the previous step
+            this.lastTime = now;
+        } else {
+            this.push(stack, previous, label);
+            this.lastKey = key;
+            this.lastTime = now;
+        }
+
+        stack.redo = [];
+        this.emit('changed', this.getStatus());
+    }
+
+    /**
+     * Push an entry onto the undo stack
+     * @param {Object} stack - Workspace stacks
+     * @param {string} snapshot - Snapshot before the change
+     * @param {string} label - Human readable label
+     */
+    push(stack, snapshot, label) {
+        stack.undo.push({ id: this.nextEntryId++, label, snapshot, time: Date.now() });
+
+        if (stack.undo.length > this.limit) {
+            stack.undo.shift();
+        }
+    }
+
+    /**
+     * Start a batch; everything until endBatch() becomes a single step
+     * @param {string} label - Label for the step
+     */
+    beginBatch(label = null) {
+        if (this.batchDepth === 0) {
+            this.batchRecorded = false;
+            this.batchLabel = label;
+        }
+        this.batchDepth++;
+    }
+
+    /**
+     * End the current batch
+     */
+    endBatch() {
+        if (this.batchDepth === 0) return;
+
+        this.batchDepth--;
+        if (this.batchDepth === 0) {
+            this.batchRecorded = false;
+            this.batchLabel = null;
+            this.lastKey = null;
+        }
+    }
+
+    /**
+     * Undo the last step
+     * @param {number} entryId - Only undo if this entry is still the latest step
+     * @returns {Object|null} Undone entry
+     */
+    undo(entryId = null) {
+        const stack = this.getStack();
+        const entry = stack.undo[stack.undo.length - 1];
+        if (!entry || (entryId !== null && entry.id !== entryId)) return null;
+
+        stack.undo.pop();
+        stack.redo.push({ ...entry, snapshot: this.current });
+        this.apply(entry.snapshot);
+
+        this.emit('undo', { label: entry.label });
+        this.emit('changed', this.getStatus());
+        return entry;
+    }
+
+    /**
+     * Redo the last undone step
+     * @returns {Object|null} Redone entry
+     */
+    redo() {
+        const stack = this.getStack();
+        const entry = stack.redo.pop();
+        if (!entry) return null;
+
+        stack.undo.push({ ...entry, snapshot: this.current });
+        this.apply(entry.snapshot);
+
+        this.emit('redo', { label: entry.label });
+        this.emit('changed', this.getStatus());
+        return entry;
+    }
+
+    /**
+     * Apply a snapshot without recording it
+     * @param {string} snapshot - Serialized snapshot
+     */
+    apply(snapshot) {
+        this.applying = true;
+        try {
+            this.state.restoreSnapshot(JSON.parse(snapshot));
+        } finally {
+            this.applying = false;
+        }
+
+        this.current = this.snapshot();
+        this.lastKey = null;
+    }
+
+    /**
+     * Check if undo is available
+     * @returns {boolean} True if there is a step to undo
+     */
+    canUndo() {
+        return this.getStack().undo.length > 0;
+    }
+
+    /**
+     * Check if redo is available
+     * @returns {boolean} True if there is a step to redo
+     */
+    canRedo() {
+        return this.getStack().redo.length > 0;
+    }
+
+    /**
+     * Get the latest undo entry
+     * @returns {Object|null} Entry {id, label, time}
+     */
+    peek() {
+        const stack = this.getStack();
+        const entry = stack.undo[stack.undo.length - 1];
+        return entry ? { id: entry.id, label: entry.label, time: entry.time } : null;
+    }
+
+    /**
+     * Get history status for the active workspace
+     * @returns {Object} Status {undo, redo} with entry labels
+     */
+    getStatus() {
+        const stack = this.getStack();
+        return {
+            undo: stack.undo.map(entry => entry.label),
+            redo: stack.redo.map(entry => entry.label)
+        };
+    }
+
+    /**
+     * Clear history for the active workspace
+     */
+    clear() {
+        this.stacks.delete(this.state.getState().activeWorkspace);
+        this.resetBaseline();
+        this.emit('changed', this.getStatus());
+    }
+
+    /**
+     * Start tracking from the current state
+     */
+    resetBaseline() {
+        this.current = this.snapshot();
+        this.lastKey = null;
+        this.batchDepth = 0;
+        this.batchRecorded = false;
+    }
+
+    /**
+     * Build a label for a mutation
+     * @param {string} event - State event name
+     * @param {*} data - Event data
+     * @param {string} fallback - Default label
+     * @returns {string} Label
+     */
+    getLabel(event, data, fallback) {
+        if (event !== 'widget-updated') return fallback;
+
+        const keys = Object.keys(data.updates || {});
+        if (keys.includes('config')) return 'Edit widget settings';
+        if (keys.includes('minimized')) return 'Minimize widget';
+        if (keys.includes('pinned')) return data.updates.pinned ? 'Pin widget' : 'Unpin widget';
+        if (keys.includes('w') || keys.includes('h')) return 'Resize widget';
+        if (keys.includes('x') || keys.includes('y')) return 'Move widget';
+        return fallback;
+    }
+
+    /**
+     * Build a coalesce key so rapid edits of the same thing merge
+     * @param {string} event - State event name
+     * @param {*} data - Event data
+     * @returns {string|null} Coalesce key
+     */
+    getCoalesceKey(event, data) {
+        if (event !== 'widget-updated') return null;
+        return `${data.widget.id}:${Object.keys(data.updates || {}).sort().join(',')}`;
+    }
+
+    /**
+     * Emit custom event
+     * @param {string} eventName - Event name
+     * @param {*} detail - Event detail data
+     */
+    emit(eventName, detail) {
+        document.dispatchEvent(new CustomEvent(`undo:${eventName}`, { detail }));
+    }
+}
+
+// Create and export global undo manager instance
+const undo = new UndoManager(state);
+
+export default undo;
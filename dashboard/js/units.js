@@ -0,0 +1,107 @@
+/**
+ * Units
+ * Conversions and formatting for measurements shown on the dashboard.
+ * Measurements are kept in a base unit per quantity (°C, km/h, hPa and mm,
+ * as weather services send them) and only converted when shown, so a
+ * change of unit never needs fresh data.
+ *
+ * Each unit converts from the base unit as value × factor + offset, and
+ * is shown with a number of decimals and a symbol. `short` is used where
+ * space is tight, e.g. forecast temperatures.
+ */
+
+export const UNITS = {
+    temperature: {
+        base: 'celsius',
+        units: {
+            celsius: { label: 'Celsius (°C)', symbol: '°C', short: '°', factor: 1, offset: 0, decimals: 0 },
+            fahrenheit: { label: 'Fahrenheit (°F)', symbol: '°F', short: '°', factor: 9 / 5, offset: 32, decimals: 0 },
+            kelvin: { label: 'Kelvin (K)', symbol: ' K', factor: 1, offset: 273.15, decimals: 0 }
+        }
+    },
+    speed: {
+        base: 'kmh',
+        units: {
+            kmh: { label: 'Kilometres per hour (km/h)', symbol: ' km/h', factor: 1, offset: 0, decimals: 0 },
+            mph: { label: 'Miles per hour (mph)', symbol: ' mph', factor: 1 / 1.609344, offset: 0, decimals: 0 },
+            ms: { label: 'Metres per second (m/s)', symbol: ' m/s', factor: 1 / 3.6, offset: 0, decimals: 1 },
+            knots: { label: 'Knots (kn)', symbol: ' kn', factor: 1 / 1.852, offset: 0, decimals: 0 }
+        }
+    },
+    pressure: {
+        base: 'hpa',
+        units: {
+            hpa: { label: 'Hectopascals (hPa)', symbol: ' hPa', factor: 1, offset: 0, decimals: 0 },
+            inhg: { label: 'Inches of mercury (inHg)', symbol: ' inHg', factor: 1 / 33.8639, offset: 0, decimals: 2 },
+            mmhg: { label: 'Millimetres of mercury (mmHg)', symbol: ' mmHg', factor: 1 / 1.333224, offset: 0, decimals: 0 }
+        }
+    },
+    precipitation: {
+        base: 'mm',
+        units: {
+            mm: { label: 'Millimetres (mm)', symbol: ' mm', factor: 1, offset: 0, decimals: 1 },
+            in: { label: 'Inches (in)', symbol: ' in', factor: 1 / 25.4, offset: 0, decimals: 2 }
+        }
+    }
+};
+
+/**
+ * Convert a measurement from its base unit
+ * @param {number} value - Value in the quantity's base unit
+ * @param {string} quantity - 'temperature', 'speed', 'pressure' or 'precipitation'
+ * @param {string} unit - Unit to convert to, e.g. 'fahrenheit'; unknown units give the base unit
+ * @returns {number} Converted value, unrounded
+ */
+export function convert(value, quantity, unit) {
+    const { factor, offset } = getUnit(quantity, unit);
+    return value * factor + offset;
+}
+
+/**
+ * Convert a measurement and format it for display
+ * @param {number} value - Value in the quantity's base unit
+ * @param {string} quantity - Quantity
+ * @param {string} unit - Unit to show it in
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.short - Use the unit's short symbol, if it has one
+ * @returns {string} E.g. '72°F', '29.92 inHg', or '–' for a missing value
+ */
+export function formatMeasurement(value, quantity, unit, { short = false } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return '–';
+
+    const definition = getUnit(quantity, unit);
+    const rounded = convert(value, quantity, unit).toFixed(definition.decimals);
+
+    // Don't show "-0" for values that round to zero
+    const number = Number(rounded) === 0 ? (0).toFixed(definition.decimals) : rounded;
+    return `${number}${short ? definition.short ?? definition.symbol : definition.symbol}`;
+}
+
+/**
+ * List a quantity's units as select options
+ * @param {string} quantity - Quantity
+ * @returns {Array} Options [{value, label}]
+ */
+export function getUnitOptions(quantity) {
+    return Object.entries(UNITS[quantity].units).map(([value, unit]) => ({ value, label: unit.label }));
+}
+
+/**
+ * List a quantity's unit keys, e.g. for config validation
+ * @param {string} quantity - Quantity
+ * @returns {Array} Unit keys
+ */
+export function getUnitKeys(quantity) {
+    return Object.keys(UNITS[quantity].units);
+}
+
+/**
+ * Look up a unit, falling back to the quantity's base unit
+ * @param {string} quantity - Quantity
+ * @param {string} unit - Unit key
+ * @returns {Object} Unit definition
+ */
+function getUnit(quantity, unit) {
+    const { base, units } = UNITS[quantity];
+    return units[unit] || units[base];
+}
@@ -0,0 +1,536 @@
+/**
+ * Layout Validation
+ * Checks imported layouts against the schema and repairs what it can
+ */
+
+import registry from './registry.js';
+import { BREAKPOINTS, findFreePosition, getOccupiedRect, overlaps } from './layout.js';
+
+export const THEMES = ['system', 'light', 'dark', 'amoled'];
+
+export const GRID_LIMITS = {
+    cols: { min: 1, max: 24, fallback: 12 },
+    rowHeight: { min: 20, max: 200, fallback: 60 },
+    gap: { min: 0, max: 32, fallback: 8 }
+};
+
+const MAX_ROW = 500;
+const MAX_ROW_SPAN = 20;
+const MAX_TITLE_LENGTH = 100;
+
+const LAYOUT_KEYS = ['name', 'grid', 'widgets', 'theme', 'settings', 'version', 'exportedAt'];
+const WORKSPACE_SET_KEYS = ['workspaces', 'activeWorkspace', 'settings', 'version', 'exportedAt'];
+const WORKSPACE_KEYS = ['id', 'name', 'grid', 'widgets', 'theme'];
+const WIDGET_KEYS = ['id', 'type', 'x', 'y', 'w', 'h', 'minimized', 'pinned', 'config', 'layouts', 'parentId'];
+const SETTINGS_KEYS = ['autoSave', 'animations', 'notifications', 'compactLayout'];
+
+/**
+ * Validate a layout or workspace export and build a repaired copy
+ * @param {Object} data - Layout or workspace export (already migrated)
+ * @param {Object} validators - Widget config validators keyed by type; defaults to the registered widgets'
+ * @returns {Object} Report {valid, errors, layout} where errors are {path, message}
+ */
+export function validateLayout(data, validators = registry.getValidators()) {
+    const errors = [];
+    const report = (path, message) => errors.push({ path, message });
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        report('', 'File does not contain a layout');
+        return { valid: false, errors, layout: null };
+    }
+
+    const layout = JSON.parse(JSON.stringify(data));
+    const isWorkspaceSet = Array.isArray(layout.workspaces);
+
+    dropUnknownKeys(layout, isWorkspaceSet ? WORKSPACE_SET_KEYS : LAYOUT_KEYS, '', report);
+
+    if (layout.settings !== undefined) {
+        layout.settings = validateSettings(layout.settings, 'settings', report);
+    }
+
+    if (isWorkspaceSet) {
+        if (layout.workspaces.length === 0) {
+            report('workspaces', 'must contain at least one workspace');
+        }
+
+        const ids = new Set();
+        layout.workspaces = layout.workspaces.filter((workspace, index) => {
+            const path = `workspaces[${index}]`;
+            if (!isPlainObject(workspace)) {
+                report(path, 'is not a workspace and was dropped');
+                return false;
+            }
+
+            dropUnknownKeys(workspace, WORKSPACE_KEYS, path, report);
+
+            if (typeof workspace.id !== 'string' || !/^[\w-]+$/.test(workspace.id) || ids.has(workspace.id)) {
+                if (workspace.id !== undefined) {
+                    report(`${path}.id`, 'is missing, invalid or duplicated');
+                }
+                delete workspace.id;
+            } else {
+                ids.add(workspace.id);
+            }
+
+            validateBoard(workspace, path, validators, report);
+            return true;
+        });
+
+        if (layout.activeWorkspace !== undefined && !ids.has(layout.activeWorkspace)) {
+            report('activeWorkspace', 'does not match any workspace');
+            delete layout.activeWorkspace;
+        }
+    } else {
+        validateBoard(layout, '', validators, report);
+    }
+
+    return { valid: errors.length === 0, errors, layout };
+}
+
+/**
+ * Validate one board (a layout or a workspace) in place
+ * @param {Object} board - Board with name, grid, widgets, theme
+ * @param {string} path - Path prefix for error messages
+ * @param {Object} validators - Widget config validators keyed by type
+ * @param {Function} report - Error reporter
+ */
+function validateBoard(board, path, validators, report) {
+    const at = key => (path ? `${path}.${key}` : key);
+
+    if (board.name !== undefined) {
+        const name = sanitizeText(board.name, MAX_TITLE_LENGTH);
+        if (name !== board.name) {
+            report(at('name'), 'contains markup or is not plain text');
+        }
+        board.name = name || undefined;
+    }
+
+    board.grid = validateGrid(board.grid, at('grid'), report);
+
+    if (board.theme !== undefined && !THEMES.includes(board.theme)) {
+        report(at('theme'), `must be one of ${THEMES.join(', ')}`);
+        board.theme = 'system';
+    }
+
+    if (!Array.isArray(board.widgets)) {
+        report(at('widgets'), 'is missing');
+        board.widgets = [];
+        return;
+    }
+
+    const ids = new Set();
+    const widgets = [];
+
+    board.widgets.forEach((widget, index) => {
+        const widgetPath = at(`widgets[${index}]`);
+        const valid = validateWidget(widget, widgetPath, board.grid.cols, validators, report);
+        if (!valid) return;
+
+        if (ids.has(widget.id)) {
+            const id = uniqueId(widget.type, ids);
+            report(`${widgetPath}.id`, `"${widget.id}" is used more than once; renamed to "${id}"`);
+            widget.id = id;
+        }
+        ids.add(widget.id);
+        widgets.push(widget);
+    });
+
+    // Fill in ids only after all explicit ones are known
+    widgets.forEach(widget => {
+        if (!widget.id) {
+            widget.id = uniqueId(widget.type, ids);
+            ids.add(widget.id);
+        }
+    });
+
+    // Tabs must belong to a tab group on the same board, and share its spot
+    const groups = new Set(widgets
+        .filter(widget => !widget.parentId && registry.get(widget.type).container)
+        .map(widget => widget.id));
+    widgets.forEach(widget => {
+        if (widget.parentId === undefined) return;
+
+        if (!groups.has(widget.parentId) || registry.get(widget.type).container) {
+            report(`${at('widgets')} "${widget.id}".parentId`, 'does not name a tab group this widget can go in; placed on its own');
+            delete widget.parentId;
+        } else {
+            delete widget.layouts;
+        }
+    });
+
+    resolveCollisions(widgets.filter(widget => !widget.parentId), board.grid.cols, at('widgets'), report);
+    board.widgets = widgets;
+
+    // Stored layouts of narrower breakpoints must not overlap either
+    BREAKPOINTS.filter(breakpoint => breakpoint.cols).forEach(({ name, cols }) => {
+        const owners = board.widgets.filter(widget => widget.layouts && widget.layouts[name]);
+        const rects = owners.map(widget => ({ id: widget.id, ...widget.layouts[name], minimized: widget.minimized }));
+
+        resolveCollisions(rects, cols, at(`widgets (${name} layout)`), report).forEach((rect, index) => {
+            owners[index].layouts[name] = { x: rect.x, y: rect.y, w: rect.w, h: rect.h };
+        });
+    });
+}
+
+/**
+ * Validate one widget in place
+ * @param {Object} widget - Widget data
+ * @param {string} path - Path for error messages
+ * @param {number} cols - Grid column count
+ * @param {Object} validators - Widget config validators keyed by type
+ * @param {Function} report - Error reporter
+ * @returns {boolean} False if the widget must be dropped
+ */
+function validateWidget(widget, path, cols, validators, report) {
+    if (!isPlainObject(widget)) {
+        report(path, 'is not a widget and was dropped');
+        return false;
+    }
+
+    if (!registry.has(widget.type)) {
+        report(path, `has unknown type "${sanitizeText(String(widget.type), 40)}" and was dropped`);
+        return false;
+    }
+
+    dropUnknownKeys(widget, WIDGET_KEYS, path, report);
+
+    if (widget.id !== undefined && (typeof widget.id !== 'string' || !/^[\w-]+$/.test(widget.id))) {
+        report(`${path}.id`, 'may only contain letters, numbers, "-" and "_"');
+        delete widget.id;
+    }
+
+    widget.w = clampInteger(widget.w, 1, cols, 3, `${path}.w`, report);
+    widget.h = clampInteger(widget.h, 1, MAX_ROW_SPAN, 2, `${path}.h`, report);
+    widget.x = clampInteger(widget.x, 0, cols - widget.w, 0, `${path}.x`, report);
+    widget.y = clampInteger(widget.y, 0, MAX_ROW, 0, `${path}.y`, report);
+
+    if (widget.parentId !== undefined && (typeof widget.parentId !== 'string' || !/^[\w-]+$/.test(widget.parentId))) {
+        report(`${path}.parentId`, 'must be a widget ID');
+        delete widget.parentId;
+    }
+
+    if (widget.layouts !== undefined) {
+        const layouts = validateBreakpointLayouts(widget.layouts, `${path}.layouts`, report);
+        if (layouts) {
+            widget.layouts = layouts;
+        } else {
+            delete widget.layouts;
+        }
+    }
+
+    if (widget.minimized !== undefined && typeof widget.minimized !== 'boolean') {
+        report(`${path}.minimized`, 'must be true or false');
+    }
+    widget.minimized = widget.minimized === true;
+
+    if (widget.pinned !== undefined && typeof widget.pinned !== 'boolean') {
+        report(`${path}.pinned`, 'must be true or false');
+    }
+    widget.pinned = widget.pinned === true;
+
+    if (widget.config !== undefined && !isPlainObject(widget.config)) {
+        report(`${path}.config`, 'must be an object');
+    }
+    const config = isPlainObject(widget.config) ? widget.config : {};
+
+    if (config.title !== undefined) {
+        const title = sanitizeText(config.title, MAX_TITLE_LENGTH);
+        if (title !== config.title) {
+            report(`${path}.config.title`, 'contains markup or is not plain text');
+        }
+        config.title = title;
+    }
+
+    const validateConfig = validators[widget.type];
+    if (validateConfig) {
+        const result = validateConfig(config);
+        result.errors.forEach(message => report(`${path}.config`, message));
+        widget.config = result.config;
+    } else {
+        widget.config = config;
+    }
+
+    // Size limits can depend on the config, e.g. the analog clock stays square
+    const size = registry.constrainSize(widget.type, widget.config, widget, { cols });
+    if (size.w !== widget.w || size.h !== widget.h) {
+        report(`${path}.size`, `${widget.w}×${widget.h} is outside the limits for this widget; using ${size.w}×${size.h}`);
+        widget.w = size.w;
+        widget.h = size.h;
+        widget.x = Math.min(widget.x, cols - widget.w);
+    }
+
+    return true;
+}
+
+/**
+ * Validate grid settings
+ * @param {*} grid - Grid settings from the file
+ * @param {string} path - Path for error messages
+ * @param {Function} report - Error reporter
+ * @returns {Object} Valid grid settings
+ */
+function validateGrid(grid, path, report) {
+    if (grid !== undefined && !isPlainObject(grid)) {
+        report(path, 'must be an object');
+    }
+    const source = isPlainObject(grid) ? grid : {};
+    const result = {};
+
+    Object.entries(GRID_LIMITS).forEach(([key, { min, max, fallback }]) => {
+        result[key] = clampInteger(source[key], min, max, fallback, `${path}.${key}`, report);
+    });
+
+    return result;
+}
+
+/**
+ * Validate a widget's layouts for narrower breakpoints
+ * @param {*} layouts - Rectangles keyed by breakpoint name
+ * @param {string} path - Path for error messages
+ * @param {Function} report - Error reporter
+ * @returns {Object|undefined} Valid layouts, or undefined if none are left
+ */
+function validateBreakpointLayouts(layouts, path, report) {
+    if (!isPlainObject(layouts)) {
+        report(path, 'must be an object');
+        return undefined;
+    }
+
+    const result = {};
+    Object.entries(layouts).forEach(([name, rect]) => {
+        const breakpoint = BREAKPOINTS.find(item => item.name === name && item.cols);
+        if (!breakpoint || !isPlainObject(rect)) {
+            report(`${path}.${name}`, 'is not a breakpoint layout and was dropped');
+            return;
+        }
+
+        const w = clampInteger(rect.w, 1, breakpoint.cols, 1, `${path}.${name}.w`, report);
+        const h = clampInteger(rect.h, 1, MAX_ROW_SPAN, 2, `${path}.${name}.h`, report);
+        result[name] = {
+            x: clampInteger(rect.x, 0, breakpoint.cols - w, 0, `${path}.${name}.x`, report),
+            y: clampInteger(rect.y, 0, MAX_ROW, 0, `${path}.${name}.y`, report),
+            w,
+            h
+        };
+    });
+
+    return Object.keys(result).length > 0 ? result : undefined;
+}
+
+/**
+ * Validate app settings
+ * @param {*} settings - Settings from the file
+ * @param {string} path - Path for error messages
+ * @param {Function} report - Error reporter
+ * @returns {Object|undefined} Valid settings
+ */
+function validateSettings(settings, path, report) {
+    if (!isPlainObject(settings)) {
+        report(path, 'must be an object');
+        return undefined;
+    }
+
+    dropUnknownKeys(settings, SETTINGS_KEYS, path, report);
+    Object.keys(settings).forEach(key => {
+        if (typeof settings[key] !== 'boolean') {
+            report(`${path}.${key}`, 'must be true or false');
+            delete settings[key];
+        }
+    });
+
+    return settings;
+}
+
+/**
+ * Move overlapping widgets to the nearest free space below. Collapsed
+ * widgets only take their header row.
+ * @param {Array} widgets - Widgets in file order
+ * @param {number} cols - Grid column count
+ * @param {string} path - Path for error messages
+ * @param {Function} report - Error reporter
+ * @returns {Array} Widgets without overlaps
+ */
+function resolveCollisions(widgets, cols, path, report) {
+    const placed = [];
+
+    widgets.forEach(widget => {
+        const rect = getOccupiedRect(widget, widget);
+        const collision = placed.find(other => overlaps(rect, other));
+        if (collision) {
+            const position = findFreePosition(placed, rect, cols);
+            report(`${path} "${widget.id}"`, `overlaps "${collision.id}"; moved to ${position.x},${position.y}`);
+            widget.x = rect.x = position.x;
+            widget.y = rect.y = position.y;
+        }
+        placed.push(rect);
+    });
+
+    return widgets;
+}
+
+/**
+ * Clamp a value to an integer range, reporting anything that had to change
+ * @returns {number} Valid value
+ */
+function clampInteger(value, min, max, fallback, path, report) {
+    if (value === undefined) return fallback;
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        report(path, `must be a number; using ${fallback}`);
+        return fallback;
+    }
+
+    const clamped = Math.min(max, Math.max(min, Math.round(value)));
+    if (clamped !== value) {
+        report(path, `must be a whole number between ${min} and ${max}; using ${clamped}`);
+    }
+    return clamped;
+}
+
+/**
+ * Remove properties that are not part of the schema
+ * @param {Object} object - Object to clean in place
+ * @param {Array<string>} allowed - Allowed keys
+ * @param {string} path - Path for error messages
+ * @param {Function} report - Error reporter
+ */
+function dropUnknownKeys(object, allowed, path, report) {
+    Object.keys(object).forEach(key => {
+        if (!allowed.includes(key)) {
+            report(path ? `${path}.${key}` : key, 'is not a known property and was dropped');
+            delete object[key];
+        }
+    });
+}
+
+/**
+ * Pick a widget id that is not taken yet
+ * @param {string} type - Widget type
+ * @param {Set<string>} taken - Ids in use
+ * @returns {string} Unique id
+ */
+function uniqueId(type, taken) {
+    let counter = 1;
+    while (taken.has(`${type}-${counter}`)) {
+        counter++;
+    }
+    return `${type}-${counter}`;
+}
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-array objects
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Reduce a value to plain text without markup
+ * @param {*} value - Value to clean
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Plain text
+ */
+export function sanitizeText(value, maxLength = 200) {
+    if (typeof value !== 'string') return '';
+
+    return value
+        .replace(/<[^>]*>?/g, '')
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .trim()
+        .slice(0, maxLength);
+}
+
+/**
+ * Check if a string is an http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean} True for http and https URLs
+ */
+export function isHttpUrl(value) {
+    if (typeof value !== 'string') return false;
+
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Create a checker for a widget config. Widget modules use it in their
+ * validateConfig() export; failed fields are removed so the widget
+ * falls back to its defaults.
+ * @param {Object} config - Config to check
+ * @returns {Object} Checker with chainable rules and result()
+ */
+export function createConfigChecker(config) {
+    const errors = [];
+    const repaired = { ...config };
+
+    const has = key => repaired[key] !== undefined;
+    const fail = (key, message) => {
+        errors.push(`${key} ${message}`);
+        delete repaired[key];
+    };
+
+    const checker = {
+        boolean(key) {
+            if (has(key) && typeof repaired[key] !== 'boolean') {
+                fail(key, 'must be true or false');
+            }
+            return checker;
+        },
+
+        number(key, min, max) {
+            const value = repaired[key];
+            if (has(key) && (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max)) {
+                fail(key, `must be a number between ${min} and ${max}`);
+            }
+            return checker;
+        },
+
+        oneOf(key, values) {
+            if (has(key) && !values.includes(repaired[key])) {
+                fail(key, `must be one of ${values.map(value => JSON.stringify(value)).join(', ')}`);
+            }
+            return checker;
+        },
+
+        string(key, { maxLength = 200, pattern = null } = {}) {
+            const value = repaired[key];
+            if (has(key) && (typeof value !== 'string' || value.length > maxLength || (pattern && !pattern.test(value)))) {
+                fail(key, pattern ? 'has an invalid format' : `must be text of at most ${maxLength} characters`);
+            }
+            return checker;
+        },
+
+        /**
+         * Run a custom repair; report if the repaired value differs
+         * @param {string} key - Config key
+         * @param {Function} repair - Returns the repaired value, or undefined to drop it
+         * @param {string} message - Error message when a repair was needed
+         */
+        custom(key, repair, message) {
+            if (!has(key)) return checker;
+
+            const value = repair(repaired[key]);
+            if (JSON.stringify(value) !== JSON.stringify(repaired[key])) {
+                errors.push(`${key} ${message}`);
+                if (value === undefined) {
+                    delete repaired[key];
+                } else {
+                    repaired[key] = value;
+                }
+            }
+            return checker;
+        },
+
+        result() {
+            return { errors, config: repaired };
+        }
+    };
+
+    return checker;
+}
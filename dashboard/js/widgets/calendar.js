@@ -3,10 +3,33 @@
  * Mini calendar with month navigation and note taking
  */
 
+import { createConfigChecker } from '../validation.js';
+
+export const manifest = {
+    type: 'calendar',
+    title: 'Calendar',
+    description: 'Mini calendar with event management',
+    icon: 'calendar',
+    defaultSize: { w: 4, h: 3 },
+    minSize: { w: 3, h: 3 },
+    maxSize: { w: 8, h: 8 },
+    configSchema: {
+        firstDayOfWeek: {
+            type: 'select',
+            label: 'Week starts on',
+            options: [
+                { value: 0, label: 'Sunday' },
+                { value: 1, label: 'Monday' }
+            ],
+            default: 0
+        }
+    }
+};
+
 export function createWidget(initialConfig = {}) {
     const defaultConfig = {
         title: 'Calendar',
-        notes: {}, // { 'YYYY-MM-DD': 'note text' }
+        notes: {}, // { 'YYYY-MM-DD': { text, updatedAt } }
         firstDayOfWeek: 0 // 0 = Sunday, 1 = Monday
     };
 
@@ -104,7 +127,8 @@ export function createWidget(initialConfig = {}) {
             const dateStr = formatDate(date);
             const isCurrentMonth = date.getMonth() === month;
             const isToday = dateStr === currentDateStr;
-            const hasNote = config.notes[dateStr];
+            const note = config.notes[dateStr];
+            const hasNote = Boolean(note);
             
             let classes = 'calendar-day';
             if (!isCurrentMonth) classes += ' other-month';
@@ -117,7 +141,7 @@ export function createWidget(initialConfig = {}) {
                      data-date="${dateStr}"
                      tabindex="${isCurrentMonth ? '0' : '-1'}"
                      aria-label="${date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}${hasNote ? ' - has note' : ''}"
-                     title="${hasNote ? `Note: ${config.notes[dateStr]}` : ''}">
+                     title="${hasNote ? `Note: ${escapeHtml(note.text)}` : ''}">
                     ${date.getDate()}
                 </div>
             `;
@@ -196,7 +220,7 @@ export function createWidget(initialConfig = {}) {
                 const noteText = formData.get('note').trim();
                 
                 if (noteText) {
-                    config.notes[dateStr] = noteText;
+                    config.notes[dateStr] = createNote(noteText);
                 } else {
                     delete config.notes[dateStr];
                 }
@@ -237,7 +261,7 @@ export function createWidget(initialConfig = {}) {
         form.innerHTML = `
             <div class="form-group">
                 <label class="form-label" for="calendar-note">Note</label>
-                <textarea id="calendar-note" name="note" class="input" rows="4" placeholder="Add a note for this day...">${existingNote || ''}</textarea>
+                <textarea id="calendar-note" name="note" class="input" rows="4" placeholder="Add a note for this day...">${existingNote ? escapeHtml(existingNote.text) : ''}</textarea>
             </div>
             
             <div class="form-group">
@@ -306,11 +330,30 @@ export function createWidget(initialConfig = {}) {
         });
     }
 
+    /**
+     * Escape HTML
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Create a note event object
+     */
+    function createNote(text) {
+        return {
+            text,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
     /**
      * Add note programmatically
      */
     function addNote(dateStr, note) {
-        config.notes[dateStr] = note;
+        config.notes[dateStr] = createNote(note);
         updateDisplay();
         emitConfigChange();
     }
@@ -362,4 +405,33 @@ export function createWidget(initialConfig = {}) {
         setConfig,
         destroy
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Validate a stored calendar config
+ * @param {Object} config - Config to check
+ * @returns {Object} Result {errors, config} with invalid fields removed
+ */
+export function validateConfig(config) {
+    return createConfigChecker(config)
+        .oneOf('firstDayOfWeek', [0, 1])
+        .custom('notes', sanitizeNotes, 'contained invalid notes')
+        .result();
+}
+
+/**
+ * Keep only notes with a valid date key and text
+ * @param {*} notes - Notes keyed by YYYY-MM-DD
+ * @returns {Object|undefined} Valid notes
+ */
+function sanitizeNotes(notes) {
+    if (!notes || typeof notes !== 'object' || Array.isArray(notes)) return undefined;
+
+    const result = {};
+    Object.entries(notes).forEach(([date, note]) => {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(date) && note && typeof note.text === 'string' && note.text.length <= 1000) {
+            result[date] = note;
+        }
+    });
+    return result;
+}
@@ -3,6 +3,52 @@
  * Displays current time in digital or analog format with timezone support
  */
 
+import { createJobHooks } from '../lifecycle.js';
+import scheduler from '../scheduler.js';
+import { createConfigChecker } from '../validation.js';
+
+export const manifest = {
+    type: 'clock',
+    title: 'Clock',
+    description: 'Digital and analog clock with timezone support',
+    icon: 'clock',
+    defaultSize: { w: 3, h: 2 },
+    minSize: { w: 2, h: 2 },
+    maxSize: { w: 6, h: 6 },
+    // The analog face stays square
+    aspectRatio: config => (config.showAnalog ? 1 : null),
+    configSchema: {
+        format: {
+            type: 'select',
+            label: 'Time format',
+            options: [
+                { value: '24h', label: '24-hour' },
+                { value: '12h', label: '12-hour' }
+            ],
+            default: '24h'
+        },
+        timezone: {
+            type: 'select',
+            label: 'Timezone',
+            options: [
+                { value: 'local', label: 'Local Time' },
+                { value: 'UTC', label: 'UTC' },
+                { value: 'America/New_York', label: 'New York' },
+                { value: 'America/Los_Angeles', label: 'Los Angeles' },
+                { value: 'Europe/London', label: 'London' },
+                { value: 'Europe/Paris', label: 'Paris' },
+                { value: 'Asia/Tokyo', label: 'Tokyo' },
+                { value: 'Asia/Shanghai', label: 'Shanghai' },
+                { value: 'Australia/Sydney', label: 'Sydney' }
+            ],
+            default: 'local'
+        },
+        showAnalog: { type: 'toggle', label: 'Analog face', default: false },
+        showDate: { type: 'toggle', label: 'Show date', default: true },
+        showSeconds: { type: 'toggle', label: 'Show seconds', default: true }
+    }
+};
+
 export function createWidget(initialConfig = {}) {
     const defaultConfig = {
         title: 'Clock',
@@ -15,9 +61,12 @@ export function createWidget(initialConfig = {}) {
 
     let config = { ...defaultConfig, ...initialConfig };
     let element = null;
-    let updateInterval = null;
+    let updateJob = null;
     let destroyed = false;
 
+    // Ticking pauses while the clock can't be seen
+    const { onShow, onHide, onSuspend, onResume, isPaused } = createJobHooks(() => [updateJob]);
+
     /**
      * Create widget element
      */
@@ -154,21 +203,33 @@ export function createWidget(initialConfig = {}) {
      * Start update timer
      */
     function startTimer() {
-        if (updateInterval) {
-            clearInterval(updateInterval);
-        }
+        stopTimer();
+
+        // Aligned so the display flips exactly on the second or minute
+        updateJob = scheduler.add({
+            name: config.title,
+            interval: getTickInterval(),
+            align: true,
+            paused: isPaused(),
+            run: updateDisplay
+        });
+    }
 
-        const interval = config.showSeconds ? 1000 : 60000; // 1 second or 1 minute
-        updateInterval = setInterval(updateDisplay, interval);
+    /**
+     * Get the time between display updates
+     * @returns {number} Milliseconds
+     */
+    function getTickInterval() {
+        return config.showSeconds ? 1000 : 60000; // 1 second or 1 minute
     }
 
     /**
      * Stop update timer
      */
     function stopTimer() {
-        if (updateInterval) {
-            clearInterval(updateInterval);
-            updateInterval = null;
+        if (updateJob) {
+            updateJob.cancel();
+            updateJob = null;
         }
     }
 
@@ -182,92 +243,10 @@ export function createWidget(initialConfig = {}) {
     }
 
     /**
-     * Open settings modal
+     * Ask the dashboard to open this widget's settings
      */
     function openSettings() {
-        // Import UI manager and show settings modal
-        import('../ui.js').then(({ default: ui }) => {
-            const settingsForm = createSettingsForm();
-            ui.showModal('widget-settings-modal', {
-                title: 'Clock Settings',
-                content: settingsForm
-            });
-
-            // Handle form submission
-            settingsForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                const formData = new FormData(settingsForm);
-                
-                const newConfig = {
-                    ...config,
-                    format: formData.get('format'),
-                    showAnalog: formData.get('showAnalog') === 'on',
-                    timezone: formData.get('timezone'),
-                    showDate: formData.get('showDate') === 'on',
-                    showSeconds: formData.get('showSeconds') === 'on'
-                };
-
-                setConfig(newConfig);
-                ui.closeModal('widget-settings-modal');
-            });
-        });
-    }
-
-    /**
-     * Create settings form
-     * @returns {Element} Settings form element
-     */
-    function createSettingsForm() {
-        const form = document.createElement('form');
-        form.innerHTML = `
-            <div class="form-group">
-                <label class="form-label" for="clock-format">Time Format</label>
-                <select id="clock-format" name="format" class="input">
-                    <option value="12h" ${config.format === '12h' ? 'selected' : ''}>12 Hour</option>
-                    <option value="24h" ${config.format === '24h' ? 'selected' : ''}>24 Hour</option>
-                </select>
-            </div>
-
-            <div class="form-group">
-                <label class="checkbox">
-                    <input type="checkbox" name="showAnalog" ${config.showAnalog ? 'checked' : ''}>
-                    <span class="checkbox-indicator"></span>
-                    Show Analog Clock
-                </label>
-            </div>
-
-            <div class="form-group">
-                <label class="checkbox">
-                    <input type="checkbox" name="showDate" ${config.showDate ? 'checked' : ''}>
-                    <span class="checkbox-indicator"></span>
-                    Show Date
-                </label>
-            </div>
-
-            <div class="form-group">
-                <label class="checkbox">
-                    <input type="checkbox" name="showSeconds" ${config.showSeconds ? 'checked' : ''}>
-                    <span class="checkbox-indicator"></span>
-                    Show Seconds
-                </label>
-            </div>
-
-            <div class="form-group">
-                <label class="form-label" for="clock-timezone">Timezone</label>
-                <select id="clock-timezone" name="timezone" class="input">
-                    <option value="local" ${config.timezone === 'local' ? 'selected' : ''}>Local Time</option>
-                    <option value="UTC" ${config.timezone === 'UTC' ? 'selected' : ''}>UTC</option>
-                    <option value="America/New_York" ${config.timezone === 'America/New_York' ? 'selected' : ''}>New York</option>
-                    <option value="America/Los_Angeles" ${config.timezone === 'America/Los_Angeles' ? 'selected' : ''}>Los Angeles</option>
-                    <option value="Europe/London" ${config.timezone === 'Europe/London' ? 'selected' : ''}>London</option>
-                    <option value="Europe/Paris" ${config.timezone === 'Europe/Paris' ? 'selected' : ''}>Paris</option>
-                    <option value="Asia/Tokyo" ${config.timezone === 'Asia/Tokyo' ? 'selected' : ''}>Tokyo</option>
-                    <option value="Asia/Shanghai" ${config.timezone === 'Asia/Shanghai' ? 'selected' : ''}>Shanghai</option>
-                    <option value="Australia/Sydney" ${config.timezone === 'Australia/Sydney' ? 'selected' : ''}>Sydney</option>
-                </select>
-            </div>
-        `;
-        return form;
+        element.dispatchEvent(new CustomEvent('widget-open-settings', { bubbles: true }));
     }
 
     /**
@@ -285,14 +264,8 @@ export function createWidget(initialConfig = {}) {
      * @param {Object} newConfig - New configuration
      */
     function setConfig(newConfig) {
-        const oldConfig = { ...config };
         config = { ...config, ...newConfig };
-        
-        // Restart timer if interval changed
-        if (oldConfig.showSeconds !== config.showSeconds) {
-            stopTimer();
-            startTimer();
-        }
+        updateJob?.update({ name: config.title, interval: getTickInterval() });
         
         updateDisplay();
         emitConfigChange();
@@ -327,6 +300,42 @@ export function createWidget(initialConfig = {}) {
         el,
         getConfig,
         setConfig,
+        onShow,
+        onHide,
+        onSuspend,
+        onResume,
         destroy
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Validate a stored clock config
+ * @param {Object} config - Config to check
+ * @returns {Object} Result {errors, config} with invalid fields removed
+ */
+export function validateConfig(config) {
+    return createConfigChecker(config)
+        .oneOf('format', ['12h', '24h'])
+        .boolean('showAnalog')
+        .boolean('showDate')
+        .boolean('showSeconds')
+        .custom('timezone', value => (isValidTimezone(value) ? value : undefined), 'is not a known timezone')
+        .result();
+}
+
+/**
+ * Check a timezone name
+ * @param {*} timezone - 'local' or an IANA timezone
+ * @returns {boolean} True if the timezone can be displayed
+ */
+function isValidTimezone(timezone) {
+    if (timezone === 'local') return true;
+    if (typeof timezone !== 'string') return false;
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
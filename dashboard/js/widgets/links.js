@@ -3,14 +3,40 @@
  * Quick bookmarks and favorite websites
  */
 
+import { createConfigChecker, isHttpUrl } from '../validation.js';
+
+const DEFAULT_LINKS = [
+    { id: '1', title: 'Google', url: 'https://google.com', favicon: 'https://google.com/favicon.ico' },
+    { id: '2', title: 'GitHub', url: 'https://github.com', favicon: 'https://github.com/favicon.ico' },
+    { id: '3', title: 'YouTube', url: 'https://youtube.com', favicon: 'https://youtube.com/favicon.ico' }
+];
+
+export const manifest = {
+    type: 'links',
+    title: 'Quick Links',
+    description: 'Bookmarks and favorite websites',
+    icon: 'link',
+    defaultSize: { w: 6, h: 2 },
+    minSize: { w: 2, h: 2 },
+    maxSize: { w: 12, h: 8 },
+    configSchema: {
+        links: {
+            type: 'list',
+            label: 'Links',
+            itemSchema: {
+                title: { type: 'text', label: 'Title', required: true, maxLength: 100, default: '' },
+                url: { type: 'text', label: 'URL', format: 'url', required: true, placeholder: 'https://', default: '' }
+            },
+            createItem: () => ({ id: Date.now().toString(36) + Math.random().toString(36).slice(2), favicon: '' }),
+            default: DEFAULT_LINKS
+        }
+    }
+};
+
 export function createWidget(initialConfig = {}) {
     const defaultConfig = {
         title: 'Quick Links',
-        links: [
-            { id: '1', title: 'Google', url: 'https://google.com', favicon: 'https://google.com/favicon.ico' },
-            { id: '2', title: 'GitHub', url: 'https://github.com', favicon: 'https://github.com/favicon.ico' },
-            { id: '3', title: 'YouTube', url: 'https://youtube.com', favicon: 'https://youtube.com/favicon.ico' }
-        ]
+        links: DEFAULT_LINKS.map(link => ({ ...link }))
     };
 
     let config = { ...defaultConfig, ...initialConfig };
@@ -413,4 +439,34 @@ export function createWidget(initialConfig = {}) {
         setConfig,
         destroy
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Validate a stored links config
+ * @param {Object} config - Config to check
+ * @returns {Object} Result {errors, config} with invalid fields removed
+ */
+export function validateConfig(config) {
+    return createConfigChecker(config)
+        .custom('links', sanitizeLinks, 'contained invalid or unsafe links')
+        .result();
+}
+
+/**
+ * Keep only http(s) links and normalize their URLs
+ * @param {*} links - Stored links
+ * @returns {Array|undefined} Valid links
+ */
+function sanitizeLinks(links) {
+    if (!Array.isArray(links)) return undefined;
+
+    return links
+        .filter(link => link && typeof link.id === 'string' && /^[\w-]+$/.test(link.id) &&
+            typeof link.title === 'string' && isHttpUrl(link.url))
+        .map(link => ({
+            id: link.id,
+            title: link.title.slice(0, 200),
+            url: new URL(link.url).href,
+            favicon: isHttpUrl(link.favicon) ? new URL(link.favicon).href : ''
+        }));
+}
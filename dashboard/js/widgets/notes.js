@@ -3,6 +3,22 @@
  * Rich text note-taking with autosave functionality
  */
 
+import { createConfigChecker } from '../validation.js';
+
+export const manifest = {
+    type: 'notes',
+    title: 'Notes',
+    description: 'Rich text note-taking with autosave',
+    icon: 'notes',
+    defaultSize: { w: 4, h: 3 },
+    minSize: { w: 2, h: 2 },
+    maxSize: { w: 12, h: 12 },
+    configSchema: {
+        autosave: { type: 'toggle', label: 'Autosave', default: true },
+        autosaveDelay: { type: 'number', label: 'Autosave delay', unit: 'ms', min: 100, max: 60000, step: 100, default: 1000 }
+    }
+};
+
 export function createWidget(initialConfig = {}) {
     const defaultConfig = {
         title: 'Notes',
@@ -119,6 +135,14 @@ export function createWidget(initialConfig = {}) {
             }
         });
 
+        // Save on blur so a pending autosave isn't lost if the widget is rebuilt
+        editor.addEventListener('blur', () => {
+            if (config.autosave) {
+                clearTimeout(autosaveTimeout);
+                saveContent();
+            }
+        });
+
         // Editor paste
         editor.addEventListener('paste', (e) => {
             e.preventDefault();
@@ -298,71 +322,10 @@ export function createWidget(initialConfig = {}) {
     }
 
     /**
-     * Open settings modal
+     * Ask the dashboard to open this widget's settings
      */
     function openSettings() {
-        import('../ui.js').then(({ default: ui }) => {
-            const settingsForm = createSettingsForm();
-            ui.showModal('widget-settings-modal', {
-                title: 'Notes Settings',
-                content: settingsForm
-            });
-
-            settingsForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                const formData = new FormData(settingsForm);
-                
-                const newConfig = {
-                    ...config,
-                    autosave: formData.get('autosave') === 'on',
-                    autosaveDelay: parseInt(formData.get('autosaveDelay'))
-                };
-
-                setConfig(newConfig);
-                ui.closeModal('widget-settings-modal');
-            });
-        });
-    }
-
-    /**
-     * Create settings form
-     * @returns {Element} Settings form element
-     */
-    function createSettingsForm() {
-        const form = document.createElement('form');
-        form.innerHTML = `
-            <div class="form-group">
-                <label class="checkbox">
-                    <input type="checkbox" name="autosave" ${config.autosave ? 'checked' : ''}>
-                    <span class="checkbox-indicator"></span>
-                    Enable Autosave
-                </label>
-            </div>
-
-            <div class="form-group">
-                <label class="form-label" for="notes-autosave-delay">Autosave Delay (ms)</label>
-                <select id="notes-autosave-delay" name="autosaveDelay" class="input">
-                    <option value="500" ${config.autosaveDelay === 500 ? 'selected' : ''}>500ms</option>
-                    <option value="1000" ${config.autosaveDelay === 1000 ? 'selected' : ''}>1 second</option>
-                    <option value="2000" ${config.autosaveDelay === 2000 ? 'selected' : ''}>2 seconds</option>
-                    <option value="5000" ${config.autosaveDelay === 5000 ? 'selected' : ''}>5 seconds</option>
-                </select>
-            </div>
-
-            <div class="form-group">
-                <button type="button" class="secondary-button" onclick="this.closest('.notes-widget').querySelector('.notes-editor').innerHTML = ''; this.closest('form').dispatchEvent(new Event('submit')); event.target.closest('dialog').querySelector('[data-action=close]').click();">
-                    Clear All Notes
-                </button>
-            </div>
-
-            <div class="form-group">
-                <label class="form-label">Export Notes</label>
-                <button type="button" class="secondary-button" onclick="this.closest('.notes-widget')._widget?.exportNotes()">
-                    Download as Text
-                </button>
-            </div>
-        `;
-        return form;
+        element.dispatchEvent(new CustomEvent('widget-open-settings', { bubbles: true }));
     }
 
     /**
@@ -463,4 +426,43 @@ export function createWidget(initialConfig = {}) {
         setConfig,
         destroy
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Validate a stored notes config
+ * @param {Object} config - Config to check
+ * @returns {Object} Result {errors, config} with invalid fields removed
+ */
+export function validateConfig(config) {
+    return createConfigChecker(config)
+        .custom('content', value => (typeof value === 'string' ? sanitizeContent(value) : undefined), 'contained scripts or unsafe markup')
+        .boolean('autosave')
+        .number('autosaveDelay', 100, 60000)
+        .result();
+}
+
+/**
+ * Strip scripts, event handlers and javascript: URLs from note HTML
+ * @param {string} html - Note content
+ * @returns {string} Safe HTML
+ */
+function sanitizeContent(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    template.content.querySelectorAll('script, style, iframe, object, embed, link, meta, base, form').forEach(node => node.remove());
+    template.content.querySelectorAll('*').forEach(node => {
+        [...node.attributes].forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            const value = attribute.value.trim().toLowerCase();
+            if (name.startsWith('on') || ((name === 'href' || name === 'src') && value.startsWith('javascript:'))) {
+                node.removeAttribute(attribute.name);
+            }
+        });
+    });
+
+    // Compare against the browser's own serialization so harmless differences don't count
+    const original = document.createElement('template');
+    original.innerHTML = html;
+    return original.innerHTML === template.innerHTML ? html : template.innerHTML;
+}
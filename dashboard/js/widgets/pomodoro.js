@@ -3,6 +3,27 @@
  * Focus timer with work/break cycles and notifications
  */
 
+import scheduler from '../scheduler.js';
+import { createConfigChecker } from '../validation.js';
+
+export const manifest = {
+    type: 'pomodoro',
+    title: 'Pomodoro Timer',
+    description: 'Focus timer with work and break cycles',
+    icon: 'clock',
+    defaultSize: { w: 3, h: 2 },
+    minSize: { w: 2, h: 2 },
+    maxSize: { w: 6, h: 6 },
+    configSchema: {
+        workDuration: { type: 'number', label: 'Work', unit: 'min', min: 1, max: 120, default: 25 },
+        breakDuration: { type: 'number', label: 'Short break', unit: 'min', min: 1, max: 60, default: 5 },
+        longBreakDuration: { type: 'number', label: 'Long break', unit: 'min', min: 1, max: 120, default: 15 },
+        sessionsUntilLongBreak: { type: 'number', label: 'Sessions before a long break', min: 1, max: 12, default: 4 },
+        soundEnabled: { type: 'toggle', label: 'Sound', default: true },
+        notificationsEnabled: { type: 'toggle', label: 'Notifications', default: true }
+    }
+};
+
 export function createWidget(initialConfig = {}) {
     const defaultConfig = {
         title: 'Pomodoro Timer',
@@ -18,6 +39,7 @@ export function createWidget(initialConfig = {}) {
     let element = null;
     let timer = null;
     let timeRemaining = config.workDuration * 60; // seconds
+    let endsAt = 0; // when the running session ends
     let isRunning = false;
     let currentSession = 'work'; // 'work', 'break', 'longbreak'
     let completedSessions = 0;
@@ -142,15 +164,15 @@ export function createWidget(initialConfig = {}) {
         if (destroyed) return;
         
         isRunning = true;
-        timer = setInterval(() => {
-            timeRemaining--;
-            
-            if (timeRemaining <= 0) {
-                completeSession();
-            }
-            
-            updateDisplay();
-        }, 1000);
+        endsAt = Date.now() + timeRemaining * 1000;
+
+        // Keeps counting when updates are paused; the user started it
+        timer = scheduler.add({
+            name: config.title,
+            interval: 1000,
+            pausable: false,
+            run: tick
+        });
         
         updateDisplay();
         
@@ -160,13 +182,26 @@ export function createWidget(initialConfig = {}) {
         }
     }
 
+    /**
+     * Count down from the end time, so late ticks don't make the timer drift
+     */
+    function tick() {
+        timeRemaining = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+
+        if (timeRemaining <= 0) {
+            completeSession();
+        }
+
+        updateDisplay();
+    }
+
     /**
      * Pause timer
      */
     function pauseTimer() {
         isRunning = false;
         if (timer) {
-            clearInterval(timer);
+            timer.cancel();
             timer = null;
         }
         updateDisplay();
@@ -339,4 +374,20 @@ export function createWidget(initialConfig = {}) {
         setConfig,
         destroy
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Validate a stored pomodoro config
+ * @param {Object} config - Config to check
+ * @returns {Object} Result {errors, config} with invalid fields removed
+ */
+export function validateConfig(config) {
+    return createConfigChecker(config)
+        .number('workDuration', 1, 120)
+        .number('breakDuration', 1, 60)
+        .number('longBreakDuration', 1, 120)
+        .number('sessionsUntilLongBreak', 1, 12)
+        .boolean('soundEnabled')
+        .boolean('notificationsEnabled')
+        .result();
+}
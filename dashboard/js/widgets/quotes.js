@@ -3,44 +3,91 @@
  * Displays inspirational quotes with categories
  */
 
+import { createJobHooks } from '../lifecycle.js';
+import providers, { JsonFileBackend, MockBackend } from '../providers.js';
+import scheduler from '../scheduler.js';
+import { createConfigChecker, isHttpUrl } from '../validation.js';
+
+export const manifest = {
+    type: 'quotes',
+    title: 'Quotes',
+    description: 'Inspirational quotes with categories',
+    icon: 'quote',
+    defaultSize: { w: 3, h: 2 },
+    minSize: { w: 2, h: 2 },
+    maxSize: { w: 8, h: 4 },
+    configSchema: {
+        category: {
+            type: 'select',
+            label: 'Category',
+            options: [
+                { value: 'inspirational', label: 'Inspirational' },
+                { value: 'motivational', label: 'Motivational' },
+                { value: 'technology', label: 'Technology' }
+            ],
+            default: 'inspirational'
+        },
+        autoRefresh: { type: 'toggle', label: 'Show a new quote automatically', default: false },
+        refreshInterval: { type: 'number', label: 'New quote every', unit: 'min', scale: 60000, min: 1, max: 1440, default: 300000 },
+        dataUrl: {
+            type: 'text',
+            label: 'Quotes file',
+            format: 'url',
+            maxLength: 500,
+            placeholder: 'Leave empty for the built-in quotes',
+            help: 'A JSON file with a list of {text, author} quotes per category.',
+            default: ''
+        }
+    }
+};
+
+// Sample quotes database
+const quotes = {
+    inspirational: [
+        { text: "The only way to do great work is to love what you do.", author: "Steve Jobs" },
+        { text: "Innovation distinguishes between a leader and a follower.", author: "Steve Jobs" },
+        { text: "Life is what happens to you while you're busy making other plans.", author: "John Lennon" },
+        { text: "The future belongs to those who believe in the beauty of their dreams.", author: "Eleanor Roosevelt" },
+        { text: "It is during our darkest moments that we must focus to see the light.", author: "Aristotle" }
+    ],
+    motivational: [
+        { text: "Don't watch the clock; do what it does. Keep going.", author: "Sam Levenson" },
+        { text: "Success is not final, failure is not fatal: it is the courage to continue that counts.", author: "Winston Churchill" },
+        { text: "The way to get started is to quit talking and begin doing.", author: "Walt Disney" },
+        { text: "Your limitation—it's only your imagination.", author: "Unknown" },
+        { text: "Push yourself, because no one else is going to do it for you.", author: "Unknown" }
+    ],
+    technology: [
+        { text: "Technology is a word that describes something that doesn't work yet.", author: "Douglas Adams" },
+        { text: "The computer was born to solve problems that did not exist before.", author: "Bill Gates" },
+        { text: "Technology is best when it brings people together.", author: "Matt Mullenweg" },
+        { text: "Any sufficiently advanced technology is indistinguishable from magic.", author: "Arthur C. Clarke" },
+        { text: "The real problem is not whether machines think but whether men do.", author: "B.F. Skinner" }
+    ]
+};
+
+// Quote files rarely change; fetch them once a day at most
+const QUOTES_TTL = 24 * 60 * 60 * 1000;
+
+const builtInQuotes = providers.create('quotes', new MockBackend(({ category }) => quotes[category] || null), { ttl: QUOTES_TTL });
+
 export function createWidget(initialConfig = {}) {
     const defaultConfig = {
         title: 'Quotes',
         category: 'inspirational',
         autoRefresh: false,
-        refreshInterval: 300000 // 5 minutes
+        refreshInterval: 300000, // 5 minutes
+        dataUrl: ''
     };
 
     let config = { ...defaultConfig, ...initialConfig };
     let element = null;
     let currentQuote = null;
-    let refreshInterval = null;
+    let refreshJob = null;
     let destroyed = false;
 
-    // Sample quotes database
-    const quotes = {
-        inspirational: [
-            { text: "The only way to do great work is to love what you do.", author: "Steve Jobs" },
-            { text: "Innovation distinguishes between a leader and a follower.", author: "Steve Jobs" },
-            { text: "Life is what happens to you while you're busy making other plans.", author: "John Lennon" },
-            { text: "The future belongs to those who believe in the beauty of their dreams.", author: "Eleanor Roosevelt" },
-            { text: "It is during our darkest moments that we must focus to see the light.", author: "Aristotle" }
-        ],
-        motivational: [
-            { text: "Don't watch the clock; do what it does. Keep going.", author: "Sam Levenson" },
-            { text: "Success is not final, failure is not fatal: it is the courage to continue that counts.", author: "Winston Churchill" },
-            { text: "The way to get started is to quit talking and begin doing.", author: "Walt Disney" },
-            { text: "Your limitation—it's only your imagination.", author: "Unknown" },
-            { text: "Push yourself, because no one else is going to do it for you.", author: "Unknown" }
-        ],
-        technology: [
-            { text: "Technology is a word that describes something that doesn't work yet.", author: "Douglas Adams" },
-            { text: "The computer was born to solve problems that did not exist before.", author: "Bill Gates" },
-            { text: "Technology is best when it brings people together.", author: "Matt Mullenweg" },
-            { text: "Any sufficiently advanced technology is indistinguishable from magic.", author: "Arthur C. Clarke" },
-            { text: "The real problem is not whether machines think but whether men do.", author: "B.F. Skinner" }
-        ]
-    };
+    // Rotation pauses while the widget can't be seen
+    const { onShow, onHide, onSuspend, onResume, isPaused } = createJobHooks(() => [refreshJob]);
 
     /**
      * Create widget element
@@ -49,8 +96,7 @@ export function createWidget(initialConfig = {}) {
         element = document.createElement('div');
         element.className = 'quotes-widget';
         
-        loadRandomQuote();
-        updateDisplay();
+        loadRandomQuote().then(updateDisplay);
         
         if (config.autoRefresh) {
             startAutoRefresh();
@@ -60,10 +106,20 @@ export function createWidget(initialConfig = {}) {
     }
 
     /**
-     * Load random quote
+     * Load random quote, from the built-in ones if the quotes file can't be read
      */
-    function loadRandomQuote() {
-        const categoryQuotes = quotes[config.category] || quotes.inspirational;
+    async function loadRandomQuote() {
+        let categoryQuotes = null;
+        try {
+            categoryQuotes = (await getQuotesProvider(config.dataUrl).get({ category: config.category })).data;
+        } catch (error) {
+            console.warn('Failed to load quotes, using built-in ones:', error);
+        }
+
+        if (!categoryQuotes || categoryQuotes.length === 0) {
+            categoryQuotes = quotes[config.category] || quotes.inspirational;
+        }
+
         const randomIndex = Math.floor(Math.random() * categoryQuotes.length);
         currentQuote = categoryQuotes[randomIndex];
     }
@@ -75,8 +131,8 @@ export function createWidget(initialConfig = {}) {
         if (destroyed || !element || !currentQuote) return;
 
         element.innerHTML = `
-            <div class="quote-text">"${currentQuote.text}"</div>
-            <div class="quote-author">— ${currentQuote.author}</div>
+            <div class="quote-text">"${escapeHtml(currentQuote.text)}"</div>
+            <div class="quote-author">— ${escapeHtml(currentQuote.author)}</div>
             
             <div class="quote-controls">
                 <button type="button" class="secondary-button" onclick="this.closest('.quotes-widget')._widget.newQuote()">
@@ -110,8 +166,10 @@ export function createWidget(initialConfig = {}) {
     /**
      * Get new quote
      */
-    function newQuote() {
-        loadRandomQuote();
+    async function newQuote() {
+        await loadRandomQuote();
+        if (destroyed || !element) return;
+
         updateDisplay();
         
         // Add animation
@@ -151,93 +209,46 @@ export function createWidget(initialConfig = {}) {
     }
 
     /**
-     * Open settings
+     * Ask the dashboard to open this widget's settings
      */
     function openSettings() {
-        import('../ui.js').then(({ default: ui }) => {
-            const settingsForm = createSettingsForm();
-            
-            ui.showModal('widget-settings-modal', {
-                title: 'Quote Settings',
-                content: settingsForm
-            });
-
-            settingsForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                const formData = new FormData(settingsForm);
-                
-                const newConfig = {
-                    ...config,
-                    category: formData.get('category'),
-                    autoRefresh: formData.get('autoRefresh') === 'on',
-                    refreshInterval: parseInt(formData.get('refreshInterval')) * 60000
-                };
-
-                setConfig(newConfig);
-                ui.closeModal('widget-settings-modal');
-            });
-        });
-    }
-
-    /**
-     * Create settings form
-     */
-    function createSettingsForm() {
-        const form = document.createElement('form');
-        form.innerHTML = `
-            <div class="form-group">
-                <label class="form-label" for="quote-category">Category</label>
-                <select id="quote-category" name="category" class="input">
-                    <option value="inspirational" ${config.category === 'inspirational' ? 'selected' : ''}>Inspirational</option>
-                    <option value="motivational" ${config.category === 'motivational' ? 'selected' : ''}>Motivational</option>
-                    <option value="technology" ${config.category === 'technology' ? 'selected' : ''}>Technology</option>
-                </select>
-            </div>
-
-            <div class="form-group">
-                <label class="checkbox">
-                    <input type="checkbox" name="autoRefresh" ${config.autoRefresh ? 'checked' : ''}>
-                    <span class="checkbox-indicator"></span>
-                    Auto-refresh quotes
-                </label>
-            </div>
-
-            <div class="form-group">
-                <label class="form-label" for="quote-refresh-interval">Refresh Interval (minutes)</label>
-                <select id="quote-refresh-interval" name="refreshInterval" class="input">
-                    <option value="5" ${config.refreshInterval === 300000 ? 'selected' : ''}>5 minutes</option>
-                    <option value="10" ${config.refreshInterval === 600000 ? 'selected' : ''}>10 minutes</option>
-                    <option value="30" ${config.refreshInterval === 1800000 ? 'selected' : ''}>30 minutes</option>
-                    <option value="60" ${config.refreshInterval === 3600000 ? 'selected' : ''}>1 hour</option>
-                </select>
-            </div>
-        `;
-        return form;
+        element.dispatchEvent(new CustomEvent('widget-open-settings', { bubbles: true }));
     }
 
     /**
      * Start auto refresh
      */
     function startAutoRefresh() {
-        if (refreshInterval) {
-            clearInterval(refreshInterval);
-        }
+        stopAutoRefresh();
 
-        refreshInterval = setInterval(() => {
-            newQuote();
-        }, config.refreshInterval);
+        refreshJob = scheduler.add({
+            name: config.title,
+            interval: config.refreshInterval,
+            jitter: 0.1,
+            paused: isPaused(),
+            run: newQuote
+        });
     }
 
     /**
      * Stop auto refresh
      */
     function stopAutoRefresh() {
-        if (refreshInterval) {
-            clearInterval(refreshInterval);
-            refreshInterval = null;
+        if (refreshJob) {
+            refreshJob.cancel();
+            refreshJob = null;
         }
     }
 
+    /**
+     * Escape HTML
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Set widget configuration
      */
@@ -245,9 +256,9 @@ export function createWidget(initialConfig = {}) {
         const oldConfig = { ...config };
         config = { ...config, ...newConfig };
         
-        // Handle category change
-        if (oldConfig.category !== config.category) {
-            loadRandomQuote();
+        // Handle category or source change
+        if (oldConfig.category !== config.category || oldConfig.dataUrl !== config.dataUrl) {
+            loadRandomQuote().then(updateDisplay);
         }
         
         // Handle auto-refresh changes
@@ -300,6 +311,51 @@ export function createWidget(initialConfig = {}) {
         el,
         getConfig,
         setConfig,
+        onShow,
+        onHide,
+        onSuspend,
+        onResume,
         destroy
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Validate a stored quotes config
+ * @param {Object} config - Config to check
+ * @returns {Object} Result {errors, config} with invalid fields removed
+ */
+export function validateConfig(config) {
+    return createConfigChecker(config)
+        .oneOf('category', ['inspirational', 'motivational', 'technology'])
+        .boolean('autoRefresh')
+        .number('refreshInterval', 60000, 86400000)
+        .custom('dataUrl', value => (value === '' || isHttpUrl(value) ? value : undefined), 'is not an http(s) address')
+        .result();
+}
+
+/**
+ * Get the provider for a quotes source
+ * @param {string} dataUrl - Quotes file address, or empty for the built-in quotes
+ * @returns {Object} Provider
+ */
+function getQuotesProvider(dataUrl) {
+    if (!dataUrl) return builtInQuotes;
+
+    return providers.create('quotes', new JsonFileBackend(dataUrl, (json, { category }) => toQuotes(json?.[category])), {
+        ttl: QUOTES_TTL
+    });
+}
+
+/**
+ * Keep the usable quotes from a file
+ * @param {*} list - Quotes as read
+ * @returns {Array|null} Quotes {text, author}, or null if there are none
+ */
+function toQuotes(list) {
+    if (!Array.isArray(list)) return null;
+
+    const valid = list
+        .filter(quote => quote && typeof quote.text === 'string' && quote.text.trim())
+        .map(quote => ({ text: quote.text, author: typeof quote.author === 'string' ? quote.author : 'Unknown' }));
+    return valid.length ? valid : null;
+}
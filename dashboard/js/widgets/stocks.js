@@ -1,28 +1,79 @@
 /**
  * Stocks Widget
- * Simple stock price display with mock data
+ * Stock price display with sample data, or prices from a source of your own
  */
 
+import { createJobHooks } from '../lifecycle.js';
+import providers, { HttpBackend, JsonFileBackend, MockBackend, describeUpdated } from '../providers.js';
+import scheduler from '../scheduler.js';
+import { createConfigChecker, isHttpUrl } from '../validation.js';
+
+export const manifest = {
+    type: 'stocks',
+    title: 'Stocks',
+    description: 'Stock prices with charts and trends',
+    icon: 'chart',
+    defaultSize: { w: 4, h: 3 },
+    minSize: { w: 3, h: 3 },
+    maxSize: { w: 12, h: 8 },
+    configSchema: {
+        symbol: {
+            type: 'select',
+            label: 'Stock',
+            options: [
+                { value: 'AAPL', label: 'AAPL - Apple Inc.' },
+                { value: 'GOOGL', label: 'GOOGL - Alphabet Inc.' },
+                { value: 'MSFT', label: 'MSFT - Microsoft Corp.' },
+                { value: 'AMZN', label: 'AMZN - Amazon.com Inc.' },
+                { value: 'TSLA', label: 'TSLA - Tesla Inc.' }
+            ],
+            default: 'AAPL'
+        },
+        refreshInterval: { type: 'number', label: 'Refresh every', unit: 's', scale: 1000, min: 10, max: 86400, default: 60000 },
+        dataUrl: {
+            type: 'text',
+            label: 'Price source',
+            format: 'url',
+            maxLength: 500,
+            placeholder: 'Leave empty for sample prices',
+            help: 'An address with {symbol} in it is asked for one stock at a time; any other address should be a JSON file with every stock by symbol. Either way a stock is {price, change, changePercent}.',
+            default: ''
+        }
+    }
+};
+
+// Mock stock data
+const mockStocks = {
+    'AAPL': { name: 'Apple Inc.', price: 175.25, change: 2.15, changePercent: 1.24 },
+    'GOOGL': { name: 'Alphabet Inc.', price: 2750.50, change: -15.75, changePercent: -0.57 },
+    'MSFT': { name: 'Microsoft Corp.', price: 335.80, change: 5.60, changePercent: 1.70 },
+    'AMZN': { name: 'Amazon.com Inc.', price: 3245.25, change: 45.30, changePercent: 1.42 },
+    'TSLA': { name: 'Tesla Inc.', price: 875.90, change: -12.15, changePercent: -1.37 }
+};
+
+// Prices stay fresh this long, so a reload or a second widget reuses them
+const PRICE_TTL = 60000;
+
+const samplePrices = providers.create('stocks', new MockBackend(getSamplePrice), { ttl: PRICE_TTL });
+
 export function createWidget(initialConfig = {}) {
     const defaultConfig = {
         title: 'Stocks',
         symbol: 'AAPL',
-        refreshInterval: 60000 // 1 minute
+        refreshInterval: 60000, // 1 minute
+        dataUrl: ''
     };
 
     let config = { ...defaultConfig, ...initialConfig };
     let element = null;
-    let refreshInterval = null;
+    let refreshJob = null;
     let destroyed = false;
 
-    // Mock stock data
-    const mockStocks = {
-        'AAPL': { name: 'Apple Inc.', price: 175.25, change: 2.15, changePercent: 1.24 },
-        'GOOGL': { name: 'Alphabet Inc.', price: 2750.50, change: -15.75, changePercent: -0.57 },
-        'MSFT': { name: 'Microsoft Corp.', price: 335.80, change: 5.60, changePercent: 1.70 },
-        'AMZN': { name: 'Amazon.com Inc.', price: 3245.25, change: 45.30, changePercent: 1.42 },
-        'TSLA': { name: 'Tesla Inc.', price: 875.90, change: -12.15, changePercent: -1.37 }
-    };
+    // Refreshes pause while the widget can't be seen
+    const { onShow, onHide, onSuspend, onResume, isPaused } = createJobHooks(() => [refreshJob]);
+
+    // Last chart drawn {points, positive}, kept so a resize redraws the same line
+    let chart = null;
 
     /**
      * Create widget element
@@ -39,11 +90,50 @@ export function createWidget(initialConfig = {}) {
 
     /**
      * Update display
+     * @param {Object} options - Provider request options, e.g. {force: true} to skip the cache
+     * @returns {Promise<boolean>} False if prices couldn't be fetched
+     */
+    async function updateDisplay(options = {}) {
+        if (destroyed || !element) return;
+
+        let result;
+        try {
+            result = await getPriceProvider(config.dataUrl).get({ symbol: config.symbol.toUpperCase() }, {
+                maxAge: config.refreshInterval,
+                onUpdate: renderPrice,
+                ...options
+            });
+        } catch (error) {
+            console.error('Failed to fetch stock price:', error);
+            if (destroyed || !element) return;
+
+            element.innerHTML = `
+                <div class="error">
+                    Prices unavailable
+                    <button type="button" class="secondary-button" onclick="this.closest('.stocks-widget')._widget.refresh()">
+                        Retry
+                    </button>
+                </div>
+            `;
+            element._widget = {
+                openSettings,
+                refresh: () => updateDisplay({ force: true })
+            };
+            return false;
+        }
+
+        renderPrice(result);
+        return !result.error;
+    }
+
+    /**
+     * Show a price, with when it was fetched
+     * @param {Object} result - Provider result {data, updatedAt, stale, error}
      */
-    function updateDisplay() {
+    function renderPrice(result) {
         if (destroyed || !element) return;
 
-        const stockData = getStockData();
+        const stockData = result.data;
         if (!stockData) {
             element.innerHTML = `
                 <div class="error">
@@ -94,12 +184,14 @@ export function createWidget(initialConfig = {}) {
                     <span>${(Math.random() * 1000 + 500).toFixed(0)}B</span>
                 </div>
             </div>
+
+            <div class="stock-updated data-updated">${describeUpdated(result)}</div>
         `;
 
         // Store widget instance
         element._widget = {
             openSettings,
-            refresh: updateDisplay
+            refresh: () => updateDisplay({ force: true })
         };
 
         // Draw simple chart
@@ -107,53 +199,52 @@ export function createWidget(initialConfig = {}) {
     }
 
     /**
-     * Get stock data (mock)
+     * Draw simple chart
      */
-    function getStockData() {
-        const stock = mockStocks[config.symbol.toUpperCase()];
-        if (!stock) return null;
-
-        // Add some random variation to simulate live data
-        const variation = (Math.random() - 0.5) * 2;
-        return {
-            ...stock,
-            price: stock.price + variation,
-            change: stock.change + (variation * 0.5),
-            changePercent: stock.changePercent + (variation * 0.1)
-        };
+    function drawChart(stockData) {
+        // Generate sample data points
+        const points = [];
+        const basePrice = stockData.price;
+        
+        for (let i = 0; i < 20; i++) {
+            const variation = (Math.random() - 0.5) * (basePrice * 0.05);
+            points.push(basePrice + variation);
+        }
+
+        chart = { points, positive: stockData.change >= 0 };
+        renderChart();
     }
 
     /**
-     * Draw simple chart
+     * Paint the last chart, sized to the canvas as shown so it stays sharp
      */
-    function drawChart(stockData) {
-        const canvas = element.querySelector('.stock-chart');
-        if (!canvas) return;
+    function renderChart() {
+        const canvas = element && element.querySelector('.stock-chart');
+        if (!canvas || !chart) return;
+
+        // Hidden (e.g. collapsed) canvases have no size; keep the last drawing
+        const ratio = window.devicePixelRatio || 1;
+        if (canvas.clientWidth > 0 && canvas.clientHeight > 0) {
+            canvas.width = Math.round(canvas.clientWidth * ratio);
+            canvas.height = Math.round(canvas.clientHeight * ratio);
+        }
 
         const ctx = canvas.getContext('2d');
         const width = canvas.width;
         const height = canvas.height;
+        const { points, positive } = chart;
 
         // Clear canvas
         ctx.clearRect(0, 0, width, height);
 
-        // Generate sample data points
-        const points = [];
-        const basePrice = stockData.price;
-        
-        for (let i = 0; i < 20; i++) {
-            const variation = (Math.random() - 0.5) * (basePrice * 0.05);
-            points.push(basePrice + variation);
-        }
-
         // Find min/max for scaling
         const minPrice = Math.min(...points);
         const maxPrice = Math.max(...points);
         const priceRange = maxPrice - minPrice || 1;
 
         // Draw line chart
-        ctx.strokeStyle = stockData.change >= 0 ? '#10b981' : '#ef4444';
-        ctx.lineWidth = 2;
+        ctx.strokeStyle = positive ? '#10b981' : '#ef4444';
+        ctx.lineWidth = 2 * ratio;
         ctx.beginPath();
 
         points.forEach((price, index) => {
@@ -170,7 +261,7 @@ export function createWidget(initialConfig = {}) {
         ctx.stroke();
 
         // Fill area under line
-        ctx.fillStyle = stockData.change >= 0 ? 'rgba(16, 185, 129, 0.1)' : 'rgba(239, 68, 68, 0.1)';
+        ctx.fillStyle = positive ? 'rgba(16, 185, 129, 0.1)' : 'rgba(239, 68, 68, 0.1)';
         ctx.lineTo(width, height);
         ctx.lineTo(0, height);
         ctx.closePath();
@@ -178,83 +269,43 @@ export function createWidget(initialConfig = {}) {
     }
 
     /**
-     * Open settings
+     * Ask the dashboard to open this widget's settings
      */
     function openSettings() {
-        import('../ui.js').then(({ default: ui }) => {
-            const settingsForm = createSettingsForm();
-            
-            ui.showModal('widget-settings-modal', {
-                title: 'Stock Settings',
-                content: settingsForm
-            });
-
-            settingsForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                const formData = new FormData(settingsForm);
-                
-                const newConfig = {
-                    ...config,
-                    symbol: formData.get('symbol').toUpperCase(),
-                    refreshInterval: parseInt(formData.get('refreshInterval')) * 1000
-                };
-
-                setConfig(newConfig);
-                ui.closeModal('widget-settings-modal');
-            });
-        });
+        element.dispatchEvent(new CustomEvent('widget-open-settings', { bubbles: true }));
     }
 
     /**
-     * Create settings form
+     * Start refresh timer
      */
-    function createSettingsForm() {
-        const form = document.createElement('form');
-        form.innerHTML = `
-            <div class="form-group">
-                <label class="form-label" for="stock-symbol">Stock Symbol</label>
-                <select id="stock-symbol" name="symbol" class="input">
-                    <option value="AAPL" ${config.symbol === 'AAPL' ? 'selected' : ''}>AAPL - Apple Inc.</option>
-                    <option value="GOOGL" ${config.symbol === 'GOOGL' ? 'selected' : ''}>GOOGL - Alphabet Inc.</option>
-                    <option value="MSFT" ${config.symbol === 'MSFT' ? 'selected' : ''}>MSFT - Microsoft Corp.</option>
-                    <option value="AMZN" ${config.symbol === 'AMZN' ? 'selected' : ''}>AMZN - Amazon.com Inc.</option>
-                    <option value="TSLA" ${config.symbol === 'TSLA' ? 'selected' : ''}>TSLA - Tesla Inc.</option>
-                </select>
-            </div>
+    function startRefreshTimer() {
+        stopRefreshTimer();
 
-            <div class="form-group">
-                <label class="form-label" for="stock-refresh">Refresh Interval</label>
-                <select id="stock-refresh" name="refreshInterval" class="input">
-                    <option value="30" ${config.refreshInterval === 30000 ? 'selected' : ''}>30 seconds</option>
-                    <option value="60" ${config.refreshInterval === 60000 ? 'selected' : ''}>1 minute</option>
-                    <option value="300" ${config.refreshInterval === 300000 ? 'selected' : ''}>5 minutes</option>
-                    <option value="900" ${config.refreshInterval === 900000 ? 'selected' : ''}>15 minutes</option>
-                </select>
-            </div>
-        `;
-        return form;
+        refreshJob = scheduler.add({
+            name: config.title,
+            interval: config.refreshInterval,
+            jitter: 0.1,
+            paused: isPaused(),
+            run: scheduledRefresh
+        });
     }
 
     /**
-     * Start refresh timer
+     * Refresh on schedule. Failures are thrown so the scheduler backs off.
      */
-    function startRefreshTimer() {
-        if (refreshInterval) {
-            clearInterval(refreshInterval);
+    async function scheduledRefresh() {
+        if (await updateDisplay({ force: true }) === false) {
+            throw new Error('Prices unavailable');
         }
-
-        refreshInterval = setInterval(() => {
-            updateDisplay();
-        }, config.refreshInterval);
     }
 
     /**
      * Stop refresh timer
      */
     function stopRefreshTimer() {
-        if (refreshInterval) {
-            clearInterval(refreshInterval);
-            refreshInterval = null;
+        if (refreshJob) {
+            refreshJob.cancel();
+            refreshJob = null;
         }
     }
 
@@ -262,13 +313,8 @@ export function createWidget(initialConfig = {}) {
      * Set widget configuration
      */
     function setConfig(newConfig) {
-        const oldConfig = { ...config };
         config = { ...config, ...newConfig };
-        
-        if (oldConfig.refreshInterval !== config.refreshInterval) {
-            stopRefreshTimer();
-            startRefreshTimer();
-        }
+        refreshJob?.update({ name: config.title, interval: config.refreshInterval });
         
         updateDisplay();
         emitConfigChange();
@@ -291,6 +337,13 @@ export function createWidget(initialConfig = {}) {
         }));
     }
 
+    /**
+     * Redraw the chart at the widget's new size
+     */
+    function onResize() {
+        renderChart();
+    }
+
     /**
      * Destroy widget
      */
@@ -311,6 +364,76 @@ export function createWidget(initialConfig = {}) {
         el,
         getConfig,
         setConfig,
+        onShow,
+        onHide,
+        onResize,
+        onSuspend,
+        onResume,
         destroy
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Validate a stored stocks config
+ * @param {Object} config - Config to check
+ * @returns {Object} Result {errors, config} with invalid fields removed
+ */
+export function validateConfig(config) {
+    return createConfigChecker(config)
+        .string('symbol', { maxLength: 10, pattern: /^[A-Za-z.^-]+$/ })
+        .number('refreshInterval', 10000, 86400000)
+        .custom('dataUrl', value => (value === '' || isHttpUrl(value) ? value : undefined), 'is not an http(s) address')
+        .result();
+}
+
+/**
+ * Get the provider for a price source
+ * @param {string} dataUrl - Source address, or empty for sample prices
+ * @returns {Object} Provider
+ */
+function getPriceProvider(dataUrl) {
+    if (!dataUrl) return samplePrices;
+
+    const backend = dataUrl.includes('{symbol}')
+        ? new HttpBackend({ url: dataUrl, transform: toPrice })
+        : new JsonFileBackend(dataUrl, (json, { symbol }) => toPrice(json?.[symbol]));
+    return providers.create('stocks', backend, { ttl: PRICE_TTL });
+}
+
+/**
+ * Check a price from a source
+ * @param {*} data - Price as received
+ * @returns {Object|null} Price {name, price, change, changePercent}, or null if unusable
+ */
+function toPrice(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    const price = Number(data.price);
+    if (!Number.isFinite(price)) return null;
+
+    return {
+        name: typeof data.name === 'string' ? data.name : '',
+        price,
+        change: Number(data.change) || 0,
+        changePercent: Number(data.changePercent) || 0
+    };
+}
+
+/**
+ * Make up a price from the sample data
+ * @param {Object} query - Query {symbol}
+ * @returns {Object|null} Price, or null for unknown symbols
+ */
+function getSamplePrice({ symbol }) {
+    const stock = mockStocks[symbol];
+    if (!stock) return null;
+
+    // Add some random variation to simulate live data
+    const variation = (Math.random() - 0.5) * 2;
+    return {
+        ...stock,
+        price: stock.price + variation,
+        change: stock.change + (variation * 0.5),
+        changePercent: stock.changePercent + (variation * 0.1)
+    };
+}
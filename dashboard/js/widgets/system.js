@@ -3,6 +3,26 @@
  * Displays system information and performance metrics
  */
 
+import { createJobHooks } from '../lifecycle.js';
+import scheduler from '../scheduler.js';
+import { createConfigChecker } from '../validation.js';
+
+export const manifest = {
+    type: 'system',
+    title: 'System Monitor',
+    description: 'System performance and resource usage',
+    icon: 'monitor',
+    defaultSize: { w: 3, h: 2 },
+    minSize: { w: 2, h: 2 },
+    maxSize: { w: 6, h: 6 },
+    configSchema: {
+        refreshInterval: { type: 'number', label: 'Refresh every', unit: 's', scale: 1000, min: 1, max: 3600, default: 5000 },
+        showBattery: { type: 'toggle', label: 'Battery', default: true },
+        showMemory: { type: 'toggle', label: 'Memory', default: true },
+        showNetwork: { type: 'toggle', label: 'Network', default: true }
+    }
+};
+
 export function createWidget(initialConfig = {}) {
     const defaultConfig = {
         title: 'System Monitor',
@@ -14,9 +34,12 @@ export function createWidget(initialConfig = {}) {
 
     let config = { ...defaultConfig, ...initialConfig };
     let element = null;
-    let refreshInterval = null;
+    let refreshJob = null;
     let destroyed = false;
 
+    // Refreshes pause while the widget can't be seen
+    const { onShow, onHide, onSuspend, onResume, isPaused } = createJobHooks(() => [refreshJob]);
+
     /**
      * Create widget element
      */
@@ -264,109 +287,33 @@ export function createWidget(initialConfig = {}) {
      * Start refresh timer
      */
     function startRefreshTimer() {
-        if (refreshInterval) {
-            clearInterval(refreshInterval);
-        }
+        stopRefreshTimer();
 
-        refreshInterval = setInterval(() => {
-            updateDisplay();
-        }, config.refreshInterval);
+        refreshJob = scheduler.add({
+            name: config.title,
+            interval: config.refreshInterval,
+            jitter: 0.1,
+            paused: isPaused(),
+            run: updateDisplay
+        });
     }
 
     /**
      * Stop refresh timer
      */
     function stopRefreshTimer() {
-        if (refreshInterval) {
-            clearInterval(refreshInterval);
-            refreshInterval = null;
+        if (refreshJob) {
+            refreshJob.cancel();
+            refreshJob = null;
         }
     }
 
-    /**
-     * Open settings
-     */
-    function openSettings() {
-        import('../ui.js').then(({ default: ui }) => {
-            const settingsForm = createSettingsForm();
-            
-            ui.showModal('widget-settings-modal', {
-                title: 'System Monitor Settings',
-                content: settingsForm
-            });
-
-            settingsForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                const formData = new FormData(settingsForm);
-                
-                const newConfig = {
-                    ...config,
-                    refreshInterval: parseInt(formData.get('refreshInterval')) * 1000,
-                    showBattery: formData.get('showBattery') === 'on',
-                    showMemory: formData.get('showMemory') === 'on',
-                    showNetwork: formData.get('showNetwork') === 'on'
-                };
-
-                setConfig(newConfig);
-                ui.closeModal('widget-settings-modal');
-            });
-        });
-    }
-
-    /**
-     * Create settings form
-     */
-    function createSettingsForm() {
-        const form = document.createElement('form');
-        form.innerHTML = `
-            <div class="form-group">
-                <label class="form-label" for="system-refresh">Refresh Interval</label>
-                <select id="system-refresh" name="refreshInterval" class="input">
-                    <option value="1" ${config.refreshInterval === 1000 ? 'selected' : ''}>1 second</option>
-                    <option value="5" ${config.refreshInterval === 5000 ? 'selected' : ''}>5 seconds</option>
-                    <option value="10" ${config.refreshInterval === 10000 ? 'selected' : ''}>10 seconds</option>
-                    <option value="30" ${config.refreshInterval === 30000 ? 'selected' : ''}>30 seconds</option>
-                </select>
-            </div>
-
-            <div class="form-group">
-                <label class="checkbox">
-                    <input type="checkbox" name="showMemory" ${config.showMemory ? 'checked' : ''}>
-                    <span class="checkbox-indicator"></span>
-                    Show Memory Usage
-                </label>
-            </div>
-
-            <div class="form-group">
-                <label class="checkbox">
-                    <input type="checkbox" name="showBattery" ${config.showBattery ? 'checked' : ''}>
-                    <span class="checkbox-indicator"></span>
-                    Show Battery Status
-                </label>
-            </div>
-
-            <div class="form-group">
-                <label class="checkbox">
-                    <input type="checkbox" name="showNetwork" ${config.showNetwork ? 'checked' : ''}>
-                    <span class="checkbox-indicator"></span>
-                    Show Network Status
-                </label>
-            </div>
-        `;
-        return form;
-    }
-
     /**
      * Set widget configuration
      */
     function setConfig(newConfig) {
-        const oldConfig = { ...config };
         config = { ...config, ...newConfig };
-        
-        if (oldConfig.refreshInterval !== config.refreshInterval) {
-            stopRefreshTimer();
-            startRefreshTimer();
-        }
+        refreshJob?.update({ name: config.title, interval: config.refreshInterval });
         
         updateDisplay();
         emitConfigChange();
@@ -408,6 +355,24 @@ export function createWidget(initialConfig = {}) {
         el,
         getConfig,
         setConfig,
+        onShow,
+        onHide,
+        onSuspend,
+        onResume,
         destroy
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Validate a stored system monitor config
+ * @param {Object} config - Config to check
+ * @returns {Object} Result {errors, config} with invalid fields removed
+ */
+export function validateConfig(config) {
+    return createConfigChecker(config)
+        .number('refreshInterval', 1000, 3600000)
+        .boolean('showBattery')
+        .boolean('showMemory')
+        .boolean('showNetwork')
+        .result();
+}
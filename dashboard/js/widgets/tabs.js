@@ -0,0 +1,248 @@
+/**
+ * Tab Group Widget
+ * Container that shows several widgets in one grid cell, one tab each.
+ * The grid owns the widgets inside; this only draws the tabs and hands out
+ * an empty panel per tab for the grid to mount a widget into.
+ */
+
+import { createConfigChecker } from '../validation.js';
+
+export const manifest = {
+    type: 'tabs',
+    title: 'Tab Group',
+    description: 'Several widgets sharing one spot, one tab each',
+    icon: 'tabs',
+    container: true,
+    defaultSize: { w: 4, h: 3 }
+};
+
+let groupCounter = 0;
+
+export function createWidget(initialConfig = {}) {
+    const defaultConfig = {
+        title: 'Tab Group'
+    };
+
+    let config = { ...defaultConfig, ...initialConfig };
+    let element = null;
+    let tabList = null;
+    let emptyState = null;
+    let destroyed = false;
+
+    // Tabs in order {id, title}, and a panel per tab ID
+    let tabs = [];
+    const panels = new Map();
+    const idPrefix = `tab-group-${++groupCounter}`;
+
+    /**
+     * Create widget element
+     */
+    function createElement() {
+        element = document.createElement('div');
+        element.className = 'tabs-widget';
+        element.innerHTML = `
+            <div class="tabs-list" role="tablist"></div>
+            <div class="tabs-empty empty-state">Drop a widget on this header to add a tab.</div>
+        `;
+
+        tabList = element.querySelector('.tabs-list');
+        emptyState = element.querySelector('.tabs-empty');
+
+        tabList.addEventListener('click', (e) => {
+            const tab = e.target.closest('[role="tab"]');
+            if (tab) {
+                selectTab(tab.dataset.tabId);
+            }
+        });
+
+        tabList.addEventListener('keydown', handleKeydown);
+
+        updateDisplay();
+        return element;
+    }
+
+    /**
+     * Move between tabs with the arrow keys, Home and End
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    function handleKeydown(e) {
+        const index = tabs.findIndex(tab => tab.id === getActiveTab());
+        const targets = {
+            ArrowLeft: index - 1,
+            ArrowRight: index + 1,
+            Home: 0,
+            End: tabs.length - 1
+        };
+        if (!(e.key in targets) || tabs.length === 0) return;
+
+        // Keep the grid from moving the whole group
+        e.preventDefault();
+        e.stopPropagation();
+
+        const next = tabs[(targets[e.key] + tabs.length) % tabs.length];
+        selectTab(next.id);
+        tabList.querySelector(`[data-tab-id="${next.id}"]`)?.focus();
+    }
+
+    /**
+     * Get the tab being shown; an unknown active tab falls back to the first
+     * @returns {string|null} Tab ID
+     */
+    function getActiveTab() {
+        if (tabs.some(tab => tab.id === config.activeTab)) {
+            return config.activeTab;
+        }
+        return tabs.length > 0 ? tabs[0].id : null;
+    }
+
+    /**
+     * Show a tab and remember it
+     * @param {string} tabId - Tab ID
+     */
+    function selectTab(tabId) {
+        if (tabId === getActiveTab() && tabId === config.activeTab) return;
+
+        config = { ...config, activeTab: tabId };
+        updateDisplay();
+        emitConfigChange();
+    }
+
+    /**
+     * Update display
+     */
+    function updateDisplay() {
+        if (destroyed || !element) return;
+
+        const active = getActiveTab();
+
+        tabList.innerHTML = tabs.map(tab => `
+            <button type="button" class="tabs-tab" role="tab" id="${idPrefix}-tab-${tab.id}"
+                data-tab-id="${tab.id}" aria-controls="${idPrefix}-panel-${tab.id}"
+                aria-selected="${tab.id === active}" tabindex="${tab.id === active ? 0 : -1}"></button>
+        `).join('');
+
+        // Titles are user data; never interpolate them into markup
+        tabs.forEach(tab => {
+            tabList.querySelector(`[data-tab-id="${tab.id}"]`).textContent = tab.title;
+        });
+
+        panels.forEach((panel, tabId) => {
+            panel.hidden = tabId !== active;
+        });
+
+        emptyState.hidden = tabs.length > 0;
+    }
+
+    /**
+     * Set the tabs to show. Panels of tabs that stay are kept as they are.
+     * @param {Array} nextTabs - Tabs in order {id, title}
+     * @returns {Array<string>} IDs of tabs that got a new, empty panel
+     */
+    function setTabs(nextTabs) {
+        if (destroyed) return [];
+
+        const ids = new Set(nextTabs.map(tab => tab.id));
+        panels.forEach((panel, tabId) => {
+            if (!ids.has(tabId)) {
+                panel.remove();
+                panels.delete(tabId);
+            }
+        });
+
+        const added = [];
+        tabs = nextTabs.map(({ id, title }) => ({ id, title }));
+        tabs.forEach(tab => {
+            let panel = panels.get(tab.id);
+            if (!panel) {
+                panel = document.createElement('div');
+                panel.className = 'tabs-panel';
+                panel.id = `${idPrefix}-panel-${tab.id}`;
+                panel.setAttribute('role', 'tabpanel');
+                panel.setAttribute('aria-labelledby', `${idPrefix}-tab-${tab.id}`);
+                panels.set(tab.id, panel);
+                added.push(tab.id);
+            }
+            // Panels follow the tab order
+            element.appendChild(panel);
+        });
+
+        updateDisplay();
+        return added;
+    }
+
+    /**
+     * Get the panel of a tab
+     * @param {string} tabId - Tab ID
+     * @returns {Element|null} Panel element
+     */
+    function getPanel(tabId) {
+        return panels.get(tabId) || null;
+    }
+
+    /**
+     * Get the IDs of the current tabs
+     * @returns {Array<string>} Tab IDs in order
+     */
+    function getTabIds() {
+        return tabs.map(tab => tab.id);
+    }
+
+    /**
+     * Set widget configuration
+     */
+    function setConfig(newConfig) {
+        config = { ...config, ...newConfig };
+        updateDisplay();
+    }
+
+    /**
+     * Get current configuration
+     */
+    function getConfig() {
+        return { ...config };
+    }
+
+    /**
+     * Emit configuration change event
+     */
+    function emitConfigChange() {
+        element.dispatchEvent(new CustomEvent('widget-config-changed', {
+            detail: { config },
+            bubbles: true
+        }));
+    }
+
+    /**
+     * Destroy widget. Widgets in the panels are destroyed by whoever mounted them.
+     */
+    function destroy() {
+        destroyed = true;
+        panels.clear();
+        element = null;
+    }
+
+    // Initialize
+    const el = createElement();
+
+    return {
+        el,
+        getConfig,
+        setConfig,
+        destroy,
+        setTabs,
+        getPanel,
+        getTabIds,
+        getActiveTab
+    };
+}
+
+/**
+ * Validate a stored tab group config
+ * @param {Object} config - Config to check
+ * @returns {Object} Result {errors, config} with invalid fields removed
+ */
+export function validateConfig(config) {
+    return createConfigChecker(config)
+        .string('activeTab', { maxLength: 100, pattern: /^[\w-]+$/ })
+        .result();
+}
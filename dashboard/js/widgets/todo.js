@@ -3,6 +3,30 @@
  * Task management with add, check, delete, filters, and reordering
  */
 
+import { createConfigChecker } from '../validation.js';
+
+export const manifest = {
+    type: 'todo',
+    title: 'Todo List',
+    description: 'Task management with filters and priorities',
+    icon: 'check',
+    defaultSize: { w: 3, h: 2 },
+    minSize: { w: 2, h: 2 },
+    maxSize: { w: 8, h: 12 },
+    configSchema: {
+        filter: {
+            type: 'select',
+            label: 'Show',
+            options: [
+                { value: 'all', label: 'All tasks' },
+                { value: 'active', label: 'Active' },
+                { value: 'completed', label: 'Completed' }
+            ],
+            default: 'all'
+        }
+    }
+};
+
 export function createWidget(initialConfig = {}) {
     const defaultConfig = {
         title: 'Todo List',
@@ -428,4 +452,28 @@ export function createWidget(initialConfig = {}) {
         setConfig,
         destroy
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Validate a stored todo config
+ * @param {Object} config - Config to check
+ * @returns {Object} Result {errors, config} with invalid fields removed
+ */
+export function validateConfig(config) {
+    return createConfigChecker(config)
+        .oneOf('filter', ['all', 'active', 'completed'])
+        .custom('tasks', value => (Array.isArray(value) ? value.filter(isValidTask) : undefined), 'contained invalid tasks')
+        .result();
+}
+
+/**
+ * Check a stored task
+ * @param {*} task - Task object
+ * @returns {boolean} True if the task can be displayed
+ */
+function isValidTask(task) {
+    return Boolean(task) &&
+        typeof task.id === 'string' && /^[\w-]+$/.test(task.id) &&
+        typeof task.text === 'string' && task.text.length <= 200 &&
+        typeof task.completed === 'boolean';
+}
@@ -1,61 +1,190 @@
 /**
  * Weather Widget
- * Displays current weather conditions with city selection
+ * Displays current weather conditions and an hourly and daily forecast for
+ * one or more saved locations, one at a time or side by side
  */
 
+import { createJobHooks } from '../lifecycle.js';
+import providers, { HttpBackend, MockBackend, describeUpdated, fetchJson, fillTemplate } from '../providers.js';
+import scheduler from '../scheduler.js';
+import { formatMeasurement, getUnitKeys, getUnitOptions } from '../units.js';
+import { createConfigChecker } from '../validation.js';
+
+// Locations a widget can hold
+const MAX_LOCATIONS = 8;
+
+const DEFAULT_LOCATIONS = [
+    { id: 'new-york', name: 'New York' }
+];
+
+export const manifest = {
+    type: 'weather',
+    title: 'Weather',
+    description: 'Current weather conditions and forecast',
+    icon: 'cloud',
+    defaultSize: { w: 3, h: 2 },
+    minSize: { w: 2, h: 2 },
+    maxSize: { w: 8, h: 6 },
+    configSchema: {
+        temperatureUnit: { type: 'select', label: 'Temperature', options: getUnitOptions('temperature'), default: 'celsius' },
+        windUnit: { type: 'select', label: 'Wind speed', options: getUnitOptions('speed'), default: 'kmh' },
+        pressureUnit: { type: 'select', label: 'Pressure', options: getUnitOptions('pressure'), default: 'hpa' },
+        precipitationUnit: { type: 'select', label: 'Precipitation', options: getUnitOptions('precipitation'), default: 'mm' },
+        forecast: {
+            type: 'select',
+            label: 'Forecast',
+            options: [
+                { value: 'auto', label: 'Fit to size' },
+                { value: 'hourly', label: 'Next 24 hours' },
+                { value: 'daily', label: 'Next 7 days' },
+                { value: 'none', label: 'Current conditions only' }
+            ],
+            help: 'Fit to size shows more of the forecast as the widget grows.',
+            default: 'auto'
+        },
+        locationView: {
+            type: 'select',
+            label: 'Show locations',
+            options: [
+                { value: 'cycle', label: 'One at a time' },
+                { value: 'all', label: 'Side by side' }
+            ],
+            default: 'cycle'
+        },
+        cycleInterval: {
+            type: 'number',
+            label: 'Switch location every',
+            unit: 's',
+            scale: 1000,
+            min: 0,
+            max: 3600,
+            help: 'Use 0 to switch only with the arrows.',
+            default: 0
+        },
+        live: { type: 'toggle', label: 'Live data (Open-Meteo)', help: 'Off shows sample data.', default: false },
+        refreshInterval: { type: 'number', label: 'Refresh every', unit: 'min', scale: 60000, min: 1, max: 1440, default: 600000 },
+        locations: {
+            type: 'list',
+            label: 'Locations',
+            itemSchema: {
+                name: { type: 'text', label: 'Name', required: true, maxLength: 100, default: '' }
+            },
+            createItem: () => ({ id: createLocationId() }),
+            maxItems: MAX_LOCATIONS,
+            help: 'Places added by search or from your location can be renamed freely. Others are looked up by name.',
+            default: DEFAULT_LOCATIONS
+        }
+    },
+    settingsForm: createLocationSearch
+};
+
+// Mock weather data for demo purposes, in °C, km/h and hPa like live data
+const mockWeatherData = {
+    'New York': {
+        temperature: 22,
+        condition: 'Partly Cloudy',
+        humidity: 65,
+        windSpeed: 12,
+        pressure: 1013,
+        icon: 'cloud'
+    },
+    'London': {
+        temperature: 18,
+        condition: 'Overcast',
+        humidity: 78,
+        windSpeed: 8,
+        pressure: 1008,
+        icon: 'cloud'
+    },
+    'Tokyo': {
+        temperature: 26,
+        condition: 'Sunny',
+        humidity: 60,
+        windSpeed: 5,
+        pressure: 1020,
+        icon: 'sun'
+    },
+    'Paris': {
+        temperature: 20,
+        condition: 'Light Rain',
+        humidity: 82,
+        windSpeed: 10,
+        pressure: 1005,
+        icon: 'rain'
+    }
+};
+
+// Places don't move, so lookups are kept as long as the cache keeps anything
+const PLACE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Services the live weather comes from. URLs are templates; `{name}`
+// placeholders are filled from the query. Change them with setEndpoints().
+const endpoints = {
+    // Forecast by coordinates
+    forecast: 'https://api.open-meteo.com/v1/forecast?latitude={latitude}&longitude={longitude}&current_weather=true' +
+        '&hourly=temperature_2m,precipitation_probability,weathercode,relative_humidity_2m,pressure_msl' +
+        '&daily=weathercode,temperature_2m_max,temperature_2m_min,precipitation_probability_max,precipitation_sum' +
+        '&timezone=auto&forecast_days=7',
+    // City search, also used to find saved locations by name
+    geocoding: 'https://geocoding-api.open-meteo.com/v1/search?name={name}&count={count}',
+    // Names for coordinates from the browser's location
+    reverseGeocoding: 'https://api.bigdatacloud.net/data/reverse-geocode-client?latitude={latitude}&longitude={longitude}&localityLanguage=en'
+};
+
+// Providers for the endpoints, made again when they change
+let liveWeather = null;
+let places = null;
+let placeNames = null;
+createLiveProviders();
+
+const sampleWeather = providers.create('weather', new MockBackend(getSampleWeather), { ttl: 10 * 60 * 1000 });
+
+// Autocomplete: matches offered, and the pause in typing before searching
+const MAX_SUGGESTIONS = 5;
+const SEARCH_DELAY = 300;
+
+let searchCounter = 0;
+
+// Smallest content size, in pixels, each forecast layout fits in. 'full'
+// puts current conditions and the daily forecast side by side above the
+// hourly one.
+const LAYOUT_SIZES = {
+    full: { width: 520, height: 320 },
+    daily: { width: 240, height: 300 },
+    hourly: { width: 260, height: 200 }
+};
+
 export function createWidget(initialConfig = {}) {
     const defaultConfig = {
         title: 'Weather',
-        city: 'New York',
-        units: 'metric', // 'metric', 'imperial', 'kelvin'
-        apiKey: '', // Optional API key for real data
+        locations: DEFAULT_LOCATIONS,
+        locationView: 'cycle', // 'cycle', 'all'
+        cycleInterval: 0, // 0 to switch only by hand
+        temperatureUnit: 'celsius',
+        windUnit: 'kmh',
+        pressureUnit: 'hpa',
+        precipitationUnit: 'mm',
+        forecast: 'auto', // 'auto', 'hourly', 'daily', 'none'
+        live: false, // Sample data unless turned on
         refreshInterval: 600000 // 10 minutes
     };
 
     let config = { ...defaultConfig, ...initialConfig };
     let element = null;
-    let refreshInterval = null;
+    let refreshJob = null;
+    let cycleJob = null;
     let destroyed = false;
 
-    // Mock weather data for demo purposes
-    const mockWeatherData = {
-        'New York': {
-            location: 'New York, NY',
-            temperature: 22,
-            condition: 'Partly Cloudy',
-            humidity: 65,
-            windSpeed: 12,
-            pressure: 1013,
-            icon: 'cloud'
-        },
-        'London': {
-            location: 'London, UK',
-            temperature: 18,
-            condition: 'Overcast',
-            humidity: 78,
-            windSpeed: 8,
-            pressure: 1008,
-            icon: 'cloud'
-        },
-        'Tokyo': {
-            location: 'Tokyo, Japan',
-            temperature: 26,
-            condition: 'Sunny',
-            humidity: 60,
-            windSpeed: 5,
-            pressure: 1020,
-            icon: 'sun'
-        },
-        'Paris': {
-            location: 'Paris, France',
-            temperature: 20,
-            condition: 'Light Rain',
-            humidity: 82,
-            windSpeed: 10,
-            pressure: 1005,
-            icon: 'cloud'
-        }
-    };
+    // Last result per location ID, and the content size, so switching
+    // locations or a resize can redraw without fetching
+    const results = new Map();
+    let size = null;
+
+    // Location shown one at a time
+    let currentIndex = 0;
+
+    // Refreshes pause while the widget can't be seen
+    const { onShow, onHide, onSuspend, onResume, isPaused } = createJobHooks(() => [refreshJob, cycleJob]);
 
     /**
      * Create widget element
@@ -66,32 +195,146 @@ export function createWidget(initialConfig = {}) {
         
         updateDisplay();
         startRefreshTimer();
+        startCycleTimer();
         
         return element;
     }
 
     /**
-     * Update weather display
+     * Fetch the weather for the locations on show, and show it
+     * @param {Object} options - Provider request options, e.g. {force: true} to skip the cache
+     * @returns {Promise<boolean>} False if any location's weather couldn't be fetched
      */
-    async function updateDisplay() {
+    async function updateDisplay(options = {}) {
         if (destroyed || !element) return;
 
-        try {
+        const locations = getShownLocations();
+        if (!locations.some(location => results.has(location.id))) {
             element.innerHTML = '<div class="loading">Loading weather...</div>';
+        }
+
+        const outcomes = await Promise.allSettled(locations.map(location => fetchWeatherData(location, {
+            maxAge: config.refreshInterval,
+            onUpdate: result => {
+                results.set(location.id, result);
+                render();
+            },
+            ...options
+        })));
+
+        outcomes.forEach((outcome, index) => {
+            if (outcome.status === 'rejected') {
+                console.error(`Failed to fetch weather for ${locations[index].name}:`, outcome.reason);
+            }
+
+            // Failures only reach here with nothing cached to fall back on
+            results.set(locations[index].id, outcome.status === 'fulfilled'
+                ? outcome.value
+                : { data: null, updatedAt: null, stale: true, error: outcome.reason });
+        });
+
+        render();
+        return outcomes.every(outcome => outcome.status === 'fulfilled' && !outcome.value.error);
+    }
+
+    /**
+     * Show the weather of one location, or of all of them side by side
+     */
+    function render() {
+        if (destroyed || !element) return;
+
+        const sideBySide = isSideBySide();
+        const shown = getShownLocations().map(location => results.get(location.id)).filter(Boolean);
+        const fetched = shown.filter(result => result.data);
+
+        if (!sideBySide && shown.length > 0 && fetched.length === 0) {
+            renderError();
+            return;
+        }
+
+        const body = sideBySide ? renderLocations() : renderLocation(getCurrentLocation());
+
+        // With several locations, go by the oldest data, and say if any is offline
+        const updated = fetched.length > 0 ? describeUpdated({
+            updatedAt: Math.min(...fetched.map(result => result.updatedAt)),
+            error: fetched.find(result => result.error)?.error || null
+        }) : '';
+
+        element.innerHTML = `
+            ${body}
+
+            <div class="weather-updated data-updated">${updated}</div>
             
-            const weatherData = await fetchWeatherData();
-            
-            if (destroyed || !element) return;
+            <div class="weather-controls">
+                <button type="button" class="secondary-button" onclick="this.closest('.weather-widget')._widget.refresh()">
+                    Refresh
+                </button>
+                <button type="button" class="secondary-button" onclick="this.closest('.weather-widget')._widget.openSettings()">
+                    Settings
+                </button>
+            </div>
+        `;
+
+        // Store widget instance for access from buttons
+        element._widget = {
+            refresh: () => updateDisplay({ force: true }),
+            showPrevious: () => showLocation(currentIndex - 1),
+            showNext: () => showLocation(currentIndex + 1),
+            openSettings
+        };
+    }
+
+    /**
+     * Show that the weather couldn't be fetched
+     */
+    function renderError() {
+        delete element.dataset.layout;
+        element.innerHTML = `
+            ${config.locations.length > 1 ? `<div class="weather-location">${renderLocationName(getCurrentLocation())}</div>` : ''}
+            <div class="error">
+                <div>Weather data unavailable</div>
+                <button type="button" class="secondary-button" onclick="this.closest('.weather-widget')._widget.refresh()">
+                    Retry
+                </button>
+            </div>
+        `;
+
+        element._widget = {
+            refresh: () => updateDisplay({ force: true }),
+            showPrevious: () => showLocation(currentIndex - 1),
+            showNext: () => showLocation(currentIndex + 1),
+            openSettings
+        };
+    }
 
-            element.innerHTML = `
-                <div class="weather-location">${weatherData.location}</div>
+    /**
+     * Render the weather of one location, with as much forecast as fits
+     * @param {Object} location - Saved location
+     * @returns {string} HTML
+     */
+    function renderLocation(location) {
+        const weatherData = results.get(location.id)?.data;
+        if (!weatherData) {
+            delete element.dataset.layout;
+            return `
+                <div class="weather-location">${renderLocationName(location)}</div>
+                <div class="loading">Loading weather...</div>
+            `;
+        }
+
+        const layout = getLayout(weatherData);
+        element.dataset.layout = layout;
+
+        return `
+            <div class="weather-now">
+                <div class="weather-location">${renderLocationName(location)}</div>
                 <div class="weather-icon">
                     <svg aria-hidden="true">
                         <use href="assets/icons.svg#${weatherData.icon}"></use>
                     </svg>
                 </div>
-                <div class="weather-temp" aria-label="Temperature">${weatherData.temperature}°${getUnitSymbol()}</div>
-                <div class="weather-condition">${weatherData.condition}</div>
+                <div class="weather-temp" aria-label="Temperature">${formatTemperature(weatherData.temperature)}</div>
+                <div class="weather-condition">${escapeHtml(weatherData.condition)}</div>
                 
                 <div class="weather-details">
                     <div class="weather-detail">
@@ -100,285 +343,332 @@ export function createWidget(initialConfig = {}) {
                     </div>
                     <div class="weather-detail">
                         <div class="weather-detail-label">Wind</div>
-                        <div class="weather-detail-value">${weatherData.windSpeed} ${getWindUnit()}</div>
+                        <div class="weather-detail-value">${formatMeasurement(weatherData.windSpeed, 'speed', config.windUnit)}</div>
                     </div>
                     <div class="weather-detail">
                         <div class="weather-detail-label">Pressure</div>
-                        <div class="weather-detail-value">${weatherData.pressure} hPa</div>
+                        <div class="weather-detail-value">${formatMeasurement(weatherData.pressure, 'pressure', config.pressureUnit)}</div>
                     </div>
+                    ${weatherData.daily?.[0] ? `
+                        <div class="weather-detail">
+                            <div class="weather-detail-label">Precipitation today</div>
+                            <div class="weather-detail-value">${formatMeasurement(weatherData.daily[0].precipitation, 'precipitation', config.precipitationUnit)}</div>
+                        </div>
+                    ` : ''}
                 </div>
-                
-                <div class="weather-controls">
-                    <button type="button" class="secondary-button" onclick="this.closest('.weather-widget')._widget.refresh()">
-                        Refresh
-                    </button>
-                    <button type="button" class="secondary-button" onclick="this.closest('.weather-widget')._widget.openSettings()">
-                        Settings
-                    </button>
-                </div>
+            </div>
+
+            ${layout === 'full' || layout === 'daily' ? renderDaily(weatherData.daily) : ''}
+            ${layout === 'full' || layout === 'hourly' ? renderHourly(weatherData.hourly) : ''}
+        `;
+    }
+
+    /**
+     * Render a location's name, with arrows to the others when there are any
+     * @param {Object} location - Saved location
+     * @returns {string} HTML
+     */
+    function renderLocationName(location) {
+        const count = config.locations.length;
+        if (count < 2) {
+            return `<span class="weather-location-name">${escapeHtml(location.name)}</span>`;
+        }
+
+        return `
+            <button type="button" class="icon-button" onclick="this.closest('.weather-widget')._widget.showPrevious()" aria-label="Previous location">
+                <svg aria-hidden="true">
+                    <use href="assets/icons.svg#arrow-left"></use>
+                </svg>
+            </button>
+            <span class="weather-location-name" aria-live="polite">
+                ${escapeHtml(location.name)}
+                <span class="weather-location-count">${currentIndex + 1} / ${count}</span>
+            </span>
+            <button type="button" class="icon-button" onclick="this.closest('.weather-widget')._widget.showNext()" aria-label="Next location">
+                <svg aria-hidden="true">
+                    <use href="assets/icons.svg#arrow-right"></use>
+                </svg>
+            </button>
+        `;
+    }
+
+    /**
+     * Render every location as a card, side by side
+     * @returns {string} HTML
+     */
+    function renderLocations() {
+        element.dataset.layout = 'all';
+
+        const cards = config.locations.map(location => {
+            const result = results.get(location.id);
+            const weatherData = result?.data;
+            const today = weatherData?.daily?.[0];
+
+            return `
+                <li class="weather-card">
+                    <div class="weather-card-name">${escapeHtml(location.name)}</div>
+                    ${weatherData ? `
+                        <svg class="weather-forecast-icon" role="img" aria-label="${escapeHtml(weatherData.condition)}">
+                            <use href="assets/icons.svg#${weatherData.icon}"></use>
+                        </svg>
+                        <div class="weather-card-temp">${formatTemperature(weatherData.temperature)}</div>
+                        <div class="weather-card-condition">${escapeHtml(weatherData.condition)}</div>
+                        ${today ? `
+                            <div class="weather-day-temps">
+                                <span class="sr-only">High</span>${formatTemperature(today.high, true)}
+                                <span class="weather-day-low"><span class="sr-only">Low</span>${formatTemperature(today.low, true)}</span>
+                            </div>
+                        ` : ''}
+                    ` : `
+                        <div class="weather-card-condition">${result ? 'Unavailable' : 'Loading...'}</div>
+                    `}
+                </li>
             `;
+        }).join('');
 
-            // Store widget instance for access from buttons
-            element._widget = {
-                refresh: () => updateDisplay(),
-                openSettings
-            };
+        return `<ul class="weather-cards" aria-label="Locations">${cards}</ul>`;
+    }
 
-        } catch (error) {
-            console.error('Failed to fetch weather data:', error);
-            if (destroyed || !element) return;
-
-            element.innerHTML = `
-                <div class="error">
-                    <div>Weather data unavailable</div>
-                    <button type="button" class="secondary-button" onclick="this.closest('.weather-widget')._widget.refresh()">
-                        Retry
-                    </button>
+    /**
+     * Pick the layout for the forecast mode and the widget's size. Forecasts
+     * are left out when they don't fit, or weren't fetched.
+     * @param {Object} weatherData - Weather data
+     * @returns {string} 'current', 'hourly', 'daily' or 'full'
+     */
+    function getLayout(weatherData) {
+        const hasHourly = weatherData.hourly?.length > 0;
+        const hasDaily = weatherData.daily?.length > 0;
+
+        // Before the first resize, a chosen forecast is shown regardless
+        const fits = layout => !size ||
+            (size.width >= LAYOUT_SIZES[layout].width && size.height >= LAYOUT_SIZES[layout].height);
+
+        switch (config.forecast) {
+            case 'none':
+                return 'current';
+            case 'hourly':
+                return hasHourly && fits('hourly') ? 'hourly' : 'current';
+            case 'daily':
+                return hasDaily && fits('daily') ? 'daily' : 'current';
+        }
+
+        if (!size) return 'current';
+        if (hasHourly && hasDaily && fits('full')) return 'full';
+        if (hasDaily && fits('daily')) return 'daily';
+        if (hasHourly && fits('hourly')) return 'hourly';
+        return 'current';
+    }
+
+    /**
+     * Render the next 24 hours as a strip
+     * @param {Array} hours - Hourly forecast {time, temperature, precipitationChance, icon, condition}
+     * @returns {string} HTML
+     */
+    function renderHourly(hours) {
+        const items = hours.map((hour, index) => `
+            <li class="weather-forecast-item">
+                <div class="weather-forecast-time">${index === 0 ? 'Now' : formatHour(hour.time)}</div>
+                <svg class="weather-forecast-icon" role="img" aria-label="${escapeHtml(hour.condition)}">
+                    <use href="assets/icons.svg#${hour.icon}"></use>
+                </svg>
+                <div class="weather-forecast-temp">${formatTemperature(hour.temperature, true)}</div>
+                <div class="weather-forecast-precip">
+                    <span class="sr-only">Chance of precipitation</span>${hour.precipitationChance}%
                 </div>
-            `;
+            </li>
+        `).join('');
 
-            element._widget = {
-                refresh: () => updateDisplay(),
-                openSettings
-            };
+        return `<ol class="weather-hourly" aria-label="Next 24 hours">${items}</ol>`;
+    }
+
+    /**
+     * Render the next 7 days as a list
+     * @param {Array} days - Daily forecast {date, high, low, precipitationChance, precipitation, icon, condition}
+     * @returns {string} HTML
+     */
+    function renderDaily(days) {
+        const items = days.map((day, index) => `
+            <li class="weather-day">
+                <div class="weather-day-name">${index === 0 ? 'Today' : formatDay(day.date)}</div>
+                <svg class="weather-forecast-icon" role="img" aria-label="${escapeHtml(day.condition)}">
+                    <use href="assets/icons.svg#${day.icon}"></use>
+                </svg>
+                <div class="weather-forecast-precip">
+                    <span class="sr-only">Chance of precipitation</span>${day.precipitationChance}%
+                </div>
+                <div class="weather-day-temps">
+                    <span class="sr-only">High</span>${formatTemperature(day.high, true)}
+                    <span class="weather-day-low"><span class="sr-only">Low</span>${formatTemperature(day.low, true)}</span>
+                </div>
+            </li>
+        `).join('');
+
+        return `<ol class="weather-daily" aria-label="Next 7 days">${items}</ol>`;
+    }
+
+    /**
+     * Refresh on schedule. Failures are thrown so the scheduler backs off.
+     */
+    async function scheduledRefresh() {
+        if (await updateDisplay({ force: true }) === false) {
+            throw new Error('Weather data unavailable');
         }
     }
 
     /**
-     * Fetch weather data
-     * @returns {Promise<Object>} Weather data
+     * Fetch a location's weather, live if turned on. Otherwise, or if the
+     * live service fails with nothing cached, sample data is shown.
+     * @param {Object} location - Saved location
+     * @param {Object} options - Provider request options
+     * @returns {Promise<Object>} Result {data, updatedAt, stale, error}
      */
-    async function fetchWeatherData() {
-        // Try to fetch real weather data if API key is provided
-        if (config.apiKey) {
+    async function fetchWeatherData(location, options) {
+        if (config.live) {
             try {
-                return await fetchRealWeatherData();
+                const coordinates = await resolveLocation(location);
+                if (coordinates) {
+                    const result = await liveWeather.get(coordinates, options);
+                    if (result.data) return result;
+                }
             } catch (error) {
                 console.warn('Failed to fetch real weather data, using mock data:', error);
             }
         }
 
-        // Use mock data
-        const data = mockWeatherData[config.city] || mockWeatherData['New York'];
-        
-        // Add some randomness to make it feel more dynamic
-        const variation = (Math.random() - 0.5) * 4;
-        return {
-            ...data,
-            temperature: Math.round(data.temperature + variation),
-            humidity: Math.max(0, Math.min(100, data.humidity + Math.round(variation))),
-            windSpeed: Math.max(0, data.windSpeed + Math.round(variation / 2))
-        };
+        return sampleWeather.get({ name: location.name, latitude: location.latitude ?? null }, options);
     }
 
     /**
-     * Fetch real weather data from API
-     * @returns {Promise<Object>} Weather data
+     * Get the location shown one at a time
+     * @returns {Object} Saved location
      */
-    async function fetchRealWeatherData() {
-        // Using Open-Meteo API (free, no API key required)
-        // First get coordinates for the city
-        const geocodeResponse = await fetch(
-            `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(config.city)}&count=1`
-        );
-        const geocodeData = await geocodeResponse.json();
-        
-        if (!geocodeData.results || geocodeData.results.length === 0) {
-            throw new Error('City not found');
-        }
+    function getCurrentLocation() {
+        return config.locations[currentIndex] || config.locations[0];
+    }
 
-        const { latitude, longitude, name, country } = geocodeData.results[0];
-
-        // Get weather data
-        const weatherResponse = await fetch(
-            `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&current_weather=true&hourly=relative_humidity_2m,pressure_msl&forecast_days=1`
-        );
-        const weatherData = await weatherResponse.json();
-
-        const current = weatherData.current_weather;
-        const currentHour = new Date().getHours();
-        const humidity = weatherData.hourly.relative_humidity_2m[currentHour];
-        const pressure = weatherData.hourly.pressure_msl[currentHour];
-
-        // Convert temperature based on units
-        let temperature = current.temperature;
-        if (config.units === 'imperial') {
-            temperature = (temperature * 9/5) + 32;
-        } else if (config.units === 'kelvin') {
-            temperature = temperature + 273.15;
-        }
+    /**
+     * Get the locations on show
+     * @returns {Array} Saved locations
+     */
+    function getShownLocations() {
+        return isSideBySide() ? config.locations : [getCurrentLocation()];
+    }
 
-        // Map weather codes to conditions and icons
-        const condition = getWeatherCondition(current.weathercode);
-        const icon = getWeatherIcon(current.weathercode);
+    /**
+     * Check whether every location is shown at once
+     * @returns {boolean} True side by side
+     */
+    function isSideBySide() {
+        return config.locationView === 'all' && config.locations.length > 1;
+    }
 
-        return {
-            location: `${name}, ${country}`,
-            temperature: Math.round(temperature),
-            condition,
-            humidity: Math.round(humidity),
-            windSpeed: Math.round(current.windspeed),
-            pressure: Math.round(pressure),
-            icon
-        };
+    /**
+     * Show another location, from what was last fetched while it loads
+     * @param {number} index - Location index; wraps around
+     */
+    function showLocation(index) {
+        const count = config.locations.length;
+        if (count < 2) return;
+
+        currentIndex = (index + count) % count;
+        render();
+        updateDisplay();
     }
 
     /**
-     * Get weather condition from weather code
-     * @param {number} code - Weather code
-     * @returns {string} Weather condition
+     * Format a temperature in the chosen unit
+     * @param {number} celsius - Temperature in °C
+     * @param {boolean} short - Leave out the unit letter, for forecasts
+     * @returns {string} E.g. '72°F', or '72°' when short
      */
-    function getWeatherCondition(code) {
-        const conditions = {
-            0: 'Clear Sky',
-            1: 'Mainly Clear',
-            2: 'Partly Cloudy',
-            3: 'Overcast',
-            45: 'Fog',
-            48: 'Depositing Rime Fog',
-            51: 'Light Drizzle',
-            53: 'Moderate Drizzle',
-            55: 'Dense Drizzle',
-            61: 'Slight Rain',
-            63: 'Moderate Rain',
-            65: 'Heavy Rain',
-            71: 'Slight Snow',
-            73: 'Moderate Snow',
-            75: 'Heavy Snow',
-            80: 'Slight Rain Showers',
-            81: 'Moderate Rain Showers',
-            82: 'Violent Rain Showers',
-            95: 'Thunderstorm',
-            96: 'Thunderstorm with Hail',
-            99: 'Thunderstorm with Heavy Hail'
-        };
-        return conditions[code] || 'Unknown';
+    function formatTemperature(celsius, short = false) {
+        return formatMeasurement(celsius, 'temperature', config.temperatureUnit, { short });
     }
 
     /**
-     * Get weather icon from weather code
-     * @param {number} code - Weather code
-     * @returns {string} Icon name
+     * Format a forecast hour
+     * @param {string} time - Local time, e.g. '2024-03-05T14:00'
+     * @returns {string} Hour, e.g. '2 PM'
      */
-    function getWeatherIcon(code) {
-        if (code === 0 || code === 1) return 'sun';
-        if (code >= 2 && code <= 3) return 'cloud';
-        if (code >= 45 && code <= 48) return 'cloud';
-        if (code >= 51 && code <= 82) return 'cloud';
-        if (code >= 95) return 'cloud';
-        return 'cloud';
+    function formatHour(time) {
+        return new Date(time).toLocaleTimeString([], { hour: 'numeric' });
     }
 
     /**
-     * Get unit symbol for temperature
-     * @returns {string} Unit symbol
+     * Format a forecast day
+     * @param {string} date - Local date, e.g. '2024-03-05'
+     * @returns {string} Short weekday, e.g. 'Tue'
      */
-    function getUnitSymbol() {
-        switch (config.units) {
-            case 'imperial': return 'F';
-            case 'kelvin': return 'K';
-            default: return 'C';
-        }
+    function formatDay(date) {
+        return new Date(`${date}T12:00`).toLocaleDateString([], { weekday: 'short' });
     }
 
     /**
-     * Get wind unit
-     * @returns {string} Wind unit
+     * Escape HTML
      */
-    function getWindUnit() {
-        return config.units === 'imperial' ? 'mph' : 'km/h';
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
 
     /**
      * Start refresh timer
      */
     function startRefreshTimer() {
-        if (refreshInterval) {
-            clearInterval(refreshInterval);
-        }
+        stopRefreshTimer();
 
-        refreshInterval = setInterval(() => {
-            updateDisplay();
-        }, config.refreshInterval);
+        refreshJob = scheduler.add({
+            name: config.title,
+            interval: config.refreshInterval,
+            jitter: 0.1,
+            paused: isPaused(),
+            run: scheduledRefresh
+        });
     }
 
     /**
      * Stop refresh timer
      */
     function stopRefreshTimer() {
-        if (refreshInterval) {
-            clearInterval(refreshInterval);
-            refreshInterval = null;
+        if (refreshJob) {
+            refreshJob.cancel();
+            refreshJob = null;
         }
     }
 
     /**
-     * Open settings modal
+     * Move on to the next location every cycleInterval, when showing one
+     * location at a time
      */
-    function openSettings() {
-        import('../ui.js').then(({ default: ui }) => {
-            const settingsForm = createSettingsForm();
-            ui.showModal('widget-settings-modal', {
-                title: 'Weather Settings',
-                content: settingsForm
-            });
-
-            settingsForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                const formData = new FormData(settingsForm);
-                
-                const newConfig = {
-                    ...config,
-                    city: formData.get('city'),
-                    units: formData.get('units'),
-                    apiKey: formData.get('apiKey'),
-                    refreshInterval: parseInt(formData.get('refreshInterval')) * 60000
-                };
-
-                setConfig(newConfig);
-                ui.closeModal('widget-settings-modal');
-            });
+    function startCycleTimer() {
+        stopCycleTimer();
+
+        if (config.locationView !== 'cycle' || config.locations.length < 2 || !config.cycleInterval) return;
+
+        cycleJob = scheduler.add({
+            name: `${config.title} locations`,
+            interval: config.cycleInterval,
+            paused: isPaused(),
+            run: () => showLocation(currentIndex + 1)
         });
     }
 
     /**
-     * Create settings form
-     * @returns {Element} Settings form element
+     * Stop switching locations
      */
-    function createSettingsForm() {
-        const form = document.createElement('form');
-        form.innerHTML = `
-            <div class="form-group">
-                <label class="form-label" for="weather-city">City</label>
-                <input type="text" id="weather-city" name="city" class="input" value="${config.city}" required>
-            </div>
-
-            <div class="form-group">
-                <label class="form-label" for="weather-units">Units</label>
-                <select id="weather-units" name="units" class="input">
-                    <option value="metric" ${config.units === 'metric' ? 'selected' : ''}>Celsius</option>
-                    <option value="imperial" ${config.units === 'imperial' ? 'selected' : ''}>Fahrenheit</option>
-                    <option value="kelvin" ${config.units === 'kelvin' ? 'selected' : ''}>Kelvin</option>
-                </select>
-            </div>
-
-            <div class="form-group">
-                <label class="form-label" for="weather-refresh">Refresh Interval (minutes)</label>
-                <select id="weather-refresh" name="refreshInterval" class="input">
-                    <option value="5" ${config.refreshInterval === 300000 ? 'selected' : ''}>5 minutes</option>
-                    <option value="10" ${config.refreshInterval === 600000 ? 'selected' : ''}>10 minutes</option>
-                    <option value="30" ${config.refreshInterval === 1800000 ? 'selected' : ''}>30 minutes</option>
-                    <option value="60" ${config.refreshInterval === 3600000 ? 'selected' : ''}>1 hour</option>
-                </select>
-            </div>
+    function stopCycleTimer() {
+        if (cycleJob) {
+            cycleJob.cancel();
+            cycleJob = null;
+        }
+    }
 
-            <div class="form-group">
-                <label class="form-label" for="weather-api-key">API Key (optional)</label>
-                <input type="text" id="weather-api-key" name="apiKey" class="input" value="${config.apiKey}" placeholder="For real weather data">
-                <div class="form-help">Leave empty to use mock data</div>
-            </div>
-        `;
-        return form;
+    /**
+     * Ask the dashboard to open this widget's settings
+     */
+    function openSettings() {
+        element.dispatchEvent(new CustomEvent('widget-open-settings', { bubbles: true }));
     }
 
     /**
@@ -396,14 +686,14 @@ export function createWidget(initialConfig = {}) {
      * @param {Object} newConfig - New configuration
      */
     function setConfig(newConfig) {
-        const oldConfig = { ...config };
         config = { ...config, ...newConfig };
-        
-        // Restart refresh timer if interval changed
-        if (oldConfig.refreshInterval !== config.refreshInterval) {
-            stopRefreshTimer();
-            startRefreshTimer();
-        }
+        refreshJob?.update({ name: config.title, interval: config.refreshInterval });
+
+        // Forget removed locations
+        const ids = config.locations.map(location => location.id);
+        [...results.keys()].filter(id => !ids.includes(id)).forEach(id => results.delete(id));
+        currentIndex = Math.min(currentIndex, config.locations.length - 1);
+        startCycleTimer();
         
         updateDisplay();
         emitConfigChange();
@@ -417,12 +707,26 @@ export function createWidget(initialConfig = {}) {
         return { ...config };
     }
 
+    /**
+     * Switch layouts when the forecast fits, or stops fitting
+     * @param {Object} newSize - Content size {width, height}
+     */
+    function onResize(newSize) {
+        size = newSize;
+
+        const weatherData = results.get(getCurrentLocation().id)?.data;
+        if (!isSideBySide() && weatherData && element && getLayout(weatherData) !== element.dataset.layout) {
+            render();
+        }
+    }
+
     /**
      * Destroy widget and cleanup
      */
     function destroy() {
         destroyed = true;
         stopRefreshTimer();
+        stopCycleTimer();
         
         if (element) {
             element._widget = null;
@@ -437,6 +741,609 @@ export function createWidget(initialConfig = {}) {
         el,
         getConfig,
         setConfig,
+        onShow,
+        onHide,
+        onResize,
+        onSuspend,
+        onResume,
         destroy
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Validate a stored weather config
+ * @param {Object} config - Config to check
+ * @returns {Object} Result {errors, config} with invalid fields removed
+ */
+export function validateConfig(config) {
+    return createConfigChecker(config)
+        .custom('locations', sanitizeLocations, 'contained invalid locations')
+        .oneOf('locationView', ['cycle', 'all'])
+        .number('cycleInterval', 0, 3600000)
+        .oneOf('temperatureUnit', getUnitKeys('temperature'))
+        .oneOf('windUnit', getUnitKeys('speed'))
+        .oneOf('pressureUnit', getUnitKeys('pressure'))
+        .oneOf('precipitationUnit', getUnitKeys('precipitation'))
+        .oneOf('forecast', ['auto', 'hourly', 'daily', 'none'])
+        .boolean('live')
+        .number('refreshInterval', 60000, 86400000)
+        .result();
+}
+
+/**
+ * Point the widget at other weather services, e.g. a proxy or a local stub
+ * server. Responses must look like the ones from the default services.
+ * @param {Object} urls - URL templates to change
+ * @param {string} urls.forecast - Forecast, filled from {latitude, longitude}
+ * @param {string} urls.geocoding - Place search, filled from {name, count}
+ * @param {string} urls.reverseGeocoding - Place name lookup, filled from {latitude, longitude}
+ */
+export function setEndpoints(urls) {
+    Object.assign(endpoints, urls);
+    createLiveProviders();
+}
+
+/**
+ * Create the providers that load from the endpoints
+ */
+function createLiveProviders() {
+    liveWeather = providers.create('weather', new HttpBackend({
+        url: endpoints.forecast,
+        transform: toWeather
+    }), { ttl: 10 * 60 * 1000 });
+
+    // Coordinates of saved locations that only have a name
+    places = providers.create('places', new HttpBackend({
+        url: endpoints.geocoding,
+        transform: toPlaces
+    }), { ttl: PLACE_TTL });
+
+    placeNames = providers.create('place-names', new HttpBackend({
+        url: endpoints.reverseGeocoding,
+        transform: toPlaceName
+    }), { ttl: PLACE_TTL });
+}
+
+/**
+ * Keep only well-formed locations, dropping coordinates that are out of range
+ * @param {*} locations - Stored locations
+ * @returns {Array|undefined} Valid locations, or undefined if none are left
+ */
+function sanitizeLocations(locations) {
+    if (!Array.isArray(locations)) return undefined;
+
+    const valid = locations
+        .filter(location => location && typeof location.id === 'string' && /^[\w-]+$/.test(location.id) &&
+            typeof location.name === 'string' && location.name.trim())
+        .slice(0, MAX_LOCATIONS)
+        .map(location => {
+            const sanitized = { id: location.id, name: location.name.trim().slice(0, 100) };
+            if (Math.abs(location.latitude) <= 90 && Math.abs(location.longitude) <= 180) {
+                sanitized.latitude = location.latitude;
+                sanitized.longitude = location.longitude;
+            }
+            return sanitized;
+        });
+
+    return valid.length > 0 ? valid : undefined;
+}
+
+/**
+ * Create an ID for a saved location
+ * @returns {string} ID
+ */
+function createLocationId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+/**
+ * Build the settings that add locations: a city search that suggests
+ * matches as you type, and the browser's own location. Both add to the
+ * Locations list above them.
+ * @param {Object} config - Widget config
+ * @param {Object} schemaForm - The generated settings fields
+ * @returns {Object} Form {el, getValues()}
+ */
+function createLocationSearch(config, schemaForm) {
+    const id = `weather-location-search-${++searchCounter}`;
+
+    const el = document.createElement('div');
+    el.className = 'form-group weather-location-search';
+    el.innerHTML = `
+        <label class="form-label" for="${id}">Add a location</label>
+        <div class="weather-location-combobox">
+            <input type="search" id="${id}" class="input" placeholder="Search for a city" autocomplete="off"
+                role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="${id}-suggestions">
+            <ul class="weather-location-suggestions" id="${id}-suggestions" role="listbox" aria-label="Matching places" hidden></ul>
+        </div>
+        <button type="button" class="outline-button" data-action="locate"
+            title="Your position is sent to BigDataCloud to look up its name">Use my location</button>
+        <p class="form-help" aria-live="polite"></p>
+    `;
+
+    const input = el.querySelector('input');
+    const listbox = el.querySelector('[role="listbox"]');
+    const locateButton = el.querySelector('[data-action="locate"]');
+    const status = el.querySelector('.form-help');
+
+    let suggestions = [];
+    let activeIndex = -1;
+    let searchTimeout = null;
+    let searchId = 0;
+
+    const showSuggestions = (places, message = '') => {
+        suggestions = places;
+        activeIndex = -1;
+        listbox.innerHTML = '';
+        places.forEach((place, index) => {
+            const option = document.createElement('li');
+            option.id = `${id}-option-${index}`;
+            option.className = 'weather-location-suggestion';
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            option.textContent = place.label;
+
+            // Keep focus in the input, so the list doesn't close first
+            option.addEventListener('mousedown', event => event.preventDefault());
+            option.addEventListener('click', () => addLocation(place));
+            listbox.appendChild(option);
+        });
+
+        listbox.hidden = places.length === 0;
+        input.setAttribute('aria-expanded', String(places.length > 0));
+        input.removeAttribute('aria-activedescendant');
+        status.textContent = message;
+    };
+
+    const setActive = index => {
+        const options = listbox.querySelectorAll('[role="option"]');
+        if (options.length === 0) return;
+
+        activeIndex = (index + options.length) % options.length;
+        options.forEach((option, i) => option.setAttribute('aria-selected', String(i === activeIndex)));
+        input.setAttribute('aria-activedescendant', options[activeIndex].id);
+        options[activeIndex].scrollIntoView?.({ block: 'nearest' });
+    };
+
+    const addLocation = place => {
+        const locations = schemaForm.getValues().locations || [];
+        if (locations.length >= MAX_LOCATIONS) {
+            showSuggestions([], `Remove a location to add another; a widget holds up to ${MAX_LOCATIONS}.`);
+            return;
+        }
+
+        schemaForm.setValues({
+            locations: [...locations, {
+                id: createLocationId(),
+                name: place.name,
+                latitude: place.latitude,
+                longitude: place.longitude
+            }]
+        });
+
+        input.value = '';
+        showSuggestions([], `Added ${place.name}.`);
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    input.addEventListener('input', () => {
+        clearTimeout(searchTimeout);
+
+        const text = input.value.trim();
+        if (text.length < 2) {
+            searchId++;
+            showSuggestions([]);
+            return;
+        }
+
+        // Wait for a pause in typing; answers to older searches are ignored
+        searchTimeout = setTimeout(async () => {
+            const current = ++searchId;
+            try {
+                const places = await searchPlaces(text);
+                if (current === searchId) {
+                    showSuggestions(places, places.length ? '' : 'No places found.');
+                }
+            } catch (error) {
+                console.warn('City search failed:', error);
+                if (current === searchId) {
+                    showSuggestions([], 'City search is unavailable. Add the city by name with the Add button instead.');
+                }
+            }
+        }, SEARCH_DELAY);
+    });
+
+    input.addEventListener('keydown', event => {
+        const open = !listbox.hidden;
+
+        if (event.key === 'ArrowDown' && open) {
+            event.preventDefault();
+            setActive(activeIndex + 1);
+        } else if (event.key === 'ArrowUp' && open) {
+            event.preventDefault();
+            setActive(activeIndex - 1);
+        } else if (event.key === 'Enter') {
+            // Never submit the settings from here
+            event.preventDefault();
+            const place = suggestions[activeIndex] || (suggestions.length === 1 ? suggestions[0] : null);
+            if (place) {
+                addLocation(place);
+            }
+        } else if (event.key === 'Escape' && open) {
+            // Close the suggestions, not the dialog
+            event.preventDefault();
+            event.stopPropagation();
+            showSuggestions([]);
+        }
+    });
+
+    input.addEventListener('blur', () => {
+        listbox.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+    });
+
+    input.addEventListener('focus', () => {
+        if (suggestions.length > 0) {
+            listbox.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+        }
+    });
+
+    locateButton.hidden = !navigator.geolocation;
+    locateButton.addEventListener('click', async () => {
+        locateButton.disabled = true;
+        status.textContent = 'Finding your location...';
+
+        try {
+            addLocation(await locate());
+        } catch (error) {
+            status.textContent = error.code === 1
+                ? 'Location access was denied. Allow it in your browser to use your location.'
+                : 'Your location is unavailable right now.';
+        } finally {
+            locateButton.disabled = false;
+        }
+    });
+
+    return {
+        el,
+        getValues: () => ({})
+    };
+}
+
+/**
+ * Search for places by name, for autocomplete. Searches aren't cached;
+ * they'd crowd saved weather out of the cache.
+ * @param {string} text - What was typed
+ * @returns {Promise<Array>} Places {label, name, latitude, longitude}
+ */
+async function searchPlaces(text) {
+    const json = await fetchJson(fillTemplate(endpoints.geocoding, { name: text, count: MAX_SUGGESTIONS }));
+    return toPlaces(json) || [];
+}
+
+/**
+ * Find the browser's location and name it
+ * @returns {Promise<Object>} Place {name, latitude, longitude}
+ * @throws {GeolocationPositionError} If the location is unavailable or access was denied
+ */
+async function locate() {
+    const position = await new Promise((resolve, reject) => {
+        navigator.geolocation.getCurrentPosition(resolve, reject, {
+            timeout: 10000,
+            maximumAge: 10 * 60 * 1000
+        });
+    });
+
+    const latitude = roundCoordinate(position.coords.latitude);
+    const longitude = roundCoordinate(position.coords.longitude);
+
+    let name = null;
+    try {
+        name = (await placeNames.get({ latitude, longitude })).data;
+    } catch (error) {
+        console.warn('Could not name your location:', error);
+    }
+
+    return { name: name || 'My location', latitude, longitude };
+}
+
+/**
+ * Get the coordinates of a saved location. Locations found by search or
+ * from the browser have them; others are looked up by name once and the
+ * answer cached.
+ * @param {Object} location - Saved location
+ * @returns {Promise<Object|null>} Coordinates {latitude, longitude}, or null if the place wasn't found
+ */
+async function resolveLocation(location) {
+    if (Number.isFinite(location.latitude) && Number.isFinite(location.longitude)) {
+        return {
+            latitude: roundCoordinate(location.latitude),
+            longitude: roundCoordinate(location.longitude)
+        };
+    }
+
+    const place = (await places.get({ name: location.name, count: 1 })).data?.[0];
+    return place ? { latitude: place.latitude, longitude: place.longitude } : null;
+}
+
+/**
+ * Round a coordinate to about a kilometre, so nearby spots share weather
+ * @param {number} value - Latitude or longitude
+ * @returns {number} Rounded value
+ */
+function roundCoordinate(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Turn an Open-Meteo geocoding response into places
+ * @param {Object} json - Geocoding response
+ * @returns {Array|null} Places {label, name, latitude, longitude}, or null if none matched
+ */
+function toPlaces(json) {
+    if (!Array.isArray(json?.results) || json.results.length === 0) return null;
+
+    return json.results.map(result => ({
+        label: [result.name, result.admin1, result.country].filter(Boolean).join(', '),
+        name: [result.name, result.country].filter(Boolean).join(', '),
+        latitude: roundCoordinate(result.latitude),
+        longitude: roundCoordinate(result.longitude)
+    }));
+}
+
+/**
+ * Name a place from a reverse geocoding response
+ * @param {Object} json - BigDataCloud reverse geocoding response
+ * @returns {string|null} E.g. 'Oslo, Norway', or null if it has no name
+ */
+function toPlaceName(json) {
+    return [json?.city || json?.locality, json?.countryName].filter(Boolean).join(', ') || null;
+}
+
+/**
+ * Get the weather from an Open-Meteo forecast. Measurements stay in the
+ * units it sends, °C, km/h, hPa and mm, and are converted when shown.
+ * @param {Object} weatherData - Forecast response; times are in the place's own time zone
+ * @returns {Object} Weather data
+ */
+function toWeather(weatherData) {
+    const current = weatherData.current_weather;
+    const hourly = weatherData.hourly;
+    const daily = weatherData.daily;
+
+    // The hour the current conditions fall in
+    const currentHour = Math.max(0, hourly.time.findIndex(time => time.slice(0, 13) === current.time.slice(0, 13)));
+
+    return {
+        temperature: current.temperature,
+        condition: getWeatherCondition(current.weathercode),
+        humidity: Math.round(hourly.relative_humidity_2m[currentHour]),
+        windSpeed: current.windspeed,
+        pressure: hourly.pressure_msl[currentHour],
+        icon: getWeatherIcon(current.weathercode),
+        hourly: hourly.time.slice(currentHour, currentHour + 24).map((time, index) => {
+            const i = currentHour + index;
+            return {
+                time,
+                temperature: hourly.temperature_2m[i],
+                precipitationChance: hourly.precipitation_probability[i] ?? 0,
+                icon: getWeatherIcon(hourly.weathercode[i]),
+                condition: getWeatherCondition(hourly.weathercode[i])
+            };
+        }),
+        daily: daily.time.map((date, i) => ({
+            date,
+            high: daily.temperature_2m_max[i],
+            low: daily.temperature_2m_min[i],
+            precipitationChance: daily.precipitation_probability_max[i] ?? 0,
+            precipitation: daily.precipitation_sum[i] ?? 0,
+            icon: getWeatherIcon(daily.weathercode[i]),
+            condition: getWeatherCondition(daily.weathercode[i])
+        }))
+    };
+}
+
+/**
+ * Make up weather for a location from the sample data
+ * @param {Object} query - Query {name, latitude}
+ * @returns {Object} Weather data
+ */
+function getSampleWeather({ name, latitude }) {
+    const data = mockWeatherData[name.split(',')[0].trim()] || getSampleConditions(name, latitude);
+
+    // Add some randomness to make it feel more dynamic
+    const variation = (Math.random() - 0.5) * 4;
+    const weather = {
+        ...data,
+        temperature: Math.round(data.temperature + variation),
+        humidity: Math.max(0, Math.min(100, data.humidity + Math.round(variation))),
+        windSpeed: Math.max(0, data.windSpeed + Math.round(variation / 2))
+    };
+
+    return { ...weather, ...getSampleForecast(weather) };
+}
+
+/**
+ * Make up steady conditions for a place the sample data doesn't know. The
+ * same name always gets the same weather, and places nearer the poles are
+ * colder.
+ * @param {string} name - Location name
+ * @param {number|null} latitude - Latitude, if known
+ * @returns {Object} Conditions like those in the sample data
+ */
+function getSampleConditions(name, latitude) {
+    let seed = 0;
+    for (const char of name.toLowerCase()) {
+        seed = (seed * 31 + char.charCodeAt(0)) >>> 0;
+    }
+
+    const skies = [
+        { condition: 'Clear Sky', icon: 'sun' },
+        { condition: 'Partly Cloudy', icon: 'cloud' },
+        { condition: 'Overcast', icon: 'cloud' },
+        { condition: 'Light Rain', icon: 'rain' }
+    ];
+
+    return {
+        temperature: Number.isFinite(latitude) ? Math.round(28 - Math.abs(latitude) * 0.45) : 8 + seed % 18,
+        ...skies[seed % skies.length],
+        humidity: 45 + seed % 45,
+        windSpeed: 3 + seed % 20,
+        pressure: 995 + seed % 30
+    };
+}
+
+/**
+ * Make up a forecast that follows on from sample conditions: temperatures
+ * peak mid-afternoon and drift from day to day, and rain is likelier where
+ * it is already raining
+ * @param {Object} weather - Sample current conditions
+ * @returns {Object} Forecast {hourly, daily}
+ */
+function getSampleForecast(weather) {
+    const swing = 4; // °C either side of the daily mean
+    const dailyCurve = hour => Math.sin(((hour - 9) / 24) * 2 * Math.PI); // peaks at 15:00
+
+    const start = new Date();
+    start.setMinutes(0, 0, 0);
+
+    // The mean that puts the current hour at the current temperature
+    const mean = weather.temperature - swing * dailyCurve(start.getHours());
+    const baseChance = { sun: 5, cloud: 20, rain: 70, snow: 60, storm: 80 }[weather.icon] ?? 20;
+    const chance = value => Math.round(Math.max(0, Math.min(100, value)) / 10) * 10;
+
+    const phase = Math.random() * 2 * Math.PI;
+    const hourly = Array.from({ length: 24 }, (_, index) => {
+        const time = new Date(start.getTime() + index * 60 * 60 * 1000);
+        const temperature = Math.round(mean + swing * dailyCurve(time.getHours()) + (Math.random() - 0.5));
+        const precipitationChance = chance(baseChance + 20 * Math.sin(phase + index / 4) + (Math.random() - 0.5) * 10);
+        const icon = index === 0 ? weather.icon : getSampleIcon(precipitationChance, temperature, weather.icon);
+
+        return {
+            time: toLocalIso(time),
+            temperature,
+            precipitationChance,
+            icon,
+            condition: index === 0 ? weather.condition : getSampleCondition(icon)
+        };
+    });
+
+    let drift = 0;
+    const daily = Array.from({ length: 7 }, (_, index) => {
+        const date = new Date(start.getTime() + index * 24 * 60 * 60 * 1000);
+        if (index > 0) {
+            drift += (Math.random() - 0.5) * 4;
+        }
+
+        const high = Math.round(mean + swing + drift + Math.random());
+        const low = Math.round(mean - swing + drift - Math.random());
+        const precipitationChance = chance(baseChance + (Math.random() - 0.5) * 40);
+        const icon = getSampleIcon(precipitationChance, high, 'sun');
+
+        // Likelier rain is usually heavier, up to about 10 mm a day
+        const precipitation = precipitationChance >= 30
+            ? Math.round(precipitationChance / 100 * (1 + Math.random() * 9) * 10) / 10
+            : 0;
+
+        return {
+            date: toLocalIso(date).slice(0, 10),
+            high: index === 0 ? Math.max(high, weather.temperature) : high,
+            low: index === 0 ? Math.min(low, weather.temperature) : low,
+            precipitationChance,
+            precipitation,
+            icon,
+            condition: getSampleCondition(icon)
+        };
+    });
+
+    return { hourly, daily };
+}
+
+/**
+ * Pick a sample forecast icon
+ * @param {number} precipitationChance - Chance of precipitation, 0-100
+ * @param {number} temperature - Temperature in °C
+ * @param {string} dryIcon - Icon when rain is unlikely
+ * @returns {string} Icon name
+ */
+function getSampleIcon(precipitationChance, temperature, dryIcon) {
+    if (precipitationChance >= 60) return temperature <= 0 ? 'snow' : 'rain';
+    if (precipitationChance >= 30) return 'cloud';
+    return dryIcon === 'sun' ? 'sun' : 'cloud';
+}
+
+/**
+ * Name the condition a sample icon shows
+ * @param {string} icon - Icon name
+ * @returns {string} Weather condition
+ */
+function getSampleCondition(icon) {
+    const conditions = {
+        sun: 'Clear Sky',
+        cloud: 'Partly Cloudy',
+        rain: 'Rain',
+        snow: 'Snow',
+        storm: 'Thunderstorm'
+    };
+    return conditions[icon] || 'Unknown';
+}
+
+/**
+ * Format a time as the forecast does, local and without seconds
+ * @param {Date} date - Time
+ * @returns {string} E.g. '2024-03-05T14:00'
+ */
+function toLocalIso(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Get weather condition from weather code
+ * @param {number} code - Weather code
+ * @returns {string} Weather condition
+ */
+function getWeatherCondition(code) {
+    const conditions = {
+        0: 'Clear Sky',
+        1: 'Mainly Clear',
+        2: 'Partly Cloudy',
+        3: 'Overcast',
+        45: 'Fog',
+        48: 'Depositing Rime Fog',
+        51: 'Light Drizzle',
+        53: 'Moderate Drizzle',
+        55: 'Dense Drizzle',
+        61: 'Slight Rain',
+        63: 'Moderate Rain',
+        65: 'Heavy Rain',
+        71: 'Slight Snow',
+        73: 'Moderate Snow',
+        75: 'Heavy Snow',
+        80: 'Slight Rain Showers',
+        81: 'Moderate Rain Showers',
+        82: 'Violent Rain Showers',
+        95: 'Thunderstorm',
+        96: 'Thunderstorm with Hail',
+        99: 'Thunderstorm with Heavy Hail'
+    };
+    return conditions[code] || 'Unknown';
+}
+
+/**
+ * Get weather icon from weather code
+ * @param {number} code - Weather code
+ * @returns {string} Icon name
+ */
+function getWeatherIcon(code) {
+    if (code === 0 || code === 1) return 'sun';
+    if (code >= 2 && code <= 3) return 'cloud';
+    if (code >= 45 && code <= 48) return 'cloud';
+    if (code >= 71 && code <= 77) return 'snow';
+    if (code >= 85 && code <= 86) return 'snow';
+    if (code >= 51 && code <= 82) return 'rain';
+    if (code >= 95) return 'storm';
+    return 'cloud';
+}
@@ -0,0 +1,185 @@
+/**
+ * Data provider tests, against a local stub server
+ */
+
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { DataProviders, HttpBackend } from '../js/providers.js';
+import { MemoryAdapter } from '../js/storage.js';
+
+// Stub server: GET /value?id=... answers {id, hit}, after `delay`
+// milliseconds, or with `status` when it isn't 200
+const stub = { hits: 0, delay: 0, status: 200 };
+let server = null;
+let baseUrl = '';
+
+before(async () => {
+    server = createServer((request, response) => {
+        stub.hits++;
+        const id = new URL(request.url, baseUrl).searchParams.get('id');
+
+        setTimeout(() => {
+            response.writeHead(stub.status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ id, hit: stub.hits }));
+        }, stub.delay);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('DataProviders', () => {
+    let providers = null;
+
+    beforeEach(() => {
+        clearTimeout(providers?.saveTimeout);
+        Object.assign(stub, { hits: 0, delay: 0, status: 200 });
+        providers = new DataProviders({ storage: new MemoryAdapter() });
+    });
+
+    after(() => clearTimeout(providers?.saveTimeout));
+
+    /**
+     * Create a provider on the stub server
+     * @param {number} ttl - Milliseconds a response stays fresh
+     * @returns {Object} Provider
+     */
+    function createStubProvider(ttl) {
+        return providers.create('stub', new HttpBackend({ url: `${baseUrl}/value?id={id}` }), { ttl });
+    }
+
+    it('shares one request between callers asking for the same thing', async () => {
+        stub.delay = 50;
+        const provider = createStubProvider(60000);
+
+        const results = await Promise.all([provider.get({ id: 'a' }), provider.get({ id: 'a' })]);
+
+        assert.equal(stub.hits, 1);
+        assert.deepEqual(results[0].data, { id: 'a', hit: 1 });
+        assert.deepEqual(results[1].data, results[0].data);
+        assert.equal(providers.pending.size, 0);
+    });
+
+    it('keeps different queries apart', async () => {
+        const provider = createStubProvider(60000);
+
+        const [a, b] = await Promise.all([provider.get({ id: 'a' }), provider.get({ id: 'b' })]);
+
+        assert.equal(stub.hits, 2);
+        assert.equal(a.data.id, 'a');
+        assert.equal(b.data.id, 'b');
+    });
+
+    it('answers from the cache while a response is fresh', async () => {
+        const provider = createStubProvider(60000);
+
+        const first = await provider.get({ id: 'a' });
+        const second = await provider.get({ id: 'a' });
+
+        assert.equal(stub.hits, 1);
+        assert.deepEqual(second, { ...first, stale: false, error: null });
+    });
+
+    it('refreshes in the background when a response is older than maxAge', async () => {
+        const provider = createStubProvider(60000);
+        await provider.get({ id: 'a' });
+
+        const updated = new Promise(resolve => {
+            provider.get({ id: 'a' }, { maxAge: 0, onUpdate: resolve });
+        });
+
+        assert.equal((await updated).data.hit, 2);
+        assert.equal(stub.hits, 2);
+    });
+
+    it('returns stale data at once and hands fresh data to onUpdate', async () => {
+        const provider = createStubProvider(0);
+        await provider.get({ id: 'a' });
+
+        let onUpdate = null;
+        const updated = new Promise(resolve => {
+            onUpdate = resolve;
+        });
+        const result = await provider.get({ id: 'a' }, { onUpdate });
+
+        assert.equal(result.stale, true);
+        assert.equal(result.error, null);
+        assert.equal(result.data.hit, 1);
+
+        const fresh = await updated;
+        assert.equal(fresh.stale, false);
+        assert.equal(fresh.data.hit, 2);
+        assert.equal([...providers.cache.values()][0].data.hit, 2);
+    });
+
+    it('falls back to the cached response when the service fails', async () => {
+        const provider = createStubProvider(60000);
+        const cached = await provider.get({ id: 'a' });
+
+        stub.status = 503;
+        const result = await provider.get({ id: 'a' }, { force: true });
+
+        assert.equal(result.stale, true);
+        assert.ok(result.error instanceof Error);
+        assert.match(result.error.message, /503/);
+        assert.deepEqual(result.data, cached.data);
+        assert.equal(result.updatedAt, cached.updatedAt);
+    });
+
+    it('throws when the service fails and nothing is cached', async () => {
+        stub.status = 500;
+        const provider = createStubProvider(60000);
+
+        await assert.rejects(provider.get({ id: 'a' }), /500/);
+        assert.equal(providers.cache.size, 0);
+    });
+
+    it('does not cache empty results', async () => {
+        const provider = providers.create('stub', new HttpBackend({
+            url: `${baseUrl}/value?id={id}`,
+            transform: () => null
+        }), { ttl: 60000 });
+
+        const result = await provider.get({ id: 'a' });
+
+        assert.equal(result.data, null);
+        assert.equal(providers.cache.size, 0);
+    });
+
+    it('saves only the newest entries younger than a week', async () => {
+        const now = Date.now();
+        const week = 7 * 24 * 60 * 60 * 1000;
+
+        providers.cache.set('expired', { data: 'expired', updatedAt: now - week - 1000 });
+        for (let i = 0; i < 105; i++) {
+            providers.cache.set(`entry-${i}`, { data: i, updatedAt: now - i * 1000 });
+        }
+
+        await providers.saveCache();
+
+        const stored = await providers.state.storage.get('dashboard-data-cache');
+        const keys = Object.keys(stored);
+        assert.equal(keys.length, 100);
+        assert.ok(!keys.includes('expired'));
+        assert.ok(keys.includes('entry-0'));
+        assert.ok(keys.includes('entry-99'));
+        assert.ok(!keys.includes('entry-100'));
+        assert.equal(providers.cache.size, 100);
+    });
+
+    it('reads saved responses back after a reload', async () => {
+        const provider = createStubProvider(60000);
+        await provider.get({ id: 'a' });
+        clearTimeout(providers.saveTimeout);
+        await providers.saveCache();
+
+        const reloaded = new DataProviders(providers.state);
+        const result = await reloaded.create('stub', provider.backend, { ttl: 60000 }).get({ id: 'a' });
+
+        assert.equal(stub.hits, 1);
+        assert.equal(result.data.id, 'a');
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit conversion and formatting tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { UNITS, convert, formatMeasurement, getUnitKeys, getUnitOptions } from '../js/units.js';
+
+/**
+ * Assert two numbers are equal to within a tolerance
+ * @param {number} actual - Value found
+ * @param {number} expected - Value wanted
+ * @param {number} tolerance - Largest difference allowed
+ */
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+describe('convert', () => {
+    it('converts temperatures from °C', () => {
+        assert.equal(convert(22, 'temperature', 'celsius'), 22);
+        assertClose(convert(100, 'temperature', 'fahrenheit'), 212);
+        assertClose(convert(-40, 'temperature', 'fahrenheit'), -40);
+        assertClose(convert(22, 'temperature', 'fahrenheit'), 71.6);
+        assertClose(convert(0, 'temperature', 'kelvin'), 273.15);
+        assertClose(convert(-273.15, 'temperature', 'kelvin'), 0);
+    });
+
+    it('converts wind speeds from km/h', () => {
+        assert.equal(convert(36, 'speed', 'kmh'), 36);
+        assertClose(convert(100, 'speed', 'mph'), 62.137, 1e-3);
+        assertClose(convert(36, 'speed', 'ms'), 10);
+        assertClose(convert(1.852, 'speed', 'knots'), 1);
+    });
+
+    it('converts pressures from hPa', () => {
+        assert.equal(convert(1013.25, 'pressure', 'hpa'), 1013.25);
+        assertClose(convert(1013.25, 'pressure', 'inhg'), 29.921, 1e-3);
+        assertClose(convert(1013.25, 'pressure', 'mmhg'), 760, 1e-3);
+    });
+
+    it('converts precipitation from mm', () => {
+        assert.equal(convert(25.4, 'precipitation', 'mm'), 25.4);
+        assertClose(convert(25.4, 'precipitation', 'in'), 1);
+    });
+
+    it('leaves values in the base unit for unknown units', () => {
+        assert.equal(convert(22, 'temperature', 'rankine'), 22);
+        assert.equal(convert(36, 'speed', undefined), 36);
+    });
+
+    it('converts every unit of every quantity', () => {
+        Object.entries(UNITS).forEach(([quantity, { base, units }]) => {
+            assert.equal(convert(1, quantity, base), 1, `${quantity} base unit`);
+            Object.keys(units).forEach(unit => {
+                assert.ok(Number.isFinite(convert(1, quantity, unit)), `${quantity} in ${unit}`);
+            });
+        });
+    });
+});
+
+describe('formatMeasurement', () => {
+    it('formats temperatures', () => {
+        assert.equal(formatMeasurement(22, 'temperature', 'celsius'), '22°C');
+        assert.equal(formatMeasurement(22, 'temperature', 'fahrenheit'), '72°F');
+        assert.equal(formatMeasurement(22, 'temperature', 'kelvin'), '295 K');
+    });
+
+    it('uses the short symbol where the unit has one', () => {
+        assert.equal(formatMeasurement(22, 'temperature', 'celsius', { short: true }), '22°');
+        assert.equal(formatMeasurement(0, 'temperature', 'fahrenheit', { short: true }), '32°');
+        assert.equal(formatMeasurement(0, 'temperature', 'kelvin', { short: true }), '273 K');
+        assert.equal(formatMeasurement(36, 'speed', 'kmh', { short: true }), '36 km/h');
+    });
+
+    it('formats wind speeds', () => {
+        assert.equal(formatMeasurement(36, 'speed', 'kmh'), '36 km/h');
+        assert.equal(formatMeasurement(36, 'speed', 'mph'), '22 mph');
+        assert.equal(formatMeasurement(36, 'speed', 'ms'), '10.0 m/s');
+        assert.equal(formatMeasurement(36, 'speed', 'knots'), '19 kn');
+    });
+
+    it('formats pressures', () => {
+        assert.equal(formatMeasurement(1013.25, 'pressure', 'hpa'), '1013 hPa');
+        assert.equal(formatMeasurement(1013.25, 'pressure', 'inhg'), '29.92 inHg');
+        assert.equal(formatMeasurement(1013.25, 'pressure', 'mmhg'), '760 mmHg');
+    });
+
+    it('formats precipitation', () => {
+        assert.equal(formatMeasurement(25.4, 'precipitation', 'mm'), '25.4 mm');
+        assert.equal(formatMeasurement(25.4, 'precipitation', 'in'), '1.00 in');
+        assert.equal(formatMeasurement(0, 'precipitation', 'in'), '0.00 in');
+    });
+
+    it('rounds to each unit\'s decimals', () => {
+        assert.equal(formatMeasurement(21.4, 'temperature', 'celsius'), '21°C');
+        assert.equal(formatMeasurement(21.6, 'temperature', 'celsius'), '22°C');
+        assert.equal(formatMeasurement(1, 'speed', 'ms'), '0.3 m/s');
+        assert.equal(formatMeasurement(1012.6, 'pressure', 'hpa'), '1013 hPa');
+        assert.equal(formatMeasurement(1000, 'pressure', 'inhg'), '29.53 inHg');
+        assert.equal(formatMeasurement(0.26, 'precipitation', 'mm'), '0.3 mm');
+        assert.equal(formatMeasurement(0.26, 'precipitation', 'in'), '0.01 in');
+    });
+
+    it('shows values that round to zero without a minus sign', () => {
+        assert.equal(formatMeasurement(-0.2, 'temperature', 'celsius'), '0°C');
+        assert.equal(formatMeasurement(-0.2, 'temperature', 'celsius', { short: true }), '0°');
+        assert.equal(formatMeasurement(-17.9, 'temperature', 'fahrenheit'), '0°F');
+        assert.equal(formatMeasurement(-273.4, 'temperature', 'kelvin'), '0 K');
+        assert.equal(formatMeasurement(-0.1, 'speed', 'ms'), '0.0 m/s');
+        assert.equal(formatMeasurement(-0.04, 'precipitation', 'mm'), '0.0 mm');
+        assert.equal(formatMeasurement(-0, 'pressure', 'inhg'), '0.00 inHg');
+    });
+
+    it('keeps the minus sign on values below zero', () => {
+        assert.equal(formatMeasurement(-0.6, 'temperature', 'celsius'), '-1°C');
+        assert.equal(formatMeasurement(-40, 'temperature', 'fahrenheit'), '-40°F');
+    });
+
+    it('shows a dash for missing values', () => {
+        [null, undefined, NaN, Infinity, -Infinity, '22'].forEach(value => {
+            assert.equal(formatMeasurement(value, 'temperature', 'celsius'), '–', String(value));
+        });
+    });
+
+    it('falls back to the base unit for unknown units', () => {
+        assert.equal(formatMeasurement(22, 'temperature', 'rankine'), '22°C');
+        assert.equal(formatMeasurement(25.4, 'precipitation', 'cm'), '25.4 mm');
+    });
+});
+
+describe('unit lists', () => {
+    it('lists every unit of a quantity', () => {
+        assert.deepEqual(getUnitKeys('temperature'), ['celsius', 'fahrenheit', 'kelvin']);
+        assert.deepEqual(getUnitKeys('speed'), ['kmh', 'mph', 'ms', 'knots']);
+        assert.deepEqual(getUnitKeys('pressure'), ['hpa', 'inhg', 'mmhg']);
+        assert.deepEqual(getUnitKeys('precipitation'), ['mm', 'in']);
+    });
+
+    it('labels the select options', () => {
+        assert.deepEqual(getUnitOptions('precipitation'), [
+            { value: 'mm', label: 'Millimetres (mm)' },
+            { value: 'in', label: 'Inches (in)' }
+        ]);
+    });
+});